@@ -0,0 +1,358 @@
+import { JSDOM } from 'jsdom';
+import { forEachTextElement, readTextContrast } from './darkmode.js';
+import { excerpt } from './lint.js';
+
+// Set on emails without a lang attribute (the section templates declare "en")
+export const EMAIL_LANG = 'en';
+
+// Images no bigger than this (width or height attribute) are spacers or tracking pixels
+export const SPACER_PX = 2;
+
+/**
+ * Link text that says nothing about where the link goes once read out of context
+ * (screen readers list a message's links on their own)
+ */
+export const GENERIC_LINK_TEXT = Object.freeze([
+  'click',
+  'click here',
+  'details',
+  'find out more',
+  'go',
+  'here',
+  'learn more',
+  'link',
+  'more',
+  'read more',
+  'see more',
+  'this',
+  'this link'
+]);
+
+/**
+ * Alt text that names the kind of image rather than what it shows ("Custom" is the
+ * Klaviyo default for social icons)
+ */
+export const GENERIC_ALT_TEXT = Object.freeze([
+  'custom',
+  'graphic',
+  'icon',
+  'image',
+  'img',
+  'photo',
+  'picture',
+  'placeholder',
+  'untitled'
+]);
+
+/**
+ * Social profiles by host; an icon linking to one is named after the network
+ */
+export const SOCIAL_NETWORKS = Object.freeze({
+  'facebook.com': 'Facebook',
+  'instagram.com': 'Instagram',
+  'linkedin.com': 'LinkedIn',
+  'pinterest.com': 'Pinterest',
+  'tiktok.com': 'TikTok',
+  'twitter.com': 'X (Twitter)',
+  'x.com': 'X (Twitter)',
+  'youtube.com': 'YouTube'
+});
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+const EMOJI_PARTS = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f\u20e3\s]/gu;
+
+/**
+ * Audit assembled email HTML for accessibility
+ *
+ * Rules: text contrast against the inline background it sits on (WCAG AA), heading order,
+ * image alt text, lang on the html element, descriptive link text and emoji-only text.
+ * Issues are named by the section ("<!-- section: name -->" comments) they were found in;
+ * fixable ones are corrected by fixAccessibility.
+ *
+ * @param {string} html - Complete email HTML
+ * @returns {{ok: boolean, summary: Object, issues: {rule: string, severity: string, message: string,
+ *   section: string|null, fixable: boolean, excerpt?: string}[]}}
+ */
+export function auditAccessibility(html) {
+  const doc = new JSDOM(html).window.document;
+  const issues = inspect(doc).map(({ fix, element, ...issue }) => ({
+    ...issue,
+    fixable: Boolean(fix),
+    ...(element !== doc.documentElement ? { excerpt: excerpt(element) } : {})
+  }));
+
+  const summary = { error: 0, warning: 0, info: 0, fixable: 0 };
+  for (const issue of issues) {
+    summary[issue.severity]++;
+    if (issue.fixable) {
+      summary.fixable++;
+    }
+  }
+
+  return {
+    ok: summary.error === 0 && summary.warning === 0,
+    summary,
+    issues
+  };
+}
+
+/**
+ * Fix the issues that don't need a person to decide: lang on the html element, aria-level on
+ * headings that skip a level (their look is unchanged), alt text on social icons (from the
+ * link) and spacers (empty), and aria-hidden on decorative emoji.
+ *
+ * @param {string} html - Complete email HTML
+ * @returns {{html: string, fixes: {rule: string, element: string, attribute: string, value: string}[]}}
+ */
+export function fixAccessibility(html) {
+  const dom = new JSDOM(html, { includeNodeLocations: true });
+  const targets = new Map();
+  const fixes = [];
+
+  for (const { rule, element, fix } of inspect(dom.window.document)) {
+    // The parser's source location of the start tag; elements it implied (e.g. a missing
+    // <html>) have none and are left alone
+    const location = fix && dom.nodeLocation(element)?.startTag;
+    if (!location) {
+      continue;
+    }
+    const target = targets.get(element) || { location, edits: {} };
+    target.edits[fix.attribute] = fix.value;
+    targets.set(element, target);
+    fixes.push({ rule, element: element.localName, ...fix });
+  }
+
+  // Edit from the end so the earlier offsets stay valid
+  let fixed = html;
+  for (const { location, edits } of [...targets.values()].sort((a, b) => b.location.startOffset - a.location.startOffset)) {
+    const tag = fixed.substring(location.startOffset, location.endOffset);
+    const [, open, attributes, close] = tag.match(/^(<[a-z][a-z0-9]*)([\s\S]*?)(\/?>)$/i);
+    const edited = Object.entries(edits).reduce((result, [attribute, value]) => setAttribute(result, attribute, value), attributes);
+    fixed = `${fixed.substring(0, location.startOffset)}${open}${edited}${close}${fixed.substring(location.endOffset)}`;
+  }
+
+  return { html: fixed, fixes };
+}
+
+/**
+ * Every issue, in document order within each rule, with the element it was found on and,
+ * for fixable ones, fix: {attribute, value} to set on that element
+ */
+function inspect(doc) {
+  const issues = [];
+  const addIssue = (rule, severity, message, element, fix = null) => {
+    issues.push({ rule, severity, message, section: sectionOf(element), element, fix });
+  };
+
+  if (!doc.documentElement.getAttribute('lang')) {
+    addIssue('html-lang', 'warning', `The html element has no lang attribute, so screen readers guess the language (fix: lang="${EMAIL_LANG}")`, doc.documentElement, {
+      attribute: 'lang',
+      value: EMAIL_LANG
+    });
+  }
+
+  checkContrast(doc, addIssue);
+  checkHeadings(doc, addIssue);
+  checkImages(doc, addIssue);
+  checkLinks(doc, addIssue);
+  checkEmoji(doc, addIssue);
+  return issues;
+}
+
+/**
+ * Text below WCAG AA contrast with the inline background it sits on, once per section and
+ * colour pair. Decorative text hidden from screen readers is exempt.
+ */
+function checkContrast(doc, addIssue) {
+  const failures = new Map();
+  forEachTextElement(doc, (element, section) => {
+    const { text, background, required, ratio } = readTextContrast(element);
+    if (ratio >= required || element.closest('[aria-hidden="true"]')) {
+      return;
+    }
+    const key = [section, text.hex, background.hex].join('|');
+    const failure = failures.get(key);
+    if (failure) {
+      failure.count++;
+    } else {
+      failures.set(key, { element, count: 1, text: text.hex || '#000000', background: background.hex || '#FFFFFF', ratio, required });
+    }
+  });
+
+  for (const { element, count, text, background, ratio, required } of failures.values()) {
+    const elements = count === 1 ? '1 element' : `${count} elements`;
+    addIssue('contrast', 'warning', `${text} text on ${background} has ${(Math.round(ratio * 100) / 100)}:1 contrast, needs ${required}:1 (${elements})`, element);
+  }
+}
+
+/**
+ * Headings must start at level 1 and not skip levels. The first heading is the email's title
+ * (the hero's, whatever its tag) and each later one is read at its depth in the outline below
+ * it (a stack of the open levels), which aria-level sets without changing how it looks.
+ */
+function checkHeadings(doc, addIssue) {
+  const open = [];
+  for (const heading of doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    const level = Number(heading.localName[1]);
+    while (open.length > 1 && open[open.length - 1] >= level) {
+      open.pop();
+    }
+    open.push(level);
+
+    const depth = open.length;
+    const current = Number(heading.getAttribute('aria-level')) || level;
+    if (current !== depth) {
+      const parent = depth === 1 ? 'as the title' : depth === 2 ? `under the h${open[0]} title` : `under an h${open[depth - 2]}`;
+      addIssue('heading-order', 'warning', `"${shorten(heading.textContent)}" is an h${level} ${parent}; it should be read as level ${depth}`, heading, {
+        attribute: 'aria-level',
+        value: String(depth)
+      });
+    }
+  }
+}
+
+/**
+ * Every image needs alt text that says what it shows, or alt="" when it is decorative
+ */
+function checkImages(doc, addIssue) {
+  for (const image of doc.body.querySelectorAll('img')) {
+    const alt = image.getAttribute('alt');
+    if (alt !== null && alt.trim() === '') {
+      continue;
+    }
+
+    const network = socialNetwork(image.closest('a[href]'));
+    const file = (image.getAttribute('src') || '').split(/[?#]/)[0].split('/').pop();
+    if (alt === null) {
+      if (isSpacer(image)) {
+        addIssue('img-alt', 'warning', `Spacer image ${file} has no alt attribute (fix: alt="")`, image, { attribute: 'alt', value: '' });
+      } else if (network) {
+        addIssue('img-alt', 'warning', `${network} icon has no alt text (fix: alt="${network}")`, image, { attribute: 'alt', value: network });
+      } else {
+        const linked = image.closest('a[href]') ? 'Linked image' : 'Image';
+        addIssue('img-alt', 'warning', `${linked} ${file} has no alt text; describe it, or use alt="" if it is decorative`, image);
+      }
+    } else if (isGenericAlt(alt, file)) {
+      addIssue('img-alt', 'warning', network
+        ? `${network} icon has alt "${alt}" (fix: alt="${network}")`
+        : `Image alt "${alt}" doesn't say what it shows`, image, network ? { attribute: 'alt', value: network } : null);
+    }
+  }
+}
+
+/**
+ * Links need a name (text, image alt or aria-label) that says where they go
+ */
+function checkLinks(doc, addIssue) {
+  for (const link of doc.body.querySelectorAll('a[href]')) {
+    if (link.getAttribute('aria-label')?.trim()) {
+      continue;
+    }
+
+    const text = link.textContent.replace(/\s+/g, ' ').trim();
+    const images = [...link.querySelectorAll('img')];
+    // A linked image without alt is reported by img-alt
+    if (!text && images.some(image => image.hasAttribute('alt') && image.getAttribute('alt').trim())) {
+      continue;
+    }
+    if (!text && images.some(image => !image.hasAttribute('alt'))) {
+      continue;
+    }
+
+    if (!text) {
+      addIssue('link-text', 'warning', `Link to ${describeHref(link)} has no text or image alt`, link);
+    } else if (GENERIC_LINK_TEXT.includes(text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').trim())) {
+      addIssue('link-text', 'warning', `Link text "${text}" doesn't say where it goes (${describeHref(link)})`, link);
+    }
+  }
+}
+
+/**
+ * Text made only of emoji is read out by name ("light bulb"). Next to a title (such as a
+ * summary card's icon) it is decorative and hidden from screen readers; on its own it needs words.
+ */
+function checkEmoji(doc, addIssue) {
+  forEachTextElement(doc, (element) => {
+    const text = element.textContent.trim();
+    if (!isEmojiOnly(text) || element.closest('[aria-hidden="true"]')) {
+      return;
+    }
+
+    const container = element.closest('table') || doc.body;
+    if (container.textContent.replace(EMOJI_PARTS, '').trim()) {
+      addIssue('emoji-only', 'info', `Decorative emoji "${text}" is read out by screen readers (fix: aria-hidden="true")`, element, {
+        attribute: 'aria-hidden',
+        value: 'true'
+      });
+    } else {
+      addIssue('emoji-only', 'warning', `"${text}" is the only content here; add words that say what it means`, element);
+    }
+  });
+}
+
+function isEmojiOnly(text) {
+  return EMOJI.test(text) && text.replace(EMOJI_PARTS, '') === '';
+}
+
+function isSpacer(image) {
+  return ['width', 'height'].some(attribute => {
+    const value = image.getAttribute(attribute);
+    return value !== null && Number.parseInt(value, 10) <= SPACER_PX;
+  });
+}
+
+function isGenericAlt(alt, file) {
+  const text = alt.trim().toLowerCase();
+  return GENERIC_ALT_TEXT.includes(text) || text === file.toLowerCase() || /\.(png|jpe?g|gif|svg|webp)$/.test(text);
+}
+
+function socialNetwork(link) {
+  try {
+    const host = new URL(link?.getAttribute('href')).hostname.replace(/^(www|m)\./, '');
+    return SOCIAL_NETWORKS[host] || null;
+  } catch {
+    return null;
+  }
+}
+
+function describeHref(link) {
+  const href = link.getAttribute('href');
+  try {
+    const url = new URL(href);
+    return `${url.hostname}${url.pathname === '/' ? '' : url.pathname}`;
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Name from the closest "<!-- section: name -->" comment before the element (null outside the body)
+ */
+function sectionOf(element) {
+  const doc = element.ownerDocument;
+  if (!doc.body.contains(element)) {
+    return null;
+  }
+  const walker = doc.createTreeWalker(doc.body, doc.defaultView.NodeFilter.SHOW_COMMENT);
+  walker.currentNode = element;
+  for (let node = walker.previousNode(); node; node = walker.previousNode()) {
+    const name = node.data.match(/^\s*section:\s*(\S+)\s*$/)?.[1];
+    if (name) {
+      return name;
+    }
+  }
+  return null;
+}
+
+function setAttribute(attributes, name, value) {
+  const escaped = value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  const existing = new RegExp(`\\s${name}(\\s*=\\s*("[^"]*"|'[^']*'|[^\\s"'>]+))?(?=[\\s/]|$)`, 'i');
+  return existing.test(attributes)
+    ? attributes.replace(existing, ` ${name}="${escaped}"`)
+    : ` ${name}="${escaped}"${attributes}`;
+}
+
+function shorten(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > 60 ? `${clean.substring(0, 57)}...` : clean;
+}
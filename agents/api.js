@@ -0,0 +1,1068 @@
+import path from 'path';
+import { retrieveContent } from './retrieve.js';
+import { createStructure } from './structure.js';
+import { generateCopy, regenerateSlot } from './copy.js';
+import { writeAndAssemble } from './write.js';
+import { createLinkPolicy, getLinkDirectory } from './links.js';
+import { createProvider, trackUsage, summarizeUsage, PROVIDER_MODES } from './provider.js';
+import { lintEmail, shouldFailLint, logLintReport, logSeverityReport, SEVERITIES } from './lint.js';
+import { checkCompliance, fixCompliance, logComplianceReport } from './compliance.js';
+import { checkLinks, createHttpChecker, logLinkCheckReport } from './linkcheck.js';
+import { auditAccessibility, fixAccessibility } from './accessibility.js';
+import { applyDarkMode } from './darkmode.js';
+import { publishToKlaviyo } from './publish.js';
+import { readFile, writeFile, createSlug, getTimestamp, validatePlan } from './utils.js';
+import { getSectionManifests, normalizeSlots, normalizeSequence } from './sections.js';
+import { planSeries, buildSeriesContext, summarizePlan, SERIES_LENGTH } from './series.js';
+import { generateVariants, applyWinningVariant, VARIANT_COUNT } from './variants.js';
+import { parseBrandGuidelines, findPersona } from './brand.js';
+import { collectBatchItems, runBatch, logBatchSummary, BATCH_CONCURRENCY, BATCH_FILE_TYPES } from './batch.js';
+import { syncBlogIndex, loadBlogIndex, findPostsWithoutEmails, findRelatedPosts, logBlogIndex } from './discover.js';
+import { createTerminalReviewer, reviewStructure, reviewCopy } from './review.js';
+import { startPreviewServer } from './preview.js';
+import { log, withLogger, consoleLogger, silentLogger } from './logger.js';
+import { EmailAgentError, InputError, ConfigError, StageError, LintError } from './errors.js';
+
+// Format of the <basename>.plan.json files read by renderEmail
+export const PLAN_FILE_VERSION = 1;
+
+/**
+ * Generate an email from a URL, text or prompt and save its files.
+ *
+ * Nothing is printed except through options.logger (default: the console) and the process is
+ * never exited: failures are thrown as InputError, ConfigError, StageError (with .stage) or
+ * LintError (see errors.js).
+ *
+ * @param {{url?: string, file?: string, text?: string, prompt?: string}} input
+ * @param {Object} options - The CLI options (sections, links, blogIndex, out, modelStructure, modelCopy,
+ *   provider, fixtures, lintFailOn, fixBrand, checkLinks, utm*, publish, klaviyoAudience, dryRun,
+ *   variants, persona), plus:
+ * @param {Object} options.logger - { info, warn, error } (default: console; silentLogger to mute)
+ * @param {string|Object} options.provider - Provider mode, or a provider object (see provider.js)
+ * @param {boolean|Object} options.review - Pause after the structure and the copy for edits: true asks on
+ *   the terminal, or pass a reviewer ({ ask(question) => Promise<answer> }; see review.js)
+ * @returns {Promise<Object|Object[]>} Email result: subject, preview, persona, structure, plan, html, text,
+ *   links, lint, compliance, link_check, accessibility, variants, review (edit history), published, files, timings (ms), usage (tokens) and
+ *   warnings. With persona "all", one result per persona.
+ */
+export async function generateEmail(input, options = {}) {
+  return withLogger(options.logger || consoleLogger, async ({ warnings }) => {
+    validateInput(input);
+    validateOptions(options);
+
+    log.info('='.repeat(60));
+    log.info('🚀 Vunked Email Agent');
+    log.info('='.repeat(60));
+    log.info();
+
+    // review: true asks on the terminal; a reviewer object answers from code
+    if (options.review !== true) {
+      return buildEmails(input, options, warnings);
+    }
+    const reviewer = createTerminalReviewer();
+    try {
+      return await buildEmails(input, { ...options, review: reviewer }, warnings);
+    } finally {
+      reviewer.close();
+    }
+  });
+}
+
+/**
+ * Run the pipeline for one input and save its files: generateEmail without the banner and
+ * option checks. Batch mode runs it once per item, each with its own warnings list.
+ */
+async function buildEmails(input, options, warnings) {
+  const startTime = Date.now();
+
+  const run = await prepareRun(input, options);
+  const { provider, blogData, brand, sectionsDir, manifests, availableSections, linkDirectory, models, timings } = run;
+
+  // One email per persona (a single untargeted email when no persona is set)
+  const personas = resolvePersonas(options.persona, brand);
+  log.info();
+
+  // Step 2: STRUCTURE
+  log.info('🏗️  STEP 2: STRUCTURE');
+  log.info('-'.repeat(60));
+  let structure = await runStage('structure', timings, () =>
+    createStructure(blogData, brand, availableSections, models.structure, blogData.source_url, provider, null, manifests)
+  );
+  log.info();
+
+  // Optional: REVIEW the sections before any copy is written
+  const structureEdits = [];
+  if (options.review) {
+    structure = await runStage('review', timings, () => reviewStructure(structure, availableSections, options.review, structureEdits, manifests));
+    log.info();
+  }
+
+  // Retrieve and structure are shared by every persona's email; the rest is counted per email
+  const shared = { timings: { ...timings }, ms: Date.now() - startTime, usage: provider.usageLog.length, warnings: warnings.length };
+  const outputDir = options.out || 'output';
+  const timestamp = getTimestamp();
+  const emails = [];
+
+  for (const persona of personas) {
+    const emailStart = Date.now();
+    const own = { timings: {}, usage: provider.usageLog.length, warnings: warnings.length };
+    if (persona) {
+      log.info(`👤 PERSONA: ${persona.name}`);
+      log.info('='.repeat(60));
+      log.info();
+    }
+
+    // Step 3: COPY
+    log.info('✍️  STEP 3: COPY');
+    log.info('-'.repeat(60));
+    let plan = await runStage('copy', own.timings, () =>
+      generateCopy(structure, blogData, brand, models.copy, blogData.source_url, provider, null, persona, manifests, linkDirectory)
+    );
+    log.info();
+
+    // Optional: SUBJECT VARIANTS (the top-scored pair becomes the subject and preview)
+    let variantsReport = null;
+    if (options.variants) {
+      log.info('🧪 SUBJECT VARIANTS');
+      log.info('-'.repeat(60));
+      variantsReport = await runStage('variants', own.timings, () =>
+        generateVariants(plan, blogData, brand, options.variants, models.structure, provider)
+      );
+      plan = applyWinningVariant(plan, variantsReport);
+      log.info();
+    }
+
+    // Optional: REVIEW the copy after the variants, so an edited subject sticks.
+    // Regenerated slots see the rest of the copy.
+    const edits = [...structureEdits];
+    if (options.review) {
+      const regenerate = (target, notes, current) =>
+        regenerateSlot(current, target, structure, blogData, brand, models.copy, blogData.source_url, provider, persona, notes, manifests, linkDirectory);
+      plan = await runStage('review', own.timings, () => reviewCopy(plan, options.review, edits, regenerate, manifests));
+      log.info();
+    }
+
+    // Step 4: ASSEMBLE
+    log.info('🔧 STEP 4: ASSEMBLE');
+    log.info('-'.repeat(60));
+    const result = await runStage('assemble', own.timings, () =>
+      writeAndAssemble(plan, brand, sectionsDir, buildLinkPolicy(options, linkDirectory))
+    );
+    log.info();
+
+    // Steps 5-8: BRAND COMPLIANCE (optionally fixing style drift first), ACCESSIBILITY (fixing the safe issues first), LINT, LINK CHECK
+    const { accessibilityReport, complianceReport, lintReport, linkCheckReport } = await runStage('checks', own.timings, () => runChecks(result, plan, brand, options));
+
+    // Save output files
+    const reviewLog = options.review ? { sequence: structure.sequence, edits } : null;
+    log.info('💾 SAVING OUTPUT');
+    log.info('-'.repeat(60));
+    const slug = createSlug(plan.subject);
+    const basename = persona ? `${slug}-${timestamp}-${persona.id}` : `${slug}-${timestamp}`;
+    const files = await runStage('save', own.timings, () => saveEmailFiles(outputDir, basename, {
+      result,
+      lintReport,
+      complianceReport,
+      linkCheckReport,
+      accessibilityReport,
+      variantsReport,
+      reviewLog,
+      planFile: buildPlanFile(input, blogData, persona, models, structure, plan, [...provider.usageLog.slice(0, shared.usage), ...provider.usageLog.slice(own.usage)], result.links?.campaign),
+      meta: buildEmailMeta(plan, blogData, persona, result.links)
+    }));
+
+    const email = {
+      subject: result.subject,
+      preview: result.preview,
+      persona: persona ? { id: persona.id, name: persona.name } : null,
+      structure,
+      plan,
+      html: result.html,
+      text: result.text_version,
+      links: result.links,
+      lint: lintReport,
+      compliance: complianceReport,
+      link_check: linkCheckReport,
+      accessibility: accessibilityReport,
+      variants: variantsReport,
+      review: reviewLog,
+      published: null,
+      files
+    };
+    const finish = () => Object.assign(email, {
+      timings: { ...shared.timings, ...own.timings, total: shared.ms + (Date.now() - emailStart) },
+      usage: summarizeUsage([...provider.usageLog.slice(0, shared.usage), ...provider.usageLog.slice(own.usage)]),
+      warnings: [...warnings.slice(0, shared.warnings), ...warnings.slice(own.warnings)]
+    });
+
+    if (shouldFailLint(lintReport, options.lintFailOn)) {
+      throw new LintError(`Lint found issues at or above "${options.lintFailOn}" severity. See ${files.lint}`, { report: lintReport, result: finish() });
+    }
+
+    // Optional: PUBLISH
+    if (options.publish) {
+      log.info();
+      log.info('📤 PUBLISH TO KLAVIYO');
+      log.info('-'.repeat(60));
+      email.published = await runStage('publish', own.timings, () => publishToKlaviyo(
+        { ...result, name: basename },
+        { audience: options.klaviyoAudience, dryRun: options.dryRun }
+      ));
+    }
+    log.info();
+
+    emails.push(finish());
+  }
+
+  // Summary
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  log.info('='.repeat(60));
+  log.info(emails.length > 1 ? `✅ ${emails.length} EMAILS GENERATED SUCCESSFULLY` : '✅ EMAIL GENERATED SUCCESSFULLY');
+  log.info('='.repeat(60));
+  for (const email of emails) {
+    if (email.persona) {
+      log.info(`Persona: ${email.persona.name}`);
+    }
+    log.info(`Subject: ${email.subject}`);
+    log.info(`Preview: ${email.preview}`);
+    log.info(`HTML: ${email.files.html}`);
+    log.info(`Text: ${email.files.text}`);
+    log.info(`Lint: ${email.lint.summary.error} errors, ${email.lint.summary.warning} warnings`);
+    log.info(`Brand: ${email.compliance.summary.warning} warnings (${email.compliance.summary.fixable} auto-fixable)`);
+    log.info(`Links: ${email.link_check.summary.error} errors, ${email.link_check.summary.warning} warnings (${email.link_check.checked} URLs${email.link_check.online ? ', checked online' : ''})`);
+    log.info(`Accessibility: ${email.accessibility.summary.warning} warnings left to review`);
+    if (email.variants) {
+      log.info(`Variants: ${email.variants.variants.length} (winner ${email.variants.winner}, score ${email.variants.variants[0].score})`);
+    }
+    if (email.published?.template_id) {
+      log.info(`Klaviyo template: ${email.published.template_id}`);
+    }
+    if (email.published?.campaign_id) {
+      log.info(`Klaviyo campaign (draft): ${email.published.campaign_id}`);
+    }
+    if (email.usage.total_tokens > 0) {
+      log.info(`Tokens: ${email.usage.total_tokens} (${email.usage.calls} model calls)`);
+    }
+    log.info();
+  }
+  log.info(`Duration: ${duration}s`);
+  log.info('='.repeat(60));
+
+  // Persona "all" returns one result per persona
+  return options.persona === 'all' ? emails : emails[0];
+}
+
+/**
+ * Generate a multi-email drip sequence from one source.
+ * Each email runs the normal structure → copy → assemble → lint steps with the
+ * series plan and the earlier emails as context, then a series manifest is saved.
+ *
+ * Logging and errors work as in generateEmail.
+ *
+ * @param {{url?: string, file?: string, text?: string, prompt?: string}} input
+ * @param {Object} options - generateEmail options plus series (3-5) and seriesBrief
+ * @returns {Promise<Object>} The series manifest plus manifest_path, timings, usage and warnings
+ */
+export async function generateSeries(input, options = {}) {
+  return withLogger(options.logger || consoleLogger, async ({ warnings }) => {
+    const startTime = Date.now();
+    validateInput(input);
+    validateOptions(options);
+    if (options.series === undefined) {
+      throw new InputError(`series is required: a whole number from ${SERIES_LENGTH.min} to ${SERIES_LENGTH.max}`);
+    }
+
+    log.info('='.repeat(60));
+    log.info('🚀 Vunked Email Agent (series mode)');
+    log.info('='.repeat(60));
+    log.info();
+
+    const run = await prepareRun(input, options);
+    const { provider, blogData, brand, sectionsDir, manifests, availableSections, linkDirectory, models, timings } = run;
+
+    // Step 2: SERIES PLAN
+    log.info('🗓️  STEP 2: SERIES PLAN');
+    log.info('-'.repeat(60));
+    const seriesPlan = await runStage('series', timings, () =>
+      planSeries(blogData, brand, options.series, models.structure, blogData.source_url, provider, options.seriesBrief, linkDirectory)
+    );
+    log.info();
+
+    const outputDir = options.out || 'output';
+    const [persona] = resolvePersonas(options.persona, brand);
+    const seriesBasename = `${createSlug(seriesPlan.series_name)}-${getTimestamp()}`;
+    const previous = [];
+    const emails = [];
+
+    // Step 3: one email per series slot
+    for (let index = 0; index < seriesPlan.emails.length; index++) {
+      const seriesEmail = seriesPlan.emails[index];
+      const context = buildSeriesContext(seriesPlan, index, previous, linkDirectory);
+
+      log.info(`✉️  EMAIL ${seriesEmail.position}/${seriesPlan.emails.length} (day ${seriesEmail.send_day}, ${seriesEmail.cta_stage} CTA)`);
+      log.info('-'.repeat(60));
+      const callsBefore = provider.usageLog.length;
+      const structure = await runStage('structure', timings, () =>
+        createStructure(blogData, brand, availableSections, models.structure, blogData.source_url, provider, context, manifests)
+      );
+      let plan = await runStage('copy', timings, () =>
+        generateCopy(structure, blogData, brand, models.copy, blogData.source_url, provider, context, persona, manifests, linkDirectory)
+      );
+
+      let variantsReport = null;
+      if (options.variants) {
+        variantsReport = await runStage('variants', timings, () =>
+          generateVariants(plan, blogData, brand, options.variants, models.structure, provider)
+        );
+        plan = applyWinningVariant(plan, variantsReport);
+      }
+
+      // Every email in the series shares one utm_campaign
+      const result = await runStage('assemble', timings, () =>
+        writeAndAssemble(plan, brand, sectionsDir, buildLinkPolicy(options, linkDirectory, createSlug(seriesPlan.series_name)))
+      );
+      log.info();
+      const { accessibilityReport, complianceReport, lintReport, linkCheckReport } = await runStage('checks', timings, () => runChecks(result, plan, brand, options));
+
+      const basename = `${seriesBasename}-${String(seriesEmail.position).padStart(2, '0')}`;
+      const files = await runStage('save', timings, () => saveEmailFiles(outputDir, basename, {
+        result,
+        lintReport,
+        complianceReport,
+        linkCheckReport,
+        accessibilityReport,
+        variantsReport,
+        planFile: buildPlanFile(input, blogData, persona, models, structure, plan, [
+          ...provider.usageLog.filter(entry => entry.stage === 'series'),
+          ...provider.usageLog.slice(callsBefore)
+        ], result.links?.campaign),
+        meta: buildEmailMeta(plan, blogData, persona, result.links)
+      }));
+
+      if (shouldFailLint(lintReport, options.lintFailOn)) {
+        throw new LintError(`Lint found issues at or above "${options.lintFailOn}" severity in email ${seriesEmail.position}. See ${files.lint}`, { report: lintReport });
+      }
+
+      let published = null;
+      if (options.publish) {
+        // Series emails are uploaded as templates; send timing is set up in a Klaviyo flow
+        published = await runStage('publish', timings, () => publishToKlaviyo(
+          { ...result, name: basename },
+          { dryRun: options.dryRun }
+        ));
+      }
+
+      previous.push(summarizePlan(plan, seriesEmail.position));
+      emails.push({
+        ...seriesEmail,
+        subject: result.subject,
+        preview: result.preview,
+        sequence: plan.sequence,
+        html: path.basename(files.html),
+        text: path.basename(files.text),
+        lint: lintReport.summary,
+        compliance: complianceReport.summary,
+        link_check: linkCheckReport.summary,
+        accessibility: accessibilityReport.summary,
+        variants: files.variants ? path.basename(files.variants) : null,
+        plan: path.basename(files.plan),
+        klaviyo_template_id: published?.template_id || null
+      });
+      log.info();
+    }
+
+    // Save the series manifest next to the emails
+    const manifest = {
+      series_name: seriesPlan.series_name,
+      strategy: seriesPlan.strategy,
+      brief: options.seriesBrief || null,
+      persona: persona ? { id: persona.id, name: persona.name } : null,
+      source: {
+        title: blogData.blog_title,
+        url: blogData.source_url || null,
+        file: blogData.source_file || null
+      },
+      created_at: new Date().toISOString(),
+      emails
+    };
+    const manifestPath = await runStage('save', timings, () => writeFile(
+      path.join(outputDir, `${seriesBasename}.series.json`),
+      JSON.stringify(manifest, null, 2)
+    ));
+
+    // Summary
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    log.info('='.repeat(60));
+    log.info('✅ SERIES GENERATED SUCCESSFULLY');
+    log.info('='.repeat(60));
+    log.info(`Series: ${seriesPlan.series_name}`);
+    for (const email of emails) {
+      log.info(`  ${email.position}. Day ${email.send_day}: ${email.subject} (${email.html})`);
+    }
+    log.info(`Manifest: ${manifestPath}`);
+    log.info(`Duration: ${duration}s`);
+    log.info('='.repeat(60));
+
+    return {
+      ...manifest,
+      manifest_path: manifestPath,
+      timings: { ...timings, total: Date.now() - startTime },
+      usage: summarizeUsage(provider.usageLog),
+      warnings: [...warnings]
+    };
+  });
+}
+
+/**
+ * Generate one email per item in a content directory or list file (see collectBatchItems).
+ * A failed item is recorded in the batch state file and the batch carries on; re-running
+ * the same batch skips the items that already finished.
+ *
+ * Throws only when the batch can't start (InputError for a bad source or options).
+ *
+ * @param {string} source - Content directory or list file, relative to the project root
+ * @param {Object} options - generateEmail options plus concurrency (1-8) and resume (default: true)
+ * @returns {Promise<Object>} Batch summary with a status per item
+ */
+export async function generateBatch(source, options = {}) {
+  return withLogger(options.logger || consoleLogger, async () => {
+    const startTime = Date.now();
+    validateOptions(options);
+    if (options.series !== undefined) {
+      throw new InputError('series is not supported in batch mode');
+    }
+    if (options.review) {
+      throw new InputError('review is not supported in batch mode');
+    }
+
+    log.info('='.repeat(60));
+    log.info('🚀 Vunked Email Agent (batch mode)');
+    log.info('='.repeat(60));
+    log.info();
+
+    let items;
+    try {
+      items = await collectBatchItems(source);
+    } catch (error) {
+      throw new InputError(error.message, { cause: error });
+    }
+    if (items.length === 0) {
+      throw new InputError(`No URLs or content files (${BATCH_FILE_TYPES.join(', ')}) found in ${source}`);
+    }
+    const statePath = path.join(options.out || 'output', `${createSlug(path.basename(source)) || 'batch'}.batch.json`);
+    log.info(`✓ Batch: ${items.length} items from ${source} (concurrency ${options.concurrency || BATCH_CONCURRENCY.default}${options.resume === false ? '' : ', resuming'})`);
+    log.info();
+
+    return runEmailBatch(items, statePath, options, startTime);
+  });
+}
+
+/**
+ * Find blog posts from the feed or sitemap that have no email yet (see discover.js).
+ * The feed's posts are merged into the local blog index first, which is also where
+ * the related posts offered to the copy come from.
+ *
+ * With options.generate, an email is generated for each post without one, as a batch
+ * (so a re-run resumes where a failed run stopped).
+ *
+ * @param {Object} options - generateBatch options plus:
+ * @param {string} options.feed - Feed or sitemap URL, or a local file (default: BLOG_FEED env or the vunked.com feed)
+ * @param {string} options.blogIndex - Index file (default: BLOG_INDEX env or data/blog-index.json)
+ * @param {boolean} options.generate - Generate emails for the posts without one
+ * @param {number} options.limit - Generate at most this many (newest first)
+ * @returns {Promise<{index_path: string, posts: Object[], added: Object[], pending: Object[], batch: Object|null}>}
+ *   pending: posts without an email; batch: the batch summary when generating
+ */
+export async function discoverPosts(options = {}) {
+  return withLogger(options.logger || consoleLogger, async () => {
+    const startTime = Date.now();
+    validateOptions(options);
+    if (options.series !== undefined) {
+      throw new InputError('series is not supported when generating from the blog index');
+    }
+    if (options.review) {
+      throw new InputError('review is not supported when generating from the blog index');
+    }
+    if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 1)) {
+      throw new InputError('--limit must be a whole number of at least 1');
+    }
+
+    log.info('='.repeat(60));
+    log.info('🚀 Vunked Email Agent (blog discovery)');
+    log.info('='.repeat(60));
+    log.info();
+
+    log.info('🔎 DISCOVER');
+    log.info('-'.repeat(60));
+    let index;
+    try {
+      index = await syncBlogIndex({ feed: options.feed, indexPath: options.blogIndex });
+    } catch (error) {
+      throw new ConfigError(error.message, { cause: error });
+    }
+    const outputDir = options.out || 'output';
+    const pending = await findPostsWithoutEmails(index.posts, outputDir);
+    logBlogIndex(index.posts, pending);
+    log.info();
+
+    const result = { ...index, pending, batch: null };
+    if (!options.generate) {
+      return result;
+    }
+    if (pending.length === 0) {
+      log.info(`✅ Every post already has an email in ${outputDir}`);
+      return result;
+    }
+
+    const items = pending
+      .slice(0, options.limit || pending.length)
+      .map(post => ({ id: post.url, type: 'url', url: post.url }));
+    log.info(`✓ Generating ${items.length} of ${pending.length} emails (concurrency ${options.concurrency || BATCH_CONCURRENCY.default})`);
+    log.info();
+    result.batch = await runEmailBatch(items, path.join(outputDir, 'blog.batch.json'), options, startTime);
+    return result;
+  });
+}
+
+/**
+ * Run buildEmails for each batch item (see runBatch) and print the summary
+ */
+async function runEmailBatch(items, statePath, options, startTime) {
+  const summary = await runBatch(items, async (input, item) => {
+    log.info(`▶️  ${item.id}`);
+    const result = await withLogger(options.logger || consoleLogger, ({ warnings }) => buildEmails(input, options, warnings));
+    const emails = Array.isArray(result) ? result : [result];
+    return {
+      subjects: emails.map(email => email.subject),
+      files: emails.map(email => email.files),
+      lint: emails.map(email => email.lint.summary),
+      link_check: emails.map(email => email.link_check.summary),
+      accessibility: emails.map(email => email.accessibility.summary),
+      usage: emails.map(email => email.usage)
+    };
+  }, { statePath, concurrency: options.concurrency, resume: options.resume !== false });
+
+  // Summary
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  log.info('='.repeat(60));
+  log.info(summary.failed > 0 ? `⚠️  BATCH FINISHED WITH ${summary.failed} FAILED` : '✅ BATCH FINISHED');
+  log.info('='.repeat(60));
+  logBatchSummary(summary);
+  log.info(`State: ${summary.state_path}`);
+  log.info(`Duration: ${duration}s`);
+  log.info('='.repeat(60));
+
+  return summary;
+}
+
+/**
+ * Rebuild an email from a saved (or hand-edited) .plan.json without any model calls:
+ * the plan is assembled with the current section templates, checked and saved under the
+ * plan file's name (so the files next to it are replaced; the plan file itself is kept).
+ *
+ * Logging and errors work as in generateEmail; a missing or invalid plan file is an InputError.
+ *
+ * @param {string} planFile - .plan.json path, relative to the project root
+ * @param {Object} options - sections, links, out, lintFailOn, fixBrand, checkLinks, utm* and logger as in generateEmail
+ * @returns {Promise<Object>} Email result as from generateEmail (without variants or review; usage is always zero)
+ */
+export async function renderEmail(planFile, options = {}) {
+  return withLogger(options.logger || consoleLogger, async ({ warnings }) => {
+    const startTime = Date.now();
+    validateOptions(options);
+
+    log.info('='.repeat(60));
+    log.info('🚀 Vunked Email Agent (render from plan)');
+    log.info('='.repeat(60));
+    log.info();
+
+    const saved = await loadPlanFile(planFile);
+    const { brand, sectionsDir, manifests, availableSections, linkDirectory } = await loadConfig(options);
+    // Hand-edited plans may use the slot keys (simple_body) instead of section names
+    const plan = {
+      ...saved.plan,
+      sequence: normalizeSequence(saved.plan.sequence, manifests),
+      slots: normalizeSlots(saved.plan.slots, manifests)
+    };
+    const unknown = plan.sequence.filter(section => !availableSections.includes(section));
+    if (unknown.length > 0) {
+      throw new InputError(`Unknown sections in ${planFile}: ${unknown.join(', ')}. Available: ${availableSections.join(', ')}`);
+    }
+    log.info(`✓ Plan loaded: "${plan.subject}" (${plan.sequence.length} sections)`);
+    log.info();
+
+    const timings = {};
+    log.info('🔧 ASSEMBLE');
+    log.info('-'.repeat(60));
+    // Keep the campaign the links were first tagged with (the series name for series emails)
+    const result = await runStage('assemble', timings, () =>
+      writeAndAssemble(plan, brand, sectionsDir, buildLinkPolicy(options, linkDirectory, saved.utm_campaign))
+    );
+    log.info();
+
+    const { accessibilityReport, complianceReport, lintReport, linkCheckReport } = await runStage('checks', timings, () => runChecks(result, plan, brand, options));
+
+    log.info('💾 SAVING OUTPUT');
+    log.info('-'.repeat(60));
+    const basename = path.basename(planFile).replace(/(\.plan)?\.json$/i, '');
+    const blogData = { blog_title: saved.source?.title, source_url: saved.source?.url, source_file: saved.source?.file };
+    const files = await runStage('save', timings, () => saveEmailFiles(options.out || 'output', basename, {
+      result,
+      lintReport,
+      complianceReport,
+      linkCheckReport,
+      accessibilityReport,
+      meta: { ...buildEmailMeta(plan, blogData, saved.persona, result.links), rendered_from: planFile }
+    }));
+
+    const email = {
+      subject: result.subject,
+      preview: result.preview,
+      persona: saved.persona || null,
+      structure: saved.structure || null,
+      plan,
+      html: result.html,
+      text: result.text_version,
+      links: result.links,
+      lint: lintReport,
+      compliance: complianceReport,
+      link_check: linkCheckReport,
+      accessibility: accessibilityReport,
+      files,
+      timings: { ...timings, total: Date.now() - startTime },
+      usage: summarizeUsage([]),
+      warnings: [...warnings]
+    };
+
+    if (shouldFailLint(lintReport, options.lintFailOn)) {
+      throw new LintError(`Lint found issues at or above "${options.lintFailOn}" severity. See ${files.lint}`, { report: lintReport, result: email });
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    log.info();
+    log.info('='.repeat(60));
+    log.info('✅ EMAIL RENDERED (no model calls)');
+    log.info('='.repeat(60));
+    log.info(`Subject: ${email.subject}`);
+    log.info(`HTML: ${files.html}`);
+    log.info(`Text: ${files.text}`);
+    log.info(`Lint: ${lintReport.summary.error} errors, ${lintReport.summary.warning} warnings`);
+    log.info(`Accessibility: ${accessibilityReport.summary.warning} warnings left to review`);
+    log.info(`Duration: ${duration}s`);
+    log.info('='.repeat(60));
+
+    return email;
+  });
+}
+
+/**
+ * Serve the emails in the output directory and saved_emails/ for review in a browser
+ * (see preview.js). Edited plan files and section templates are re-rendered with
+ * renderEmail, quietly and without model calls, and open viewers reload.
+ *
+ * @param {Object} options - port and host of the server; sections, links, out, fixBrand and utm* as in renderEmail
+ * @returns {Promise<{url: string, close: () => Promise<void>}>} The running server; close() stops it
+ */
+export async function previewEmails(options = {}) {
+  return withLogger(options.logger || consoleLogger, async () => {
+    const sectionsDir = options.sections || 'sections';
+    const render = (planFile) => renderEmail(planFile, { ...options, out: path.dirname(planFile), logger: silentLogger });
+
+    let preview;
+    try {
+      preview = await startPreviewServer({ port: options.port, host: options.host, dirs: [options.out || 'output', 'saved_emails'], sectionsDir, render });
+    } catch (error) {
+      throw new InputError(`Failed to start the preview server (pick another --port?): ${error.message}`, { cause: error });
+    }
+
+    log.info('='.repeat(60));
+    log.info('👀 EMAIL PREVIEW');
+    log.info('='.repeat(60));
+    log.info(`Serving: ${options.out || 'output'}, saved_emails`);
+    log.info(`Watching: ${sectionsDir} and plan files (re-rendered without model calls)`);
+    log.info(`Open: ${preview.url}`);
+    log.info('Press Ctrl+C to stop');
+    log.info('='.repeat(60));
+
+    return preview;
+  });
+}
+
+/**
+ * Check generation options; throws InputError on the first problem.
+ * Option names match the CLI flags, so the CLI uses this for its own checks.
+ */
+export function validateOptions(options = {}) {
+  if (options.series !== undefined && (!Number.isInteger(options.series) || options.series < SERIES_LENGTH.min || options.series > SERIES_LENGTH.max)) {
+    throw new InputError(`--series must be a whole number from ${SERIES_LENGTH.min} to ${SERIES_LENGTH.max}`);
+  }
+  if (options.variants !== undefined && (!Number.isInteger(options.variants) || options.variants < VARIANT_COUNT.min || options.variants > VARIANT_COUNT.max)) {
+    throw new InputError(`--variants must be a whole number from ${VARIANT_COUNT.min} to ${VARIANT_COUNT.max}`);
+  }
+  if (options.series !== undefined && options.persona === 'all') {
+    throw new InputError('--persona all is not supported with --series; pick one persona');
+  }
+  if (options.series !== undefined && options.klaviyoAudience) {
+    throw new InputError('--klaviyoAudience is not supported with --series; series emails are published as templates only');
+  }
+  if (options.lintFailOn && !SEVERITIES.includes(options.lintFailOn)) {
+    throw new InputError(`Unknown lint severity "${options.lintFailOn}". Use one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (typeof options.provider === 'string' && !PROVIDER_MODES.includes(options.provider)) {
+    throw new InputError(`Unknown model provider "${options.provider}". Use one of: ${PROVIDER_MODES.join(', ')}`);
+  }
+  if (options.series !== undefined && options.review) {
+    throw new InputError('--review is not supported with --series');
+  }
+  if (options.concurrency !== undefined && (!Number.isInteger(options.concurrency) || options.concurrency < BATCH_CONCURRENCY.min || options.concurrency > BATCH_CONCURRENCY.max)) {
+    throw new InputError(`--concurrency must be a whole number from ${BATCH_CONCURRENCY.min} to ${BATCH_CONCURRENCY.max}`);
+  }
+}
+
+function validateInput(input) {
+  if (!input || (!input.url && !input.file && !input.text && !input.prompt)) {
+    throw new InputError('Must specify one of: --url, --file, --text, or --prompt');
+  }
+}
+
+/**
+ * Provider, source content and project config shared by every email in a run (step 1)
+ */
+async function prepareRun(input, options) {
+  const timings = {};
+  let provider;
+  try {
+    provider = trackUsage(typeof options.provider === 'object' && options.provider
+      ? options.provider
+      : createProvider({ mode: options.provider, fixturesDir: options.fixtures }));
+  } catch (error) {
+    // e.g. an unknown MODEL_PROVIDER
+    throw new ConfigError(error.message, { cause: error });
+  }
+  log.info(`✓ Model provider: ${provider.mode}${provider.fixturesDir ? ` (${provider.fixturesDir})` : ''}`);
+  log.info();
+
+  // Step 1: RETRIEVE
+  log.info('📥 STEP 1: RETRIEVE');
+  log.info('-'.repeat(60));
+  const blogData = await runStage('retrieve', timings, () => retrieveContent(input));
+  log.info(`✓ Retrieved: "${blogData.blog_title}"`);
+  log.info(`  Length: ${blogData.blog_text.length} characters${blogData.word_count ? ` (${blogData.word_count} words, ${blogData.reading_time_minutes} min read, ${blogData.outline.length} sections)` : ''}`);
+  log.info();
+
+  const { brand, sectionsDir, manifests, availableSections, linkDirectory } = await loadConfig(options);
+  try {
+    // Other blog posts on the same topic, for the copy to link to
+    const blogIndex = await loadBlogIndex(options.blogIndex);
+    blogData.related_posts = findRelatedPosts(blogData, blogIndex.posts);
+    if (blogData.related_posts.length > 0) {
+      log.info(`✓ Related posts: ${blogData.related_posts.length} (of ${blogIndex.posts.length} in the blog index)`);
+    }
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+
+  const models = {
+    structure: options.modelStructure || process.env.MODEL_STRUCTURE || 'gpt-4o-mini',
+    copy: options.modelCopy || process.env.MODEL_COPY || 'gpt-4.1'
+  };
+
+  return { provider, blogData, brand, sectionsDir, manifests, availableSections, linkDirectory, models, timings };
+}
+
+/**
+ * Steps 5-8 on an assembled email: brand compliance (fixing style drift first with fixBrand),
+ * accessibility (fixing the safe issues first), lint and link check (online with checkLinks).
+ * Every fix is made before the accessibility audit, so its report describes the saved HTML.
+ */
+async function runChecks(result, plan, brand, options) {
+  log.info('🎨 STEP 5: BRAND COMPLIANCE');
+  log.info('-'.repeat(60));
+  const complianceReport = checkBrandCompliance(result, plan, brand, options.fixBrand);
+  log.info();
+
+  log.info('♿ STEP 6: ACCESSIBILITY');
+  log.info('-'.repeat(60));
+  const accessibilityReport = checkAccessibility(result);
+  log.info();
+
+  log.info('🔍 STEP 7: LINT');
+  log.info('-'.repeat(60));
+  const lintReport = lintEmail(result.html);
+  logLintReport(lintReport);
+  log.info();
+
+  // Offline, plus HTTP requests with checkLinks
+  log.info('🔗 STEP 8: LINK CHECK');
+  log.info('-'.repeat(60));
+  const linkCheckReport = await checkLinks(result.html, options.checkLinks ? createHttpChecker() : null);
+  logLinkCheckReport(linkCheckReport);
+  log.info();
+
+  return { accessibilityReport, complianceReport, lintReport, linkCheckReport };
+}
+
+/**
+ * Brand guide, section manifests and link directory; any failure is a ConfigError
+ */
+async function loadConfig(options) {
+  const sectionsDir = options.sections || 'sections';
+  try {
+    const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+    log.info(`✓ Brand guidelines loaded (${brand.values.length} values, ${brand.palette.primary.length + brand.palette.accent.length} colours, ${brand.personas.length} personas)`);
+
+    // Available sections (templates with a manifest); every stage works from these manifests
+    const manifests = getSectionManifests(sectionsDir);
+    const availableSections = Object.keys(manifests);
+    log.info(`✓ Found ${availableSections.length} section templates`);
+    // Loaded once and passed to every stage that needs the approved links
+    const linkDirectory = options.links ? getLinkDirectory(options.links) : getLinkDirectory();
+    log.info(`✓ Link directory loaded (${Object.keys(linkDirectory.links).length} links)`);
+
+    return { brand, sectionsDir, manifests, availableSections, linkDirectory };
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Run one pipeline stage: its time is added to timings[stage] (ms) and any failure
+ * that isn't already typed becomes a StageError for that stage
+ */
+async function runStage(stage, timings, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } catch (error) {
+    throw error instanceof EmailAgentError ? error : new StageError(stage, error);
+  } finally {
+    timings[stage] = (timings[stage] || 0) + (Date.now() - start);
+  }
+}
+
+/**
+ * Personas to generate for: [null] without --persona, every persona for "all"
+ */
+function resolvePersonas(personaOption, brand) {
+  if (!personaOption) {
+    return [null];
+  }
+
+  const { personas } = brand;
+  if (personas.length === 0) {
+    throw new ConfigError('No personas found in brand-guidelines.md (expected a "Customer Profile" section)');
+  }
+
+  if (personaOption === 'all') {
+    log.info(`✓ Personas: ${personas.map(persona => persona.name).join(', ')}`);
+    return personas;
+  }
+
+  const persona = findPersona(personas, personaOption);
+  if (!persona) {
+    throw new InputError(`Unknown persona "${personaOption}". Use one of: ${personas.map(p => p.id).join(', ')}, all`);
+  }
+  log.info(`✓ Persona: ${persona.name}`);
+  return [persona];
+}
+
+/**
+ * Metadata saved next to each email (.meta.json)
+ */
+function buildEmailMeta(plan, blogData, persona, links = null) {
+  return {
+    subject: plan.subject,
+    preview: plan.preview,
+    sequence: plan.sequence,
+    persona: persona ? { id: persona.id, name: persona.name } : null,
+    source: {
+      title: blogData.blog_title,
+      url: blogData.source_url || null,
+      file: blogData.source_file || null
+    },
+    links,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Read and check a .plan.json (see buildPlanFile); problems are InputErrors
+ */
+async function loadPlanFile(planFile) {
+  let saved;
+  try {
+    saved = JSON.parse(await readFile(planFile));
+  } catch (error) {
+    throw new InputError(`Failed to read plan file ${planFile}: ${error.message}`, { cause: error });
+  }
+
+  if (saved?.version !== undefined && saved.version > PLAN_FILE_VERSION) {
+    throw new InputError(`Plan file ${planFile} has version ${saved.version}; this version of the agent reads up to ${PLAN_FILE_VERSION}`);
+  }
+  const validation = saved?.plan ? validatePlan(saved.plan) : { valid: false, errors: ['missing "plan"'] };
+  if (!validation.valid) {
+    throw new InputError(`Invalid plan file ${planFile}: ${validation.errors.join(', ')}`);
+  }
+  return saved;
+}
+
+/**
+ * Everything needed to re-render an email without model calls (see renderEmail): the input,
+ * the structure and copy plan, the utm_campaign its links were tagged with, the models and a
+ * hash of each prompt sent for this email
+ */
+function buildPlanFile(input, blogData, persona, models, structure, plan, usageLog, campaign = null) {
+  return {
+    version: PLAN_FILE_VERSION,
+    input: Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined)),
+    source: {
+      title: blogData.blog_title,
+      url: blogData.source_url || null,
+      file: blogData.source_file || null
+    },
+    persona: persona ? { id: persona.id, name: persona.name } : null,
+    models,
+    structure,
+    plan,
+    utm_campaign: campaign,
+    prompts: usageLog.map(({ stage, hash }) => ({ stage, hash })),
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Link policy from the --utm* options and the loaded link directory; the campaign defaults to the email's subject slug
+ */
+function buildLinkPolicy(options, directory, campaign = null) {
+  if (options.utm === false) {
+    return createLinkPolicy({ utm: false, directory });
+  }
+
+  const utm = {};
+  for (const [key, value] of Object.entries({ source: options.utmSource, medium: options.utmMedium, campaign: options.utmCampaign || campaign })) {
+    if (value) {
+      utm[key] = value;
+    }
+  }
+  return createLinkPolicy({ utm, directory });
+}
+
+/**
+ * Fix the safe accessibility issues in result.html (lang, heading levels, social icon and
+ * spacer alt text, decorative emoji) and audit what's left
+ */
+function checkAccessibility(result) {
+  const { html, fixes } = fixAccessibility(result.html);
+  result.html = html;
+  log.info(`✓ Accessibility fixes applied: ${fixes.length}`);
+
+  const report = auditAccessibility(result.html);
+  logSeverityReport(report);
+  return report;
+}
+
+/**
+ * Check the assembled email against the brand guide. With fix, style drift (colours, body
+ * font size, font stack) is corrected in result.html first, and the dark-mode overrides are
+ * rebuilt for the new colours; the report covers what's left.
+ */
+function checkBrandCompliance(result, plan, brand, fix = false) {
+  if (fix) {
+    const { html, fixes } = fixCompliance(result.html, brand);
+    result.html = fixes.length > 0 ? applyDarkMode(html, brand) : html;
+    log.info(`✓ Brand style fixes applied: ${fixes.length}`);
+  }
+
+  const report = checkCompliance(result.html, brand, plan);
+  logComplianceReport(report);
+  return report;
+}
+
+/**
+ * Save the HTML, plain-text, lint, compliance, link check and accessibility reports and metadata files (plus subject variants, if any) for one email
+ * @returns {Promise<{html: string, text: string, lint: string, compliance: string, link_check: string, accessibility: string, meta: string, variants: string|null}>} Absolute paths
+ */
+async function saveEmailFiles(outputDir, basename, { result, lintReport, complianceReport, linkCheckReport, accessibilityReport, variantsReport = null, reviewLog = null, planFile = null, meta }) {
+  const htmlPath = await writeFile(
+    path.join(outputDir, `${basename}.html`),
+    result.html
+  );
+  log.info(`✓ HTML saved: ${path.basename(htmlPath)}`);
+
+  const textPath = await writeFile(
+    path.join(outputDir, `${basename}.txt`),
+    result.text_version
+  );
+  log.info(`✓ Text saved: ${path.basename(textPath)}`);
+
+  const lintPath = await writeFile(
+    path.join(outputDir, `${basename}.lint.json`),
+    JSON.stringify(lintReport, null, 2)
+  );
+  log.info(`✓ Lint report saved: ${path.basename(lintPath)}`);
+
+  const compliancePath = await writeFile(
+    path.join(outputDir, `${basename}.compliance.json`),
+    JSON.stringify(complianceReport, null, 2)
+  );
+  log.info(`✓ Brand compliance report saved: ${path.basename(compliancePath)}`);
+
+  const linkCheckPath = await writeFile(
+    path.join(outputDir, `${basename}.linkcheck.json`),
+    JSON.stringify(linkCheckReport, null, 2)
+  );
+  log.info(`✓ Link check report saved: ${path.basename(linkCheckPath)}`);
+
+  const accessibilityPath = await writeFile(
+    path.join(outputDir, `${basename}.a11y.json`),
+    JSON.stringify(accessibilityReport, null, 2)
+  );
+  log.info(`✓ Accessibility report saved: ${path.basename(accessibilityPath)}`);
+
+  const metaPath = await writeFile(
+    path.join(outputDir, `${basename}.meta.json`),
+    JSON.stringify(meta, null, 2)
+  );
+  log.info(`✓ Metadata saved: ${path.basename(metaPath)}`);
+
+  // Not rewritten when rendering from a saved plan
+  let planPath = null;
+  if (planFile) {
+    planPath = await writeFile(
+      path.join(outputDir, `${basename}.plan.json`),
+      JSON.stringify(planFile, null, 2)
+    );
+    log.info(`✓ Plan saved: ${path.basename(planPath)}`);
+  }
+
+  let variantsPath = null;
+  if (variantsReport) {
+    variantsPath = await writeFile(
+      path.join(outputDir, `${basename}.variants.json`),
+      JSON.stringify(variantsReport, null, 2)
+    );
+    log.info(`✓ Subject variants saved: ${path.basename(variantsPath)}`);
+  }
+
+  let reviewPath = null;
+  if (reviewLog) {
+    reviewPath = await writeFile(
+      path.join(outputDir, `${basename}.review.json`),
+      JSON.stringify(reviewLog, null, 2)
+    );
+    log.info(`✓ Review history saved: ${path.basename(reviewPath)} (${reviewLog.edits.length} edits)`);
+  }
+
+  return {
+    html: htmlPath,
+    text: textPath,
+    lint: lintPath,
+    compliance: compliancePath,
+    link_check: linkCheckPath,
+    accessibility: accessibilityPath,
+    meta: metaPath,
+    plan: planPath,
+    variants: variantsPath,
+    review: reviewPath
+  };
+}
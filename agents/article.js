@@ -0,0 +1,159 @@
+// Average adult silent reading speed, used for reading_time_minutes
+export const WORDS_PER_MINUTE = 200;
+
+// Sentences in the extractive summary of an article
+export const SUMMARY_SENTENCES = 6;
+
+const HEADING = /^(#{1,6})\s+(.+)$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+\.)\s+/;
+
+// Common words that say nothing about what an article covers
+const STOPWORDS = new Set(`
+  a about after again all also am an and any are as at be because been before being both but by can
+  could did do does doing down during each few for from further had has have having he her here hers
+  him his how i if in into is it its just like more most my no nor not now of off on once only or other
+  our out over own same she should so some such than that the their them then there these they this
+  those through to too under until up very was we were what when where which while who why will with
+  would you your yours get got make much many one two three use used using well even still way really
+`.trim().split(/\s+/));
+
+/**
+ * Number of words in a text (markdown markers don't count)
+ */
+export function countWords(text) {
+  return (text.replace(/^#{1,6}\s+/gm, '').replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '').match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+/**
+ * Estimated reading time in whole minutes (at least 1)
+ */
+export function estimateReadingTime(text) {
+  return Math.max(1, Math.round(countWords(text) / WORDS_PER_MINUTE));
+}
+
+/**
+ * Sections of a text whose headings are marked up as "## Heading" (as retrieveContent returns it)
+ * @param {string} text
+ * @returns {{level: number, heading: string, words: number, excerpt: string}[]} One entry per heading,
+ *   with the section's word count and first sentence
+ */
+export function outlineText(text) {
+  const outline = [];
+  let current = null;
+  for (const block of text.split(/\n{2,}/)) {
+    const heading = block.trim().match(HEADING);
+    if (heading) {
+      current = { level: heading[1].length, heading: heading[2].trim(), words: 0, excerpt: '' };
+      outline.push(current);
+    } else if (current) {
+      current.words += countWords(block);
+      if (!isList(block)) {
+        current.excerpt ||= splitSentences(block)[0] || '';
+      }
+    }
+  }
+  return outline;
+}
+
+/**
+ * Extractive summary: the sentences that best cover the article's most frequent
+ * content words, in their original order. Opening sentences (of the article and of
+ * each section) get a small boost; headings and list items are never picked.
+ * @param {string} text
+ * @param {number} maxSentences
+ * @returns {string} The whole text when it has no more than maxSentences sentences
+ */
+export function summarizeText(text, maxSentences = SUMMARY_SENTENCES) {
+  const sentences = [];
+  let sectionStart = true;
+  for (const block of text.split(/\n{2,}/)) {
+    if (HEADING.test(block.trim())) {
+      sectionStart = true;
+      continue;
+    }
+    if (isList(block)) {
+      continue;
+    }
+    splitSentences(block).forEach((sentence, index) => {
+      sentences.push({ sentence, lead: sectionStart && index === 0, position: sentences.length });
+    });
+    sectionStart = false;
+  }
+
+  if (sentences.length <= maxSentences) {
+    return sentences.map(({ sentence }) => sentence).join(' ');
+  }
+
+  const frequency = new Map();
+  for (const word of sentences.flatMap(({ sentence }) => contentWords(sentence))) {
+    frequency.set(word, (frequency.get(word) || 0) + 1);
+  }
+
+  const scored = sentences.map((entry) => {
+    const words = contentWords(entry.sentence);
+    const coverage = words.reduce((total, word) => total + frequency.get(word), 0) / Math.sqrt(words.length || 1);
+    const boost = entry.position === 0 ? 1.5 : entry.lead ? 1.2 : 1;
+    return { ...entry, score: coverage * boost };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.position - b.position)
+    .map(({ sentence }) => sentence)
+    .join(' ');
+}
+
+/**
+ * Source content for a prompt in at most about maxChars characters. Articles that fit are
+ * given whole; longer ones as their summary and outline, then as much of the opening as fits,
+ * so the model sees the whole article rather than only its first part.
+ * @param {Object} blogData - From retrieveContent (summary and outline are derived when missing)
+ * @param {number} maxChars
+ * @returns {string}
+ */
+export function describeArticle(blogData, maxChars) {
+  const text = blogData.blog_text;
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  const words = blogData.word_count || countWords(text);
+  const minutes = blogData.reading_time_minutes || estimateReadingTime(text);
+  const outline = (blogData.outline || outlineText(text))
+    .map(section => `${'  '.repeat(Math.max(0, section.level - 2))}- ${section.heading}${section.excerpt ? `: ${section.excerpt}` : ''}`);
+
+  const parts = [
+    `Summary of the full article (${words} words, ${minutes} min read):\n${blogData.summary || summarizeText(text)}`
+  ];
+  if (outline.length > 0) {
+    parts.push(`Outline:\n${outline.join('\n')}`);
+  }
+
+  const used = parts.join('\n\n').length;
+  const opening = maxChars - used - 'Opening:\n...'.length - 4;
+  if (opening > 200) {
+    parts.push(`Opening:\n${text.substring(0, opening).trimEnd()}...`);
+  }
+  return parts.join('\n\n');
+}
+
+function isList(block) {
+  return block.split('\n').every(line => LIST_ITEM.test(line) || !line.trim());
+}
+
+function splitSentences(block) {
+  return block
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=["'‘“(]?[\p{Lu}\p{N}])/u)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Lower-case words of a text that say something about its topic (no stopwords or short words)
+ */
+export function contentWords(sentence) {
+  return (sentence.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
@@ -0,0 +1,196 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { writeFile, mapWithLimit } from './utils.js';
+import { CONTENT_FILE_TYPES } from './retrieve.js';
+import { log } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const BATCH_CONCURRENCY = Object.freeze({ min: 1, max: 8, default: 2 });
+
+// Content files picked up from a batch directory (or listed in a batch file): the --file types
+export const BATCH_FILE_TYPES = CONTENT_FILE_TYPES;
+
+/**
+ * Items for a batch run from a content directory or a list file (paths relative to the project root).
+ *
+ * - Directory: one item per content file (BATCH_FILE_TYPES), sorted by name. Hidden files are ignored.
+ * - List file: one item per line, either an http(s) URL or a content file path relative to the
+ *   list file. Blank lines and lines starting with "#" are skipped.
+ *
+ * Files are read when the item runs, so a missing file fails that item only.
+ *
+ * @param {string} source - Directory or list file
+ * @returns {Promise<{id: string, type: 'url'|'file', url?: string, path?: string}[]>}
+ */
+export async function collectBatchItems(source) {
+  const fullPath = path.resolve(__dirname, '..', source);
+
+  let stats;
+  try {
+    stats = await fs.stat(fullPath);
+  } catch (error) {
+    throw new Error(`Failed to read batch source ${source}: ${error.message}`);
+  }
+
+  if (stats.isDirectory()) {
+    const files = (await fs.readdir(fullPath)).sort();
+    return files
+      .filter(file => !file.startsWith('.') && BATCH_FILE_TYPES.includes(path.extname(file).toLowerCase()))
+      .map(file => fileItem(path.join(fullPath, file)));
+  }
+
+  const lines = (await fs.readFile(fullPath, 'utf-8')).split(/\r?\n/).map(line => line.trim());
+  const items = [];
+  for (const line of lines) {
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    if (/^https?:\/\//i.test(line)) {
+      items.push({ id: line, type: 'url', url: line });
+    } else {
+      items.push(fileItem(path.resolve(path.dirname(fullPath), line)));
+    }
+  }
+
+  const seen = new Set();
+  return items.filter(item => !seen.has(item.id) && seen.add(item.id));
+}
+
+/**
+ * Pipeline input for a batch item, plus a fingerprint that changes when the content does
+ * (the URL itself for URL items, a hash of the file for file items). Files are passed on
+ * as file input, so they're parsed like --file (front matter, headings, lists, images).
+ * @returns {Promise<{input: {url?: string, file?: string}, fingerprint: string}>}
+ */
+export async function loadBatchInput(item) {
+  if (item.type === 'url') {
+    return { input: { url: item.url }, fingerprint: item.url };
+  }
+
+  if (!BATCH_FILE_TYPES.includes(path.extname(item.path).toLowerCase())) {
+    throw new Error(`Unsupported content file ${item.id}. Use one of: ${BATCH_FILE_TYPES.join(', ')}`);
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(item.path);
+  } catch (error) {
+    throw new Error(`Failed to read ${item.id}: ${error.message}`);
+  }
+  if (!content.toString('utf-8').trim()) {
+    throw new Error(`${item.id} is empty`);
+  }
+
+  const fingerprint = crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+  return { input: { file: item.path }, fingerprint };
+}
+
+/**
+ * Run every item through generate with at most `concurrency` at once. A failing item is
+ * recorded and the batch carries on. The state file is rewritten after each item, so an
+ * interrupted or partly failed batch can be re-run: with resume, items that finished in an
+ * earlier run (and whose content hasn't changed) are skipped.
+ *
+ * @param {Object[]} items - From collectBatchItems
+ * @param {Function} generate - async (input, item) => result summary saved in the state file
+ * @param {Object} options
+ * @param {string} options.statePath - State file (relative to the project root)
+ * @param {number} options.concurrency - Items run at once (default: 2)
+ * @param {boolean} options.resume - Skip items that finished in an earlier run (default: true)
+ * @returns {Promise<{state_path: string, total: number, done: number, failed: number, skipped: number, items: Object[]}>}
+ */
+export async function runBatch(items, generate, { statePath, concurrency = BATCH_CONCURRENCY.default, resume = true } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < BATCH_CONCURRENCY.min || concurrency > BATCH_CONCURRENCY.max) {
+    throw new Error(`Batch concurrency must be between ${BATCH_CONCURRENCY.min} and ${BATCH_CONCURRENCY.max}, got ${concurrency}`);
+  }
+
+  const previous = resume ? await readBatchState(statePath) : {};
+  const state = { updated_at: null, items: { ...previous } };
+  let saving = Promise.resolve();
+  const save = () => {
+    state.updated_at = new Date().toISOString();
+    const snapshot = JSON.stringify(state, null, 2);
+    saving = saving.then(() => writeFile(statePath, snapshot));
+    return saving;
+  };
+
+  const results = await mapWithLimit(items, concurrency, async (item) => {
+    const earlier = previous[item.id];
+    const startTime = Date.now();
+    let entry;
+    try {
+      const { input, fingerprint } = await loadBatchInput(item);
+      if (earlier?.status === 'done' && earlier.fingerprint === fingerprint) {
+        return { ...earlier, status: 'skipped' };
+      }
+
+      const result = await generate(input, item);
+      entry = { id: item.id, status: 'done', fingerprint, result };
+    } catch (error) {
+      entry = { id: item.id, status: 'failed', error: error.message };
+    }
+
+    entry.attempts = (earlier?.attempts || 0) + 1;
+    entry.duration_s = Number(((Date.now() - startTime) / 1000).toFixed(2));
+    entry.finished_at = new Date().toISOString();
+    state.items[item.id] = entry;
+    await save();
+    return entry;
+  });
+  const fullStatePath = await save();
+
+  return {
+    state_path: fullStatePath,
+    total: results.length,
+    done: results.filter(entry => entry.status === 'done').length,
+    failed: results.filter(entry => entry.status === 'failed').length,
+    skipped: results.filter(entry => entry.status === 'skipped').length,
+    items: results
+  };
+}
+
+/**
+ * Print one status line per batch item
+ */
+export function logBatchSummary(summary) {
+  const icons = { done: '✓', failed: '❌', skipped: '↷' };
+  for (const entry of summary.items) {
+    const detail = entry.status === 'failed'
+      ? entry.error
+      : entry.status === 'skipped' ? 'finished in an earlier run' : (entry.result?.subjects || []).join(' | ');
+    log.info(`${icons[entry.status]} ${entry.id}${detail ? ` – ${detail}` : ''}`);
+  }
+  log.info(`Done: ${summary.done}, Failed: ${summary.failed}, Skipped: ${summary.skipped} (of ${summary.total})`);
+}
+
+function fileItem(fullPath) {
+  const relative = path.relative(path.resolve(__dirname, '..'), fullPath);
+  return {
+    // Relative to the project root when the file is inside it
+    id: relative.startsWith('..') ? fullPath : relative,
+    type: 'file',
+    path: fullPath
+  };
+}
+
+async function readBatchState(statePath) {
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(__dirname, '..', statePath), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read batch state ${statePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content).items || {};
+  } catch (error) {
+    throw new Error(`Invalid batch state ${statePath}: ${error.message}`);
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * Which parts of the brand guide each stage sees. Stages used to get the first N characters
+ * of the markdown, which dropped the voice examples, typography and personas.
+ */
+export const STAGE_BRAND_FIELDS = Object.freeze({
+  plan: ['mission', 'values', 'audience', 'voice', 'examples', 'personas'],
+  structure: ['mission', 'audience', 'personas'],
+  copy: ['mission', 'values', 'audience', 'voice', 'examples', 'personas', 'palette', 'typography', 'contact'],
+  series: ['mission', 'audience', 'voice'],
+  variants: ['audience', 'voice', 'examples']
+});
+
+/**
+ * Parse brand-guidelines.md into a structured brand object
+ *
+ * Sections are found by heading text ("Overview", "Color Palette", "Typography", "Voice",
+ * "Customer Profile", "Contact"), so numbering and bold markers in headings don't matter.
+ * Anything missing comes back empty rather than throwing.
+ *
+ * @param {string} markdown - Brand guidelines markdown
+ * @returns {{
+ *   mission: string,
+ *   vision: string,
+ *   values: {name: string, description: string}[],
+ *   audience: string[],
+ *   palette: {primary: {name: string, hex: string}[], accent: {name: string, hex: string}[]},
+ *   typography: {headings: Object|null, body: Object|null, sizes: Object<string, string>, font_stack: string|null},
+ *   voice: {voice: string, tone: string},
+ *   examples: {do: string[], dont: string[]},
+ *   personas: Object[],
+ *   contact: Object<string, string>
+ * }}
+ */
+export function parseBrandGuidelines(markdown) {
+  const overview = labelledBlocks(findSection(markdown, /overview/i) || '');
+  const voiceSection = findSection(markdown, /voice|tone/i) || '';
+  const voiceBullets = parseBullets(voiceSection);
+  const bulletValue = (label) => voiceBullets.find(bullet => label.test(bullet.label || ''))?.value || '';
+
+  return {
+    mission: stripMarkdown(overview.get('mission statement') || overview.get('mission') || ''),
+    vision: stripMarkdown(overview.get('vision statement') || overview.get('vision') || ''),
+    values: parseBullets(overview.get('core values') || overview.get('values') || '')
+      .map(bullet => ({ name: bullet.label || bullet.value, description: bullet.label ? bullet.value : '' })),
+    audience: parseBullets(overview.get('target audience') || overview.get('audience') || '')
+      .map(bullet => bullet.label ? `${bullet.label}: ${bullet.value}` : bullet.value),
+    palette: parsePalette(findSection(markdown, /colou?r/i, 3) || ''),
+    typography: parseTypography(findSection(markdown, /typography/i, 3) || ''),
+    voice: {
+      voice: bulletValue(/^voice$/i),
+      tone: bulletValue(/^tone$/i)
+    },
+    examples: {
+      do: voiceBullets.filter(bullet => /^do$/i.test(bullet.label || '')).map(bullet => unquote(bullet.value)),
+      dont: voiceBullets.filter(bullet => /^don['’]?t$/i.test(bullet.label || '')).map(bullet => unquote(bullet.value))
+    },
+    personas: parsePersonas(markdown),
+    contact: parseContact(markdown)
+  };
+}
+
+/**
+ * Brand object for a stage: parsed guidelines pass through, markdown is parsed
+ * @param {Object|string} brand - Parsed brand or brand guidelines markdown
+ * @returns {Object}
+ */
+export function toBrand(brand) {
+  return typeof brand === 'string' ? parseBrandGuidelines(brand) : (brand || parseBrandGuidelines(''));
+}
+
+/**
+ * Render the chosen brand fields as prompt context
+ *
+ * Markdown that doesn't follow the brand guide layout is passed through whole, so a custom
+ * guidelines file still reaches the model.
+ *
+ * @param {Object|string} brand - Parsed brand or brand guidelines markdown
+ * @param {string[]} fields - Fields to include (see STAGE_BRAND_FIELDS)
+ * @returns {string}
+ */
+export function describeBrand(brand, fields) {
+  const parsed = toBrand(brand);
+  const lines = fields.flatMap(field => describeField(parsed, field));
+
+  if (lines.length === 0 && typeof brand === 'string') {
+    return brand.trim();
+  }
+  return lines.join('\n');
+}
+
+function describeField(brand, field) {
+  switch (field) {
+    case 'mission':
+      return [
+        brand.mission && `**Mission:** ${brand.mission}`,
+        brand.vision && `**Vision:** ${brand.vision}`
+      ].filter(Boolean);
+    case 'values':
+      return brand.values.length > 0
+        ? ['**Values:**', ...brand.values.map(value => `- ${value.name}${value.description ? `: ${value.description}` : ''}`)]
+        : [];
+    case 'audience':
+      return brand.audience.length > 0 ? [`**Audience:** ${brand.audience.join('; ')}`] : [];
+    case 'voice':
+      return [
+        brand.voice.voice && `**Voice:** ${brand.voice.voice}`,
+        brand.voice.tone && `**Tone:** ${brand.voice.tone}`
+      ].filter(Boolean);
+    case 'examples':
+      return [
+        ...brand.examples.do.map(example => `**Do:** "${example}"`),
+        ...brand.examples.dont.map(example => `**Don't:** "${example}"`)
+      ];
+    case 'personas':
+      return brand.personas.length > 0
+        ? ['**Customer personas:**', ...brand.personas.map(persona => `- ${persona.name}: ${persona.tagline}`)]
+        : [];
+    case 'palette':
+      return [
+        ...brand.palette.primary.map(colour => `- Primary: ${colour.name} (${colour.hex})`),
+        ...brand.palette.accent.map(colour => `- Accent: ${colour.name} (${colour.hex})`)
+      ];
+    case 'typography': {
+      const { headings, body, sizes } = brand.typography;
+      const sizeList = Object.entries(sizes).map(([level, size]) => `${level} ${size}`).join(', ');
+      return [
+        headings && `**Headings:** ${headings.font}${headings.fallback ? ` (fallback ${headings.fallback})` : ''}`,
+        body && `**Body text:** ${body.font}${body.fallback ? ` (fallback ${body.fallback})` : ''}`,
+        sizeList && `**Sizes:** ${sizeList}`
+      ].filter(Boolean);
+    }
+    case 'contact':
+      return Object.entries(brand.contact).map(([label, value]) => `**Contact ${label}:** ${value}`);
+    default:
+      throw new Error(`Unknown brand field "${field}"`);
+  }
+}
+
+/**
+ * Customer personas from the "Customer Profile" section of the brand guidelines.
+ *
+ * Each persona is a "### ... "Name" – tagline" heading followed by a description
+ * paragraph and bold-labelled mindset and tone lines.
+ *
+ * @param {string} markdown - Brand guidelines markdown
+ * @returns {{id: string, name: string, tagline: string, description: string, mindset: string, tone: string}[]}
+ */
+export function parsePersonas(markdown) {
+  const section = findSection(markdown, /customer profile/i);
+  if (!section) {
+    return [];
+  }
+
+  const personas = [];
+  for (const block of section.split(/^###\s+/m).slice(1)) {
+    const [headingLine, ...lines] = block.split('\n');
+    const heading = stripMarkdown(headingLine);
+    const nameMatch = heading.match(/["“]([^"”]+)["”]/);
+    if (!nameMatch) {
+      continue;
+    }
+
+    const name = nameMatch[1].trim();
+    const tagline = heading.split(/\s[–—-]\s/).slice(1).join(' – ').trim();
+    const paragraphs = lines
+      .join('\n')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(paragraph => paragraph && paragraph !== '---');
+
+    personas.push({
+      id: slugify(name),
+      name,
+      tagline,
+      description: stripMarkdown(paragraphs.find(paragraph => !/^\*\*[^*]+:\*\*/.test(paragraph)) || ''),
+      mindset: labelledValue(paragraphs, /mindset/i),
+      tone: labelledValue(paragraphs, /tone/i)
+    });
+  }
+
+  return personas;
+}
+
+/**
+ * Find a persona by id ("premium-peter"), full name ("Premium Peter") or first word ("peter")
+ * @returns {Object|null}
+ */
+export function findPersona(personas, key) {
+  const wanted = slugify(String(key || ''));
+  if (!wanted) {
+    return null;
+  }
+
+  return personas.find(persona => persona.id === wanted)
+    || personas.find(persona => persona.id.split('-').includes(wanted))
+    || null;
+}
+
+/**
+ * "- **Primary Colours:**" groups with "Name: #HEX" items underneath
+ */
+function parsePalette(section) {
+  const palette = { primary: [], accent: [] };
+  let group = 'primary';
+
+  for (const bullet of parseBullets(section)) {
+    const hex = bullet.value.match(/#[0-9a-f]{3}(?:[0-9a-f]{3})?\b/i);
+    if (!hex) {
+      group = /accent|secondary/i.test(bullet.label || bullet.value) ? 'accent' : 'primary';
+      continue;
+    }
+    palette[group].push({ name: bullet.label || bullet.value.replace(hex[0], '').trim(), hex: hex[0].toUpperCase() });
+  }
+
+  return palette;
+}
+
+/**
+ * Heading/body fonts with their fallbacks, the size hierarchy and a CSS font stack
+ */
+function parseTypography(section) {
+  const typography = { headings: null, body: null, sizes: {}, font_stack: null };
+
+  for (const bullet of parseBullets(section)) {
+    const label = bullet.label || '';
+    if (/^\d+(?:\.\d+)?(?:px|pt|r?em)$/i.test(bullet.value)) {
+      typography.sizes[label.toLowerCase()] = bullet.value;
+    } else if (/^headings?$/i.test(label)) {
+      typography.headings = parseFont(bullet.value);
+    } else if (/^body/i.test(label)) {
+      typography.body = parseFont(bullet.value);
+    }
+  }
+
+  const font = typography.body || typography.headings;
+  if (font) {
+    typography.font_stack = [font.font, font.fallback, 'sans-serif']
+      .filter(Boolean)
+      .map(name => name.includes(' ') || name === font.font ? `'${name}'` : name)
+      .join(', ');
+  }
+
+  return typography;
+}
+
+/**
+ * "Montserrat - https://fonts.google.com/... (Arial when not available)"
+ */
+function parseFont(value) {
+  return {
+    font: value.split(/\s[-–]\s|\(|https?:/)[0].trim(),
+    fallback: value.match(/\(([^()]+?)\s+when not available\)/i)?.[1].trim() || null
+  };
+}
+
+/**
+ * "Label: value" bullets of the Contact section, falling back to the first email address
+ */
+function parseContact(markdown) {
+  const contact = {};
+  for (const bullet of parseBullets(findSection(markdown, /contact/i) || '')) {
+    if (bullet.label) {
+      contact[bullet.label.toLowerCase()] = bullet.value;
+    }
+  }
+
+  if (!contact.email) {
+    const email = markdown.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+    if (email) {
+      contact.email = email[0];
+    }
+  }
+  return contact;
+}
+
+/**
+ * Text of the section whose heading matches, up to the next heading of the same level
+ */
+function findSection(markdown, headingPattern, level = 1) {
+  const sections = markdown.split(new RegExp(`^#{${level}}\\s+`, 'm')).slice(1);
+  const section = sections.find(candidate => headingPattern.test(stripMarkdown(candidate.split('\n')[0])));
+  if (!section) {
+    return null;
+  }
+
+  const body = section.substring(section.indexOf('\n') + 1);
+  // Stop at the next heading of a higher level (e.g. an H1 after the last H3)
+  const end = level > 1 ? body.search(new RegExp(`^#{1,${level - 1}}\\s`, 'm')) : -1;
+  return end === -1 ? body : body.substring(0, end);
+}
+
+/**
+ * Paragraph-style "**Label:**" lines with everything up to the next label, keyed by lower-case label
+ */
+function labelledBlocks(section) {
+  const blocks = new Map();
+  let current = null;
+
+  for (const line of section.split('\n')) {
+    const label = line.match(/^\*\*([^*]+?):?\*\*:?\s*(.*)$/);
+    if (label) {
+      current = label[1].trim().toLowerCase();
+      blocks.set(current, label[2]);
+    } else if (current) {
+      blocks.set(current, `${blocks.get(current)}\n${line}`);
+    }
+  }
+
+  for (const [key, value] of blocks) {
+    blocks.set(key, value.replace(/\n-{3,}\s*$/, '').trim());
+  }
+  return blocks;
+}
+
+/**
+ * List items as {depth, label, value}; "**Label:** value" and "Label: value" both set label
+ */
+function parseBullets(text) {
+  return text
+    .split('\n')
+    .map(line => line.match(/^(\s*)[-*]\s+(.*)$/))
+    .filter(Boolean)
+    .map(([, indent, content]) => {
+      const labelled = content.match(/^\*\*([^*]+?):?\*\*:?\s*(.*)$/) || content.match(/^([^:*[\]]{1,40}):\s+(.*)$/);
+      return {
+        depth: indent.length,
+        label: labelled ? labelled[1].trim() : null,
+        value: stripMarkdown(labelled ? labelled[2] : content)
+      };
+    });
+}
+
+/**
+ * Value of a "**Label:** value" paragraph
+ */
+function labelledValue(paragraphs, labelPattern) {
+  for (const paragraph of paragraphs) {
+    const match = paragraph.match(/^\*\*([^*]+):\*\*\s*([\s\S]*)$/);
+    if (match && labelPattern.test(match[1])) {
+      return stripMarkdown(match[2]);
+    }
+  }
+  return '';
+}
+
+function stripMarkdown(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*|__/g, '')
+    .replace(/(^|\s)\*([^*]+)\*/g, '$1$2')
+    .replace(/^[^\p{L}\p{N}"“#]+/u, '')
+    .trim();
+}
+
+function unquote(text) {
+  return text.replace(/^["“]|["”]$/g, '');
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
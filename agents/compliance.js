@@ -0,0 +1,399 @@
+import { JSDOM } from 'jsdom';
+import { toBrand } from './brand.js';
+import { htmlToText, hexToRgb, rgbToHex } from './utils.js';
+import { logSeverityReport, excerpt } from './lint.js';
+import { log } from './logger.js';
+
+// A colour this close (RGB distance) to a palette colour is treated as a typo of it
+export const COLOUR_DRIFT_DISTANCE = 24;
+
+// Greys, off-whites and near-blacks (small spread between channels) are allowed alongside the palette
+export const NEUTRAL_CHANNEL_SPREAD = 24;
+
+// Legal/footer small print; smaller than body text on purpose
+export const SMALL_PRINT_PX = 12;
+
+export const READING_GRADE_MAX = 9;
+
+// Jargon terms per word of copy
+export const JARGON_DENSITY_MAX = 0.05;
+
+/**
+ * Phrases that make campervan electrics sound hard or the reader sound on their own
+ * (the brand guide's "Don't" example)
+ */
+export const NEGATIVE_PHRASES = Object.freeze([
+  'complicated',
+  'confusing',
+  'daunting',
+  'difficult',
+  'good luck',
+  'headache',
+  'impossible',
+  'nightmare',
+  'overwhelming',
+  'figure it out',
+  'figuring it out',
+  'on your own',
+  'you should have',
+  "don't bother"
+]);
+
+/**
+ * Technical terms that need explaining for first-time converters
+ */
+export const JARGON_TERMS = Object.freeze([
+  'amp-hours',
+  'awg',
+  'bms',
+  'busbar',
+  'c-rate',
+  'dc-dc',
+  'depth of discharge',
+  'lifepo4',
+  'mppt',
+  'pwm',
+  'shunt',
+  'soc',
+  'vsr'
+]);
+
+const COLOUR_PROPERTIES = /^(color|background|background-color|border(-(top|right|bottom|left))?(-color)?|outline(-color)?)$/i;
+
+/**
+ * Check assembled email HTML and its copy against the brand guide
+ *
+ * Style rules scan inline styles (and bgcolor/color attributes) for off-palette colours,
+ * font sizes outside the size hierarchy and fonts outside the brand font stack. Tone rules
+ * scan the generated copy (the plan's subject, preview and slots) for negative phrasing,
+ * jargon density and reading grade.
+ *
+ * @param {string} html - Complete email HTML
+ * @param {Object|string} brand - Parsed brand guidelines or the markdown
+ * @param {Object} plan - Plan the email was built from; without it the tone rules read the HTML text
+ * @returns {{ok: boolean, summary: Object, tone: Object, issues: Array}}
+ */
+export function checkCompliance(html, brand, plan = null) {
+  brand = toBrand(brand);
+  const issues = [];
+  const doc = new JSDOM(html).window.document;
+
+  const addIssue = (rule, severity, message, element = null, fixable = false) => {
+    issues.push({
+      rule,
+      severity,
+      message,
+      fixable,
+      ...(element ? { excerpt: excerpt(element) } : {})
+    });
+  };
+
+  // Style rules
+  for (const element of doc.body.querySelectorAll('[style], [bgcolor], [color]')) {
+    for (const { property, value } of parseStyle(element.getAttribute('style') || '')) {
+      for (const violation of checkDeclaration(property, value, brand)) {
+        addIssue(violation.rule, violation.severity, violation.message, element, violation.to !== null);
+      }
+    }
+    for (const attribute of ['bgcolor', 'color']) {
+      if (element.hasAttribute(attribute)) {
+        for (const violation of checkColours(element.getAttribute(attribute), brand)) {
+          addIssue(violation.rule, violation.severity, `${attribute} attribute: ${violation.message}`, element, violation.to !== null);
+        }
+      }
+    }
+  }
+
+  // Tone rules
+  const copy = plan ? collectCopy(plan) : htmlToText(html);
+  const tone = measureTone(copy, brand);
+
+  if (tone.negative_phrases.length > 0) {
+    addIssue('negative-phrasing', 'warning', `Copy uses negative phrasing: ${tone.negative_phrases.join(', ')}`);
+  }
+  for (const sentence of tone.dont_matches) {
+    addIssue('dont-example', 'warning', `Copy reads like the brand guide's "Don't" example: "${sentence}"`);
+  }
+  if (tone.jargon_density > JARGON_DENSITY_MAX) {
+    addIssue('jargon-density', 'warning', `${tone.jargon_terms.length} jargon terms in ${tone.words} words (${tone.jargon_terms.join(', ')}); explain them or cut back`);
+  }
+  if (tone.reading_grade > READING_GRADE_MAX) {
+    addIssue('reading-grade', 'warning', `Reading grade ${tone.reading_grade} is above ${READING_GRADE_MAX}; use shorter sentences and plainer words`);
+  }
+
+  const summary = { error: 0, warning: 0, info: 0, fixable: 0 };
+  for (const issue of issues) {
+    summary[issue.severity]++;
+    if (issue.fixable) {
+      summary.fixable++;
+    }
+  }
+
+  return {
+    ok: summary.error === 0 && summary.warning === 0,
+    summary,
+    tone: {
+      words: tone.words,
+      sentences: tone.sentences,
+      reading_grade: tone.reading_grade,
+      jargon_density: tone.jargon_density
+    },
+    issues
+  };
+}
+
+/**
+ * Fix the style violations that have an unambiguous brand value: colours that drifted from
+ * a palette colour, body text below the body size and fonts outside the brand stack.
+ * Only the style and bgcolor attributes are rewritten.
+ *
+ * @param {string} html - Complete email HTML
+ * @param {Object|string} brand - Parsed brand guidelines or the markdown
+ * @returns {{html: string, fixes: {rule: string, from: string, to: string}[]}}
+ */
+export function fixCompliance(html, brand) {
+  brand = toBrand(brand);
+  const fixes = [];
+  const bodyStart = html.search(/<body[\s>]/i);
+  const head = bodyStart === -1 ? '' : html.substring(0, bodyStart);
+  const body = bodyStart === -1 ? html : html.substring(bodyStart);
+
+  const fixedBody = body
+    .replace(/(\sstyle=)(["'])([\s\S]*?)\2/gi, (_, open, quote, style) => {
+      // Font names are quoted with whichever quote the attribute doesn't use
+      const fixed = fixStyle(style, brand, fixes).replace(quote === '"' ? /"/g : /'/g, quote === '"' ? "'" : '"');
+      return `${open}${quote}${fixed}${quote}`;
+    })
+    .replace(/(\s(?:bgcolor|color)=")([^"]*)(")/gi, (_, open, value, close) => {
+      let fixed = value;
+      for (const violation of checkColours(value, brand)) {
+        if (violation.to !== null) {
+          fixed = fixed.replace(violation.from, violation.to);
+          fixes.push({ rule: violation.rule, from: violation.from, to: violation.to });
+        }
+      }
+      return `${open}${fixed}${close}`;
+    });
+
+  return { html: head + fixedBody, fixes };
+}
+
+/**
+ * Print a one-line-per-rule summary of a compliance report
+ */
+export function logComplianceReport(report) {
+  logSeverityReport(report, [
+    `Reading grade: ${report.tone.reading_grade}, jargon: ${(report.tone.jargon_density * 100).toFixed(1)}% of ${report.tone.words} words`
+  ]);
+}
+
+/**
+ * Rewrite the fixable declarations of one style attribute, keeping its formatting
+ */
+function fixStyle(style, brand, fixes) {
+  return style
+    .replace(/&quot;|&#39;/g, "'")
+    .split(';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) {
+        return declaration;
+      }
+
+      const property = declaration.substring(0, colon).trim();
+      let value = declaration.substring(colon + 1);
+      for (const violation of checkDeclaration(property, value.trim(), brand)) {
+        if (violation.to !== null) {
+          value = value.replace(violation.from, violation.to);
+          fixes.push({ rule: violation.rule, from: violation.from, to: violation.to });
+        }
+      }
+      return `${declaration.substring(0, colon + 1)}${value}`;
+    })
+    .join(';');
+}
+
+/**
+ * Violations for one CSS declaration. Each has from/to for the fix, or to: null when the
+ * right brand value isn't clear.
+ */
+function checkDeclaration(property, value, brand) {
+  const name = property.toLowerCase();
+
+  if (COLOUR_PROPERTIES.test(name)) {
+    return checkColours(value, brand);
+  }
+
+  if (name === 'font-size') {
+    return checkFontSize(value, brand);
+  }
+
+  if (name === 'font-family') {
+    return checkFontFamily(value, brand);
+  }
+
+  return [];
+}
+
+function checkColours(value, brand) {
+  const palette = [...brand.palette.primary, ...brand.palette.accent];
+  if (palette.length === 0) {
+    return [];
+  }
+
+  const violations = [];
+  for (const [hex] of value.matchAll(/#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/gi)) {
+    const rgb = hexToRgb(hex);
+    if (palette.some(colour => colour.hex === rgbToHex(rgb)) || isNeutral(rgb)) {
+      continue;
+    }
+
+    const nearest = palette
+      .map(colour => ({ ...colour, distance: distance(rgb, hexToRgb(colour.hex)) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    violations.push(nearest.distance <= COLOUR_DRIFT_DISTANCE
+      ? { rule: 'off-palette-colour', severity: 'warning', message: `${hex} is close to ${nearest.name} (${nearest.hex}) but not on the palette`, from: hex, to: nearest.hex }
+      : { rule: 'off-palette-colour', severity: 'warning', message: `${hex} is not a brand colour (nearest: ${nearest.name} ${nearest.hex})`, from: hex, to: null });
+  }
+  return violations;
+}
+
+function checkFontSize(value, brand) {
+  const sizes = Object.values(brand.typography.sizes).map(size => parseFloat(size));
+  const bodySize = parseFloat(brand.typography.sizes.body);
+  const match = value.match(/^(\d+(?:\.\d+)?)px$/i);
+  if (!match || sizes.length === 0 || !bodySize) {
+    return [];
+  }
+
+  const px = parseFloat(match[1]);
+  // 0-2px sizes are spacing hacks for Outlook, not text
+  if (px <= 2 || sizes.includes(px)) {
+    return [];
+  }
+
+  if (px < bodySize && px > SMALL_PRINT_PX) {
+    return [{ rule: 'body-font-size', severity: 'warning', message: `Text is ${px}px; the brand guide sets body text at ${bodySize}px`, from: match[0], to: `${bodySize}px` }];
+  }
+  if (px < bodySize) {
+    return [{ rule: 'small-font-size', severity: 'info', message: `Small print at ${px}px (body text is ${bodySize}px)`, from: match[0], to: null }];
+  }
+  return [{ rule: 'off-hierarchy-font-size', severity: 'info', message: `${px}px is not in the size hierarchy (${sizes.map(size => `${size}px`).join(', ')})`, from: match[0], to: null }];
+}
+
+function checkFontFamily(value, brand) {
+  const { headings, body, font_stack: fontStack } = brand.typography;
+  const brandFonts = [headings?.font, body?.font].filter(Boolean).map(font => font.toLowerCase());
+  const fallback = (body || headings)?.fallback?.toLowerCase();
+  if (brandFonts.length === 0 || !value) {
+    return [];
+  }
+
+  const families = value.split(',').map(family => family.trim().replace(/^['"]|['"]$/g, '').toLowerCase());
+  if (!brandFonts.includes(families[0])) {
+    return [{ rule: 'off-brand-font', severity: 'warning', message: `Font "${families[0]}" is not a brand font (use ${fontStack})`, from: value, to: fontStack }];
+  }
+  if (fallback && !families.includes(fallback)) {
+    return [{ rule: 'font-fallback', severity: 'info', message: `Font stack "${value}" is missing the ${(body || headings).fallback} fallback`, from: value, to: fontStack }];
+  }
+  return [];
+}
+
+/**
+ * Words, sentences, reading grade, jargon and negative phrasing for a block of copy
+ */
+function measureTone(text, brand) {
+  const lower = text.toLowerCase();
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(sentence => /\w/.test(sentence));
+  const words = text.match(/[A-Za-z][A-Za-z'’-]*/g) || [];
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+
+  // Flesch-Kincaid grade level
+  const readingGrade = words.length === 0
+    ? 0
+    : 0.39 * (words.length / Math.max(1, sentences.length)) + 11.8 * (syllables / words.length) - 15.59;
+
+  const jargonTerms = JARGON_TERMS.filter(term => containsPhrase(lower, term));
+  const jargonCount = JARGON_TERMS.reduce((sum, term) => sum + countPhrase(lower, term), 0);
+
+  // A sentence that shares most of its words with a "Don't" example
+  const dontMatches = sentences.filter(sentence => brand.examples.dont.some(example => overlap(sentence, example) >= 0.5));
+
+  return {
+    words: words.length,
+    sentences: sentences.length,
+    reading_grade: Math.round(Math.max(0, readingGrade) * 10) / 10,
+    jargon_density: words.length === 0 ? 0 : Math.round((jargonCount / words.length) * 1000) / 1000,
+    jargon_terms: jargonTerms,
+    negative_phrases: NEGATIVE_PHRASES.filter(phrase => containsPhrase(lower, phrase)),
+    dont_matches: dontMatches
+  };
+}
+
+/**
+ * The written copy of a plan: subject, preview and every text slot value (HTML stripped,
+ * URLs and ids skipped)
+ */
+function collectCopy(plan) {
+  const parts = [plan.subject, plan.preview];
+
+  const walk = (value, key = '') => {
+    if (Array.isArray(value)) {
+      value.forEach(item => walk(item, key));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([childKey, child]) => walk(child, childKey));
+    } else if (typeof value === 'string' && !/url|_id$|^image/i.test(key)) {
+      parts.push(value.replace(/<\/(p|h\d|li|div)>|<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&'));
+    }
+  };
+  walk(plan.slots);
+
+  return parts.filter(Boolean).map(part => part.trim()).join('\n');
+}
+
+function parseStyle(style) {
+  return style
+    .split(';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      return colon === -1 ? null : { property: declaration.substring(0, colon).trim(), value: declaration.substring(colon + 1).trim() };
+    })
+    .filter(Boolean);
+}
+
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) {
+    return 1;
+  }
+  const groups = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function containsPhrase(text, phrase) {
+  return countPhrase(text, phrase) > 0;
+}
+
+function countPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return (text.match(new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, 'g')) || []).length;
+}
+
+function overlap(sentence, example) {
+  const wordsOf = (text) => new Set((text.toLowerCase().match(/[a-z']+/g) || []).filter(word => word.length > 3));
+  const exampleWords = wordsOf(example);
+  if (exampleWords.size === 0) {
+    return 0;
+  }
+  const sentenceWords = wordsOf(sentence);
+  return [...exampleWords].filter(word => sentenceWords.has(word)).length / exampleWords.size;
+}
+
+function isNeutral(rgb) {
+  return Math.max(...rgb) - Math.min(...rgb) <= NEUTRAL_CHANNEL_SPREAD;
+}
+
+function distance(a, b) {
+  return Math.sqrt(a.reduce((sum, channel, index) => sum + (channel - b[index]) ** 2, 0));
+}
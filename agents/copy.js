@@ -1,30 +1,38 @@
-import OpenAI from 'openai';
-import { validatePlan, LINK_DIRECTORY, resolveLink } from './utils.js';
+import { createProvider } from './provider.js';
+import { getSectionManifests, buildSlotsSchema, normalizeSlots, slotKeyFor, describeCatalog } from './sections.js';
+import { validatePlan } from './utils.js';
+import { getLinkDirectory, getLinkUrls, matchLinkKey, resolveLink } from './links.js';
+import { describeSeriesContext } from './series.js';
+import { describeBrand, toBrand, STAGE_BRAND_FIELDS } from './brand.js';
+import { describeArticle } from './article.js';
+import { log } from './logger.js';
+
+// Type scale and font stack of the section templates, used in the slot guidance where
+// the brand guide doesn't set its own
+const TEMPLATE_TYPOGRAPHY = Object.freeze({
+  font_stack: 'Montserrat, Tahoma, Verdana, Segoe, sans-serif',
+  h1_size: '36px',
+  h2_size: '21px',
+  body_size: '14px'
+});
 
 /**
  * Generate email copy (subject, preview, and all slot content)
  * @param {Object} structure - Structure object from structure agent
  * @param {Object} blogData - Blog content with title and text
- * @param {string} brandGuidelines - Brand guidelines markdown content
+ * @param {Object|string} brand - Parsed brand guidelines (parseBrandGuidelines) or the markdown
  * @param {string} model - Model to use (default: gpt-5)
  * @param {string} sourceUrl - Original blog URL if available
+ * @param {Object} provider - Model provider (default: created from environment)
+ * @param {Object} seriesContext - Series position, CTA stage and earlier emails when part of a series (see series.js)
+ * @param {Object} persona - Customer persona to tailor the copy to (see brand.js parsePersonas)
+ * @param {Object} manifests - Section manifests (default: sections/*.json; pass getSectionManifests(sectionsDir) for --sections)
+ * @param {Object} directory - Link directory with the approved CTA links (default: getLinkDirectory())
  * @returns {Promise<Object>} Complete plan with subject, preview, sequence, and slots
  */
-export async function generateCopy(structure, blogData, brandGuidelines, model = 'gpt-4.1', sourceUrl = null) {
-  const apiKey = process.env.OPEN_API_KEY_CURSOR || process.env.OPENAI_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('OPEN_API_KEY_CURSOR or OPENAI_API_KEY environment variable is not set');
-  }
-  
-  const openai = new OpenAI({
-    apiKey,
-    timeout: 180_000,
-    maxRetries: 1
-  });
-  
+export async function generateCopy(structure, blogData, brand, model = 'gpt-4.1', sourceUrl = null, provider = createProvider(), seriesContext = null, persona = null, manifests = getSectionManifests(), directory = getLinkDirectory()) {
   // Build the prompt
-  const prompt = buildCopyPrompt(structure, blogData, brandGuidelines, sourceUrl);
+  const prompt = buildCopyPrompt(structure, blogData, brand, sourceUrl, manifests, seriesContext, persona, directory);
   
   // Define the JSON schema for the response
   const schema = {
@@ -38,73 +46,7 @@ export async function generateCopy(structure, blogData, brandGuidelines, model =
         type: "string",
         description: "Email preview text"
       },
-      slots: {
-        type: "object",
-        description: "Content for each section",
-        properties: {
-          hero: {
-            type: "object",
-            properties: {
-              title: { type: "string" },
-              subtitle: { type: "string" },
-              cta_text: { type: "string" },
-              cta_url: { type: "string" }
-            },
-            required: ["title", "subtitle", "cta_text", "cta_url"],
-            additionalProperties: false
-          },
-          simple_body: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                html: { type: "string" }
-              },
-              required: ["html"],
-              additionalProperties: false
-            }
-          },
-          book_a_call: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          footer: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          contact: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          signature: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          six_summary_cards: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                title: { type: "string" },
-                description: { type: "string" },
-                emoji: { type: "string" }
-              },
-              required: ["title", "description", "emoji"],
-              additionalProperties: false
-            }
-          }
-        },
-        required: ["hero", "simple_body", "book_a_call", "footer", "contact", "signature", "six_summary_cards"],
-        additionalProperties: false
-      }
+      slots: buildSlotsSchema(manifests)
     },
     required: ["subject", "preview", "slots"],
     additionalProperties: false
@@ -112,62 +54,66 @@ export async function generateCopy(structure, blogData, brandGuidelines, model =
   
   const systemPrompt = "You are an expert email copywriter. Generate compelling subject lines, preview text, and email content based on blog material and brand guidelines.";
 
-  console.log(`Calling OpenAI Responses API for copy with model: ${model}`);
-  console.log(`  Prompt length: ${prompt.length} characters`);
+  log.info(`Calling OpenAI Responses API for copy with model: ${model} (provider: ${provider.mode})`);
+  log.info(`  Prompt length: ${prompt.length} characters`);
 
   const timerLabel = `copy:openai_request (${model})`;
-  console.time(timerLabel);
+  log.time(timerLabel);
   
   try {
-    const completion = await openai.responses.create({
-      model: model,
-      input: `${systemPrompt}\n\n${prompt}`,
-      text: {
-        format: {
-          name: "email_copy",
-          type: "json_schema",
-          schema: schema,
-          strict: true
-        }
-      },
-      max_output_tokens: 8000
+    const completion = await provider.complete('copy', {
+      api: 'responses',
+      client: { timeout: 180_000, maxRetries: 1 },
+      params: {
+        model: model,
+        input: `${systemPrompt}\n\n${prompt}`,
+        text: {
+          format: {
+            name: "email_copy",
+            type: "json_schema",
+            schema: schema,
+            strict: true
+          }
+        },
+        max_output_tokens: 8000
+      }
     });
     
-    console.timeEnd(timerLabel);
+    log.timeEnd(timerLabel);
     
     // Check for truncation
     if (completion.usage && completion.usage.completion_tokens >= 7900) {
-      console.warn('⚠️  Warning: Response may be truncated (near token limit)');
+      log.warn('⚠️  Warning: Response may be truncated (near token limit)');
     }
     
     // Extract response text
     const responseText = extractResponseText(completion);
     if (!responseText) {
-      console.log('Extraction failed. Full response:', JSON.stringify(completion, null, 2).substring(0, 1000));
+      log.info('Extraction failed. Full response:', JSON.stringify(completion, null, 2).substring(0, 1000));
       throw new Error('Empty response from copy model');
     }
     
     // Check if response looks truncated
     const trimmed = responseText.trim();
     if (!trimmed.endsWith('}')) {
-      console.error('⚠️  Response appears truncated (does not end with }):');
-      console.error('Last 200 chars:', trimmed.substring(trimmed.length - 200));
+      log.error('⚠️  Response appears truncated (does not end with }):');
+      log.error('Last 200 chars:', trimmed.substring(trimmed.length - 200));
       throw new Error('Response was truncated - increase max_output_tokens or reduce content');
     }
 
     // Log raw response for debugging
     if (process.env.DEBUG) {
-      console.log('Raw response text:', responseText.substring(0, 500));
+      log.info('Raw response text:', responseText.substring(0, 500));
     }
 
     let copyData;
     try {
       copyData = JSON.parse(responseText);
     } catch (parseError) {
-      console.error('JSON Parse Error:', parseError.message);
-      console.error('Response text around error position:');
+      log.error('JSON Parse Error:', parseError.message);
+      log.error('Response text around error position:');
       const errorPos = parseInt(parseError.message.match(/position (\d+)/)?.[1] || '0');
-      console.error(responseText.substring(Math.max(0, errorPos - 100), Math.min(responseText.length, errorPos + 100)));
+      log.error(responseText.substring(Math.max(0, errorPos - 100), Math.min(responseText.length, errorPos + 100)));
       throw new Error(`Failed to parse copy response: ${parseError.message}`);
     }
 
@@ -176,38 +122,50 @@ export async function generateCopy(structure, blogData, brandGuidelines, model =
       subject: copyData.subject,
       preview: copyData.preview,
       sequence: structure.sequence,
-      slots: normalizeSlots(copyData.slots)
+      slots: normalizeSlots(copyData.slots, manifests)
     };
 
     // Enforce approved links for hero CTA
-    const allowedLinks = new Set(Object.values(LINK_DIRECTORY));
+    const allowedLinks = new Set(Object.values(getLinkUrls(directory)));
     const heroSlot = plan.slots.hero || {};
     if (!allowedLinks.has(heroSlot.cta_url)) {
-      const fallbackLink = selectDefaultCtaLink(structure);
-      console.warn(`⚠️  Hero CTA URL "${heroSlot.cta_url}" is not approved. Using fallback: ${fallbackLink}`);
+      const fallbackLink = selectDefaultCtaLink(structure, directory);
+      log.warn(`⚠️  Hero CTA URL "${heroSlot.cta_url}" is not approved. Using fallback: ${fallbackLink}`);
       plan.slots.hero = {
         ...heroSlot,
         cta_url: fallbackLink
       };
     }
     
+    // Series emails follow the CTA stage planned for them
+    if (seriesContext?.cta_url && plan.slots.hero?.cta_url !== seriesContext.cta_url) {
+      log.warn(`⚠️  Hero CTA URL "${plan.slots.hero?.cta_url}" does not match the series plan. Using: ${seriesContext.cta_url}`);
+      plan.slots.hero = {
+        ...plan.slots.hero,
+        cta_url: seriesContext.cta_url
+      };
+    }
+    
     // Validate the plan
     const validation = validatePlan(plan);
     if (!validation.valid) {
       throw new Error(`Invalid plan structure: ${validation.errors.join(', ')}`);
     }
     
-    console.log('✓ Email copy generated successfully');
-    console.log(`  Subject: ${plan.subject}`);
-    console.log(`  Preview: ${plan.preview}`);
-    console.log(`  Hero title: ${plan.slots.hero?.title || 'N/A'}`);
-    console.log(`  Body blocks: ${plan.slots['simple-body']?.length || 0}`);
-    console.log(`  Summary cards: ${plan.slots['six-summary-cards']?.length || 0}`);
+    log.info('✓ Email copy generated successfully');
+    log.info(`  Subject: ${plan.subject}`);
+    log.info(`  Preview: ${plan.preview}`);
+    log.info(`  Hero title: ${plan.slots.hero?.title || 'N/A'}`);
+    log.info(`  Body blocks: ${plan.slots['simple-body']?.length || 0}`);
+    log.info(`  Summary cards: ${plan.slots['six-summary-cards']?.length || 0}`);
+    if (persona) {
+      log.info(`  Persona: ${persona.name}`);
+    }
     
     return plan;
   } catch (error) {
     try {
-      console.timeEnd(timerLabel);
+      log.timeEnd(timerLabel);
     } catch (_) {
       // ignore timer errors
     }
@@ -215,23 +173,139 @@ export async function generateCopy(structure, blogData, brandGuidelines, model =
   }
 }
 
+/**
+ * Rewrite one slot of a plan (the hero, or one item of a list slot such as a body block),
+ * keeping the rest of the copy as context so the new version fits around it
+ * @param {Object} plan - Plan from generateCopy (subject, preview, sequence, slots)
+ * @param {{section: string, index: number|null}} target - Section name, and the item index (0-based) for list slots
+ * @param {Object} structure - Structure object from structure agent
+ * @param {Object} blogData - Blog content with title and text
+ * @param {Object|string} brand - Parsed brand guidelines (parseBrandGuidelines) or the markdown
+ * @param {string} model - Model to use (default: gpt-4.1)
+ * @param {string} sourceUrl - Original blog URL if available
+ * @param {Object} provider - Model provider (default: created from environment)
+ * @param {Object} persona - Customer persona the copy is tailored to
+ * @param {string} notes - What the reviewer wants changed
+ * @param {Object} manifests - Section manifests (default: sections/*.json; pass getSectionManifests(sectionsDir) for --sections)
+ * @param {Object} directory - Link directory with the approved CTA links (default: getLinkDirectory())
+ * @returns {Promise<Object>} The new slot value (or item), in the slot's schema
+ */
+export async function regenerateSlot(plan, target, structure, blogData, brand, model = 'gpt-4.1', sourceUrl = null, provider = createProvider(), persona = null, notes = '', manifests = getSectionManifests(), directory = getLinkDirectory()) {
+  const manifest = manifests[target.section];
+  if (!manifest?.slot) {
+    throw new Error(`Section "${target.section}" has no copy to regenerate`);
+  }
+
+  const slotKey = slotKeyFor(target.section);
+  const slotSchema = buildSlotsSchema(manifests).properties[slotKey];
+  const list = target.index !== null && target.index !== undefined;
+  const label = list ? `${target.section} item ${target.index + 1}` : target.section;
+
+  const currentCopy = {
+    subject: plan.subject,
+    preview: plan.preview,
+    slots: Object.fromEntries(plan.sequence.filter(section => manifests[section]?.slot).map(section => [section, plan.slots[section]]))
+  };
+  const prompt = `
+${buildCopyPrompt(structure, blogData, brand, sourceUrl, manifests, null, persona, directory)}
+
+## Current Copy (already reviewed)
+\`\`\`json
+${JSON.stringify(currentCopy, null, 2)}
+\`\`\`
+
+## Rewrite Request
+Rewrite only **${label}**, following its guidance above. Everything else stays as it is, so the new version must fit the current copy: keep the same facts, offers, tone and links, and don't repeat what the other sections already say.${notes ? `\n**Reviewer notes:** ${notes}` : ''}
+
+Return only the new ${list ? 'item' : 'slot value'} as \`value\`.
+`.trim();
+
+  const schema = {
+    type: "object",
+    properties: {
+      value: list ? slotSchema.items : slotSchema
+    },
+    required: ["value"],
+    additionalProperties: false
+  };
+
+  const systemPrompt = "You are an expert email copywriter revising one part of an email after review. Match the surrounding copy.";
+
+  log.info(`Calling OpenAI Responses API to regenerate ${label} with model: ${model} (provider: ${provider.mode})`);
+  log.info(`  Prompt length: ${prompt.length} characters`);
+
+  const timerLabel = `regenerate:openai_request (${model})`;
+  log.time(timerLabel);
+
+  try {
+    const completion = await provider.complete('regenerate', {
+      api: 'responses',
+      client: { timeout: 120_000, maxRetries: 1 },
+      params: {
+        model: model,
+        input: `${systemPrompt}\n\n${prompt}`,
+        text: {
+          format: {
+            name: "slot_copy",
+            type: "json_schema",
+            schema: schema,
+            strict: true
+          }
+        },
+        max_output_tokens: 3000
+      }
+    });
+
+    log.timeEnd(timerLabel);
+
+    const responseText = extractResponseText(completion);
+    if (!responseText) {
+      throw new Error('Empty response from copy model');
+    }
+    let { value } = JSON.parse(responseText);
+
+    // Same hero CTA rule as generateCopy: only approved links
+    if (target.section === 'hero' && !Object.values(getLinkUrls(directory)).includes(value.cta_url)) {
+      log.warn(`⚠️  Hero CTA URL "${value.cta_url}" is not approved. Keeping: ${plan.slots.hero?.cta_url}`);
+      value = { ...value, cta_url: plan.slots.hero?.cta_url };
+    }
+
+    log.info(`✓ Regenerated ${label}`);
+    return value;
+  } catch (error) {
+    log.timeEnd(timerLabel);
+    throw new Error(`Failed to regenerate ${label}: ${error.message}`);
+  }
+}
+
 /**
  * Build the prompt for copy generation
  */
-function buildCopyPrompt(structure, blogData, brandGuidelines, sourceUrl = null) {
+function buildCopyPrompt(structure, blogData, brand, sourceUrl = null, manifests = getSectionManifests(), seriesContext = null, persona = null, directory = getLinkDirectory()) {
   const urlContext = sourceUrl ? `\n**Source URL:** ${sourceUrl}` : '';
-  const approvedLinksList = Object.entries(LINK_DIRECTORY)
-    .map(([key, url]) => `- ${key.replace(/_/g, ' ')} → ${url}`)
+  const seriesSection = seriesContext
+    ? `\n\n## Series Context\n${describeSeriesContext(seriesContext)}\nUse the main CTA URL above for the hero CTA.`
+    : '';
+  const personaSection = persona
+    ? `\n\n## Target Persona: ${persona.name}\n${persona.description}\n**Mindset:** ${persona.mindset}\n**Tone & messaging:** ${persona.tone}\nWrite the subject, preview, hero and body copy for ${persona.name}: lead with what they care about and use their tone. Keep facts, offers and links the same as the source.`
+    : '';
+  const links = Object.entries(directory.links);
+  const approvedLinksList = links
+    .map(([key, link]) => `- ${key.replace(/_/g, ' ')} → ${link.url}`)
+    .join('\n');
+  const ctaGuidance = links
+    .map(([, link]) => `- For ${link.use_for} use ${link.url}`)
     .join('\n');
-  const ctaGuidance = [
-    `- For build/system CTAs use ${LINK_DIRECTORY.builder}`,
-    `- For consultation CTAs use ${LINK_DIRECTORY.book_call}`,
-    `- For general brand awareness use ${LINK_DIRECTORY.homepage}`,
-    `- For educational/blog content use ${LINK_DIRECTORY.blog}`
-  ].join('\n');
+  const relatedPosts = blogData.related_posts || [];
+  const relatedSection = relatedPosts.length > 0
+    ? `\n\n## Related Blog Posts\n${relatedPosts.map(post => `- ${post.title} → ${post.url}${post.summary ? `: ${post.summary}` : ''}`).join('\n')}\nWhere one genuinely fits, you may link to at most one of these from a body paragraph, with its exact URL (these are approved too).`
+    : '';
   
   const sectionsInEmail = structure.sequence.join(', ');
-  const needsSummaryCards = structure.sequence.includes('six-summary-cards');
+  const sectionInstructions = buildSectionInstructions(structure.sequence, manifests, {
+    cta_guidance: ctaGuidance,
+    ...typographyTokens(toBrand(brand).typography)
+  });
   
   return `
 # Task: Write Email Copy
@@ -242,114 +316,80 @@ You are writing all the copy for an HTML email based on blog content. The struct
 **Title:** ${blogData.blog_title}${urlContext}
 
 **Content:**
-${blogData.blog_text.substring(0, 3500)}${blogData.blog_text.length > 3500 ? '...' : ''}
+${describeArticle(blogData, 3500)}
 
 ## Brand Guidelines
-${brandGuidelines.substring(0, 2500)}
+${describeBrand(brand, STAGE_BRAND_FIELDS.copy)}${personaSection}
 
 ## Approved Links (use only these exact URLs)
-${approvedLinksList}
+${approvedLinksList}${relatedSection}
 
 ## Email Structure (Already Decided)
 **Goal:** ${structure.email_goal}
 **Sections to include:** ${sectionsInEmail}
-**Reasoning:** ${structure.reasoning}
+**Reasoning:** ${structure.reasoning}${seriesSection}
 
 ## Your Task
 Write compelling copy for this email:
 
 1. **Subject line** (40-60 characters, attention-grabbing)
 2. **Preview text** (90-140 characters, complements subject)
-3. **Hero section:**
-   - title: Catchy H1 heading (5-10 words, will be displayed at 36px)
-   - subtitle: Engaging supporting text (20-35 words, 14px body text)
-   - cta_text: Action button text (3-5 words, e.g. "Read Full Guide")
-   - cta_url: Must be one of the approved links above (no other URLs). Guidance:
-${ctaGuidance}
-
-4. **Simple-body blocks** (2-3 HTML blocks recommended):
-   - Each block should have an H3 heading and 1-2 short paragraphs
-   - Use this exact format for each block:
-   
-   \`\`\`
-   <h3 style="line-height: 120%; margin: 0 0 12px 0; font-size: 21px;"><span style="font-weight: bold; font-family: Montserrat, Tahoma, Verdana, Segoe, sans-serif;">Your Heading Here</span></h3>
-   <p style="line-height: 120%; margin: 0 0 14px 0;"><span style="font-family: Montserrat, Tahoma, Verdana, Segoe, sans-serif; font-size: 14px;">Your paragraph text here. Keep it concise - 2-4 sentences max.</span></p>
-   \`\`\`
-   
-   - Keep it CONCISE - emails should be scannable
-   - Each paragraph: 2-4 sentences maximum
-   - Use Vunked's friendly, knowledgeable tone
-   - Focus on key takeaways, not exhaustive detail
-
-${needsSummaryCards ? `
-5. **Six-summary-cards** (6 cards required):
-   - Extract 6 key topics/takeaways from the blog content
-   - Each card needs:
-     * title: Short catchy title (3-6 words)
-     * description: Brief description (15-25 words)
-     * emoji: Relevant emoji (⚡, 🔋, 🔧, ☀️, ⚙️, ❄️, 💡, 🚐, 🔌, ⚠️, etc.)
-` : `
-5. **Six-summary-cards**: Return empty array [] (not needed for this email)
-`}
-
-6. **Static sections** (book-a-call, contact, signature, footer): Return empty objects {}
-
-7. **Links in body copy**: Only include anchor tags if absolutely needed, and only with the approved URLs above. Never introduce new URLs.
-
-## Brand Voice Guidelines
-- Friendly, knowledgeable, and approachable
-- Helpful and patient
-- Focus on educating and empowering customers
-- Tone: "We're here to make your campervan electrics stress-free"
-
-## Brand Colors (for reference)
-- Primary: Burnt Orange (#E76F51), Navy Blue (#264653)
-- Keep tone positive and supportive
+${sectionInstructions}
 
 Generate the email copy as valid JSON matching the schema.
 `.trim();
 }
 
 /**
- * Normalize slot keys to match section filenames
+ * Build numbered per-section instructions (items 3+) from the section manifests
+ * @param {string[]} sequence - Sections in this email
+ * @param {Object} manifests - Section manifests
+ * @param {Object<string, string>} tokens - Values for {{token}} lines and inline {{token}}s in slot guidance
+ *   ({{catalog}} is filled per section)
  */
-function normalizeSlots(slots) {
-  const slotKeyMap = {
-    hero: 'hero',
-    simple_body: 'simple-body',
-    book_a_call: 'book-a-call',
-    footer: 'footer',
-    contact: 'contact',
-    signature: 'signature',
-    six_summary_cards: 'six-summary-cards'
-  };
+function buildSectionInstructions(sequence, manifests, tokens = {}) {
+  const items = [];
+  const staticSections = [];
+
+  for (const [name, manifest] of Object.entries(manifests)) {
+    if (!manifest.slot) {
+      staticSections.push(name);
+      continue;
+    }
 
-  const normalizedSlots = {};
-  for (const [key, value] of Object.entries(slots)) {
-    const normalizedKey = slotKeyMap[key] || key;
-    normalizedSlots[normalizedKey] = value;
-  }
+    const heading = manifest.slot.heading || name;
+    const slotKey = slotKeyFor(name);
 
-  // Ensure optional static slots exist with defaults
-  const defaultSlots = {
-    hero: { title: '', subtitle: '', cta_text: '', cta_url: '' },
-    'simple-body': [],
-    'six-summary-cards': [],
-    'book-a-call': {},
-    footer: {},
-    contact: {},
-    signature: {}
-  };
-
-  for (const [slotKey, defaultValue] of Object.entries(defaultSlots)) {
-    if (!(slotKey in normalizedSlots)) {
-      normalizedSlots[slotKey] = Array.isArray(defaultValue)
-        ? []
-        : { ...defaultValue };
+    if (!sequence.includes(name)) {
+      const empty = Array.isArray(manifest.slot.default) ? 'empty array []' : 'empty values';
+      items.push(`**${heading}** (\`${slotKey}\`): Return ${empty} (not needed for this email)`);
+      continue;
     }
+
+    const sectionTokens = { ...tokens, catalog: describeCatalog(manifest) };
+    let inFence = false;
+    const lines = (manifest.slot.guidance || []).map(line => {
+      const token = line.match(/^\{\{(\w+)\}\}$/);
+      if (token) {
+        return sectionTokens[token[1]] || '';
+      }
+      if (line.startsWith('```')) {
+        inFence = !inFence;
+        return `   ${line}`;
+      }
+      const filled = line.replace(/\{\{(\w+)\}\}/g, (match, name) => sectionTokens[name] ?? match);
+      return inFence || line.trim() === '' || line.startsWith('  ') ? `   ${filled}` : `   - ${filled}`;
+    });
+
+    items.push([`**${heading}** (\`${slotKey}\`):`, ...lines].join('\n'));
   }
 
-  return normalizedSlots;
+  if (staticSections.length > 0) {
+    items.push(`**Static sections** (${staticSections.join(', ')}): Return empty objects {}`);
+  }
+  items.push('**Links in body copy**: Only include anchor tags if absolutely needed, and only with the approved URLs above. Never introduce new URLs.');
+
+  return items.map((item, index) => `${index + 3}. ${item}`).join('\n\n');
 }
 
 /**
@@ -403,27 +443,22 @@ function extractResponseText(response) {
   return '';
 }
 
-function selectDefaultCtaLink(structure) {
-  const sequence = Array.isArray(structure?.sequence) ? structure.sequence : [];
-  const goal = typeof structure?.email_goal === 'string' ? structure.email_goal.toLowerCase() : '';
-
-  if (sequence.includes('book-a-call') || goal.includes('consult')) {
-    return resolveLink('book_call');
-  }
-
-  if (
-    sequence.includes('selling-points-what-you-get') ||
-    goal.includes('product') ||
-    goal.includes('promo') ||
-    goal.includes('sale')
-  ) {
-    return resolveLink('builder');
-  }
-
-  if (goal.includes('educat') || goal.includes('guide') || goal.includes('blog')) {
-    return resolveLink('blog');
-  }
-
-  return resolveLink('homepage');
+/**
+ * Fallback hero CTA URL for a structure, picked by the link directory's sections and goal keywords
+ */
+export function selectDefaultCtaLink(structure, directory = getLinkDirectory()) {
+  return resolveLink(matchLinkKey(structure, directory), directory);
 }
 
+/**
+ * Slot guidance tokens for the brand type scale ({{h1_size}}, {{h2_size}}, {{body_size}}) and
+ * font stack ({{font_stack}}), so the markup the model copies passes the brand compliance check
+ */
+function typographyTokens(typography) {
+  return {
+    font_stack: typography.font_stack || TEMPLATE_TYPOGRAPHY.font_stack,
+    h1_size: typography.sizes.h1 || TEMPLATE_TYPOGRAPHY.h1_size,
+    h2_size: typography.sizes.h2 || TEMPLATE_TYPOGRAPHY.h2_size,
+    body_size: typography.sizes.body || TEMPLATE_TYPOGRAPHY.body_size
+  };
+}
@@ -0,0 +1,405 @@
+import { toBrand } from './brand.js';
+import { hexToRgb, rgbToHex } from './utils.js';
+
+// WCAG AA contrast: normal text, and large text (24px, or 18.66px bold)
+export const CONTRAST_MIN = 4.5;
+export const CONTRAST_MIN_LARGE = 3;
+
+// Relative luminance above which a background counts as light (darkened in dark mode)
+// and below which a text colour counts as dark (lightened in dark mode)
+export const LIGHT_BACKGROUND = 0.4;
+export const DARK_TEXT = 0.2;
+
+/**
+ * How dark mode is simulated when checking contrast, and the clients that behave that way
+ */
+export const DARK_MODES = Object.freeze({
+  overrides: "the email's own dark-mode styles (Apple Mail, iOS Mail, Outlook.com)",
+  partial: 'partial inversion of light backgrounds and dark text (Gmail on Android)',
+  full: 'full colour inversion (Gmail on iOS, Outlook apps)'
+});
+
+// Light-mode colours clients assume when an email sets none
+const DEFAULT_TEXT = '#000000';
+const DEFAULT_BACKGROUND = '#FFFFFF';
+
+const START_TAG = /<([a-z][a-z0-9]*)(?=[\s/>])(?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+const DARK_MODE_CLASS = /\bdm-(bg|text)-([0-9a-f]{6})\b/g;
+
+const COLOR_SCHEME_META = '<meta content="light dark" name="color-scheme"/>\n<meta content="light dark" name="supported-color-schemes"/>';
+const COLOR_SCHEME_ROOT = '  :root { color-scheme: light dark; supported-color-schemes: light dark; }';
+
+/**
+ * Make assembled email HTML dark-mode aware: declare that it supports light and dark
+ * colour schemes (so clients that honour it don't invert it themselves) and add
+ * `prefers-color-scheme: dark` overrides derived from the brand palette.
+ *
+ * Every element with a light background or dark text gets a class naming its colour
+ * (dm-bg-f1f6f9, dm-text-264653); the overrides swap light backgrounds for shades of the
+ * darkest palette colour and dark text for a light tint of itself. The same rules are
+ * repeated with Outlook.com's [data-ogsb]/[data-ogsc] prefixes. They go in a <style> block of
+ * their own, so a client that rejects a selector keeps the brand styles.
+ *
+ * Anything an earlier call added is removed first, so calling it again after colours change
+ * (e.g. brand style fixes) rebuilds the classes and overrides from the current HTML.
+ *
+ * @param {string} html - Complete email HTML
+ * @param {Object|string} brand - Parsed brand guidelines or the markdown
+ * @returns {string} The HTML unchanged when the palette has no dark colour to build on
+ */
+export function applyDarkMode(html, brand) {
+  const surface = darkestColour(toBrand(brand));
+  if (!surface) {
+    return html;
+  }
+
+  const tagged = addDarkModeClasses(removeDarkMode(html));
+  const classes = [...new Set([...tagged.matchAll(DARK_MODE_CLASS)].map(match => match[0]))].sort();
+  const rules = classes.map((name) => {
+    const [, kind, hex] = name.match(/dm-(bg|text)-([0-9a-f]{6})/);
+    return kind === 'bg'
+      ? { selector: `.${name}`, prefix: '[data-ogsb]', declaration: `background-color: ${darkBackground(`#${hex}`, surface)} !important;` }
+      : { selector: `.${name}`, prefix: '[data-ogsc]', declaration: `color: ${lightText(`#${hex}`)} !important;` };
+  });
+
+  const css = [
+    '<style>',
+    COLOR_SCHEME_ROOT,
+    '  @media (prefers-color-scheme: dark) {',
+    `    body { color: ${lightText(DEFAULT_TEXT)} !important; }`,
+    ...rules.map(rule => `    ${rule.selector} { ${rule.declaration} }`),
+    '  }',
+    ...rules.map(rule => `  ${rule.prefix} ${rule.selector} { ${rule.declaration} }`),
+    '</style>'
+  ].join('\n');
+
+  // After the viewport meta, or at the end of the head when the wrapper has none
+  const viewport = /<meta[^>]*name="viewport"[^>]*>/i;
+  const withMeta = viewport.test(tagged)
+    ? tagged.replace(viewport, (tag) => `${tag}\n${COLOR_SCHEME_META}`)
+    : tagged.replace(/<\/head>/i, () => `${COLOR_SCHEME_META}\n</head>`);
+  return withMeta.replace(/<\/head>/i, () => `${css}\n</head>`);
+}
+
+/**
+ * Remove the color-scheme meta tags, the override <style> block and the dm-* classes
+ * applyDarkMode added, dropping class attributes left empty
+ */
+function removeDarkMode(html) {
+  return html
+    .replace(/<style>\n {2}:root \{ color-scheme: light dark;[\s\S]*?<\/style>\n/, '')
+    .replace(`${COLOR_SCHEME_META}\n</head>`, '</head>')
+    .replace(`\n${COLOR_SCHEME_META}`, '')
+    .replace(START_TAG, (tag) => {
+      const existing = tag.match(/(\sclass\s*=\s*)(["'])([^"']*)\2/i);
+      if (!existing || !/\bdm-(bg|text)-/.test(existing[3])) {
+        return tag;
+      }
+      const rest = existing[3].replace(DARK_MODE_CLASS, '').trim().replace(/\s+/g, ' ');
+      return tag.replace(existing[0], rest ? `${existing[1]}${existing[2]}${rest}${existing[2]}` : '');
+    });
+}
+
+/**
+ * Add dm-bg-<hex> to elements with a light background and dm-text-<hex> to elements with
+ * dark text (inline style, bgcolor or color attributes). Only the start tags are edited.
+ */
+export function addDarkModeClasses(html) {
+  return html.replace(START_TAG, (tag) => {
+    const style = attribute(tag, 'style') || '';
+    if (/\bdm-(bg|text)-/.test(attribute(tag, 'class') || '')) {
+      return tag;
+    }
+
+    const classes = [];
+    const background = backgroundOf(style, attribute(tag, 'bgcolor'));
+    if (background && luminance(background) > LIGHT_BACKGROUND) {
+      classes.push(`dm-bg-${background.substring(1).toLowerCase()}`);
+    }
+    const colour = colourOf(style, attribute(tag, 'color'));
+    if (colour && luminance(colour) < DARK_TEXT) {
+      classes.push(`dm-text-${colour.substring(1).toLowerCase()}`);
+    }
+    if (classes.length === 0) {
+      return tag;
+    }
+
+    const existing = tag.match(/(\sclass\s*=\s*)(["'])([^"']*)\2/i);
+    return existing
+      ? tag.replace(existing[0], `${existing[1]}${existing[2]}${[existing[3].trim(), ...classes].filter(Boolean).join(' ')}${existing[2]}`)
+      : tag.replace(/^<[a-z0-9]+/i, (open) => `${open} class="${classes.join(' ')}"`);
+  });
+}
+
+/**
+ * Text whose contrast with its background drops below WCAG AA in dark mode although it
+ * passes in light mode. Each text element is checked in every DARK_MODES simulation; the
+ * "overrides" mode applies the dm-* rules found in the email's own <style> blocks.
+ * Sections are named by the "<!-- section: name -->" comments the assembler writes.
+ *
+ * @param {Document} doc - Parsed email (e.g. new JSDOM(html).window.document)
+ * @returns {{section: string|null, mode: string, text: string, background: string, dark_text: string,
+ *   dark_background: string, ratio: number, light_ratio: number, required: number, count: number, element: Element}[]}
+ *   One entry per section, mode and colour pair (count: how many elements have it; element: the first)
+ */
+export function checkDarkModeContrast(doc) {
+  const overrides = readOverrides(doc);
+  const losses = new Map();
+
+  forEachTextElement(doc, (node, section) => {
+    const { text, background, required, ratio: lightRatio } = readTextContrast(node);
+    if (lightRatio < required) {
+      return;
+    }
+
+    for (const mode of Object.keys(DARK_MODES)) {
+      const darkText = simulate(mode, 'text', text, overrides);
+      const darkBackground = simulate(mode, 'bg', background, overrides);
+      const ratio = contrastRatio(darkText, darkBackground);
+      if (ratio >= required) {
+        continue;
+      }
+
+      const key = [section, mode, text.hex, background.hex].join('|');
+      const loss = losses.get(key);
+      if (loss) {
+        loss.count++;
+        continue;
+      }
+      losses.set(key, {
+        section,
+        mode,
+        text: text.hex || DEFAULT_TEXT,
+        background: background.hex || DEFAULT_BACKGROUND,
+        dark_text: darkText,
+        dark_background: darkBackground,
+        ratio: round(ratio),
+        light_ratio: round(lightRatio),
+        required,
+        count: 1,
+        element: node
+      });
+    }
+  });
+
+  return [...losses.values()];
+}
+
+/**
+ * Call visit(element, section) for every visible element with text of its own, in document
+ * order. section is the name from the last "<!-- section: name -->" comment (null before any).
+ */
+export function forEachTextElement(doc, visit) {
+  const NodeFilter = doc.defaultView.NodeFilter;
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT);
+  let section = null;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === node.COMMENT_NODE) {
+      section = node.data.match(/^\s*section:\s*(\S+)\s*$/)?.[1] || section;
+    } else if (hasOwnText(node) && !isHidden(node)) {
+      visit(node, section);
+    }
+  }
+}
+
+/**
+ * Light-mode colours of an element's text and background, from its own or its nearest
+ * ancestor's inline styles ({hex, element}; hex null when none is set, which clients show as
+ * black on white), with the WCAG AA contrast it needs and the contrast it has
+ */
+export function readTextContrast(element) {
+  const text = findColour(element, current => colourOf(current.getAttribute('style') || '', current.getAttribute('color')));
+  const background = findColour(element, current => backgroundOf(current.getAttribute('style') || '', current.getAttribute('bgcolor')));
+  return {
+    text,
+    background,
+    required: isLargeText(element) ? CONTRAST_MIN_LARGE : CONTRAST_MIN,
+    ratio: contrastRatio(text.hex || DEFAULT_TEXT, background.hex || DEFAULT_BACKGROUND)
+  };
+}
+
+/**
+ * WCAG contrast ratio of two colours (1 to 21)
+ */
+export function contrastRatio(a, b) {
+  const [lighter, darker] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Colour of a text or background in a simulated dark mode. `found` is the colour set on
+ * the element or its nearest ancestor ({hex, element}; hex null when none is set).
+ */
+function simulate(mode, kind, found, overrides) {
+  const hex = found.hex || (kind === 'text' ? DEFAULT_TEXT : DEFAULT_BACKGROUND);
+  if (mode === 'overrides') {
+    const name = `dm-${kind}-${hex.substring(1).toLowerCase()}`;
+    if (found.element?.classList.contains(name) && overrides.has(name)) {
+      return overrides.get(name);
+    }
+    return !found.hex && kind === 'text' && overrides.has('body') ? overrides.get('body') : hex;
+  }
+  if (mode === 'full') {
+    return invertLightness(hex);
+  }
+  const changes = kind === 'bg' ? luminance(hex) > LIGHT_BACKGROUND : luminance(hex) < DARK_TEXT;
+  return changes ? invertLightness(hex) : hex;
+}
+
+/**
+ * Dark-mode colours set by dm-* classes (and the body text colour) in the email's <style> blocks
+ */
+function readOverrides(doc) {
+  const overrides = new Map();
+  const css = [...doc.querySelectorAll('style')].map(style => style.textContent).join('\n');
+  for (const [, selector, declarations] of css.matchAll(/(?:^|[\s}])(\.dm-(?:bg|text)-[0-9a-f]{6}|body)\s*\{([^}]*)\}/gi)) {
+    const property = selector.startsWith('.dm-bg-') ? 'background-color' : 'color';
+    const value = declarations.match(new RegExp(`(?:^|;|\\s)${property}\\s*:\\s*([^;!]+)`, 'i'))?.[1];
+    const hex = value ? parseColour(value) : null;
+    if (hex && !overrides.has(selector.replace(/^\./, ''))) {
+      overrides.set(selector.replace(/^\./, ''), hex);
+    }
+  }
+  return overrides;
+}
+
+function findColour(element, read) {
+  for (let current = element; current && current.nodeType === current.ELEMENT_NODE; current = current.parentElement) {
+    const hex = read(current);
+    if (hex) {
+      return { hex, element: current };
+    }
+  }
+  return { hex: null, element: null };
+}
+
+function hasOwnText(element) {
+  if (/^(style|script|title|head)$/i.test(element.tagName)) {
+    return false;
+  }
+  return [...element.childNodes].some(child => child.nodeType === child.TEXT_NODE && /[^\s\u200c\u034f]/.test(child.textContent));
+}
+
+function isHidden(element) {
+  for (let current = element; current; current = current.parentElement) {
+    if (/display\s*:\s*none|mso-hide\s*:\s*all/i.test(current.getAttribute('style') || '')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isLargeText(element) {
+  let size = null;
+  let bold = false;
+  for (let current = element; current; current = current.parentElement) {
+    const style = current.getAttribute('style') || '';
+    size ??= parseFloat(style.match(/font-size\s*:\s*(\d+(?:\.\d+)?)px/i)?.[1]) || null;
+    bold ||= /font-weight\s*:\s*(bold|[6-9]00)/i.test(style) || /^(b|strong|h[1-6])$/i.test(current.tagName);
+  }
+  return (size || 16) >= 24 || (bold && (size || 16) >= 18.66);
+}
+
+function darkestColour(brand) {
+  const palette = [...brand.palette.primary, ...brand.palette.accent].map(colour => colour.hex);
+  const darkest = palette.sort((a, b) => luminance(a) - luminance(b))[0];
+  return darkest && luminance(darkest) < DARK_TEXT ? darkest : null;
+}
+
+/**
+ * A light background as a shade of the darkest palette colour: white gets the darkest
+ * shade and off-whites slightly lighter ones, so layered backgrounds stay distinct
+ */
+function darkBackground(hex, surface) {
+  const [, , lightness] = toHsl(hex);
+  const amount = Math.min(0.6, Math.max(0.3, 0.6 - (1 - lightness) * 2));
+  return rgbToHex(hexToRgb(surface).map(channel => Math.round(channel * (1 - amount))));
+}
+
+/**
+ * Dark text as the same hue with its lightness inverted (at least 75%)
+ */
+function lightText(hex) {
+  const [hue, saturation, lightness] = toHsl(hex);
+  return rgbToHex(fromHsl(hue, saturation, Math.max(1 - lightness, 0.75)));
+}
+
+function invertLightness(hex) {
+  const [hue, saturation, lightness] = toHsl(hex);
+  return rgbToHex(fromHsl(hue, saturation, 1 - lightness));
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+function backgroundOf(style, bgcolor) {
+  const value = declaration(style, 'background-color') || declaration(style, 'background');
+  return (value && parseColour(value)) || (bgcolor && parseColour(bgcolor)) || null;
+}
+
+function colourOf(style, color) {
+  const value = declaration(style, 'color');
+  return (value && parseColour(value)) || (color && parseColour(color)) || null;
+}
+
+function declaration(style, property) {
+  return style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i'))?.[1].trim() || null;
+}
+
+/**
+ * First #hex or rgb() colour in a CSS value, as #RRGGBB
+ */
+function parseColour(value) {
+  const hex = value.match(/#([0-9a-f]{6}|[0-9a-f]{3})\b/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+    return `#${digits.toUpperCase()}`;
+  }
+  const rgb = value.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  return rgb ? rgbToHex(rgb.slice(1, 4).map(Number)) : null;
+}
+
+function luminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function toHsl(hex) {
+  const [r, g, b] = hexToRgb(hex).map(channel => channel / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  if (max === min) {
+    return [0, 0, lightness];
+  }
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  const hue = max === r ? (g - b) / delta + (g < b ? 6 : 0) : max === g ? (b - r) / delta + 2 : (r - g) / delta + 4;
+  return [hue / 6, saturation, lightness];
+}
+
+function fromHsl(hue, saturation, lightness) {
+  if (saturation === 0) {
+    return [lightness, lightness, lightness].map(channel => Math.round(channel * 255));
+  }
+  const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+  const p = 2 * lightness - q;
+  return [hue + 1 / 3, hue, hue - 1 / 3].map((t) => {
+    const wrapped = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    const channel = wrapped < 1 / 6 ? p + (q - p) * 6 * wrapped
+      : wrapped < 1 / 2 ? q
+        : wrapped < 2 / 3 ? p + (q - p) * (2 / 3 - wrapped) * 6
+          : p;
+    return Math.round(channel * 255);
+  });
+}
+
+function round(ratio) {
+  return Math.round(ratio * 100) / 100;
+}
@@ -0,0 +1,303 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import { readFile, writeFile, htmlToText } from './utils.js';
+import { contentWords } from './article.js';
+import { log } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where the blog's posts are listed: an RSS/Atom feed or a sitemap (URL or local file)
+export const DEFAULT_BLOG_FEED = 'https://vunked.com/blog/feed/';
+
+// Local index of blog posts, kept up to date by syncBlogIndex
+export const DEFAULT_BLOG_INDEX = 'data/blog-index.json';
+
+// Related posts offered to the copy model
+export const RELATED_POST_LIMIT = 3;
+
+const SUMMARY_CHARS = 300;
+
+/**
+ * Posts listed in an RSS 2.0 feed, an Atom feed or a sitemap.
+ * Sitemaps have no titles or summaries, so the title comes from the URL slug.
+ * A sitemap index returns its child sitemaps in `sitemaps` instead.
+ *
+ * @param {string} xml
+ * @returns {{posts: {url: string, title: string, date: string|null, summary: string}[], sitemaps: string[]}}
+ */
+export function parseFeed(xml) {
+  const doc = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Feed is not valid XML');
+  }
+  const root = doc.documentElement.localName;
+  const text = (parent, name) => parent.getElementsByTagName(name)[0]?.textContent.trim() || '';
+
+  if (root === 'sitemapindex') {
+    return { posts: [], sitemaps: [...doc.getElementsByTagName('sitemap')].map(sitemap => text(sitemap, 'loc')).filter(Boolean) };
+  }
+
+  let posts;
+  if (root === 'urlset') {
+    posts = [...doc.getElementsByTagName('url')].map(entry => ({
+      url: text(entry, 'loc'),
+      title: titleFromUrl(text(entry, 'loc')),
+      date: text(entry, 'lastmod'),
+      summary: ''
+    }));
+  } else if (root === 'rss') {
+    posts = [...doc.getElementsByTagName('item')].map(item => ({
+      url: text(item, 'link'),
+      title: text(item, 'title'),
+      date: text(item, 'pubDate'),
+      summary: text(item, 'description')
+    }));
+  } else if (root === 'feed') {
+    posts = [...doc.getElementsByTagName('entry')].map(entry => {
+      const link = [...entry.getElementsByTagName('link')].find(link => !link.getAttribute('rel') || link.getAttribute('rel') === 'alternate');
+      return {
+        url: link?.getAttribute('href')?.trim() || '',
+        title: text(entry, 'title'),
+        date: text(entry, 'published') || text(entry, 'updated'),
+        summary: text(entry, 'summary') || text(entry, 'content')
+      };
+    });
+  } else {
+    throw new Error(`Unrecognised feed format <${root}> (expected an RSS or Atom feed, or a sitemap)`);
+  }
+
+  return {
+    posts: posts
+      .filter(post => /^https?:\/\//i.test(post.url))
+      .map(post => ({ ...post, date: toIsoDate(post.date), summary: toSummary(post.summary) })),
+    sitemaps: []
+  };
+}
+
+/**
+ * Read the feed and merge its posts into the local index. Known posts keep their
+ * first_seen_at date; posts missing from the feed stay in the index.
+ *
+ * @param {Object} options
+ * @param {string} options.feed - Feed or sitemap URL, or a local file (default: BLOG_FEED env or DEFAULT_BLOG_FEED)
+ * @param {string} options.indexPath - Index file (default: BLOG_INDEX env or DEFAULT_BLOG_INDEX)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {Promise<{index_path: string, posts: Object[], added: Object[]}>} added: posts new to the index
+ */
+export async function syncBlogIndex({ feed = process.env.BLOG_FEED || DEFAULT_BLOG_FEED, indexPath = process.env.BLOG_INDEX || DEFAULT_BLOG_INDEX, fetch = globalThis.fetch } = {}) {
+  const feedPosts = await readFeedPosts(feed, fetch);
+  const { posts: known } = await loadBlogIndex(indexPath);
+  const byUrl = new Map(known.map(post => [comparableUrl(post.url), post]));
+
+  const now = new Date().toISOString();
+  const added = [];
+  for (const post of feedPosts) {
+    const key = comparableUrl(post.url);
+    const existing = byUrl.get(key);
+    if (existing) {
+      // Sitemaps only know the slug: keep a better title or summary from an earlier read
+      const slugTitle = post.title === titleFromUrl(post.url);
+      byUrl.set(key, {
+        ...existing,
+        title: slugTitle && existing.title ? existing.title : post.title,
+        date: post.date || existing.date,
+        summary: post.summary || existing.summary
+      });
+    } else {
+      const entry = { ...post, first_seen_at: now };
+      byUrl.set(key, entry);
+      added.push(entry);
+    }
+  }
+
+  const posts = [...byUrl.values()].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  const indexFile = await writeFile(indexPath, JSON.stringify({ feed, updated_at: now, posts }, null, 2));
+  log.info(`✓ Blog index: ${posts.length} posts (${added.length} new) from ${feed}`);
+  return { index_path: indexFile, posts, added };
+}
+
+/**
+ * The local blog index; empty when it hasn't been created yet
+ * @param {string} indexPath - Relative to the project root (default: BLOG_INDEX env or DEFAULT_BLOG_INDEX)
+ * @returns {Promise<{feed: string|null, updated_at: string|null, posts: Object[]}>}
+ */
+export async function loadBlogIndex(indexPath = process.env.BLOG_INDEX || DEFAULT_BLOG_INDEX) {
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(__dirname, '..', indexPath), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { feed: null, updated_at: null, posts: [] };
+    }
+    throw new Error(`Failed to read blog index ${indexPath}: ${error.message}`);
+  }
+
+  let index;
+  try {
+    index = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid blog index ${indexPath}: ${error.message}`);
+  }
+  if (!Array.isArray(index.posts) || index.posts.some(post => typeof post?.url !== 'string')) {
+    throw new Error(`Invalid blog index ${indexPath}: posts must be an array of posts with a url`);
+  }
+  return index;
+}
+
+/**
+ * Source URLs of the emails already generated in an output directory (from their .meta.json files)
+ * @param {string} outputDir - Relative to the project root
+ * @returns {Promise<Set<string>>} Comparable URLs (see comparableUrl)
+ */
+export async function findEmailedUrls(outputDir = 'output') {
+  const fullPath = path.resolve(__dirname, '..', outputDir);
+  let files;
+  try {
+    files = await fs.readdir(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Set();
+    }
+    throw new Error(`Failed to read output directory ${outputDir}: ${error.message}`);
+  }
+
+  const urls = new Set();
+  for (const file of files.filter(file => file.endsWith('.meta.json'))) {
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(fullPath, file), 'utf-8'));
+      if (meta.source?.url) {
+        urls.add(comparableUrl(meta.source.url));
+      }
+    } catch (error) {
+      log.warn(`⚠️  Warning: skipping unreadable ${file}: ${error.message}`);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Index posts that no email in the output directory was generated from
+ * @returns {Promise<Object[]>}
+ */
+export async function findPostsWithoutEmails(posts, outputDir = 'output') {
+  const emailed = await findEmailedUrls(outputDir);
+  return posts.filter(post => !emailed.has(comparableUrl(post.url)));
+}
+
+/**
+ * Index posts on the same topic as the source article, for cross-links in the copy.
+ * Posts are scored by the content words their title and summary share with the source's
+ * title and summary (title words count double); the source post itself is left out.
+ *
+ * @param {Object} blogData - From retrieveContent
+ * @param {Object[]} posts - Blog index posts
+ * @param {number} limit
+ * @returns {{url: string, title: string, summary: string}[]}
+ */
+export function findRelatedPosts(blogData, posts, limit = RELATED_POST_LIMIT) {
+  const source = new Set([
+    ...contentWords(blogData.blog_title || ''),
+    ...contentWords(blogData.summary || blogData.blog_text.substring(0, 2000))
+  ]);
+  const sourceUrl = blogData.source_url ? comparableUrl(blogData.source_url) : null;
+
+  return posts
+    .filter(post => comparableUrl(post.url) !== sourceUrl)
+    .map((post) => {
+      const titleWords = new Set(contentWords(post.title));
+      const summaryWords = new Set(contentWords(post.summary || ''));
+      let score = 0;
+      for (const word of titleWords) {
+        score += source.has(word) ? 2 : 0;
+      }
+      for (const word of summaryWords) {
+        score += source.has(word) && !titleWords.has(word) ? 1 : 0;
+      }
+      return { post, score };
+    })
+    .filter(({ score }) => score >= 2)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ post }) => ({ url: post.url, title: post.title, summary: post.summary }));
+}
+
+/**
+ * Print the index with a marker for posts that already have an email
+ */
+export function logBlogIndex(posts, pending) {
+  const waiting = new Set(pending.map(post => post.url));
+  for (const post of posts) {
+    log.info(`${waiting.has(post.url) ? '•' : '✓'} ${post.date ? post.date.substring(0, 10) : '----------'}  ${post.title} (${post.url})`);
+  }
+  log.info(`Posts: ${posts.length}, with an email: ${posts.length - pending.length}, without: ${pending.length}`);
+}
+
+/**
+ * URL without scheme, "www.", query, fragment or trailing slash, for matching posts to emails
+ */
+export function comparableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch {
+    return url.trim().toLowerCase();
+  }
+}
+
+async function readFeedPosts(feed, fetch, depth = 0) {
+  let xml;
+  try {
+    if (/^https?:\/\//i.test(feed)) {
+      const response = await fetch(feed);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      xml = await response.text();
+    } else {
+      xml = await readFile(feed);
+    }
+  } catch (error) {
+    throw new Error(`Failed to read blog feed ${feed}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseFeed(xml);
+  } catch (error) {
+    throw new Error(`Failed to parse blog feed ${feed}: ${error.message}`);
+  }
+  if (parsed.sitemaps.length === 0 || depth > 0) {
+    return parsed.posts;
+  }
+
+  // WordPress sitemap indexes list posts in their own sitemap(s); use those when present
+  const postSitemaps = parsed.sitemaps.filter(url => /post/i.test(url));
+  const posts = [];
+  for (const sitemap of postSitemaps.length > 0 ? postSitemaps : parsed.sitemaps) {
+    posts.push(...await readFeedPosts(sitemap, fetch, depth + 1));
+  }
+  return posts;
+}
+
+function titleFromUrl(url) {
+  try {
+    const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+    const words = decodeURIComponent(slug).replace(/\.[a-z]+$/i, '').replace(/[-_]+/g, ' ').trim();
+    return words ? words[0].toUpperCase() + words.slice(1) : url;
+  } catch {
+    return url;
+  }
+}
+
+function toIsoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function toSummary(value) {
+  const text = htmlToText(value || '').replace(/\s+/g, ' ').trim();
+  return text.length > SUMMARY_CHARS ? `${text.substring(0, SUMMARY_CHARS).replace(/\s+\S*$/, '')}…` : text;
+}
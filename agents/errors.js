@@ -0,0 +1,52 @@
+/**
+ * Base class for every error the pipeline API throws. `code` is stable for callers to switch on;
+ * `cause` is the underlying error, when there is one.
+ */
+export class EmailAgentError extends Error {
+  constructor(message, { code = 'EMAIL_AGENT_ERROR', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The input or options are invalid (nothing was generated)
+ */
+export class InputError extends EmailAgentError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_INPUT', ...options });
+  }
+}
+
+/**
+ * A project file the pipeline depends on (brand guidelines, section manifests, link directory)
+ * is missing or invalid
+ */
+export class ConfigError extends EmailAgentError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_CONFIG', ...options });
+  }
+}
+
+/**
+ * A pipeline stage failed (retrieve, structure, copy, variants, assemble, checks, save, publish…)
+ */
+export class StageError extends EmailAgentError {
+  constructor(stage, cause) {
+    super(cause?.message || `${stage} stage failed`, { code: 'STAGE_FAILED', cause });
+    this.stage = stage;
+  }
+}
+
+/**
+ * The lint report has issues at or above the lintFailOn severity. The files were saved;
+ * `result` is the email result and `report` its lint report.
+ */
+export class LintError extends EmailAgentError {
+  constructor(message, { report, result } = {}) {
+    super(message, { code: 'LINT_FAILED' });
+    this.report = report;
+    this.result = result;
+  }
+}
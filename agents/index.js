@@ -2,11 +2,16 @@
 
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { retrieveContent } from './retrieve.js';
-import { createStructure } from './structure.js';
-import { generateCopy } from './copy.js';
-import { writeAndAssemble } from './write.js';
-import { readFile, writeFile, getAvailableSections, createSlug, getTimestamp } from './utils.js';
+import { generateEmail, generateSeries, generateBatch, discoverPosts, renderEmail, previewEmails, validateOptions } from './api.js';
+import { DEFAULT_LINKS_FILE } from './links.js';
+import { PROVIDER_MODES } from './provider.js';
+import { SEVERITIES } from './lint.js';
+import { SERIES_LENGTH } from './series.js';
+import { VARIANT_COUNT } from './variants.js';
+import { BATCH_CONCURRENCY } from './batch.js';
+import { CONTENT_FILE_TYPES } from './retrieve.js';
+import { DEFAULT_BLOG_FEED, DEFAULT_BLOG_INDEX } from './discover.js';
+import { PREVIEW_PORT } from './preview.js';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -14,106 +19,24 @@ import { fileURLToPath } from 'url';
 // Load environment variables
 dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '.env') });
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 /**
- * Main email generation function
+ * Run one CLI command: errors are printed and the exit status set to 1
+ * (the pipeline itself lives in api.js and only throws)
  */
-async function generateEmail(input, options = {}) {
-  const startTime = Date.now();
-  
-  console.log('='.repeat(60));
-  console.log('🚀 Vunked Email Agent');
-  console.log('='.repeat(60));
-  console.log();
-  
+async function runCommand(command) {
   try {
-    // Step 1: RETRIEVE
-    console.log('📥 STEP 1: RETRIEVE');
-    console.log('-'.repeat(60));
-    const blogData = await retrieveContent(input);
-    console.log(`✓ Retrieved: "${blogData.blog_title}"`);
-    console.log(`  Length: ${blogData.blog_text.length} characters`);
-    console.log();
-    
-    // Read brand guidelines
-    const brandGuidelines = await readFile('brand-guidelines.md');
-    console.log('✓ Brand guidelines loaded');
-    console.log();
-    
-    // Get available sections
-    const sectionsDir = options.sections || 'sections';
-    const availableSections = await getAvailableSections(sectionsDir);
-    console.log(`✓ Found ${availableSections.length} section templates`);
-    console.log();
-    
-    // Step 2: STRUCTURE
-    console.log('🏗️  STEP 2: STRUCTURE');
-    console.log('-'.repeat(60));
-    const modelStructure = options.modelStructure || process.env.MODEL_STRUCTURE || 'gpt-4o-mini';
-    const structure = await createStructure(blogData, brandGuidelines, availableSections, modelStructure, input.url);
-    console.log();
-    
-    // Step 3: COPY
-    console.log('✍️  STEP 3: COPY');
-    console.log('-'.repeat(60));
-    const modelCopy = options.modelCopy || process.env.MODEL_COPY || 'gpt-4.1';
-    const plan = await generateCopy(structure, blogData, brandGuidelines, modelCopy, input.url);
-    console.log();
-    
-    // Step 4: ASSEMBLE
-    console.log('🔧 STEP 4: ASSEMBLE');
-    console.log('-'.repeat(60));
-    const modelWrite = options.modelWrite || process.env.MODEL_WRITE || 'gpt-5';
-    const result = await writeAndAssemble(plan, brandGuidelines, sectionsDir, modelWrite);
-    console.log();
-    
-    // Save output files
-    console.log('💾 SAVING OUTPUT');
-    console.log('-'.repeat(60));
-    const outputDir = options.out || 'output';
-    const slug = createSlug(plan.subject);
-    const timestamp = getTimestamp();
-    const basename = `${slug}-${timestamp}`;
-    
-    const htmlPath = await writeFile(
-      path.join(outputDir, `${basename}.html`),
-      result.html
-    );
-    console.log(`✓ HTML saved: ${path.basename(htmlPath)}`);
-    
-    const textPath = await writeFile(
-      path.join(outputDir, `${basename}.txt`),
-      result.text_version
-    );
-    console.log(`✓ Text saved: ${path.basename(textPath)}`);
-    
-    // Summary
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log();
-    console.log('='.repeat(60));
-    console.log('✅ EMAIL GENERATED SUCCESSFULLY');
-    console.log('='.repeat(60));
-    console.log(`Subject: ${result.subject}`);
-    console.log(`Preview: ${result.preview}`);
-    console.log(`HTML: ${htmlPath}`);
-    console.log(`Text: ${textPath}`);
-    console.log(`Duration: ${duration}s`);
-    console.log('='.repeat(60));
-    
-    return result;
-    
+    return await command();
   } catch (error) {
     console.error();
-    console.error('❌ ERROR:', error.message);
+    console.error('❌ ERROR:', error.stage ? `[${error.stage}] ${error.message}` : error.message);
     console.error();
     
     if (error.stack && process.env.DEBUG) {
       console.error(error.stack);
     }
     
-    process.exit(1);
+    process.exitCode = 1;
+    return null;
   }
 }
 
@@ -122,14 +45,86 @@ async function generateEmail(input, options = {}) {
  */
 async function main() {
   const argv = yargs(hideBin(process.argv))
-    .usage('Usage: $0 [options]')
+    .usage('Usage: $0 [options]\n       $0 batch <source> [options]\n       $0 discover [options]\n       $0 render <plan> [options]\n       $0 preview [options]')
+    .command('batch <source>', 'Generate one email per content file in a directory, or per URL/file line in a list file', (batch) => batch
+      .positional('source', {
+        type: 'string',
+        description: 'Content directory (e.g. content) or list file of URLs and content file paths'
+      })
+      .option('concurrency', {
+        type: 'number',
+        default: BATCH_CONCURRENCY.default,
+        description: 'How many items to generate at once'
+      })
+      .option('resume', {
+        type: 'boolean',
+        default: true,
+        description: 'Skip items that finished in an earlier run of the same batch (--no-resume to redo them)'
+      }))
+    .command('discover', 'Update the blog index from the blog feed or sitemap and list posts without an email', (discover) => discover
+      .option('feed', {
+        type: 'string',
+        description: `RSS/Atom feed or sitemap URL, or a local file (default: BLOG_FEED env or ${DEFAULT_BLOG_FEED})`
+      })
+      .option('generate', {
+        type: 'boolean',
+        default: false,
+        description: 'Generate an email for each post without one'
+      })
+      .option('limit', {
+        type: 'number',
+        description: 'With --generate, generate at most this many emails (newest posts first)'
+      })
+      .option('concurrency', {
+        type: 'number',
+        default: BATCH_CONCURRENCY.default,
+        description: 'How many emails to generate at once'
+      })
+      .option('resume', {
+        type: 'boolean',
+        default: true,
+        description: 'Skip posts that finished in an earlier --generate run (--no-resume to redo them)'
+      }))
+    .command('render <plan>', 'Rebuild an email from a saved or hand-edited .plan.json without model calls', (render) => render
+      .positional('plan', {
+        type: 'string',
+        description: 'Plan file saved next to an email (output/<slug>-<timestamp>.plan.json)'
+      }))
+    .command('preview', 'Serve the generated emails at mobile and desktop widths, reloading when a plan or section changes', (preview) => preview
+      .option('port', {
+        type: 'number',
+        default: PREVIEW_PORT,
+        description: 'Port of the preview server'
+      })
+      .option('host', {
+        type: 'string',
+        default: '127.0.0.1',
+        description: 'Interface to listen on (0.0.0.0 to open it to your network)'
+      }))
     .example('$0 --url "https://blog.example.com/post"', 'Generate email from blog URL')
+    .example('$0 --file content/battery-sizing.md', 'Generate email from a Markdown, HTML or .docx file')
     .example('$0 --text "Blog content here..."', 'Generate email from text')
     .example('$0 --prompt "make a black friday email"', 'Generate email from prompt')
+    .example('$0 --text "..." --provider replay', 'Generate email offline from recorded responses')
+    .example('$0 --url "..." --publish --klaviyoAudience XyZ123', 'Generate and create a Klaviyo draft campaign')
+    .example('$0 --url "..." --variants 4', 'Generate 4 scored subject/preview variants for an A/B test')
+    .example('$0 --url "..." --persona all', 'Generate one email per customer persona')
+    .example('$0 --url "..." --checkLinks', 'Request every link and image URL and report broken ones')
+    .example('$0 --url "..." --fixBrand', 'Fix colour, font size and font drift from the brand guide')
+    .example('$0 --url "..." --series 4 --seriesBrief "welcome series"', 'Generate a 4-email drip sequence')
+    .example('$0 --url "..." --review', 'Review and edit the structure and copy before assembly')
+    .example('$0 batch content --concurrency 3', 'Generate an email for every file in content/')
+    .example('$0 discover --generate --limit 2', 'Generate emails for the 2 newest blog posts without one')
+    .example('$0 render output/my-email-2025-01-01T10-00-00.plan.json', 'Re-render an email after editing its plan')
+    .example('$0 preview --port 4000', 'Preview the emails in output/ and saved_emails/ at http://127.0.0.1:4000/')
     .option('url', {
       type: 'string',
       description: 'URL of blog post to convert'
     })
+    .option('file', {
+      type: 'string',
+      description: `Local content file to convert (${CONTENT_FILE_TYPES.join(', ')}), relative to the project root`
+    })
     .option('text', {
       type: 'string',
       description: 'Direct text content to convert'
@@ -143,6 +138,14 @@ async function main() {
       default: 'sections',
       description: 'Path to sections directory'
     })
+    .option('links', {
+      type: 'string',
+      description: `Link directory config with the approved CTA links (default: LINKS_FILE env or ${DEFAULT_LINKS_FILE})`
+    })
+    .option('blogIndex', {
+      type: 'string',
+      description: `Local index of blog posts, used for related-post links (default: BLOG_INDEX env or ${DEFAULT_BLOG_INDEX})`
+    })
     .option('out', {
       type: 'string',
       default: 'output',
@@ -156,14 +159,100 @@ async function main() {
       type: 'string',
       description: 'Model for copy generation step (default: gpt-4.1)'
     })
-    .option('modelWrite', {
+    .option('provider', {
+      type: 'string',
+      choices: PROVIDER_MODES,
+      description: 'Model provider: live OpenAI calls, record them to fixtures, or replay recorded fixtures (default: live)'
+    })
+    .option('lintFailOn', {
+      type: 'string',
+      choices: SEVERITIES,
+      description: 'Fail the run when the email lint finds issues at or above this severity'
+    })
+    .option('utm', {
+      type: 'boolean',
+      default: true,
+      description: 'Add UTM parameters to links to vunked.com sites (--no-utm to turn off)'
+    })
+    .option('utmSource', {
       type: 'string',
-      description: 'Model for assembly step (default: gpt-5)'
+      description: 'utm_source for email links (default: klaviyo)'
+    })
+    .option('utmMedium', {
+      type: 'string',
+      description: 'utm_medium for email links (default: email)'
+    })
+    .option('utmCampaign', {
+      type: 'string',
+      description: 'utm_campaign for email links (default: the email subject slug, or the series name with --series)'
+    })
+    .option('checkLinks', {
+      type: 'boolean',
+      default: false,
+      description: 'Also request every URL in the email and report broken or unreachable links (needs network access)'
+    })
+    .option('fixBrand', {
+      type: 'boolean',
+      default: false,
+      description: 'Snap drifted colours, undersized body text and off-brand fonts to the brand guide before saving'
+    })
+    .option('publish', {
+      type: 'boolean',
+      default: false,
+      description: 'Upload the email to Klaviyo as a template (requires KLAVIYO_API_KEY)'
+    })
+    .option('klaviyoAudience', {
+      type: 'string',
+      description: 'Klaviyo list or segment ID; with --publish, also creates a draft campaign'
+    })
+    .option('dryRun', {
+      type: 'boolean',
+      default: false,
+      description: 'With --publish, print the Klaviyo request payloads instead of sending them'
+    })
+    .option('variants', {
+      type: 'number',
+      description: `Generate this many subject/preview A/B variants (${VARIANT_COUNT.min}-${VARIANT_COUNT.max}) and use the top-scored one`
+    })
+    .option('persona', {
+      type: 'string',
+      description: 'Tailor the copy to a customer persona from brand-guidelines.md (e.g. premium-peter), or "all" for one email per persona'
+    })
+    .option('series', {
+      type: 'number',
+      description: `Generate a drip sequence of this many emails (${SERIES_LENGTH.min}-${SERIES_LENGTH.max}) instead of one email`
+    })
+    .option('seriesBrief', {
+      type: 'string',
+      description: 'With --series, what the sequence is for (e.g. "abandoned builder nurture")'
+    })
+    .option('review', {
+      type: 'boolean',
+      default: false,
+      description: 'Pause after the structure and after the copy to reorder, add or drop sections and to edit or regenerate slots'
+    })
+    .option('fixtures', {
+      type: 'string',
+      description: 'Directory for recorded model responses (default: fixtures)'
     })
     .check((argv) => {
-      if (!argv.url && !argv.text && !argv.prompt) {
-        throw new Error('Must specify one of: --url, --text, or --prompt');
+      const command = argv._[0];
+      const needsNoInput = ['batch', 'discover', 'render', 'preview'].includes(command);
+      if (!needsNoInput && !argv.url && !argv.file && !argv.text && !argv.prompt) {
+        throw new Error('Must specify one of: --url, --file, --text, or --prompt (or use the batch, discover, render or preview command)');
       }
+      if (needsNoInput && (argv.url || argv.file || argv.text || argv.prompt)) {
+        const inputs = { batch: '<source>', discover: 'the blog feed', render: '<plan>', preview: 'the output directory' };
+        throw new Error(`The ${command} command reads its inputs from ${inputs[command]}; drop --url, --file, --text and --prompt`);
+      }
+      if (needsNoInput && argv.series !== undefined) {
+        throw new Error(`--series is not supported by the ${command} command`);
+      }
+      if (needsNoInput && argv.review) {
+        throw new Error(`--review is not supported by the ${command} command`);
+      }
+      // Throws InputError, which yargs prints with the usage
+      validateOptions(argv);
       return true;
     })
     .help()
@@ -174,19 +263,64 @@ async function main() {
   
   const input = {
     url: argv.url,
+    file: argv.file,
     text: argv.text,
     prompt: argv.prompt
   };
   
   const options = {
     sections: argv.sections,
+    links: argv.links,
+    blogIndex: argv.blogIndex,
     out: argv.out,
     modelStructure: argv.modelStructure,
     modelCopy: argv.modelCopy,
-    modelWrite: argv.modelWrite
+    provider: argv.provider,
+    fixtures: argv.fixtures,
+    lintFailOn: argv.lintFailOn,
+    fixBrand: argv.fixBrand,
+    checkLinks: argv.checkLinks,
+    utm: argv.utm,
+    utmSource: argv.utmSource,
+    utmMedium: argv.utmMedium,
+    utmCampaign: argv.utmCampaign,
+    publish: argv.publish,
+    klaviyoAudience: argv.klaviyoAudience,
+    dryRun: argv.dryRun,
+    variants: argv.variants,
+    persona: argv.persona,
+    series: argv.series,
+    seriesBrief: argv.seriesBrief,
+    review: argv.review,
+    concurrency: argv.concurrency,
+    resume: argv.resume,
+    feed: argv.feed,
+    generate: argv.generate,
+    limit: argv.limit,
+    port: argv.port,
+    host: argv.host
   };
   
-  await generateEmail(input, options);
+  if (argv._[0] === 'batch') {
+    const summary = await runCommand(() => generateBatch(argv.source, options));
+    if (summary?.failed > 0) {
+      process.exitCode = 1;
+    }
+  } else if (argv._[0] === 'render') {
+    await runCommand(() => renderEmail(argv.plan, options));
+  } else if (argv._[0] === 'preview') {
+    // The server keeps the process running until Ctrl+C
+    await runCommand(() => previewEmails(options));
+  } else if (argv._[0] === 'discover') {
+    const result = await runCommand(() => discoverPosts(options));
+    if (result?.batch?.failed > 0) {
+      process.exitCode = 1;
+    }
+  } else if (options.series) {
+    await runCommand(() => generateSeries(input, options));
+  } else {
+    await runCommand(() => generateEmail(input, options));
+  }
 }
 
 // Run CLI if this is the main module
@@ -194,6 +328,6 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-// Export for use as a module
-export { generateEmail };
+// Export for use as a module (see api.js)
+export { generateEmail, generateSeries, generateBatch, discoverPosts, renderEmail, previewEmails };
 
@@ -0,0 +1,207 @@
+import { JSDOM } from 'jsdom';
+import { isExemptUrl, mapWithLimit } from './utils.js';
+import { severityIcon } from './lint.js';
+import { log } from './logger.js';
+
+// Per-request limit for the optional network check
+export const LINK_CHECK_TIMEOUT_MS = 5000;
+
+// URLs checked at once in the network check
+export const LINK_CHECK_CONCURRENCY = 4;
+
+const PLACEHOLDER_URL = /insert\s*link|link\s*address|^https?:\/\/?$|^#$|^$|^(https?:)?\/\/(www\.)?example\.(com|org|net)\b/i;
+
+/**
+ * Every link href and image src in the email, in document order.
+ * Links inside MSO conditional comments (VML buttons) are not part of the DOM and are skipped.
+ * @param {string} html - Complete email HTML
+ * @returns {{attribute: 'href'|'src', tag: string, url: string}[]}
+ */
+export function extractUrls(html) {
+  const doc = new JSDOM(html).window.document;
+  const urls = [];
+  for (const element of doc.querySelectorAll('a[href], area[href], img[src], img:not([src])')) {
+    const attribute = element.hasAttribute('href') ? 'href' : 'src';
+    urls.push({
+      attribute,
+      tag: element.tagName.toLowerCase(),
+      url: (element.getAttribute(attribute) || '').trim()
+    });
+  }
+  return urls;
+}
+
+/**
+ * Canonical form of a URL: https for protocol-relative URLs, lower-case host,
+ * repeated slashes in the path collapsed and an empty fragment dropped
+ * @param {string} url
+ * @returns {string|null} null when the URL can't be parsed as http(s)
+ */
+export function normalizeUrl(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) {
+    return null;
+  }
+  parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+  return parsed.toString().replace(/#$/, '');
+}
+
+/**
+ * Offline checks for one URL: placeholders, malformed URLs, repeated slashes and plain http
+ * @param {string} url
+ * @returns {{rule: string, severity: string, message: string}[]}
+ */
+export function auditUrl(url) {
+  if (PLACEHOLDER_URL.test(url)) {
+    return [{ rule: 'placeholder-url', severity: 'error', message: `Placeholder URL: "${url}"` }];
+  }
+
+  const parsed = parseHttpUrl(url);
+  if (!parsed) {
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+    const reason = scheme && !/^https?$/i.test(scheme) ? `unsupported scheme "${scheme}:"` : 'not a valid URL';
+    return [{ rule: 'malformed-url', severity: 'error', message: `Malformed URL (${reason}): "${url}"` }];
+  }
+  if (/\s/.test(url) || !parsed.hostname.includes('.')) {
+    return [{ rule: 'malformed-url', severity: 'error', message: `Malformed URL (${/\s/.test(url) ? 'contains spaces' : 'host has no domain'}): "${url}"` }];
+  }
+
+  const issues = [];
+  if (/\/{2,}/.test(parsed.pathname)) {
+    issues.push({ rule: 'duplicate-slash', severity: 'warning', message: `URL path has repeated slashes: "${url}"` });
+  }
+  if (parsed.protocol === 'http:' && !url.startsWith('//')) {
+    issues.push({ rule: 'insecure-url', severity: 'warning', message: `URL uses http instead of https: "${url}"` });
+  }
+  if (url.startsWith('//')) {
+    issues.push({ rule: 'protocol-relative-url', severity: 'info', message: `Protocol-relative URL (some clients treat it as http or a file path): "${url}"` });
+  }
+  return issues;
+}
+
+/**
+ * Check every href and image src in the assembled email. Each distinct URL is audited once
+ * (placeholders, malformed URLs, repeated slashes, http vs https); with a checker, every
+ * distinct http(s) URL is also requested and 4xx/5xx responses and failures are reported.
+ *
+ * Merge tags ({% unsubscribe_link %}), mailto:/tel:/sms: links and in-page anchors are skipped.
+ *
+ * @param {string} html - Complete email HTML
+ * @param {Function} checker - Optional async (url) => {status, error} (see createHttpChecker)
+ * @returns {Promise<{ok: boolean, online: boolean, summary: Object, urls: Object[], issues: Object[]}>}
+ */
+export async function checkLinks(html, checker = null) {
+  const byUrl = new Map();
+  let skipped = 0;
+  for (const { attribute, url } of extractUrls(html)) {
+    if (isExemptUrl(url)) {
+      skipped++;
+      continue;
+    }
+    if (!byUrl.has(url)) {
+      byUrl.set(url, { url, normalized: normalizeUrl(url), attributes: [], count: 0 });
+    }
+    const entry = byUrl.get(url);
+    entry.count++;
+    if (!entry.attributes.includes(attribute)) {
+      entry.attributes.push(attribute);
+    }
+  }
+
+  const urls = [...byUrl.values()];
+  const issues = [];
+  for (const entry of urls) {
+    for (const issue of auditUrl(entry.url)) {
+      issues.push({ ...issue, url: entry.url, count: entry.count });
+    }
+  }
+
+  if (checker) {
+    const offline = new Set(issues.filter(issue => issue.rule === 'placeholder-url' || issue.rule === 'malformed-url').map(issue => issue.url));
+    const targets = [...new Set(urls.filter(entry => entry.normalized && !offline.has(entry.url)).map(entry => entry.normalized))];
+    const results = await mapWithLimit(targets, LINK_CHECK_CONCURRENCY, target => runCheck(checker, target));
+    const resultByTarget = new Map(targets.map((target, index) => [target, results[index]]));
+
+    for (const entry of urls) {
+      const result = resultByTarget.get(entry.normalized);
+      if (!result) {
+        continue;
+      }
+      entry.status = result.status ?? null;
+      if (result.error) {
+        entry.error = result.error;
+        issues.push({ rule: 'unreachable-url', severity: 'warning', message: `Could not reach URL (${result.error}): "${entry.url}"`, url: entry.url, count: entry.count });
+      } else if (result.status >= 400) {
+        issues.push({ rule: 'broken-url', severity: 'error', message: `URL returned HTTP ${result.status}: "${entry.url}"`, url: entry.url, count: entry.count });
+      }
+    }
+  }
+
+  const summary = { error: 0, warning: 0, info: 0 };
+  for (const issue of issues) {
+    summary[issue.severity]++;
+  }
+
+  return {
+    ok: summary.error === 0,
+    online: Boolean(checker),
+    checked: urls.length,
+    skipped,
+    summary,
+    urls,
+    issues
+  };
+}
+
+/**
+ * Network checker for checkLinks: a HEAD request (GET when HEAD isn't allowed) that follows redirects
+ * @param {Object} options
+ * @param {number} options.timeout - Per-request timeout in ms
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {(url: string) => Promise<{status: number|null, error?: string}>}
+ */
+export function createHttpChecker({ timeout = LINK_CHECK_TIMEOUT_MS, fetch = globalThis.fetch } = {}) {
+  const request = (url, method) => fetch(url, { method, redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+
+  return async (url) => {
+    try {
+      let response = await request(url, 'HEAD');
+      if (response.status === 405 || response.status === 501) {
+        response = await request(url, 'GET');
+      }
+      await response.body?.cancel();
+      return { status: response.status };
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `timed out after ${timeout}ms` : (error.cause?.code || error.message);
+      return { status: null, error: reason };
+    }
+  };
+}
+
+/**
+ * Print a one-line-per-issue summary of a link check report
+ */
+export function logLinkCheckReport(report) {
+  log.info(`  URLs: ${report.checked} checked${report.online ? ' (online)' : ''}, ${report.skipped} skipped`);
+  log.info(`  Errors: ${report.summary.error}, Warnings: ${report.summary.warning}, Info: ${report.summary.info}`);
+  for (const issue of report.issues) {
+    log.info(`  ${severityIcon(issue.severity)} ${issue.rule}: ${issue.url}${issue.count > 1 ? ` (×${issue.count})` : ''}`);
+  }
+}
+
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(url.startsWith('//') ? `https:${url}` : url);
+    return /^https?:$/.test(parsed.protocol) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+async function runCheck(checker, url) {
+  try {
+    return await checker(url);
+  } catch (error) {
+    return { status: null, error: error.message };
+  }
+}
@@ -0,0 +1,318 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeHtml, isExemptUrl } from './utils.js';
+import { log } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_LINKS_FILE = 'data/links.json';
+
+const directoryCache = new Map();
+
+/**
+ * Load the link directory: the approved CTA links and when each one fits.
+ * The file defaults to $LINKS_FILE or data/links.json. Results are cached per file.
+ *
+ * Config fields:
+ * - default: key of the link used when nothing else matches
+ * - links: { <key>: { url, use_for, sections, keywords } }, in priority order
+ *   - use_for: when the link fits, shown to the copy model ("consultation CTAs")
+ *   - sections, keywords: a structure containing one of the sections, or an email goal
+ *     containing one of the keywords, picks this link as the fallback hero CTA
+ *
+ * @param {string} linksFile - Config file relative to the project root
+ * @returns {{default: string, links: Object<string, {url: string, use_for: string, sections: string[], keywords: string[]}>}}
+ */
+export function getLinkDirectory(linksFile = process.env.LINKS_FILE || DEFAULT_LINKS_FILE) {
+  const fullPath = path.resolve(__dirname, '..', linksFile);
+  if (directoryCache.has(fullPath)) {
+    return directoryCache.get(fullPath);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read link directory ${linksFile}: ${error.message}`);
+  }
+
+  const errors = validateLinkDirectory(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid link directory ${linksFile}: ${errors.join(', ')}`);
+  }
+
+  const directory = {
+    default: config.default,
+    links: Object.fromEntries(Object.entries(config.links).map(([key, link]) => [key, {
+      url: link.url,
+      use_for: link.use_for,
+      sections: link.sections || [],
+      keywords: (link.keywords || []).map(keyword => keyword.toLowerCase())
+    }]))
+  };
+  directoryCache.set(fullPath, directory);
+  return directory;
+}
+
+/**
+ * Validate a link directory config
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateLinkDirectory(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be a JSON object'];
+  }
+  if (!config.links || typeof config.links !== 'object' || Array.isArray(config.links) || Object.keys(config.links).length === 0) {
+    return ['links must be an object with at least one link'];
+  }
+
+  const errors = [];
+  for (const [key, link] of Object.entries(config.links)) {
+    if (!/^[a-z][a-z0-9_]*$/.test(key)) {
+      errors.push(`link key "${key}" must be lower-case letters, digits and underscores`);
+    }
+    if (!link || typeof link !== 'object') {
+      errors.push(`${key} must be an object`);
+      continue;
+    }
+    if (typeof link.url !== 'string' || !parseUrl(link.url)) {
+      errors.push(`${key}.url must be an http(s) URL`);
+    }
+    if (!link.use_for || typeof link.use_for !== 'string') {
+      errors.push(`${key}.use_for must be a string`);
+    }
+    for (const field of ['sections', 'keywords']) {
+      if (link[field] !== undefined && (!Array.isArray(link[field]) || link[field].some(value => !value || typeof value !== 'string'))) {
+        errors.push(`${key}.${field} must be an array of strings`);
+      }
+    }
+  }
+
+  if (!(config.default in config.links)) {
+    errors.push('default must be one of the link keys');
+  }
+
+  return errors;
+}
+
+/**
+ * Approved link URLs keyed by link key
+ * @returns {Object<string, string>}
+ */
+export function getLinkUrls(directory = getLinkDirectory()) {
+  return Object.fromEntries(Object.entries(directory.links).map(([key, link]) => [key, link.url]));
+}
+
+/**
+ * Resolve an approved link by key
+ * @param {string} key
+ * @returns {string}
+ */
+export function resolveLink(key, directory = getLinkDirectory()) {
+  const link = directory.links[key];
+  if (!link) {
+    throw new Error(`Unknown link key: ${key}`);
+  }
+  return link.url;
+}
+
+/**
+ * Key of the first link whose sections appear in the structure or whose keywords
+ * appear in the email goal; the directory default otherwise
+ * @param {{sequence?: string[], email_goal?: string}} structure
+ * @returns {string}
+ */
+export function matchLinkKey(structure, directory = getLinkDirectory()) {
+  const sequence = Array.isArray(structure?.sequence) ? structure.sequence : [];
+  const goal = typeof structure?.email_goal === 'string' ? structure.email_goal.toLowerCase() : '';
+
+  const match = Object.entries(directory.links).find(([, link]) =>
+    link.sections.some(section => sequence.includes(section)) ||
+    link.keywords.some(keyword => goal.includes(keyword))
+  );
+  return match ? match[0] : directory.default;
+}
+
+/**
+ * Which links an email may contain and how they are tagged
+ *
+ * - allowed: URL prefixes (scheme optional, "www." ignored) besides the link directory URLs
+ * - utm: parameters added to links on utm_hosts; campaign defaults to the email slug and
+ *   utm_content is always the section name. null turns tagging off.
+ * - sections: what to do with a link that isn't allowed, per section ("default" for the rest):
+ *   rewrite to a link directory key, or unwrap (drop the link, keep its text)
+ * - directory: the link directory (getLinkDirectory) the approved links and rewrite targets
+ *   come from; null uses the default file
+ */
+export const DEFAULT_LINK_POLICY = Object.freeze({
+  allowed: [
+    'vunked.com',
+    'builder.vunked.com',
+    'vunked.co.uk',
+    'cal.com/vunked',
+    'facebook.com/VunkedVans',
+    'instagram.com/vunkedvans',
+    'instagram.com/reel/',
+    'uk.trustpilot.com/review/vunked.co.uk'
+  ],
+  utm: {
+    source: 'klaviyo',
+    medium: 'email',
+    campaign: null
+  },
+  utm_hosts: ['vunked.com', 'builder.vunked.com', 'vunked.co.uk'],
+  sections: {
+    hero: { action: 'rewrite', link: 'homepage' },
+    'book-a-call': { action: 'rewrite', link: 'book_call' },
+    default: { action: 'unwrap' }
+  },
+  directory: null
+});
+
+/**
+ * Default link policy with overrides; utm: false turns UTM tagging off
+ * @param {Object} overrides - e.g. { utm: { campaign: 'spring-sale' }, directory: getLinkDirectory('data/links.json') }
+ * @returns {Object}
+ */
+export function createLinkPolicy(overrides = {}) {
+  return {
+    ...DEFAULT_LINK_POLICY,
+    ...overrides,
+    utm: overrides.utm === false ? null : { ...DEFAULT_LINK_POLICY.utm, ...overrides.utm },
+    sections: { ...DEFAULT_LINK_POLICY.sections, ...overrides.sections }
+  };
+}
+
+/**
+ * Check every <a href> in a section against the policy: allowed links get UTM parameters,
+ * other links are rewritten or unwrapped per the section rule. Merge tags
+ * ({% unsubscribe_link %}), mailto:, tel: and in-page anchors are left untouched.
+ *
+ * Works on the HTML string so the section's markup (MSO comments, attribute order) is kept.
+ *
+ * @param {string} html - Section HTML
+ * @param {string} sectionName - Section name (utm_content and the per-section rule)
+ * @param {Object} policy - Link policy (see createLinkPolicy)
+ * @param {string} campaign - utm_campaign when the policy doesn't set one
+ * @returns {{html: string, checked: number, tagged: number, changes: {section: string, action: string, from: string, to: string|null, reason: string}[]}}
+ */
+export function applyLinkPolicy(html, sectionName, policy, campaign = null) {
+  const rule = policy.sections[sectionName] || policy.sections.default || { action: 'unwrap' };
+  const changes = [];
+  let checked = 0;
+  let tagged = 0;
+
+  const output = html.replace(/<a\b([^>]*?)\bhref\s*=\s*(["'])([\s\S]*?)\2([^>]*)>([\s\S]*?)<\/a>/gi, (anchor, before, quote, rawHref, after, inner) => {
+    const href = rawHref.replace(/&amp;/g, '&').trim();
+    // A bare # is a placeholder; lint and the link check report it
+    if (!href || href === '#' || isExemptUrl(href)) {
+      return anchor;
+    }
+    checked++;
+
+    let target = href;
+    if (!isApprovedLink(href, policy)) {
+      if (rule.action === 'rewrite') {
+        const directory = policy.directory || getLinkDirectory();
+        target = (directory.links[rule.link] || directory.links[directory.default]).url;
+        changes.push({ section: sectionName, action: 'rewritten', from: href, to: target, reason: 'not an approved link' });
+      } else {
+        changes.push({ section: sectionName, action: 'removed', from: href, to: null, reason: 'not an approved link' });
+        return inner;
+      }
+    }
+
+    if (policy.utm && isOnHost(target, policy.utm_hosts)) {
+      const taggedUrl = addUtmParams(target, { ...policy.utm, campaign: policy.utm.campaign || campaign, content: sectionName });
+      if (taggedUrl !== target) {
+        tagged++;
+        target = taggedUrl;
+      }
+    }
+
+    if (target === href) {
+      return anchor;
+    }
+    const escaped = quote === '"' ? escapeHtml(target) : escapeHtml(target).replace(/'/g, '&#39;');
+    return `<a${before}href=${quote}${escaped}${quote}${after}>${inner}</a>`;
+  });
+
+  return { html: output, checked, tagged, changes };
+}
+
+/**
+ * Whether a URL is in the link directory or starts with one of the policy's allowed prefixes
+ * @param {string} href
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+export function isApprovedLink(href, policy = DEFAULT_LINK_POLICY) {
+  const url = parseUrl(href);
+  if (!url) {
+    return false;
+  }
+
+  const location = comparable(url);
+  return [...Object.values(getLinkUrls(policy.directory || getLinkDirectory())), ...policy.allowed].some(prefix => {
+    const allowed = comparable(parseUrl(/^https?:\/\//i.test(prefix) ? prefix : `https://${prefix}`));
+    return location === allowed || location.startsWith(allowed.endsWith('/') ? allowed : `${allowed}/`);
+  });
+}
+
+/**
+ * Add UTM parameters to a URL, keeping any it already has
+ * @param {string} href
+ * @param {{source?: string, medium?: string, campaign?: string, content?: string}} utm
+ * @returns {string}
+ */
+export function addUtmParams(href, utm) {
+  const url = parseUrl(href);
+  if (!url) {
+    return href;
+  }
+
+  for (const [key, value] of Object.entries(utm)) {
+    if (value && !url.searchParams.has(`utm_${key}`)) {
+      url.searchParams.set(`utm_${key}`, value);
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Print the rewrites and removals of a link report
+ */
+export function logLinkReport(report) {
+  log.info(`  Links: ${report.checked} checked, ${report.tagged} UTM-tagged, ${report.rewritten} rewritten, ${report.removed} removed`);
+  for (const change of report.changes) {
+    const icon = change.action === 'removed' ? '❌' : '⚠️ ';
+    log.info(`  ${icon} [${change.section}] ${change.action} ${change.from}${change.to ? ` → ${change.to}` : ''}`);
+  }
+}
+
+function isOnHost(href, hosts) {
+  const url = parseUrl(href);
+  if (!url) {
+    return false;
+  }
+  const host = url.hostname.replace(/^www\./, '');
+  return hosts.some(allowed => host === allowed.replace(/^www\./, ''));
+}
+
+function parseUrl(href) {
+  try {
+    const url = new URL(href);
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * host + path, lower-cased, without "www." or a trailing slash
+ */
+function comparable(url) {
+  return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`.toLowerCase();
+}
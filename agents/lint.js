@@ -0,0 +1,209 @@
+import { JSDOM } from 'jsdom';
+import { checkDarkModeContrast, DARK_MODES } from './darkmode.js';
+import { log } from './logger.js';
+
+export const SEVERITIES = Object.freeze(['info', 'warning', 'error']);
+
+// Gmail clips messages larger than ~102KB and hides the rest behind "View entire message"
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+
+/**
+ * CSS that major email clients (Outlook desktop, Gmail, Yahoo) strip or ignore
+ */
+const UNSUPPORTED_CSS = [
+  { pattern: /display\s*:\s*(inline-)?(flex|grid)/i, severity: 'warning', reason: 'flexbox/grid layout is ignored by Outlook and older Gmail apps' },
+  { pattern: /(^|;|\s)position\s*:/i, severity: 'warning', reason: 'position is stripped by Gmail and Outlook' },
+  { pattern: /(^|;|\s)(transform|animation|transition)\s*:/i, severity: 'warning', reason: 'transforms and animations are unsupported in most clients' },
+  { pattern: /var\(\s*--/i, severity: 'warning', reason: 'CSS custom properties are unsupported in Gmail and Outlook' },
+  { pattern: /(^|;|\s)filter\s*:/i, severity: 'warning', reason: 'filter is unsupported in most clients' },
+  { pattern: /box-shadow\s*:/i, severity: 'info', reason: 'box-shadow is ignored by Outlook desktop' },
+  { pattern: /(^|;|\s)opacity\s*:/i, severity: 'info', reason: 'opacity is ignored by Outlook desktop' },
+  { pattern: /background-image\s*:\s*url\(/i, severity: 'info', reason: 'background images need a VML fallback in Outlook desktop' }
+];
+
+const PLACEHOLDER_HREF = /insert\s*link|^https?:\/\/?$|^#$|^$/i;
+
+/**
+ * Lint assembled email HTML against email-client constraints
+ * @param {string} html - Complete email HTML
+ * @returns {{ok: boolean, size_bytes: number, summary: Object, issues: Array}}
+ */
+export function lintEmail(html) {
+  const issues = [];
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+
+  const addIssue = (rule, severity, message, element = null) => {
+    issues.push({
+      rule,
+      severity,
+      message,
+      ...(element ? { excerpt: excerpt(element) } : {})
+    });
+  };
+
+  // Unsupported CSS in inline styles
+  for (const element of doc.querySelectorAll('[style]')) {
+    const style = element.getAttribute('style');
+    for (const rule of UNSUPPORTED_CSS) {
+      if (rule.pattern.test(style)) {
+        addIssue('unsupported-css', rule.severity, `Inline style uses unsupported CSS: ${rule.reason}`, element);
+      }
+    }
+  }
+
+  // Unsupported CSS and imports in <style> blocks
+  for (const styleBlock of doc.querySelectorAll('style')) {
+    const css = styleBlock.textContent;
+    for (const rule of UNSUPPORTED_CSS) {
+      if (rule.pattern.test(css)) {
+        addIssue('unsupported-css', rule.severity, `<style> block uses unsupported CSS: ${rule.reason}`);
+      }
+    }
+    if (/@import/i.test(css)) {
+      addIssue('unsupported-css', 'warning', '<style> block uses @import, which most clients strip');
+    }
+  }
+
+  for (const link of doc.querySelectorAll('link[rel="stylesheet"]')) {
+    addIssue('unsupported-css', 'warning', 'External stylesheets are stripped by most clients', link);
+  }
+
+  // Images need alt text
+  for (const img of doc.querySelectorAll('img')) {
+    if (!img.hasAttribute('alt')) {
+      addIssue('img-alt', 'warning', `Image has no alt attribute: ${img.getAttribute('src') || '(no src)'}`, img);
+    }
+  }
+
+  // Layout tables should be hidden from screen readers
+  for (const table of doc.querySelectorAll('table')) {
+    if (table.getAttribute('role') !== 'presentation') {
+      addIssue('table-role', 'info', 'Layout table is missing role="presentation"', table);
+    }
+  }
+
+  // Leftover placeholder links
+  for (const link of doc.querySelectorAll('a')) {
+    const href = (link.getAttribute('href') || '').trim();
+    if (PLACEHOLDER_HREF.test(href)) {
+      addIssue('placeholder-href', 'error', `Link still has a placeholder href: "${href}"`, link);
+    }
+  }
+
+  // Dark mode: without a color-scheme declaration clients invert the colours themselves
+  if (!doc.querySelector('meta[name="color-scheme"]')) {
+    addIssue('color-scheme', 'info', 'No color-scheme meta: dark-mode clients will invert the colours themselves');
+  }
+  for (const loss of checkDarkModeContrast(doc)) {
+    const where = loss.section ? `In ${loss.section}, ` : '';
+    const count = loss.count > 1 ? ` (${loss.count} elements)` : '';
+    addIssue(
+      'dark-mode-contrast',
+      'warning',
+      `${where}${loss.text} text on ${loss.background} drops to ${loss.ratio}:1 contrast (${loss.dark_text} on ${loss.dark_background}, needs ${loss.required}:1) with ${DARK_MODES[loss.mode]}${count}`,
+      loss.element
+    );
+  }
+
+  // MSO conditional comments must open and close in pairs
+  const conditionalOpens = (html.match(/<!--\[if[^\]]*\]>/gi) || []).length;
+  const conditionalCloses = (html.match(/<!\[endif\]-->/gi) || []).length;
+  if (conditionalOpens !== conditionalCloses) {
+    addIssue(
+      'mso-conditionals',
+      'error',
+      `Unbalanced MSO conditional comments: ${conditionalOpens} "<!--[if ...]>" vs ${conditionalCloses} "<![endif]-->"`
+    );
+  }
+
+  // Gmail clipping
+  const sizeBytes = Buffer.byteLength(html, 'utf-8');
+  if (sizeBytes > GMAIL_CLIP_BYTES) {
+    addIssue('html-size', 'error', `HTML is ${formatKb(sizeBytes)}, over Gmail's ${formatKb(GMAIL_CLIP_BYTES)} clipping limit`);
+  } else if (sizeBytes > GMAIL_CLIP_BYTES * 0.9) {
+    addIssue('html-size', 'warning', `HTML is ${formatKb(sizeBytes)}, close to Gmail's ${formatKb(GMAIL_CLIP_BYTES)} clipping limit`);
+  }
+
+  const summary = { error: 0, warning: 0, info: 0 };
+  for (const issue of issues) {
+    summary[issue.severity]++;
+  }
+
+  return {
+    ok: summary.error === 0,
+    size_bytes: sizeBytes,
+    summary,
+    issues
+  };
+}
+
+/**
+ * Whether a lint report should fail the run at the given severity threshold
+ * @param {Object} report - Report from lintEmail
+ * @param {'info'|'warning'|'error'} failOn - Lowest severity that fails the run
+ * @returns {boolean}
+ */
+export function shouldFailLint(report, failOn) {
+  if (!failOn) {
+    return false;
+  }
+
+  const threshold = SEVERITIES.indexOf(failOn);
+  if (threshold === -1) {
+    throw new Error(`Unknown lint severity "${failOn}". Use one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  return report.issues.some(issue => SEVERITIES.indexOf(issue.severity) >= threshold);
+}
+
+/**
+ * Print a one-line-per-rule summary of a lint report
+ */
+export function logLintReport(report) {
+  log.info(`  Size: ${formatKb(report.size_bytes)}`);
+  logSeverityReport(report);
+}
+
+/**
+ * Print the severity counts of a lint, compliance or accessibility report, any extra
+ * detail lines, then one line per rule
+ * @param {Object} report - Report with summary ({error, warning, info, fixable?}) and issues ({rule, severity})
+ * @param {string[]} details - Lines printed between the counts and the rules
+ */
+export function logSeverityReport(report, details = []) {
+  const byRule = {};
+  for (const issue of report.issues) {
+    const key = `${issue.severity}:${issue.rule}`;
+    byRule[key] = (byRule[key] || 0) + 1;
+  }
+
+  const fixable = report.summary.fixable === undefined ? '' : ` (${report.summary.fixable} auto-fixable)`;
+  log.info(`  Errors: ${report.summary.error}, Warnings: ${report.summary.warning}, Info: ${report.summary.info}${fixable}`);
+  for (const line of details) {
+    log.info(`  ${line}`);
+  }
+  for (const [key, count] of Object.entries(byRule)) {
+    const [severity, rule] = key.split(':');
+    log.info(`  ${severityIcon(severity)} ${rule}: ${count}`);
+  }
+}
+
+/**
+ * Icon printed before an issue of the given severity
+ */
+export function severityIcon(severity) {
+  return severity === 'error' ? '❌' : severity === 'warning' ? '⚠️ ' : 'ℹ️ ';
+}
+
+/**
+ * An element's markup on one line, cut to 120 characters, to point at it in a report
+ */
+export function excerpt(element) {
+  const html = element.outerHTML.replace(/\s+/g, ' ');
+  return html.length > 120 ? `${html.substring(0, 117)}...` : html;
+}
+
+function formatKb(bytes) {
+  return `${(bytes / 1024).toFixed(1)}KB`;
+}
@@ -0,0 +1,77 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Logger used when none is injected: info/warn/error go to the console
+ */
+export const consoleLogger = Object.freeze({
+  info: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+});
+
+/**
+ * Logger that drops everything (warnings are still collected in the run's result)
+ */
+export const silentLogger = Object.freeze({
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+});
+
+const storage = new AsyncLocalStorage();
+const defaultContext = { logger: consoleLogger, timers: new Map(), warnings: null };
+
+/**
+ * Run fn with a logger: every log.* call made while it runs (including in awaited
+ * stages) goes to that logger, so concurrent runs can log to different places.
+ * Warnings logged during the run are collected in `warnings`.
+ *
+ * @param {{info?: Function, warn?: Function, error?: Function}} logger - Missing methods are ignored
+ * @param {Function} fn - async ({ warnings }) => result
+ */
+export function withLogger(logger, fn) {
+  const context = {
+    logger: {
+      info: logger?.info?.bind(logger) || (() => {}),
+      warn: logger?.warn?.bind(logger) || (() => {}),
+      error: logger?.error?.bind(logger) || (() => {})
+    },
+    timers: new Map(),
+    warnings: []
+  };
+  return storage.run(context, () => fn({ warnings: context.warnings }));
+}
+
+/**
+ * Logging for every module. Writes to the logger set by withLogger, or the console.
+ */
+export const log = {
+  info(...args) {
+    current().logger.info(...args);
+  },
+  warn(...args) {
+    const context = current();
+    context.warnings?.push(args.map(String).join(' ').replace(/^\W*(Warning:\s*)?/, ''));
+    context.logger.warn(...args);
+  },
+  error(...args) {
+    current().logger.error(...args);
+  },
+  // console.time/timeEnd replacements ("label: 1.234s")
+  time(label) {
+    current().timers.set(label, Date.now());
+  },
+  timeEnd(label) {
+    const { timers, logger } = current();
+    if (!timers.has(label)) {
+      return;
+    }
+    const ms = Date.now() - timers.get(label);
+    timers.delete(label);
+    logger.info(`${label}: ${ms >= 1000 ? `${(ms / 1000).toFixed(3)}s` : `${ms}ms`}`);
+  }
+};
+
+function current() {
+  return storage.getStore() || defaultContext;
+}
@@ -1,69 +1,24 @@
-import OpenAI from 'openai';
+import { createProvider } from './provider.js';
+import { getSectionManifests, describeSections, buildSlotsSchema, normalizeSlots, normalizeSequence, getDefaultSlots } from './sections.js';
 import { validatePlan } from './utils.js';
-
-const SECTION_LIBRARY = {
-  hero: {
-    category: 'General',
-    summary: 'Hero banner with headline, supporting copy, and CTA. Always the first section.'
-  },
-  'simple-body': {
-    category: 'Educational',
-    summary: 'Flexible content blocks for storytelling, guides, and updates. Use 2-4 per email.'
-  },
-  'six-summary-cards': {
-    category: 'Educational',
-    summary: 'Six-card grid for summarising key takeaways. Use when content is an educational guide or insights list.'
-  },
-  'selling-points-what-you-get': {
-    category: 'Product',
-    summary: 'Three benefit cards that spotlight what customers receive. Ideal for product launches, offers, or kit promotions.'
-  },
-  'social-media-van-conversions': {
-    category: 'Social Proof',
-    summary: 'Community spotlight cards featuring social posts. Use to build trust or highlight real installations.'
-  },
-  'book-a-call': {
-    category: 'General CTA',
-    summary: 'Consultation CTA for readers ready to speak with Vunked. Place near the end for sales-oriented emails.'
-  },
-  contact: {
-    category: 'General',
-    summary: 'Standard contact information block. Include when closing with next steps or support.'
-  },
-  signature: {
-    category: 'General',
-    summary: 'Friendly sign-off from the Vunked team. Always place before the footer.'
-  },
-  footer: {
-    category: 'General',
-    summary: 'Legal footer with company info and unsubscribe links. Always the final section.'
-  }
-};
+import { describeBrand, STAGE_BRAND_FIELDS } from './brand.js';
+import { describeArticle } from './article.js';
+import { log } from './logger.js';
 
 /**
  * Create email plan using OpenAI Responses API
  * @param {Object} blogData - Blog content with title and text
- * @param {string} brandGuidelines - Brand guidelines markdown content
+ * @param {Object|string} brand - Parsed brand guidelines (parseBrandGuidelines) or the markdown
  * @param {string[]} availableSections - List of available section names
  * @param {string} model - Model to use (default: o3-mini)
  * @param {string} sourceUrl - Original blog URL if available
+ * @param {Object} provider - Model provider (default: created from environment)
+ * @param {Object} manifests - Section manifests (default: sections/*.json; pass getSectionManifests(sectionsDir) for --sections)
  * @returns {Promise<Object>} Plan object with subject, preview, sequence, and slots
  */
-export async function createPlan(blogData, brandGuidelines, availableSections, model = 'gpt-5-mini', sourceUrl = null) {
-  const apiKey = process.env.OPEN_API_KEY_CURSOR || process.env.OPENAI_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('OPEN_API_KEY_CURSOR or OPENAI_API_KEY environment variable is not set');
-  }
-  
-  const openai = new OpenAI({
-    apiKey,
-    timeout: 120_000,
-    maxRetries: 1
-  });
-  
+export async function createPlan(blogData, brand, availableSections, model = 'gpt-5-mini', sourceUrl = null, provider = createProvider(), manifests = getSectionManifests()) {
   // Build the prompt
-  const prompt = buildPlanPrompt(blogData, brandGuidelines, availableSections, sourceUrl);
+  const prompt = buildPlanPrompt(blogData, brand, availableSections, sourceUrl, manifests);
   
   // Define the JSON schema for the response
   const schema = {
@@ -82,73 +37,7 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
         items: { type: "string" },
         description: "Ordered list of section names to include in email"
       },
-      slots: {
-        type: "object",
-        description: "Content for each section",
-        properties: {
-          hero: {
-            type: "object",
-            properties: {
-              title: { type: "string" },
-              subtitle: { type: "string" },
-              cta_text: { type: "string" },
-              cta_url: { type: "string" }
-            },
-            required: ["title", "subtitle", "cta_text", "cta_url"],
-            additionalProperties: false
-          },
-          simple_body: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                html: { type: "string" }
-              },
-              required: ["html"],
-              additionalProperties: false
-            }
-          },
-          book_a_call: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          footer: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          contact: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          signature: { 
-            type: "object",
-            properties: {},
-            required: [],
-            additionalProperties: false
-          },
-          six_summary_cards: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                title: { type: "string" },
-                description: { type: "string" },
-                emoji: { type: "string" }
-              },
-              required: ["title", "description", "emoji"],
-              additionalProperties: false
-            }
-          }
-        },
-        required: ["hero", "simple_body", "book_a_call", "footer", "contact", "signature", "six_summary_cards"],
-        additionalProperties: false
-      }
+      slots: buildSlotsSchema(manifests)
     },
     required: ["subject", "preview", "sequence", "slots"],
     additionalProperties: false
@@ -157,99 +46,58 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
   const systemPrompt = "You are an expert email marketing strategist. Generate structured email plans in JSON format based on blog content and brand guidelines.";
 
   const attemptPlan = async (modelName) => {
-    console.log(`Calling OpenAI Responses API with model: ${modelName}`);
-    console.log(`  Prompt length: ${prompt.length} characters`);
+    log.info(`Calling OpenAI Responses API with model: ${modelName} (provider: ${provider.mode})`);
+    log.info(`  Prompt length: ${prompt.length} characters`);
 
     const timerLabel = `plan:openai_request (${modelName})`;
-    console.time(timerLabel);
+    log.time(timerLabel);
     try {
-      const completion = await openai.responses.create({
-        model: modelName,
-        input: `${systemPrompt}\n\n${prompt}`,
-        text: {
-          format: {
-            name: "email_plan",
-            type: "json_schema",
-            schema: schema,
-            strict: true
-          }
-        },
-        max_output_tokens: 4000
+      const completion = await provider.complete('plan', {
+        api: 'responses',
+        client: { timeout: 120_000, maxRetries: 1 },
+        params: {
+          model: modelName,
+          input: `${systemPrompt}\n\n${prompt}`,
+          text: {
+            format: {
+              name: "email_plan",
+              type: "json_schema",
+              schema: schema,
+              strict: true
+            }
+          },
+          max_output_tokens: 4000
+        }
       });
-      console.timeEnd(timerLabel);
+      log.timeEnd(timerLabel);
       
       // Debug: log the raw response structure
-      console.log('Raw response keys:', Object.keys(completion));
-      console.log('output_text type:', typeof completion.output_text);
-      console.log('output_text value:', completion.output_text ? completion.output_text.substring(0, 200) : 'null/undefined');
+      log.info('Raw response keys:', Object.keys(completion));
+      log.info('output_text type:', typeof completion.output_text);
+      log.info('output_text value:', completion.output_text ? completion.output_text.substring(0, 200) : 'null/undefined');
       if (completion.output) {
-        console.log('Output structure:', JSON.stringify(completion.output, null, 2).substring(0, 500));
+        log.info('Output structure:', JSON.stringify(completion.output, null, 2).substring(0, 500));
       }
       if (completion.text) {
-        console.log('Text field:', JSON.stringify(completion.text, null, 2).substring(0, 500));
+        log.info('Text field:', JSON.stringify(completion.text, null, 2).substring(0, 500));
       }
 
       const responseText = extractResponseText(completion);
       if (!responseText) {
-        console.log('Extraction failed. Full response:', JSON.stringify(completion, null, 2).substring(0, 1000));
+        log.info('Extraction failed. Full response:', JSON.stringify(completion, null, 2).substring(0, 1000));
         throw new Error('Empty response from plan model');
       }
 
       const plan = JSON.parse(responseText);
 
     // Normalize slot keys to match section filenames
-    const slotKeyMap = {
-      hero: 'hero',
-      simple_body: 'simple-body',
-      book_a_call: 'book-a-call',
-      footer: 'footer',
-      contact: 'contact',
-      signature: 'signature',
-      six_summary_cards: 'six-summary-cards'
-    };
-
     if (plan.sequence) {
-      plan.sequence = plan.sequence.map(section => slotKeyMap[section] || section);
+      plan.sequence = normalizeSequence(plan.sequence, manifests);
     }
 
-    if (plan.slots) {
-      const normalizedSlots = {};
-      for (const [key, value] of Object.entries(plan.slots)) {
-        const normalizedKey = slotKeyMap[key] || key;
-        normalizedSlots[normalizedKey] = value;
-      }
-
-      // Ensure optional static slots exist with defaults
-      const defaultSlots = {
-        hero: { title: '', subtitle: '', cta_text: '', cta_url: '' },
-        'simple-body': [],
-        'six-summary-cards': [],
-        'book-a-call': {},
-        footer: {},
-        contact: {},
-        signature: {}
-      };
-
-      for (const [slotKey, defaultValue] of Object.entries(defaultSlots)) {
-        if (!(slotKey in normalizedSlots)) {
-          normalizedSlots[slotKey] = Array.isArray(defaultValue)
-            ? []
-            : { ...defaultValue };
-        }
-      }
-
-      plan.slots = normalizedSlots;
-    } else {
-      plan.slots = {
-        hero: { title: '', subtitle: '', cta_text: '', cta_url: '' },
-        'simple-body': [],
-        'six-summary-cards': [],
-        'book-a-call': {},
-        footer: {},
-        contact: {},
-        signature: {}
-      };
-    }
+    plan.slots = plan.slots
+      ? normalizeSlots(plan.slots, manifests)
+      : structuredClone(getDefaultSlots(manifests));
     
     // Validate the plan
     const validation = validatePlan(plan);
@@ -260,7 +108,7 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
     // Ensure sequence only uses available sections
     const invalidSections = plan.sequence.filter(s => !availableSections.includes(s));
     if (invalidSections.length > 0) {
-      console.warn(`Warning: Plan includes unavailable sections: ${invalidSections.join(', ')}`);
+      log.warn(`Warning: Plan includes unavailable sections: ${invalidSections.join(', ')}`);
       plan.sequence = plan.sequence.filter(s => availableSections.includes(s));
     }
     
@@ -274,18 +122,18 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
       if (cardsIndex === -1 && simpleBodyIndex !== -1) {
         // Insert cards immediately after simple-body
         plan.sequence.splice(simpleBodyIndex + 1, 0, 'six-summary-cards');
-        console.log('✓ Inserted six-summary-cards after simple-body');
+        log.info('✓ Inserted six-summary-cards after simple-body');
       } else if (cardsIndex !== -1 && simpleBodyIndex !== -1 && cardsIndex !== simpleBodyIndex + 1) {
         // Move to correct position
         plan.sequence.splice(cardsIndex, 1);
         plan.sequence.splice(simpleBodyIndex + 1, 0, 'six-summary-cards');
-        console.log('✓ Moved six-summary-cards after simple-body');
+        log.info('✓ Moved six-summary-cards after simple-body');
       }
     } else if (cardsIndex !== -1) {
       // Remove section if no cards provided
       plan.sequence.splice(cardsIndex, 1);
       plan.slots['six-summary-cards'] = [];
-      console.log('✓ Removed six-summary-cards from sequence (no cards provided)');
+      log.info('✓ Removed six-summary-cards from sequence (no cards provided)');
     }
 
     // Ensure signature is always included before footer
@@ -299,7 +147,7 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
       if (!plan.slots.signature) {
         plan.slots.signature = {};
       }
-      console.log('✓ Added signature section before footer');
+      log.info('✓ Added signature section before footer');
     } else if (hasSignature && hasFooter) {
       // Ensure signature comes before footer
       const signatureIndex = plan.sequence.indexOf('signature');
@@ -307,18 +155,18 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
         // Move signature before footer
         plan.sequence.splice(signatureIndex, 1);
         plan.sequence.splice(footerIndex, 0, 'signature');
-        console.log('✓ Moved signature section before footer');
+        log.info('✓ Moved signature section before footer');
       }
     }
     
-      console.log('✓ Email plan generated successfully');
-      console.log(`  Subject: ${plan.subject}`);
-      console.log(`  Sections: ${plan.sequence.join(' → ')}`);
+      log.info('✓ Email plan generated successfully');
+      log.info(`  Subject: ${plan.subject}`);
+      log.info(`  Sections: ${plan.sequence.join(' → ')}`);
 
       return plan;
     } catch (error) {
       try {
-        console.timeEnd(timerLabel);
+        log.timeEnd(timerLabel);
       } catch (_) {
         // ignore timer errors (already ended or timer not started)
       }
@@ -330,7 +178,7 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
     return await attemptPlan(model);
   } catch (error) {
     if (isModelUnavailableError(error) && model !== 'gpt-4o-mini') {
-      console.warn(`Model ${model} not available on Responses API, falling back to gpt-4o-mini`);
+      log.warn(`Model ${model} not available on Responses API, falling back to gpt-4o-mini`);
       return await attemptPlan('gpt-4o-mini');
     }
     throw new Error(`Failed to create plan: ${error.message}`);
@@ -340,18 +188,12 @@ export async function createPlan(blogData, brandGuidelines, availableSections, m
 /**
  * Build the prompt for plan generation
  */
-function buildPlanPrompt(blogData, brandGuidelines, availableSections, sourceUrl = null) {
+function buildPlanPrompt(blogData, brand, availableSections, sourceUrl = null, manifests = getSectionManifests()) {
   const urlContext = sourceUrl ? `\n**Source URL:** ${sourceUrl}` : '';
   const ctaGuidance = sourceUrl 
     ? `- Use source URL (${sourceUrl}) for the hero CTA if promoting the blog post`
     : `- Use https://builder.vunked.com for product/system emails, or https://vunked.com/ for general promotional emails`;
-  const sectionDetails = availableSections.map(sectionName => {
-    const meta = SECTION_LIBRARY[sectionName];
-    if (!meta) {
-      return `- ${sectionName}`;
-    }
-    return `- ${sectionName} [${meta.category}]: ${meta.summary}`;
-  });
+  const sectionDetails = describeSections(availableSections, manifests);
   
   return `
 # Task: Generate Email Plan
@@ -362,10 +204,10 @@ You are creating a structured plan for an HTML email based on the provided blog
 **Title:** ${blogData.blog_title}${urlContext}
 
 **Content:**
-${blogData.blog_text.substring(0, 3000)}${blogData.blog_text.length > 3000 ? '...' : ''}
+${describeArticle(blogData, 3000)}
 
 ## Brand Guidelines
-${brandGuidelines.substring(0, 2000)}
+${describeBrand(brand, STAGE_BRAND_FIELDS.plan)}
 
 ## Available Email Sections
 ${sectionDetails.join('\n')}
@@ -387,6 +229,8 @@ ${sectionDetails.join('\n')}
 - **hero**: Dynamic hero section with title, subtitle, and CTA button
 - **simple-body**: Dynamic body content (H3 headings + paragraphs)
 - **six-summary-cards**: Optional visual grid showcasing 6 key points/topics (USE ONLY for educational/blog content)
+- **selling-points-what-you-get**: Dynamic benefit cards (title, description, image from a curated list)
+- **social-media-van-conversions**, **testimonials**: Dynamic, picked by ID from curated lists
 - **book-a-call**, **contact**, **signature**, **footer**: Static sections (use as-is)
 
 ### Slots Object Schema
@@ -398,6 +242,9 @@ Use the following property names inside the slots object (note the underscores):
 - contact → static contact block (leave {} if unused)
 - signature → static signature (leave {} if unused)
 - six_summary_cards → optional visual grid with 6 key topics/cards from blog content (array of 6 objects with title and description)
+- selling_points_what_you_get → array of 3 benefits with title, description and image_id (allowed IDs are listed in the schema)
+- social_media_van_conversions → array of 1-2 { post_id } picks (allowed IDs are listed in the schema)
+- testimonials → array of 2-4 { testimonial_id } picks (allowed IDs are listed in the schema)
 
 The sequence array should list actual section filenames (e.g., hero, simple-body, book-a-call, footer, etc.).
 
@@ -429,7 +276,7 @@ ${ctaGuidance}
    - SKIP if: Email is promotional (sales, discounts), transactional, or simple announcements
    - Position: ALWAYS after simple-body, before book-a-call
    - Content: Extract 6 key topics/takeaways from the blog content to populate the cards
-6. Static sections (book-a-call, contact, signature, footer) should return empty objects {} unless specific copy is provided. If six-summary-cards is NOT used, return an empty array [].
+6. Static sections (book-a-call, contact, signature, footer) should return empty objects {} unless specific copy is provided. If six-summary-cards, selling-points-what-you-get, social-media-van-conversions or testimonials are NOT used, return an empty array [] for them.
 7. **IMPORTANT**: Always include 'signature' in the sequence, positioned BEFORE 'footer'
 8. Match Vunked's brand voice: friendly, knowledgeable, empowering
 9. Use brand colors in your planning: Burnt Orange (#E76F51), Navy Blue (#264653)
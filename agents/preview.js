@@ -0,0 +1,389 @@
+import http from 'http';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeHtml } from './utils.js';
+import { log } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PREVIEW_PORT = 4000;
+
+// Directories served by default, relative to the project root
+export const PREVIEW_DIRS = Object.freeze(['output', 'saved_emails']);
+
+// Frame widths: mobile sits below the 480px breakpoint of the sections' mobile-stack-column queries
+export const PREVIEW_WIDTHS = Object.freeze({ mobile: 375, desktop: 800 });
+
+// Wait for a burst of file events (an editor save, a render writing several files) to settle
+const WATCH_DEBOUNCE_MS = 150;
+
+// Full-page inversion like the Gmail and Outlook apps apply; images are inverted back
+const DARK_MODE_STYLE = '<style id="preview-dark-mode">html{filter:invert(1) hue-rotate(180deg);background:#fff}img,[background],[style*="background-image"]{filter:invert(1) hue-rotate(180deg)}</style>';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Serve the generated emails for review: an index of every email, and a viewer with the
+ * HTML at mobile and desktop widths side by side, a simulated dark mode and the plain text.
+ *
+ * Open viewers reload when their email's files change. When a .plan.json changes, or a
+ * section template while an email is open, the email is re-rendered first with `render`.
+ *
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} options.host - Interface to listen on (default: localhost only)
+ * @param {string[]} options.dirs - Directories of emails, relative to the project root
+ * @param {string} options.sectionsDir - Section templates to watch
+ * @param {(planFile: string) => Promise<Object>} options.render - Re-render an email from its plan file
+ *   (see api.js renderEmail); without it, changes to plans and sections only reload
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+export async function startPreviewServer({ port = PREVIEW_PORT, host = '127.0.0.1', dirs = PREVIEW_DIRS, sectionsDir = 'sections', render = null } = {}) {
+  const roots = resolveRoots(dirs);
+  const clients = new Set();
+
+  const notify = (email, event, data = {}) => {
+    for (const client of clients) {
+      if (!email || client.email === email) {
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify({ email, ...data })}\n\n`);
+      }
+    }
+  };
+
+  const rerender = async (planFile, email) => {
+    if (!render) {
+      notify(email, 'reload');
+      return;
+    }
+    try {
+      const result = await render(planFile);
+      log.info(`↻ Re-rendered ${email} (lint: ${result.lint.summary.error} errors, ${result.lint.summary.warning} warnings)`);
+    } catch (error) {
+      log.warn(`⚠️  Failed to re-render ${email}: ${error.message}`);
+      notify(email, 'render-error', { message: error.message });
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, roots, clients).catch((error) => {
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      res.end(`Preview error: ${error.message}`);
+    });
+  });
+
+  const watchers = [];
+  for (const [key, root] of roots) {
+    const emailOf = file => `${key}/${file.replace(/\.(plan\.json|txt)$/, '.html')}`;
+    // A render rewrites the .html and .txt together: one reload per email, but plan edits on their own
+    watchers.push(watchDirectory(root, file => (file.endsWith('.plan.json') ? file : emailOf(file)), (file) => {
+      const email = emailOf(file);
+      if (file.endsWith('.plan.json')) {
+        return rerender(path.join(root, file), email);
+      }
+      if (/\.(html|txt)$/.test(file)) {
+        notify(email, 'reload');
+      }
+    }));
+  }
+  watchers.push(watchDirectory(path.resolve(__dirname, '..', sectionsDir), () => 'sections', async (file) => {
+    if (!file.endsWith('.html')) {
+      return;
+    }
+    // Re-render the open emails that have a plan; the others just reload
+    const open = [...new Set([...clients].map(client => client.email))];
+    for (const email of open) {
+      const planFile = emailPath(roots, email)?.replace(/\.html$/, '.plan.json');
+      if (planFile && fs.existsSync(planFile)) {
+        await rerender(planFile, email);
+      } else {
+        notify(email, 'reload');
+      }
+    }
+  }));
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${address.port}/`,
+    async close() {
+      watchers.forEach(watcher => watcher?.close());
+      for (const client of clients) {
+        client.res.end();
+      }
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Emails in the served directories, newest first, with the subject and sibling files
+ * @param {string[]} dirs - Relative to the project root (or absolute)
+ * @returns {Promise<{id: string, dir: string, subject: string, modified: Date, text: boolean, plan: boolean}[]>}
+ *   id is "<dir name>/<file>.html", as used in preview URLs
+ */
+export async function listEmails(dirs = PREVIEW_DIRS) {
+  const emails = [];
+  for (const [key, root] of resolveRoots(dirs)) {
+    let files;
+    try {
+      files = await fsp.readdir(root);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.html'))) {
+      const base = path.join(root, file.replace(/\.html$/, ''));
+      const stat = await fsp.stat(`${base}.html`);
+      emails.push({
+        id: `${key}/${file}`,
+        dir: key,
+        subject: await readSubject(base),
+        modified: stat.mtime,
+        text: fs.existsSync(`${base}.txt`),
+        plan: fs.existsSync(`${base}.plan.json`)
+      });
+    }
+  }
+  return emails.sort((a, b) => b.modified - a.modified);
+}
+
+async function handleRequest(req, res, roots, clients) {
+  const url = new URL(req.url, 'http://localhost');
+  const route = decodeURIComponent(url.pathname);
+
+  if (route === '/') {
+    return send(res, 200, 'text/html; charset=utf-8', renderIndexPage(await listEmails([...roots.values()])));
+  }
+
+  if (route === '/events') {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write(': connected\n\n');
+    const client = { email: url.searchParams.get('email'), res };
+    clients.add(client);
+    req.on('close', () => clients.delete(client));
+    return;
+  }
+
+  if (route.startsWith('/view/')) {
+    const email = route.slice('/view/'.length);
+    const file = emailPath(roots, email);
+    if (!file || !fs.existsSync(file)) {
+      return send(res, 404, 'text/plain; charset=utf-8', `No email ${email}`);
+    }
+    const base = file.replace(/\.html$/, '');
+    return send(res, 200, 'text/html; charset=utf-8', renderViewerPage(email, await readSubject(base), fs.existsSync(`${base}.txt`)));
+  }
+
+  if (route.startsWith('/raw/')) {
+    const file = emailPath(roots, route.slice('/raw/'.length));
+    let content;
+    try {
+      content = file ? await fsp.readFile(file) : null;
+    } catch {
+      content = null;
+    }
+    if (!content) {
+      return send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+    }
+    const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    if (file.endsWith('.html') && url.searchParams.has('dark')) {
+      return send(res, 200, type, withDarkMode(content.toString('utf-8')));
+    }
+    return send(res, 200, type, content);
+  }
+
+  return send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+}
+
+/**
+ * Served directories keyed by their name (as used in URLs); a repeated name gets a number
+ */
+function resolveRoots(dirs) {
+  const roots = new Map();
+  for (const dir of dirs) {
+    const root = path.resolve(__dirname, '..', dir);
+    let key = path.basename(root);
+    for (let index = 2; roots.has(key); index++) {
+      key = `${path.basename(root)}-${index}`;
+    }
+    roots.set(key, root);
+  }
+  return roots;
+}
+
+/**
+ * Absolute path of "<dir name>/<file>" inside a served directory; null for anything else
+ * (unknown directories, subdirectories, "..")
+ */
+function emailPath(roots, id) {
+  const [key, file, ...rest] = (id || '').split('/');
+  const root = roots.get(key);
+  if (!root || !file || rest.length > 0 || file === '..' || file === '.') {
+    return null;
+  }
+  return path.join(root, file);
+}
+
+async function readSubject(base) {
+  try {
+    const meta = JSON.parse(await fsp.readFile(`${base}.meta.json`, 'utf-8'));
+    if (meta.subject) {
+      return meta.subject;
+    }
+  } catch {
+    // no meta file (e.g. saved_emails); fall back to the <title>
+  }
+  const html = await fsp.readFile(`${base}.html`, 'utf-8').catch(() => '');
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim();
+  return title || path.basename(base);
+}
+
+/**
+ * fs.watch a directory; changes with the same key within WATCH_DEBOUNCE_MS are reported once,
+ * with the last file that changed
+ */
+function watchDirectory(dir, keyOf, onChange) {
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+
+  const timers = new Map();
+  const watcher = fs.watch(dir, (event, file) => {
+    if (!file) {
+      return;
+    }
+    const key = keyOf(file);
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      Promise.resolve(onChange(file)).catch(error => log.warn(`⚠️  Preview watcher: ${error.message}`));
+    }, WATCH_DEBOUNCE_MS));
+  });
+  return {
+    close() {
+      timers.forEach(timer => clearTimeout(timer));
+      watcher.close();
+    }
+  };
+}
+
+function withDarkMode(html) {
+  return /<\/head>/i.test(html) ? html.replace(/<\/head>/i, `${DARK_MODE_STYLE}</head>`) : `${DARK_MODE_STYLE}${html}`;
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+const PAGE_STYLE = `
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background: #f1f1f1; color: #222; }
+  header { display: flex; gap: 12px; align-items: center; padding: 10px 16px; background: #264653; color: #fff; }
+  header a { color: #fff; }
+  header h1 { font-size: 16px; margin: 0; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  button { font: inherit; padding: 4px 10px; border: 1px solid #fff; background: transparent; color: #fff; border-radius: 4px; cursor: pointer; }
+  button[aria-pressed="true"] { background: #fff; color: #264653; }
+  table { border-collapse: collapse; width: 100%; background: #fff; }
+  th, td { text-align: left; padding: 8px 16px; border-bottom: 1px solid #ddd; }
+  #frames { display: flex; gap: 24px; padding: 16px; align-items: flex-start; overflow-x: auto; }
+  figure { margin: 0; }
+  figcaption { font-size: 12px; color: #666; margin-bottom: 4px; }
+  iframe { border: 1px solid #ccc; background: #fff; height: calc(100vh - 110px); }
+  pre { margin: 16px; padding: 16px; background: #fff; border: 1px solid #ccc; white-space: pre-wrap; max-width: 80ch; }
+  #status { display: none; padding: 8px 16px; background: #e76f51; color: #fff; }
+`;
+
+function renderIndexPage(emails) {
+  const rows = emails.map(email => `
+      <tr>
+        <td><a href="/view/${encodeURI(email.id)}">${escapeHtml(email.subject)}</a></td>
+        <td>${escapeHtml(email.id)}</td>
+        <td>${email.modified.toISOString().replace('T', ' ').substring(0, 16)}</td>
+        <td>${email.plan ? 'plan' : ''}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Email preview</title><style>${PAGE_STYLE}</style></head>
+<body>
+  <header><h1>Email preview (${emails.length})</h1></header>
+  <table>
+    <thead><tr><th>Subject</th><th>File</th><th>Modified</th><th></th></tr></thead>
+    <tbody>${rows || '<tr><td colspan="4">No emails yet. Generate one, then reload.</td></tr>'}</tbody>
+  </table>
+</body></html>`;
+}
+
+function renderViewerPage(email, subject, hasText) {
+  const textFile = email.replace(/\.html$/, '.txt');
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title><style>${PAGE_STYLE}</style></head>
+<body>
+  <header>
+    <a href="/">All emails</a>
+    <h1>${escapeHtml(subject)}</h1>
+    <button id="tab-html" aria-pressed="true">HTML</button>
+    <button id="tab-text" aria-pressed="false"${hasText ? '' : ' disabled'}>Plain text</button>
+    <button id="dark" aria-pressed="false">Dark mode</button>
+  </header>
+  <div id="status"></div>
+  <div id="frames">
+    <figure><figcaption>Mobile (${PREVIEW_WIDTHS.mobile}px)</figcaption><iframe id="mobile" style="width: ${PREVIEW_WIDTHS.mobile}px"></iframe></figure>
+    <figure><figcaption>Desktop (${PREVIEW_WIDTHS.desktop}px)</figcaption><iframe id="desktop" style="width: ${PREVIEW_WIDTHS.desktop}px"></iframe></figure>
+  </div>
+  <pre id="text" hidden></pre>
+  <script>
+    const email = ${JSON.stringify(email)};
+    const state = { text: false, dark: localStorage.getItem('preview-dark') === '1' };
+    const $ = (id) => document.getElementById(id);
+
+    async function load() {
+      const stamp = Date.now();
+      $('tab-html').setAttribute('aria-pressed', String(!state.text));
+      $('tab-text').setAttribute('aria-pressed', String(state.text));
+      $('dark').setAttribute('aria-pressed', String(state.dark));
+      $('frames').hidden = state.text;
+      $('text').hidden = !state.text;
+      if (state.text) {
+        $('text').textContent = await (await fetch('/raw/' + ${JSON.stringify(encodeURI(textFile))} + '?' + stamp)).text();
+        return;
+      }
+      const src = '/raw/' + ${JSON.stringify(encodeURI(email))} + '?' + (state.dark ? 'dark&' : '') + stamp;
+      $('mobile').src = src;
+      $('desktop').src = src;
+    }
+
+    $('tab-html').onclick = () => { state.text = false; load(); };
+    $('tab-text').onclick = () => { state.text = true; load(); };
+    $('dark').onclick = () => { state.dark = !state.dark; localStorage.setItem('preview-dark', state.dark ? '1' : '0'); load(); };
+
+    const events = new EventSource('/events?email=' + encodeURIComponent(email));
+    events.addEventListener('reload', () => { $('status').style.display = 'none'; load(); });
+    events.addEventListener('render-error', (event) => {
+      $('status').textContent = 'Re-render failed: ' + JSON.parse(event.data).message;
+      $('status').style.display = 'block';
+    });
+    load();
+  </script>
+</body></html>`;
+}
@@ -0,0 +1,211 @@
+import OpenAI from 'openai';
+import crypto from 'crypto';
+import path from 'path';
+import { readFile, writeFile } from './utils.js';
+import { log } from './logger.js';
+
+export const PROVIDER_MODES = Object.freeze(['live', 'replay', 'record']);
+
+const DEFAULT_FIXTURES_DIR = 'fixtures';
+
+/**
+ * Create a model provider used by every pipeline stage.
+ *
+ * - live: calls OpenAI directly (requires an API key)
+ * - record: calls OpenAI and writes each response to the fixtures directory
+ * - replay: serves previously recorded responses without any network access
+ *
+ * @param {Object} options
+ * @param {'live'|'replay'|'record'} options.mode - Provider mode (default: MODEL_PROVIDER env or live)
+ * @param {string} options.fixturesDir - Directory holding recorded responses (default: FIXTURES_DIR env or fixtures)
+ * @returns {{mode: string, fixturesDir: string, complete: Function}}
+ */
+export function createProvider(options = {}) {
+  const mode = options.mode || process.env.MODEL_PROVIDER || 'live';
+  const fixturesDir = options.fixturesDir || process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  if (!PROVIDER_MODES.includes(mode)) {
+    throw new Error(`Unknown model provider "${mode}". Use one of: ${PROVIDER_MODES.join(', ')}`);
+  }
+
+  if (mode === 'replay') {
+    return createReplayProvider(fixturesDir);
+  }
+
+  const live = createLiveProvider();
+  if (mode === 'record') {
+    return createRecordProvider(live, fixturesDir);
+  }
+
+  return live;
+}
+
+/**
+ * Wrap a provider so every call's token usage is recorded in `usageLog`
+ * ({ stage, hash, input_tokens, output_tokens, total_tokens }, with the prompt hash as
+ * in fixture names). Replayed responses report the usage that was recorded with them;
+ * responses without usage count as 0.
+ * @param {Object} provider
+ * @returns {Object} Provider with the same mode and fixturesDir, plus usageLog
+ */
+export function trackUsage(provider) {
+  const usageLog = [];
+  return {
+    ...provider,
+    usageLog,
+    async complete(stage, request) {
+      const response = await provider.complete(stage, request);
+      const usage = response?.usage || {};
+      const input = usage.input_tokens ?? usage.prompt_tokens ?? 0;
+      const output = usage.output_tokens ?? usage.completion_tokens ?? 0;
+      usageLog.push({ stage, hash: hashPrompt(request), input_tokens: input, output_tokens: output, total_tokens: usage.total_tokens ?? input + output });
+      return response;
+    }
+  };
+}
+
+/**
+ * Total token usage, overall and per stage, for usageLog entries
+ * @param {Object[]} entries - trackUsage usageLog entries
+ * @returns {{calls: number, input_tokens: number, output_tokens: number, total_tokens: number, stages: Object}}
+ */
+export function summarizeUsage(entries) {
+  const add = (total, entry) => {
+    total.calls++;
+    total.input_tokens += entry.input_tokens;
+    total.output_tokens += entry.output_tokens;
+    total.total_tokens += entry.total_tokens;
+    return total;
+  };
+  const empty = () => ({ calls: 0, input_tokens: 0, output_tokens: 0, total_tokens: 0 });
+
+  const summary = { ...empty(), stages: {} };
+  for (const entry of entries) {
+    add(summary, entry);
+    add(summary.stages[entry.stage] ||= empty(), entry);
+  }
+  return summary;
+}
+
+/**
+ * Hash the prompt portion of a request so recordings survive unrelated option changes
+ * @param {Object} request - Provider request ({ api, params })
+ * @returns {string}
+ */
+export function hashPrompt(request) {
+  const { params = {} } = request;
+  const prompt = {
+    model: params.model,
+    messages: params.messages,
+    input: params.input,
+    // The output schema shapes the response as much as the prompt does
+    schema: params.text?.format ?? params.response_format
+  };
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(prompt))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Path of the fixture file for a stage/request pair
+ */
+export function fixturePath(fixturesDir, stage, request) {
+  return path.join(fixturesDir, `${stage}-${hashPrompt(request)}.json`);
+}
+
+/**
+ * Provider that talks to the OpenAI API
+ */
+function createLiveProvider() {
+  const clients = new Map();
+
+  const getClient = (clientOptions = {}) => {
+    const apiKey = process.env.OPEN_API_KEY_CURSOR || process.env.OPENAI_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('OPEN_API_KEY_CURSOR or OPENAI_API_KEY environment variable is not set');
+    }
+
+    const key = JSON.stringify(clientOptions);
+    if (!clients.has(key)) {
+      clients.set(key, new OpenAI({ apiKey, ...clientOptions }));
+    }
+    return clients.get(key);
+  };
+
+  return {
+    mode: 'live',
+    fixturesDir: null,
+    async complete(stage, request) {
+      const openai = getClient(request.client);
+
+      if (request.api === 'chat') {
+        return openai.chat.completions.create(request.params);
+      }
+
+      return openai.responses.create(request.params);
+    }
+  };
+}
+
+/**
+ * Provider that forwards to the live provider and records every response
+ */
+function createRecordProvider(live, fixturesDir) {
+  return {
+    mode: 'record',
+    fixturesDir,
+    async complete(stage, request) {
+      const response = await live.complete(stage, request);
+      const filePath = fixturePath(fixturesDir, stage, request);
+
+      const recording = {
+        stage,
+        hash: hashPrompt(request),
+        api: request.api,
+        model: request.params?.model,
+        recorded_at: new Date().toISOString(),
+        response
+      };
+
+      await writeFile(filePath, JSON.stringify(recording, null, 2));
+      log.info(`  Recorded ${stage} response: ${path.basename(filePath)}`);
+
+      return response;
+    }
+  };
+}
+
+/**
+ * Provider that serves recorded responses from disk
+ */
+function createReplayProvider(fixturesDir) {
+  return {
+    mode: 'replay',
+    fixturesDir,
+    async complete(stage, request) {
+      const filePath = fixturePath(fixturesDir, stage, request);
+
+      let raw;
+      try {
+        raw = await readFile(filePath);
+      } catch (error) {
+        throw new Error(
+          `No recorded ${stage} response (${path.basename(filePath)}). Run with --provider record to capture it.`
+        );
+      }
+
+      let recording;
+      try {
+        recording = JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`Corrupt ${stage} recording (${filePath}): ${error.message}`);
+      }
+      log.info(`  Replayed ${stage} response: ${path.basename(filePath)}`);
+      return recording.response;
+    }
+  };
+}
@@ -0,0 +1,170 @@
+import { log } from './logger.js';
+
+const DEFAULT_BASE_URL = 'https://a.klaviyo.com';
+const DEFAULT_REVISION = '2024-10-15';
+
+/**
+ * Publish an email to Klaviyo as a template, optionally with a draft campaign
+ * @param {Object} email - Generated email
+ * @param {string} email.name - Template/campaign name
+ * @param {string} email.subject - Subject line
+ * @param {string} email.preview - Preview text
+ * @param {string} email.html - Email HTML
+ * @param {string} email.text_version - Plain-text version
+ * @param {Object} options
+ * @param {string} options.apiKey - Klaviyo private API key (default: KLAVIYO_API_KEY env)
+ * @param {string} options.baseUrl - API base URL, override for a mock server (default: KLAVIYO_BASE_URL env or https://a.klaviyo.com)
+ * @param {string} options.audience - List or segment ID; when set, a draft campaign is created
+ * @param {string} options.fromEmail - Sender address for the campaign (default: KLAVIYO_FROM_EMAIL env)
+ * @param {string} options.fromLabel - Sender name for the campaign (default: KLAVIYO_FROM_LABEL env or Vunked)
+ * @param {boolean} options.dryRun - Print the request payloads instead of sending them
+ * @returns {Promise<{dry_run: boolean, template_id: string|null, campaign_id: string|null, campaign_message_id: string|null, requests: Object[]}>}
+ */
+export async function publishToKlaviyo(email, options = {}) {
+  const apiKey = options.apiKey || process.env.KLAVIYO_API_KEY;
+  const baseUrl = (options.baseUrl || process.env.KLAVIYO_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const dryRun = Boolean(options.dryRun);
+  const fetchImpl = options.fetch || fetch;
+
+  if (!apiKey && !dryRun) {
+    throw new Error('KLAVIYO_API_KEY environment variable is not set');
+  }
+
+  const requests = [];
+  const send = async (method, endpoint, body) => {
+    const request = {
+      method,
+      url: `${baseUrl}${endpoint}`,
+      headers: {
+        Authorization: `Klaviyo-API-Key ${apiKey || '<KLAVIYO_API_KEY>'}`,
+        accept: 'application/vnd.api+json',
+        'content-type': 'application/vnd.api+json',
+        revision: options.revision || DEFAULT_REVISION
+      },
+      body
+    };
+    const logged = { ...request, headers: { ...request.headers, Authorization: 'Klaviyo-API-Key ***' } };
+    requests.push(logged);
+
+    if (dryRun) {
+      log.info(`[dry-run] ${method} ${request.url}`);
+      log.info(JSON.stringify({ headers: logged.headers, body }, null, 2));
+      return null;
+    }
+
+    const response = await fetchImpl(request.url, {
+      method,
+      headers: request.headers,
+      body: JSON.stringify(body)
+    });
+
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      const detail = payload?.errors?.map(error => error.detail || error.title).join('; ') || response.statusText;
+      throw new Error(`Klaviyo ${method} ${endpoint} failed: HTTP ${response.status} ${detail}`);
+    }
+
+    return payload;
+  };
+
+  // 1. Template with HTML and text version
+  const template = await send('POST', '/api/templates/', buildTemplatePayload(email));
+  const templateId = template?.data?.id || null;
+  if (templateId) {
+    log.info(`✓ Klaviyo template created: ${templateId}`);
+  }
+
+  let campaignId = null;
+  let campaignMessageId = null;
+
+  // 2. Draft campaign targeting a list/segment, with the template assigned
+  if (options.audience) {
+    const campaign = await send('POST', '/api/campaigns/', buildCampaignPayload(email, {
+      audience: options.audience,
+      fromEmail: options.fromEmail || process.env.KLAVIYO_FROM_EMAIL || 'hello@vunked.co.uk',
+      fromLabel: options.fromLabel || process.env.KLAVIYO_FROM_LABEL || 'Vunked'
+    }));
+    campaignId = campaign?.data?.id || null;
+    campaignMessageId = campaign?.data?.relationships?.['campaign-messages']?.data?.[0]?.id || null;
+
+    if (!dryRun && !campaignMessageId) {
+      throw new Error('Klaviyo campaign response did not include a campaign message ID');
+    }
+
+    await send('POST', '/api/campaign-message-assign-template/', {
+      data: {
+        type: 'campaign-message',
+        id: campaignMessageId || '<campaign-message-id>',
+        relationships: {
+          template: {
+            data: { type: 'template', id: templateId || '<template-id>' }
+          }
+        }
+      }
+    });
+
+    if (campaignId) {
+      log.info(`✓ Klaviyo draft campaign created: ${campaignId}`);
+    }
+  }
+
+  return {
+    dry_run: dryRun,
+    template_id: templateId,
+    campaign_id: campaignId,
+    campaign_message_id: campaignMessageId,
+    requests
+  };
+}
+
+/**
+ * Build the JSON:API payload for a code template
+ */
+function buildTemplatePayload(email) {
+  return {
+    data: {
+      type: 'template',
+      attributes: {
+        name: email.name || email.subject,
+        editor_type: 'CODE',
+        html: email.html,
+        text: email.text_version
+      }
+    }
+  };
+}
+
+/**
+ * Build the JSON:API payload for a draft email campaign
+ */
+function buildCampaignPayload(email, { audience, fromEmail, fromLabel }) {
+  return {
+    data: {
+      type: 'campaign',
+      attributes: {
+        name: email.name || email.subject,
+        audiences: {
+          included: [audience],
+          excluded: []
+        },
+        'campaign-messages': {
+          data: [
+            {
+              type: 'campaign-message',
+              attributes: {
+                channel: 'email',
+                label: email.name || email.subject,
+                content: {
+                  subject: email.subject,
+                  preview_text: email.preview,
+                  from_email: fromEmail,
+                  from_label: fromLabel
+                }
+              }
+            }
+          ]
+        }
+      }
+    }
+  };
+}
@@ -1,5 +1,19 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
+import { marked } from 'marked';
+import matter from 'gray-matter';
+import mammoth from 'mammoth';
+import { countWords, estimateReadingTime, outlineText, summarizeText } from './article.js';
+import { log } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local files accepted as --file input
+export const CONTENT_FILE_TYPES = Object.freeze(['.md', '.markdown', '.html', '.htm', '.docx', '.txt']);
 
 /**
  * Fetch and parse content from a URL
@@ -13,25 +27,38 @@ async function fetchFromUrl(url) {
     }
     
     const html = await response.text();
-    const dom = new JSDOM(html, { url });
-    
-    // Use Readability to extract clean article content
-    const reader = new Readability(dom.window.document);
-    const article = reader.parse();
-    
-    if (!article) {
-      throw new Error('Could not extract article content from URL');
-    }
-    
-    return {
-      blog_title: article.title || extractTitleFromDom(dom),
-      blog_text: article.textContent || article.content
-    };
+    return parseArticle(html, url);
   } catch (error) {
     throw new Error(`Failed to fetch content from URL: ${error.message}`);
   }
 }
 
+/**
+ * The article in a web page, picked out by Readability (navigation, ads and footers are dropped).
+ * The page's share image (og:image) is the hero image candidate.
+ * @param {string} html - Complete page
+ * @param {string|null} url - Page URL, the base for relative links and images
+ */
+function parseArticle(html, url = null) {
+  const dom = new JSDOM(html, url ? { url } : {});
+  const doc = dom.window.document;
+  const shareImage = doc.querySelector('meta[property="og:image"], meta[name="twitter:image"]')?.getAttribute('content')?.trim();
+  const shareImageAlt = doc.querySelector('meta[property="og:image:alt"], meta[name="twitter:image:alt"]')?.getAttribute('content');
+  const title = extractTitleFromDom(dom);
+
+  // Use Readability to extract clean article content
+  const article = new Readability(doc).parse();
+  if (!article) {
+    throw new Error('Could not extract article content');
+  }
+
+  const result = documentFromHtml(article.content, article.title || (title !== 'Untitled' ? title : undefined));
+  if (shareImage) {
+    result.hero_image = { src: url ? new URL(shareImage, url).href : shareImage, alt: clean(shareImageAlt || '') };
+  }
+  return result;
+}
+
 /**
  * Extract title from DOM if Readability doesn't find it
  */
@@ -48,6 +75,209 @@ function extractTitleFromDom(dom) {
   return 'Untitled';
 }
 
+/**
+ * Read a local content file (path relative to the project root, or absolute).
+ *
+ * - Markdown: front matter (title, slug, tags, canonical_url) plus the body
+ * - HTML: the article picked out by Readability, as for URLs
+ * - .docx: Word exports, converted with their headings, lists and images
+ * - .txt: same as --text
+ *
+ * Headings and list items keep markdown markers in blog_text ("## Heading", "- item"),
+ * and the images and links are also returned as lists.
+ */
+async function readFromFile(file) {
+  const fullPath = path.resolve(__dirname, '..', file);
+  const extension = path.extname(fullPath).toLowerCase();
+  if (!CONTENT_FILE_TYPES.includes(extension)) {
+    throw new Error(`Unsupported content file ${file}. Use one of: ${CONTENT_FILE_TYPES.join(', ')}`);
+  }
+
+  let result;
+  try {
+    if (extension === '.docx') {
+      // Embedded images have no URL an email could use, so they aren't inlined as data URIs
+      const convertImage = mammoth.images.imgElement(() => ({ src: '' }));
+      const { value: html, messages } = await mammoth.convertToHtml({ path: fullPath }, { convertImage });
+      for (const message of messages.filter(message => message.type === 'warning')) {
+        log.warn(`⚠️  ${path.basename(fullPath)}: ${message.message}`);
+      }
+      result = documentFromHtml(html);
+    } else {
+      const content = await fs.readFile(fullPath, 'utf-8');
+      if (extension === '.txt') {
+        result = processTextInput(content);
+      } else if (extension === '.html' || extension === '.htm') {
+        result = parseHtmlFile(content);
+      } else {
+        result = parseMarkdown(content);
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to read content file ${file}: ${error.message}`);
+  }
+
+  if (!result.blog_text.trim()) {
+    throw new Error(`Content file ${file} is empty`);
+  }
+  return { ...result, source_file: fullPath };
+}
+
+/**
+ * Markdown with optional YAML front matter (title, slug, tags, canonical_url, hero_image/image)
+ */
+function parseMarkdown(markdown) {
+  const { data, content } = matter(markdown);
+  const result = documentFromHtml(marked.parse(content), data.title);
+
+  if (data.slug) {
+    result.slug = String(data.slug);
+  }
+  const tags = Array.isArray(data.tags) ? data.tags : typeof data.tags === 'string' ? data.tags.split(',') : [];
+  if (tags.length > 0) {
+    result.tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  const canonicalUrl = data.canonical_url || data.canonicalUrl || data.canonical;
+  if (canonicalUrl) {
+    result.source_url = String(canonicalUrl);
+  }
+  const heroImage = data.hero_image || data.image || data.cover_image;
+  if (heroImage) {
+    result.hero_image = { src: String(heroImage), alt: clean(String(data.image_alt || '')) };
+  }
+  return result;
+}
+
+/**
+ * A saved web page: Readability picks out the article, as for URLs. Its canonical link becomes
+ * the source URL and the base for relative links and image paths.
+ */
+function parseHtmlFile(html) {
+  const canonical = new JSDOM(html).window.document.querySelector('link[rel="canonical"]')?.getAttribute('href');
+  const sourceUrl = canonical && /^https?:\/\//i.test(canonical) ? canonical : null;
+
+  const result = parseArticle(html, sourceUrl);
+  if (sourceUrl) {
+    result.source_url = sourceUrl;
+  }
+  return result;
+}
+
+/**
+ * Title, text, images and links of an HTML fragment. Without a title, the first h1 is used
+ * (and dropped from the text); failing that, the first line as for --text.
+ */
+function documentFromHtml(html, title) {
+  const doc = new JSDOM(`<body>${html}</body>`).window.document;
+  const firstHeading = doc.querySelector('h1');
+  if (firstHeading && (!title || clean(firstHeading.textContent) === clean(title))) {
+    title = title || clean(firstHeading.textContent);
+    firstHeading.remove();
+  }
+
+  const images = [...doc.querySelectorAll('img[src]')]
+    .map(image => ({ src: image.getAttribute('src').trim(), alt: clean(image.getAttribute('alt') || '') }))
+    .filter(image => image.src && !image.src.startsWith('data:'));
+  const links = [];
+  for (const anchor of doc.querySelectorAll('a[href]')) {
+    const url = anchor.getAttribute('href').trim();
+    if (/^https?:\/\//i.test(url) && !links.some(link => link.url === url)) {
+      links.push({ url, text: clean(anchor.textContent) });
+    }
+  }
+
+  const blog_text = blocksOf(doc.body).join('\n\n');
+  if (!title) {
+    return { ...processTextInput(blog_text), images, links };
+  }
+  return { blog_title: clean(title), blog_text, images, links };
+}
+
+/**
+ * Text blocks of an element: headings as "## text", list items as "- text" / "1. text"
+ * (nested lists indented), other blocks as plain paragraphs
+ */
+function blocksOf(element) {
+  const blocks = [];
+  let inline = '';
+  const flush = () => {
+    if (clean(inline)) {
+      blocks.push(clean(inline));
+    }
+    inline = '';
+  };
+
+  for (const node of element.childNodes) {
+    if (node.nodeType !== 1) {
+      inline += node.nodeType === 3 ? node.textContent : '';
+      continue;
+    }
+    const tag = node.tagName.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      if (clean(node.textContent)) {
+        blocks.push(`${'#'.repeat(Number(tag[1]))} ${clean(node.textContent)}`);
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      blocks.push(listLines(node).join('\n'));
+    } else if (['p', 'blockquote', 'pre', 'div', 'section', 'article', 'main', 'header', 'footer', 'figure', 'table', 'tr'].includes(tag)) {
+      flush();
+      blocks.push(...(tag === 'p' || tag === 'pre' ? [clean(node.textContent)].filter(Boolean) : blocksOf(node)));
+    } else if (tag === 'br') {
+      inline += ' ';
+    } else if (!['script', 'style', 'img'].includes(tag)) {
+      inline += node.textContent;
+    }
+  }
+  flush();
+  return blocks.filter(Boolean);
+}
+
+function listLines(list, depth = 0) {
+  const lines = [];
+  let number = 1;
+  for (const item of list.children) {
+    if (item.tagName.toLowerCase() !== 'li') {
+      continue;
+    }
+    const nested = [...item.children].filter(child => /^(ul|ol)$/i.test(child.tagName));
+    const own = item.cloneNode(true);
+    own.querySelectorAll('ul, ol').forEach(child => child.remove());
+
+    const marker = list.tagName.toLowerCase() === 'ol' ? `${number++}.` : '-';
+    lines.push(`${'  '.repeat(depth)}${marker} ${clean(own.textContent)}`);
+    for (const child of nested) {
+      lines.push(...listLines(child, depth + 1));
+    }
+  }
+  return lines;
+}
+
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * What the later stages need to know about an article beyond its text: an outline of its
+ * sections, an extractive summary (so long posts aren't cut off in prompts), length and
+ * reading time, and the hero image candidate (the share image, or else the first image)
+ */
+function withArticleDetails(result) {
+  const { blog_text } = result;
+  const images = result.images || [];
+  return {
+    ...result,
+    outline: outlineText(blog_text),
+    summary: summarizeText(blog_text),
+    word_count: countWords(blog_text),
+    reading_time_minutes: estimateReadingTime(blog_text),
+    hero_image: result.hero_image || images[0] || null,
+    images,
+    links: result.links || []
+  };
+}
+
 /**
  * Process text or prompt input
  */
@@ -83,29 +313,39 @@ function processTextInput(text) {
  * @param {string} input.url - URL to fetch content from
  * @param {string} input.text - Direct text content
  * @param {string} input.prompt - Prompt for generating email
- * @returns {Promise<{blog_title: string, blog_text: string, source_url?: string}>}
+ * @param {string} input.file - Local content file (.md, .markdown, .html, .htm, .docx, .txt)
+ * @returns {Promise<{blog_title: string, blog_text: string, source_url?: string, source_file?: string,
+ *   outline?: {level: number, heading: string, words: number, excerpt: string}[], summary?: string,
+ *   word_count?: number, reading_time_minutes?: number, hero_image?: {src: string, alt: string}|null,
+ *   images?: {src: string, alt: string}[], links?: {url: string, text: string}[], slug?: string, tags?: string[]}>}
+ *   Everything but a prompt also gets the outline, summary, reading time, images and links.
  */
 export async function retrieveContent(input) {
   if (input.url) {
-    console.log(`Fetching content from: ${input.url}`);
+    log.info(`Fetching content from: ${input.url}`);
     const result = await fetchFromUrl(input.url);
     result.source_url = input.url; // Store the original URL for CTA
-    return result;
+    return withArticleDetails(result);
+  }
+  
+  if (input.file) {
+    log.info(`Reading content file: ${input.file}`);
+    return withArticleDetails(await readFromFile(input.file));
   }
   
   if (input.text) {
-    console.log('Processing provided text content');
-    return processTextInput(input.text);
+    log.info('Processing provided text content');
+    return withArticleDetails(processTextInput(input.text));
   }
   
   if (input.prompt) {
-    console.log('Processing prompt input');
+    log.info('Processing prompt input');
     return {
       blog_title: 'Custom Email',
       blog_text: input.prompt
     };
   }
   
-  throw new Error('No input provided. Please specify --url, --text, or --prompt');
+  throw new Error('No input provided. Please specify --url, --file, --text, or --prompt');
 }
 
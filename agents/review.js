@@ -0,0 +1,370 @@
+import readline from 'readline';
+import { getSectionManifests, getSectionToggles } from './sections.js';
+import { postProcessSequence } from './structure.js';
+import { log } from './logger.js';
+
+const STRUCTURE_HELP = [
+  'Enter (or "ok")        accept the structure',
+  'order 1,3,2,...        reorder by the numbers shown',
+  'move <n> <to>          move section n to position <to>',
+  'add <section> [<at>]   add a section (at a position, default: the end of the body)',
+  'drop <n|section>       drop a section'
+];
+
+const COPY_HELP = [
+  'Enter (or "ok")                  accept the copy and assemble',
+  'show [<target>]                  print the copy (all of it, or one target)',
+  'edit <target>                    edit the fields one by one (Enter keeps a field)',
+  'regen <target> [notes...]        regenerate one slot with optional notes, keeping the rest as context',
+  'Targets: subject, preview, a section (hero), or a section and item number (simple-body 2)'
+];
+
+/**
+ * Reviewer that asks on the terminal. Answers can also be piped in: lines that arrive
+ * before their question are queued, and once input ends every further question is
+ * answered with Enter, which accepts.
+ * @returns {{ask: (question: string) => Promise<string>, close: () => void}}
+ */
+export function createTerminalReviewer({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output, terminal: Boolean(output.isTTY) });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+  rl.on('line', (line) => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach(resolve => resolve(''));
+  });
+
+  return {
+    ask(question) {
+      output.write(question);
+      if (lines.length > 0) {
+        const line = lines.shift();
+        output.write(`${line}\n`);
+        return Promise.resolve(line);
+      }
+      if (closed) {
+        output.write('\n');
+        return Promise.resolve('');
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Let the reviewer reorder, add or drop sections before the copy is written.
+ * Placement rules still apply after every change (the hero stays first, the signature
+ * and footer last), and adding or dropping a toggled section sets its structure flag.
+ *
+ * @param {Object} structure - Structure object from createStructure
+ * @param {string[]} availableSections - Sections that exist on disk
+ * @param {{ask: Function}} reviewer - See createTerminalReviewer
+ * @param {Object[]} history - Edit history; one entry is pushed per change
+ * @param {Object} manifests - Section manifests (default: sections/*.json)
+ * @returns {Promise<Object>} The reviewed structure (a copy; the input is not changed)
+ */
+export async function reviewStructure(structure, availableSections, reviewer, history, manifests = getSectionManifests()) {
+  const reviewed = { ...structure, sequence: [...structure.sequence] };
+  const toggles = getSectionToggles(manifests);
+
+  for (;;) {
+    log.info('📝 REVIEW: STRUCTURE');
+    reviewed.sequence.forEach((section, index) => log.info(`  ${index + 1}. ${section}`));
+    const answer = (await reviewer.ask('Structure (Enter to accept, "help" for commands): ')).trim();
+    const [command, ...args] = answer.split(/\s+/);
+
+    if (!answer || command === 'ok') {
+      log.info('✓ Structure accepted');
+      return reviewed;
+    }
+    if (command === 'help') {
+      STRUCTURE_HELP.forEach(line => log.info(`  ${line}`));
+      continue;
+    }
+
+    let sequence;
+    let change;
+    try {
+      ({ sequence, change } = applyStructureCommand(command, args, reviewed.sequence, availableSections, manifests));
+    } catch (error) {
+      log.warn(`⚠️  ${error.message}`);
+      continue;
+    }
+
+    // Adding or dropping a toggled section (e.g. six-summary-cards) flips its flag
+    for (const [flag, toggle] of Object.entries(toggles)) {
+      if (change.section === toggle.section) {
+        reviewed[flag] = change.action === 'add';
+      }
+    }
+    const before = reviewed.sequence;
+    reviewed.sequence = postProcessSequence(sequence, reviewed, availableSections, manifests);
+    if (reviewed.sequence.join() !== sequence.join()) {
+      log.info(`  Placement rules applied: ${reviewed.sequence.join(' → ')}`);
+    }
+    if (reviewed.sequence.join() === before.join()) {
+      log.info('  No changes');
+      continue;
+    }
+    history.push({ stage: 'structure', ...change, sequence: [...reviewed.sequence], at: new Date().toISOString() });
+  }
+}
+
+/**
+ * Let the reviewer accept, edit or regenerate parts of the copy before assembly.
+ *
+ * @param {Object} plan - Plan from generateCopy
+ * @param {{ask: Function}} reviewer - See createTerminalReviewer
+ * @param {Object[]} history - Edit history; one entry is pushed per edit or regeneration
+ * @param {(target: {section: string, index: number|null}, notes: string, plan: Object) => Promise<Object>} regenerate -
+ *   New value for a slot or list item (see copy.js regenerateSlot)
+ * @param {Object} manifests - Section manifests (default: sections/*.json)
+ * @returns {Promise<Object>} The reviewed plan (a copy; the input is not changed)
+ */
+export async function reviewCopy(plan, reviewer, history, regenerate, manifests = getSectionManifests()) {
+  const reviewed = structuredClone(plan);
+  log.info('📝 REVIEW: COPY');
+  showCopy(reviewed, null, manifests);
+
+  for (;;) {
+    const answer = (await reviewer.ask('Copy (Enter to accept, "help" for commands): ')).trim();
+    const [command, ...args] = answer.split(/\s+/);
+
+    if (!answer || command === 'ok') {
+      log.info('✓ Copy accepted');
+      return reviewed;
+    }
+    if (command === 'help') {
+      COPY_HELP.forEach(line => log.info(`  ${line}`));
+      continue;
+    }
+    if (!['show', 'edit', 'regen'].includes(command)) {
+      log.warn(`⚠️  Unknown command "${command}" (try "help")`);
+      continue;
+    }
+
+    let target = null;
+    let notes = '';
+    try {
+      if (command !== 'show' || args.length > 0) {
+        ({ target, notes } = parseTarget(args, reviewed, manifests));
+      }
+    } catch (error) {
+      log.warn(`⚠️  ${error.message}`);
+      continue;
+    }
+
+    if (command === 'show') {
+      showCopy(reviewed, target, manifests);
+      continue;
+    }
+
+    const before = getTargetValue(reviewed, target);
+    let after;
+    if (command === 'edit') {
+      after = await editValue(before, reviewer);
+      if (JSON.stringify(after) === JSON.stringify(before)) {
+        log.info('  No changes');
+        continue;
+      }
+    } else {
+      if (target.field) {
+        log.warn(`⚠️  The ${target.field} can't be regenerated on its own; use "edit ${target.field}" (or --variants)`);
+        continue;
+      }
+      try {
+        after = await regenerate({ section: target.section, index: target.index }, notes, reviewed);
+      } catch (error) {
+        log.warn(`⚠️  ${error.message}`);
+        continue;
+      }
+    }
+
+    setTargetValue(reviewed, target, after);
+    showCopy(reviewed, target, manifests);
+    history.push({
+      stage: 'copy',
+      action: command === 'edit' ? 'edit' : 'regenerate',
+      target: describeTarget(target),
+      ...(command === 'regen' && notes ? { notes } : {}),
+      before,
+      after,
+      at: new Date().toISOString()
+    });
+  }
+}
+
+function applyStructureCommand(command, args, current, availableSections, manifests) {
+  const sequence = [...current];
+  const position = (value, max) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+      throw new Error(`"${value}" is not a position from 1 to ${max}`);
+    }
+    return number - 1;
+  };
+  const fixed = (section) => {
+    const placement = manifests[section]?.placement || {};
+    if (placement.always) {
+      throw new Error(`${section} is always included in its fixed place`);
+    }
+  };
+
+  if (command === 'order') {
+    const numbers = args.join('').split(',').filter(Boolean).map(value => position(value, current.length));
+    if (new Set(numbers).size !== current.length || numbers.length !== current.length) {
+      throw new Error(`List every section number once (1-${current.length}), e.g. order ${current.map((_, index) => index + 1).join(',')}`);
+    }
+    return { sequence: numbers.map(index => current[index]), change: { action: 'reorder' } };
+  }
+
+  if (command === 'move') {
+    const from = position(args[0], current.length);
+    const to = position(args[1], current.length);
+    fixed(current[from]);
+    const [section] = sequence.splice(from, 1);
+    sequence.splice(to, 0, section);
+    return { sequence, change: { action: 'move', section } };
+  }
+
+  if (command === 'add') {
+    const section = args[0];
+    if (!availableSections.includes(section)) {
+      throw new Error(`Unknown section "${section}". Available: ${availableSections.filter(name => !current.includes(name)).join(', ')}`);
+    }
+    if (current.includes(section)) {
+      throw new Error(`${section} is already in the email (use move to change its place)`);
+    }
+    // Default: after the last body section, before the signature and footer
+    const end = current.findIndex(name => manifests[name]?.placement?.always && manifests[name].placement.position !== 'first');
+    const at = args[1] ? position(args[1], current.length + 1) : end === -1 ? current.length : end;
+    sequence.splice(at, 0, section);
+    return { sequence, change: { action: 'add', section } };
+  }
+
+  if (command === 'drop') {
+    const index = /^\d+$/.test(args[0] || '') ? position(args[0], current.length) : current.indexOf(args[0]);
+    if (index === -1) {
+      throw new Error(`"${args[0] || ''}" is not in the email`);
+    }
+    fixed(current[index]);
+    const [section] = sequence.splice(index, 1);
+    return { sequence, change: { action: 'drop', section } };
+  }
+
+  throw new Error(`Unknown command "${command}" (try "help")`);
+}
+
+/**
+ * "subject", "preview", "hero", "simple-body 2" (or the slot key, simple_body) plus any notes after it
+ */
+function parseTarget(args, plan, manifests) {
+  const [name = '', ...rest] = args;
+  if (name === 'subject' || name === 'preview') {
+    return { target: { field: name }, notes: rest.join(' ') };
+  }
+
+  const section = plan.sequence.find(candidate => candidate === name || candidate.replace(/-/g, '_') === name);
+  if (!section || !manifests[section]?.slot) {
+    const editable = plan.sequence.filter(candidate => manifests[candidate]?.slot);
+    throw new Error(`"${name}" is not a section with copy in this email. Use subject, preview or one of: ${editable.join(', ')}`);
+  }
+
+  const value = plan.slots[section];
+  if (!Array.isArray(value)) {
+    return { target: { section, index: null }, notes: rest.join(' ') };
+  }
+
+  if (value.length === 1 && !/^\d+$/.test(rest[0] || '')) {
+    return { target: { section, index: 0 }, notes: rest.join(' ') };
+  }
+  const number = Number(rest[0]);
+  if (!Number.isInteger(number) || number < 1 || number > value.length) {
+    throw new Error(`${section} has ${value.length} items: add the item number (1-${value.length}), e.g. ${section} 1`);
+  }
+  return { target: { section, index: number - 1 }, notes: rest.slice(1).join(' ') };
+}
+
+function describeTarget(target) {
+  if (target.field) {
+    return target.field;
+  }
+  return target.index === null ? target.section : `${target.section} ${target.index + 1}`;
+}
+
+function getTargetValue(plan, target) {
+  if (target.field) {
+    return plan[target.field];
+  }
+  const value = plan.slots[target.section];
+  return structuredClone(target.index === null ? value : value[target.index]);
+}
+
+function setTargetValue(plan, target, value) {
+  if (target.field) {
+    plan[target.field] = value;
+  } else if (target.index === null) {
+    plan.slots[target.section] = value;
+  } else {
+    plan.slots[target.section][target.index] = value;
+  }
+}
+
+/**
+ * Ask for each text field of a value in turn; Enter keeps the current text
+ */
+async function editValue(value, reviewer) {
+  if (typeof value === 'string') {
+    return (await reviewer.ask(`  New text (Enter keeps "${value}"): `)).trim() || value;
+  }
+
+  const edited = { ...value };
+  for (const [field, current] of Object.entries(value)) {
+    if (typeof current !== 'string') {
+      continue;
+    }
+    const answer = (await reviewer.ask(`  ${field} [${truncate(current)}]: `)).trim();
+    if (answer) {
+      edited[field] = answer;
+    }
+  }
+  return edited;
+}
+
+function showCopy(plan, target, manifests) {
+  if (!target || target.field === 'subject') {
+    log.info(`  subject: ${plan.subject}`);
+  }
+  if (!target || target.field === 'preview') {
+    log.info(`  preview: ${plan.preview}`);
+  }
+  if (target?.field) {
+    return;
+  }
+
+  for (const section of plan.sequence.filter(name => manifests[name]?.slot)) {
+    if (target && target.section !== section) {
+      continue;
+    }
+    const value = plan.slots[section];
+    const items = Array.isArray(value) ? value : [value];
+    items.forEach((item, index) => {
+      if (target && target.index !== null && target.index !== index) {
+        return;
+      }
+      const label = Array.isArray(value) ? `${section} ${index + 1}` : section;
+      const fields = Object.entries(item || {}).map(([field, text]) => `${field}: ${truncate(String(text), 120)}`);
+      log.info(`  ${label} – ${fields.join(' | ')}`);
+    });
+  }
+}
+
+function truncate(text, max = 60) {
+  const flat = text.replace(/\s+/g, ' ');
+  return flat.length > max ? `${flat.substring(0, max - 1)}…` : flat;
+}
@@ -0,0 +1,333 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FILL_TYPES = Object.freeze(['fields', 'blocks', 'repeat']);
+
+const EMPTY_OBJECT_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {},
+  required: [],
+  additionalProperties: false
+});
+
+const manifestCache = new Map();
+const catalogCache = new Map();
+
+/**
+ * Load section manifests (sections/<name>.json) for every section that has both
+ * an HTML template and a manifest. Results are cached per directory.
+ *
+ * Manifest fields:
+ * - category, summary: shown to the structure stage
+ * - rule: one-line usage rule for the structure prompt
+ * - placement: { position: 'first'|'last', before, after, always, toggle }
+ * - toggle_description: description of the structure flag named by placement.toggle
+ * - slot: { heading, schema, default, guidance, catalog } for dynamic sections (static sections omit it)
+ * - fill: { type: 'fields'|'blocks'|'repeat', ... } selectors used by the write stage
+ *
+ * @param {string} sectionsDir - Sections directory relative to the project root
+ * @returns {Object<string, Object>} Manifests keyed by section name, sorted by name
+ */
+export function getSectionManifests(sectionsDir = 'sections') {
+  const fullPath = path.resolve(__dirname, '..', sectionsDir);
+  if (manifestCache.has(fullPath)) {
+    return manifestCache.get(fullPath);
+  }
+
+  let files;
+  try {
+    files = fs.readdirSync(fullPath);
+  } catch (error) {
+    throw new Error(`Failed to list section manifests in ${sectionsDir}: ${error.message}`);
+  }
+
+  const manifests = {};
+  for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+    const name = path.basename(file, '.json');
+    if (!files.includes(`${name}.html`)) {
+      log.warn(`Warning: Section manifest ${file} has no matching ${name}.html, skipping`);
+      continue;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(fullPath, file), 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read section manifest ${file}: ${error.message}`);
+    }
+
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+      throw new Error(`Invalid section manifest ${file}: ${errors.join(', ')}`);
+    }
+
+    manifests[name] = manifest;
+  }
+
+  manifestCache.set(fullPath, manifests);
+  return manifests;
+}
+
+/**
+ * Validate a section manifest
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== 'object') {
+    return ['manifest must be a JSON object'];
+  }
+
+  if (!manifest.category || typeof manifest.category !== 'string') {
+    errors.push('category must be a string');
+  }
+
+  if (!manifest.summary || typeof manifest.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+
+  if (manifest.slot) {
+    if (!manifest.slot.schema || typeof manifest.slot.schema !== 'object') {
+      errors.push('slot.schema must be a JSON schema object');
+    }
+    if (!('default' in manifest.slot)) {
+      errors.push('slot.default is required');
+    }
+    if (manifest.slot.guidance && !Array.isArray(manifest.slot.guidance)) {
+      errors.push('slot.guidance must be an array of lines');
+    }
+    if (manifest.slot.catalog) {
+      const { file, key } = manifest.slot.catalog;
+      if (!file || typeof file !== 'string' || !key || typeof key !== 'string') {
+        errors.push('slot.catalog needs a file and a key');
+      } else if (!manifest.slot.schema?.items?.properties?.[key]) {
+        errors.push(`slot.catalog key "${key}" must be a property of slot.schema items`);
+      }
+    }
+  }
+
+  if (manifest.fill) {
+    if (!FILL_TYPES.includes(manifest.fill.type)) {
+      errors.push(`fill.type must be one of: ${FILL_TYPES.join(', ')}`);
+    }
+    if (!manifest.slot) {
+      errors.push('fill requires a slot');
+    }
+  }
+
+  const placement = manifest.placement || {};
+  if (placement.position && !['first', 'last'].includes(placement.position)) {
+    errors.push('placement.position must be "first" or "last"');
+  }
+
+  return errors;
+}
+
+/**
+ * Slot key used in model JSON (underscores) for a section name
+ */
+export function slotKeyFor(sectionName) {
+  return sectionName.replace(/-/g, '_');
+}
+
+/**
+ * Section library lines ("- name [Category]: summary") for prompts
+ */
+export function describeSections(sectionNames, manifests = getSectionManifests()) {
+  return sectionNames.map(sectionName => {
+    const meta = manifests[sectionName];
+    if (!meta) {
+      return `- ${sectionName}`;
+    }
+    return `- ${sectionName} [${meta.category}]: ${meta.summary}`;
+  });
+}
+
+/**
+ * Structure-stage usage rules, one per manifest
+ */
+export function describeSectionRules(manifests = getSectionManifests()) {
+  return Object.values(manifests)
+    .filter(manifest => manifest.rule)
+    .map(manifest => `- ${manifest.rule}`);
+}
+
+/**
+ * Boolean structure flags declared by toggled sections (e.g. use_summary_cards)
+ * @returns {Object<string, {section: string, description: string}>}
+ */
+export function getSectionToggles(manifests = getSectionManifests()) {
+  const toggles = {};
+  for (const [name, manifest] of Object.entries(manifests)) {
+    const toggle = manifest.placement?.toggle;
+    if (toggle) {
+      toggles[toggle] = {
+        section: name,
+        description: manifest.toggle_description || `Whether to include ${name} section`
+      };
+    }
+  }
+  return toggles;
+}
+
+/**
+ * Load the curated entries a slot picks from (e.g. data/testimonials.json).
+ * Each entry has an id, a summary shown to the model, and the values written into the section.
+ * Results are cached per file.
+ *
+ * @param {Object} manifest - Section manifest with slot.catalog
+ * @returns {Object[]} Catalog entries (empty when the slot has no catalog)
+ */
+export function getSlotCatalog(manifest) {
+  const file = manifest.slot?.catalog?.file;
+  if (!file) {
+    return [];
+  }
+
+  const fullPath = path.resolve(__dirname, '..', file);
+  if (catalogCache.has(fullPath)) {
+    return catalogCache.get(fullPath);
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read slot catalog ${file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries) || entries.some(entry => !entry?.id)) {
+    throw new Error(`Invalid slot catalog ${file}: expected an array of entries with an id`);
+  }
+
+  catalogCache.set(fullPath, entries);
+  return entries;
+}
+
+/**
+ * Catalog options ("- `id`: summary") for copy guidance
+ */
+export function describeCatalog(manifest) {
+  return getSlotCatalog(manifest)
+    .map(entry => `     - \`${entry.id}\`${entry.summary ? `: ${entry.summary}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Replace catalog IDs in a slot with the catalog entry values. Unknown IDs are dropped.
+ * Values written by the model (e.g. a benefit title) take precedence over catalog values.
+ *
+ * @param {string} sectionName - Section name (for warnings)
+ * @param {Array} slot - Slot items from the plan
+ * @param {Object} manifest - Section manifest
+ * @returns {Array} Slot items ready for fillSection
+ */
+export function resolveSlotCatalog(sectionName, slot, manifest) {
+  const catalog = manifest.slot?.catalog;
+  if (!catalog || !Array.isArray(slot)) {
+    return slot;
+  }
+
+  const entries = getSlotCatalog(manifest);
+  const resolved = [];
+  for (const item of slot) {
+    const entry = entries.find(candidate => candidate.id === item?.[catalog.key]);
+    if (!entry) {
+      log.warn(`Warning: Unknown ${catalog.key} "${item?.[catalog.key]}" in ${sectionName}, skipping`);
+      continue;
+    }
+
+    const { id, summary, ...values } = entry;
+    resolved.push({ ...values, ...item });
+  }
+
+  return resolved;
+}
+
+/**
+ * JSON schema for the slots object, keyed by underscore slot names.
+ * Catalog keys are restricted to the IDs in their catalog.
+ */
+export function buildSlotsSchema(manifests = getSectionManifests()) {
+  const properties = {};
+  for (const [name, manifest] of Object.entries(manifests)) {
+    properties[slotKeyFor(name)] = manifest.slot?.catalog
+      ? withCatalogEnum(manifest)
+      : manifest.slot?.schema || EMPTY_OBJECT_SCHEMA;
+  }
+
+  return {
+    type: 'object',
+    description: 'Content for each section',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+function withCatalogEnum(manifest) {
+  const { schema, catalog } = manifest.slot;
+  const ids = getSlotCatalog(manifest).map(entry => entry.id);
+  const items = schema.items;
+
+  return {
+    ...schema,
+    items: {
+      ...items,
+      properties: {
+        ...items.properties,
+        [catalog.key]: { ...items.properties[catalog.key], enum: ids }
+      }
+    }
+  };
+}
+
+/**
+ * Default (empty) slot values keyed by section name
+ */
+export function getDefaultSlots(manifests = getSectionManifests()) {
+  const defaults = {};
+  for (const [name, manifest] of Object.entries(manifests)) {
+    defaults[name] = manifest.slot ? manifest.slot.default : {};
+  }
+  return defaults;
+}
+
+/**
+ * Normalize slot keys to match section filenames and fill in missing defaults
+ */
+export function normalizeSlots(slots, manifests = getSectionManifests()) {
+  const slotKeyMap = {};
+  for (const name of Object.keys(manifests)) {
+    slotKeyMap[slotKeyFor(name)] = name;
+  }
+
+  const normalizedSlots = {};
+  for (const [key, value] of Object.entries(slots || {})) {
+    const normalizedKey = slotKeyMap[key] || key;
+    normalizedSlots[normalizedKey] = value;
+  }
+
+  // Ensure every section has a slot, using manifest defaults
+  for (const [slotKey, defaultValue] of Object.entries(getDefaultSlots(manifests))) {
+    if (!(slotKey in normalizedSlots)) {
+      normalizedSlots[slotKey] = structuredClone(defaultValue);
+    }
+  }
+
+  return normalizedSlots;
+}
+
+/**
+ * Map underscore slot keys in a sequence back to section names
+ */
+export function normalizeSequence(sequence, manifests = getSectionManifests()) {
+  const names = Object.keys(manifests);
+  return sequence.map(section => names.find(name => slotKeyFor(name) === section) || section);
+}
@@ -0,0 +1,315 @@
+import { createProvider } from './provider.js';
+import { getLinkDirectory, getLinkUrls } from './links.js';
+import { describeBrand, STAGE_BRAND_FIELDS } from './brand.js';
+import { describeArticle } from './article.js';
+import { log } from './logger.js';
+
+export const SERIES_LENGTH = Object.freeze({ min: 3, max: 5 });
+
+// CTA stages in the order a series should escalate through them
+export const CTA_STAGES = Object.freeze(['soft', 'medium', 'hard']);
+
+const CTA_STAGE_DESCRIPTIONS = {
+  soft: 'educate and build trust; CTA points to reading or browsing (blog, homepage)',
+  medium: 'show the product; CTA invites them to try the system builder',
+  hard: 'ask for the decision; CTA books a consultation or completes the build'
+};
+
+/**
+ * Plan a multi-email series (drip sequence) from one source
+ * @param {Object} blogData - Blog content with title and text
+ * @param {Object|string} brand - Parsed brand guidelines (parseBrandGuidelines) or the markdown
+ * @param {number} count - Number of emails in the series (3-5)
+ * @param {string} model - Model to use (default: gpt-4o-mini)
+ * @param {string} sourceUrl - Original blog URL if available
+ * @param {Object} provider - Model provider (default: created from environment)
+ * @param {string} brief - Optional series brief (e.g. "welcome series for new builder signups")
+ * @param {Object} directory - Link directory with the approved CTA links (default: getLinkDirectory())
+ * @returns {Promise<Object>} Series plan with series_name, strategy and per-email goals
+ */
+export async function planSeries(blogData, brand, count = SERIES_LENGTH.min, model = 'gpt-4o-mini', sourceUrl = null, provider = createProvider(), brief = null, directory = getLinkDirectory()) {
+  if (!Number.isInteger(count) || count < SERIES_LENGTH.min || count > SERIES_LENGTH.max) {
+    throw new Error(`Series length must be between ${SERIES_LENGTH.min} and ${SERIES_LENGTH.max} emails, got ${count}`);
+  }
+
+  const prompt = buildSeriesPrompt(blogData, brand, count, sourceUrl, brief, directory);
+
+  const schema = {
+    type: "object",
+    properties: {
+      series_name: {
+        type: "string",
+        description: "Short internal name for the series"
+      },
+      strategy: {
+        type: "string",
+        description: "How the CTAs progress across the series and why"
+      },
+      emails: {
+        type: "array",
+        description: `Exactly ${count} emails in send order`,
+        items: {
+          type: "object",
+          properties: {
+            send_day: {
+              type: "integer",
+              description: "Days after the series starts (first email is day 0)"
+            },
+            goal: {
+              type: "string",
+              description: "Primary goal of this email (educational, promotional, consultation, etc.)"
+            },
+            angle: {
+              type: "string",
+              description: "What this email covers that the others do not"
+            },
+            cta_stage: {
+              type: "string",
+              enum: [...CTA_STAGES]
+            },
+            cta_link: {
+              type: "string",
+              enum: Object.keys(directory.links),
+              description: "Approved link key for the main CTA"
+            }
+          },
+          required: ["send_day", "goal", "angle", "cta_stage", "cta_link"],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ["series_name", "strategy", "emails"],
+    additionalProperties: false
+  };
+
+  const systemPrompt = "You are an expert email marketing strategist. Plan drip sequences where each email has a distinct job and the calls to action escalate naturally.";
+
+  log.info(`Calling OpenAI API for series plan with model: ${model} (provider: ${provider.mode})`);
+  log.info(`  Prompt length: ${prompt.length} characters`);
+
+  const timerLabel = `series:openai_request (${model})`;
+  log.time(timerLabel);
+
+  try {
+    const completion = await provider.complete('series', {
+      api: 'chat',
+      client: { timeout: 60_000, maxRetries: 1 },
+      params: {
+        model: model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: prompt }
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: {
+            name: "email_series",
+            schema: schema,
+            strict: true
+          }
+        },
+        temperature: 0.7,
+        max_tokens: 1500
+      }
+    });
+
+    log.timeEnd(timerLabel);
+
+    const seriesPlan = normalizeSeriesPlan(JSON.parse(completion.choices[0].message.content), count, directory);
+
+    log.info('✓ Series plan generated successfully');
+    log.info(`  Series: ${seriesPlan.series_name}`);
+    log.info(`  Strategy: ${seriesPlan.strategy}`);
+    for (const email of seriesPlan.emails) {
+      log.info(`  ${email.position}. Day ${email.send_day} [${email.cta_stage} → ${email.cta_link}] ${email.goal}: ${email.angle}`);
+    }
+
+    return seriesPlan;
+  } catch (error) {
+    log.timeEnd(timerLabel);
+    throw new Error(`Failed to plan series: ${error.message}`);
+  }
+}
+
+/**
+ * Enforce series rules on the model's plan: exact length, day 0 start,
+ * increasing send days and CTA stages that never step back down
+ * @param {Object} seriesPlan - Raw series plan from the model
+ * @param {number} count - Expected number of emails
+ * @param {Object} directory - Link directory the CTA link keys come from (default: getLinkDirectory())
+ * @returns {Object} Series plan with a 1-based position on every email
+ */
+export function normalizeSeriesPlan(seriesPlan, count, directory = getLinkDirectory()) {
+  const emails = Array.isArray(seriesPlan?.emails) ? seriesPlan.emails : [];
+  if (emails.length < count) {
+    throw new Error(`Series plan has ${emails.length} emails, expected ${count}`);
+  }
+
+  let previousDay = -1;
+  let previousStage = 0;
+
+  const normalized = emails.slice(0, count).map((email, index) => {
+    let sendDay = index === 0 ? 0 : Math.max(0, Math.round(Number(email.send_day) || 0));
+    if (sendDay <= previousDay) {
+      sendDay = previousDay + 1;
+      log.info(`✓ Moved email ${index + 1} to day ${sendDay} (send days must increase)`);
+    }
+    previousDay = sendDay;
+
+    let stage = CTA_STAGES.indexOf(email.cta_stage);
+    if (stage === -1) {
+      stage = previousStage;
+    } else if (stage < previousStage) {
+      log.info(`✓ Raised email ${index + 1} CTA from ${email.cta_stage} to ${CTA_STAGES[previousStage]}`);
+      stage = previousStage;
+    }
+    previousStage = stage;
+
+    return {
+      position: index + 1,
+      send_day: sendDay,
+      goal: email.goal,
+      angle: email.angle,
+      cta_stage: CTA_STAGES[stage],
+      cta_link: email.cta_link in directory.links ? email.cta_link : directory.default
+    };
+  });
+
+  return {
+    series_name: seriesPlan.series_name,
+    strategy: seriesPlan.strategy,
+    emails: normalized
+  };
+}
+
+/**
+ * Context for one email in a series, passed to the structure and copy stages
+ * @param {Object} seriesPlan - Plan from planSeries
+ * @param {number} index - 0-based email index
+ * @param {Object[]} previous - summarizePlan() output for the emails already written
+ * @param {Object} directory - Link directory the CTA URL comes from (default: getLinkDirectory())
+ */
+export function buildSeriesContext(seriesPlan, index, previous = [], directory = getLinkDirectory()) {
+  const email = seriesPlan.emails[index];
+  return {
+    series_name: seriesPlan.series_name,
+    strategy: seriesPlan.strategy,
+    position: email.position,
+    total: seriesPlan.emails.length,
+    send_day: email.send_day,
+    goal: email.goal,
+    angle: email.angle,
+    cta_stage: email.cta_stage,
+    cta_link: email.cta_link,
+    cta_url: getLinkUrls(directory)[email.cta_link],
+    previous
+  };
+}
+
+/**
+ * Markdown prompt section describing the series and what earlier emails already said
+ */
+export function describeSeriesContext(context) {
+  const lines = [
+    `This is email ${context.position} of ${context.total} in the "${context.series_name}" series (sent on day ${context.send_day}).`,
+    `**Series strategy:** ${context.strategy}`,
+    `**This email's goal:** ${context.goal}`,
+    `**This email's angle:** ${context.angle}`,
+    `**CTA stage:** ${context.cta_stage} (${CTA_STAGE_DESCRIPTIONS[context.cta_stage]})`,
+    `**Main CTA URL:** ${context.cta_url}`
+  ];
+
+  if (context.previous.length > 0) {
+    lines.push('', '**Earlier emails in this series (do not repeat their subject lines, headlines, takeaways or CTA wording):**');
+    for (const email of context.previous) {
+      lines.push(`${email.position}. Subject: "${email.subject}"`);
+      if (email.headlines.length > 0) {
+        lines.push(`   Headlines: ${email.headlines.join('; ')}`);
+      }
+      if (email.cta_text) {
+        lines.push(`   CTA: "${email.cta_text}" → ${email.cta_url}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Short summary of a generated plan, used to stop later emails repeating it
+ * @param {Object} plan - Plan from generateCopy
+ * @param {number} position - 1-based position in the series
+ */
+export function summarizePlan(plan, position) {
+  const stripTags = (html) => html.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+  const headlines = [];
+
+  if (plan.slots.hero?.title) {
+    headlines.push(plan.slots.hero.title);
+  }
+  for (const block of plan.slots['simple-body'] || []) {
+    const heading = (block.html || '').match(/<h[1-4][^>]*>([\s\S]*?)<\/h[1-4]>/i);
+    if (heading) {
+      headlines.push(stripTags(heading[1]));
+    }
+  }
+  for (const card of plan.slots['six-summary-cards'] || []) {
+    headlines.push(card.title);
+  }
+  for (const benefit of plan.slots['selling-points-what-you-get'] || []) {
+    headlines.push(benefit.title);
+  }
+
+  return {
+    position,
+    subject: plan.subject,
+    preview: plan.preview,
+    headlines: headlines.filter(Boolean),
+    cta_text: plan.slots.hero?.cta_text || '',
+    cta_url: plan.slots.hero?.cta_url || ''
+  };
+}
+
+/**
+ * Build the prompt for series planning
+ */
+function buildSeriesPrompt(blogData, brand, count, sourceUrl = null, brief = null, directory = getLinkDirectory()) {
+  const urlContext = sourceUrl ? `\n**Source URL:** ${sourceUrl}` : '';
+  const briefContext = brief ? `\n## Series Brief\n${brief}\n` : '';
+  const approvedLinks = Object.entries(directory.links)
+    .map(([key, link]) => `- ${key} → ${link.url} (${link.use_for})`)
+    .join('\n');
+  const stages = CTA_STAGES
+    .map(stage => `- **${stage}**: ${CTA_STAGE_DESCRIPTIONS[stage]}`)
+    .join('\n');
+
+  return `
+# Task: Plan an Email Series
+
+You are planning a ${count}-email drip sequence built from one piece of source content.
+
+## Source Content
+**Title:** ${blogData.blog_title}${urlContext}
+
+**Content Preview:**
+${describeArticle(blogData, 2000)}
+${briefContext}
+## Brand Context
+${describeBrand(brand, STAGE_BRAND_FIELDS.series)}
+
+## CTA Stages
+${stages}
+
+## Approved CTA Links (use the key)
+${approvedLinks}
+
+## Your Task
+1. Name the series and summarise its CTA strategy in one or two sentences.
+2. Plan exactly ${count} emails in send order. The first email is sent on day 0; later emails are spaced 2-4 days apart.
+3. Give each email a distinct goal and angle so no two emails cover the same ground.
+4. Escalate the CTA: start soft, end hard, and never step back down a stage.
+5. Pick the approved link that fits each email's CTA stage.
+
+Return the series plan as JSON.
+`.trim();
+}
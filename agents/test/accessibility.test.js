@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { auditAccessibility, fixAccessibility, EMAIL_LANG } from '../accessibility.js';
+import { readFile } from '../utils.js';
+import { GOLDEN_DIR } from './helpers.js';
+
+const email = (body, html = '<html lang="en">') => [
+  `<!DOCTYPE html>${html}<head><title>t</title></head>`,
+  `<body style="background-color:#F7F7F7;">${body}</body></html>`
+].join('\n');
+
+const rules = (report) => report.issues.map(issue => [issue.rule, issue.section, issue.fixable]);
+
+test('auditAccessibility checks contrast against the inline background, by section', () => {
+  const report = auditAccessibility(email([
+    '<!-- section: hero -->',
+    '<table><tr><td style="background-color:#E76F51"><p style="color:#ffffff">Orange</p><p style="color:#ffffff">Twice</p></td></tr></table>',
+    '<p style="color:#FFFFFF;font-size:28px;font-weight:bold">Large enough</p>',
+    '<!-- section: simple-body -->',
+    '<div style="background-color:#ffffff"><p style="color:#264653">Navy on white</p></div>',
+    '<div style="display:none;color:#F7F7F7">hidden preheader</div>'
+  ].join('\n')));
+
+  assert.deepEqual(rules(report), [
+    ['contrast', 'hero', false],
+    ['contrast', 'hero', false]
+  ]);
+  assert.equal(report.issues[0].message, '#FFFFFF text on #E76F51 has 3.09:1 contrast, needs 4.5:1 (2 elements)');
+  // Large text on the body's light grey only needs 3:1, which white doesn't reach either
+  assert.match(report.issues[1].message, /^#FFFFFF text on #F7F7F7 has 1\.07:1 contrast, needs 3:1/);
+  assert.deepEqual(report.summary, { error: 0, warning: 2, info: 0, fixable: 0 });
+  assert.equal(report.ok, false);
+});
+
+test('auditAccessibility reads headings at their depth below the title', () => {
+  const report = auditAccessibility(email([
+    '<!-- section: hero --><h3 style="font-size:36px">Styled as a title</h3>',
+    '<!-- section: simple-body --><h3>Body heading</h3><h5>Skipped a level</h5>',
+    '<!-- section: six-summary-cards --><h2>And much more</h2><h4>Card</h4>'
+  ].join('\n')));
+
+  assert.deepEqual(report.issues.map(issue => [issue.section, issue.message]), [
+    ['hero', '"Styled as a title" is an h3 as the title; it should be read as level 1'],
+    ['simple-body', '"Body heading" is an h3 under the h3 title; it should be read as level 2'],
+    ['simple-body', '"Skipped a level" is an h5 under an h3; it should be read as level 3'],
+    ['six-summary-cards', '"Card" is an h4 under an h2; it should be read as level 3']
+  ]);
+  assert.ok(report.issues.every(issue => issue.rule === 'heading-order' && issue.fixable));
+});
+
+test('auditAccessibility checks image alt text, link text, lang and emoji', () => {
+  const report = auditAccessibility(email([
+    '<!-- section: hero -->',
+    '<a href="https://vunked.com/"><img src="https://cdn.example.com/hero.png" width="600"></a>',
+    '<img src="https://cdn.example.com/spacer.gif" width="1" height="1">',
+    '<img alt="hero.png" src="https://cdn.example.com/hero.png">',
+    '<img alt="" src="https://cdn.example.com/divider.png">',
+    '<!-- section: simple-body -->',
+    '<p>Sizing guide: <a href="https://vunked.com/blog/battery">Click here!</a></p>',
+    '<a href="https://vunked.com/shop"><img alt="" src="https://cdn.example.com/arrow.png"></a>',
+    '<table><tr><td><span>🔋</span><h2>Battery</h2></td></tr></table>',
+    '<table><tr><td><p>👍</p></td></tr></table>',
+    '<!-- section: footer -->',
+    '<a href="https://www.facebook.com/vunked"><img alt="Custom" src="https://cdn.example.com/fb.png" width="32"></a>',
+    '<a href="https://instagram.com/vunked"><img src="https://cdn.example.com/ig.png" width="32"></a>'
+  ].join('\n'), '<html>'));
+
+  assert.deepEqual(rules(report), [
+    ['html-lang', null, true],
+    ['heading-order', 'simple-body', true],
+    ['img-alt', 'hero', false],
+    ['img-alt', 'hero', true],
+    ['img-alt', 'hero', false],
+    ['img-alt', 'footer', true],
+    ['img-alt', 'footer', true],
+    ['link-text', 'simple-body', false],
+    ['link-text', 'simple-body', false],
+    ['emoji-only', 'simple-body', true],
+    ['emoji-only', 'simple-body', false]
+  ]);
+  const messages = report.issues.map(issue => issue.message);
+  assert.ok(messages.includes('Linked image hero.png has no alt text; describe it, or use alt="" if it is decorative'));
+  assert.ok(messages.includes('Image alt "hero.png" doesn\'t say what it shows'));
+  assert.ok(messages.includes('Facebook icon has alt "Custom" (fix: alt="Facebook")'));
+  assert.ok(messages.includes('Link text "Click here!" doesn\'t say where it goes (vunked.com/blog/battery)'));
+  assert.ok(messages.includes('Link to vunked.com/shop has no text or image alt'));
+  assert.equal(report.issues.find(issue => issue.rule === 'emoji-only').severity, 'info');
+  assert.ok(!('excerpt' in report.issues[0]));
+  assert.match(report.issues[2].excerpt, /^<img src="https:\/\/cdn\.example\.com\/hero\.png"/);
+});
+
+test('fixAccessibility edits only the start tags of the safe issues', () => {
+  const html = email([
+    '<!-- section: hero --><h1>Title</h1>',
+    '<!--[if mso]><h3>Outlook only</h3><![endif]-->',
+    '<!-- section: six-summary-cards -->',
+    '<table><tr><td><span style="font-size: 28px">💡</span></td></tr><tr><td><h3 class="card">Energy audit</h3></td></tr></table>',
+    '<!-- section: footer -->',
+    '<a href="https://www.facebook.com/vunked"><img alt="Custom" src="https://cdn.example.com/fb.png" width="32"/></a>',
+    '<img src="https://cdn.example.com/pixel.gif" width="1" height="1" />',
+    '<img src="https://cdn.example.com/logo.png">'
+  ].join('\n'), '<html>');
+
+  const { html: fixed, fixes } = fixAccessibility(html);
+  assert.deepEqual(fixes.map(({ rule, element, attribute, value }) => [rule, element, attribute, value]), [
+    ['html-lang', 'html', 'lang', EMAIL_LANG],
+    ['heading-order', 'h3', 'aria-level', '2'],
+    ['img-alt', 'img', 'alt', 'Facebook'],
+    ['img-alt', 'img', 'alt', ''],
+    ['emoji-only', 'span', 'aria-hidden', 'true']
+  ]);
+  assert.equal(fixed, html
+    .replace('<html>', `<html lang="${EMAIL_LANG}">`)
+    .replace('<span style', '<span aria-hidden="true" style')
+    .replace('<h3 class="card">', '<h3 aria-level="2" class="card">')
+    .replace('<img alt="Custom"', '<img alt="Facebook"')
+    .replace('<img src="https://cdn.example.com/pixel.gif"', '<img alt="" src="https://cdn.example.com/pixel.gif"'));
+
+  const after = auditAccessibility(fixed);
+  assert.deepEqual(rules(after), [['img-alt', 'footer', false]]);
+  assert.deepEqual(fixAccessibility(fixed).html, fixed, 'fixing twice changes nothing');
+});
+
+test('fixAccessibility edits the right element when the copy contains tag-like text', () => {
+  const html = email([
+    '<!-- section: hero --><h1>Title 🔋⚡</h1>',
+    '<!-- section: simple-body -->',
+    '<p title="<h3> and <img>">Amps < volts, 3 > 2 and <3</p>',
+    '<textarea><h3>Not a heading</h3></textarea>',
+    '<h3>Real heading</h3>',
+    '<a href="https://www.facebook.com/vunked"><img src="https://cdn.example.com/fb.png" width="32"></a>'
+  ].join('\n'));
+
+  const { html: fixed, fixes } = fixAccessibility(html);
+  assert.deepEqual(fixes.map(({ element, attribute, value }) => [element, attribute, value]), [
+    ['h3', 'aria-level', '2'],
+    ['img', 'alt', 'Facebook']
+  ]);
+  assert.equal(fixed, html
+    .replace('<h3>Real heading', '<h3 aria-level="2">Real heading')
+    .replace('<img src="https://cdn.example.com/fb.png"', '<img alt="Facebook" src="https://cdn.example.com/fb.png"'));
+});
+
+test('fixAccessibility leaves only the issues that need a person in the golden email', async () => {
+  const { html } = fixAccessibility(await readFile(path.join(GOLDEN_DIR, 'battery-sizing.html')));
+  const report = auditAccessibility(html);
+
+  assert.equal(report.summary.fixable, 0);
+  assert.deepEqual([...new Set(report.issues.map(issue => issue.rule))], ['contrast', 'img-alt']);
+  assert.ok(!report.issues.some(issue => issue.rule === 'contrast' && issue.section === 'six-summary-cards' && /7 elements/.test(issue.message)),
+    'decorative emoji hidden by the fix are exempt from contrast');
+});
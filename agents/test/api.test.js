@@ -0,0 +1,271 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { generateEmail, generateSeries, renderEmail, validateOptions } from '../api.js';
+import { InputError, StageError, LintError } from '../errors.js';
+import { silentLogger } from '../logger.js';
+import { auditAccessibility } from '../accessibility.js';
+import { applyDarkMode } from '../darkmode.js';
+import { parseBrandGuidelines } from '../brand.js';
+import { readFile } from '../utils.js';
+import { createStubProvider, createTempDir, loadFixtureCase } from './helpers.js';
+
+/**
+ * Stub provider whose responses report token usage, like the OpenAI APIs do
+ */
+function createMeteredProvider(responses) {
+  const stub = createStubProvider(responses);
+  return {
+    ...stub,
+    async complete(stage, request) {
+      const response = await stub.complete(stage, request);
+      return { ...response, usage: { input_tokens: 1000, output_tokens: 200 } };
+    }
+  };
+}
+
+test('generateEmail returns the structured result and logs through the injected logger', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createMeteredProvider({ structure: fixture.structure, copy: fixture.copy });
+  const out = await createTempDir(t);
+  const lines = [];
+  const logger = { info: (...args) => lines.push(args.join(' ')), warn: (...args) => lines.push(args.join(' ')) };
+
+  const result = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out, logger });
+
+  assert.equal(result.subject, fixture.copy.subject);
+  assert.equal(result.preview, fixture.copy.preview);
+  assert.equal(result.structure.email_goal, fixture.structure.email_goal);
+  assert.ok(Array.isArray(result.plan.sequence));
+  assert.match(result.html, /^<!DOCTYPE html>/i);
+  assert.ok(result.text.length > 0);
+  assert.equal(result.published, null);
+  assert.equal(await fs.readFile(result.files.html, 'utf-8'), result.html);
+  for (const file of ['text', 'lint', 'compliance', 'link_check', 'accessibility', 'meta', 'plan']) {
+    assert.equal(path.dirname(result.files[file]), out);
+  }
+  // The safe accessibility fixes are applied before saving; the report lists what's left
+  assert.equal(result.accessibility.summary.fixable, 0);
+  assert.match(result.html, /<h3 aria-level="2"/);
+
+  assert.deepEqual(Object.keys(result.timings).sort(), ['assemble', 'checks', 'copy', 'retrieve', 'save', 'structure', 'total']);
+  assert.deepEqual([result.usage.calls, result.usage.input_tokens, result.usage.output_tokens, result.usage.total_tokens], [2, 2000, 400, 2400]);
+  assert.deepEqual(Object.keys(result.usage.stages), ['structure', 'copy']);
+  assert.ok(Array.isArray(result.warnings));
+
+  assert.ok(lines.includes('✅ EMAIL GENERATED SUCCESSFULLY'));
+  assert.ok(lines.some(line => line.includes('Tokens: 2400 (2 model calls)')));
+});
+
+test('generateEmail audits accessibility after the brand fixes, so the report matches the saved HTML', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ structure: fixture.structure, copy: fixture.copy });
+  const out = await createTempDir(t);
+
+  const result = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out, fixBrand: true, logger: silentLogger });
+
+  // #EF6F51 is a drifted brand orange that fixBrand turns into #E76F51
+  assert.ok(!/#EF6F51/i.test(result.html));
+  const saved = JSON.parse(await fs.readFile(result.files.accessibility, 'utf-8'));
+  assert.ok(!saved.issues.some(issue => /#EF6F51/i.test(issue.message)));
+  assert.deepEqual(saved.issues.map(issue => issue.message), auditAccessibility(result.html).issues.map(issue => issue.message));
+});
+
+test('generateEmail rebuilds the dark-mode overrides for the colours fixBrand changes', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const [firstBlock, ...rest] = fixture.copy.slots.simple_body;
+  // #274753 is a drifted Navy Blue (#264653); as dark text it gets a dark-mode class
+  const copy = {
+    ...fixture.copy,
+    slots: { ...fixture.copy.slots, simple_body: [{ html: `${firstBlock.html}<p style="color:#274753">Drifted navy</p>` }, ...rest] }
+  };
+  const provider = createStubProvider({ structure: fixture.structure, copy });
+  const out = await createTempDir(t);
+
+  const result = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out, fixBrand: true, logger: silentLogger });
+
+  assert.match(result.html, /<p class="dm-text-264653" style="color:#264653">Drifted navy<\/p>/);
+  assert.ok(!result.html.includes('274753'));
+  const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+  const overrides = (html) => html.match(/<style>\n {2}:root[\s\S]*?<\/style>/)[0];
+  assert.equal(overrides(result.html), overrides(applyDarkMode(result.html, brand)));
+});
+
+test('generateEmail builds the prompts and slot schemas from the --sections directory', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ structure: fixture.structure, copy: fixture.copy });
+  const out = await createTempDir(t);
+  const sections = path.join(out, 'sections');
+  await fs.cp(path.join(import.meta.dirname, '..', '..', 'sections'), sections, { recursive: true });
+  await fs.writeFile(path.join(sections, 'promo-banner.html'), '<table role="presentation"><tr><td><h2>Offer</h2></td></tr></table>');
+  await fs.writeFile(path.join(sections, 'promo-banner.json'), JSON.stringify({
+    category: 'General',
+    summary: 'Seasonal offer strip with one headline.',
+    rule: "Include 'promo-banner' for time-limited offers",
+    placement: {},
+    slot: {
+      heading: 'Promo banner',
+      schema: { type: 'object', properties: { headline: { type: 'string' } }, required: ['headline'], additionalProperties: false },
+      default: { headline: '' },
+      guidance: ['headline: The offer in under 8 words']
+    },
+    fill: { type: 'fields', fields: { headline: { selector: ['h2'], mode: 'text' } } }
+  }));
+  const wrapperStart = path.join(sections, 'email-wrapper-start.html');
+  await fs.writeFile(wrapperStart, (await fs.readFile(wrapperStart, 'utf-8')).replace('<head>', '<head>\n<!-- custom wrapper -->'));
+
+  const result = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out, sections, logger: silentLogger });
+
+  const [structure, copy] = provider.calls.map(call => JSON.stringify(call.request));
+  assert.match(structure, /promo-banner.*Seasonal offer strip/);
+  assert.match(copy, /"promo_banner":\{"type":"object"/);
+  assert.ok(result.html.includes('<!-- custom wrapper -->'));
+});
+
+test('concurrent generateEmail calls each use their own --links directory', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const out = await createTempDir(t);
+  const links = path.join(out, 'links.json');
+  await fs.writeFile(links, JSON.stringify({
+    default: 'shop',
+    links: { shop: { url: 'https://vunked.com/shop', use_for: 'the shop' } }
+  }));
+  const linksFile = process.env.LINKS_FILE;
+
+  const providers = [0, 1].map(() => createStubProvider({ structure: fixture.structure, copy: fixture.copy }));
+  const [custom, standard] = await Promise.all([
+    generateEmail({ text: fixture.blogData.blog_text }, { provider: providers[0], out, links, logger: silentLogger }),
+    generateEmail({ text: fixture.blogData.blog_text }, { provider: providers[1], out: await createTempDir(t), logger: silentLogger })
+  ]);
+
+  // The fixture's blog CTA isn't in the custom directory, so its hero falls back to the shop
+  assert.equal(custom.plan.slots.hero.cta_url, 'https://vunked.com/shop');
+  assert.equal(standard.plan.slots.hero.cta_url, 'https://vunked.com/blog');
+  const copyPrompts = providers.map(provider => JSON.stringify(provider.calls.find(call => call.stage === 'copy').request));
+  assert.ok(copyPrompts[0].includes('vunked.com/shop') && !copyPrompts[0].includes('cal.com/vunked'));
+  assert.ok(copyPrompts[1].includes('cal.com/vunked') && !copyPrompts[1].includes('vunked.com/shop'));
+  assert.equal(process.env.LINKS_FILE, linksFile);
+});
+
+test('generateEmail throws InputError for bad input or options before calling the model', async () => {
+  const provider = createStubProvider({});
+  const options = { provider, logger: silentLogger };
+
+  await assert.rejects(generateEmail({}, options), (error) => error instanceof InputError && error.code === 'INVALID_INPUT');
+  await assert.rejects(generateEmail({ text: 'Post' }, { ...options, variants: 20 }), InputError);
+  await assert.rejects(generateEmail({ text: 'Post' }, { ...options, lintFailOn: 'fatal' }), /Unknown lint severity "fatal"/);
+  await assert.rejects(generateEmail({ text: 'Post' }, { ...options, persona: 'nobody' }), /Unknown persona "nobody"/);
+  assert.equal(provider.calls.length, 0);
+
+  assert.throws(() => validateOptions({ series: 4, persona: 'all' }), /not supported with --series/);
+  assert.doesNotThrow(() => validateOptions({ series: 4, variants: 3, lintFailOn: 'error', provider: 'replay' }));
+});
+
+test('generateEmail wraps a failed stage in StageError', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ structure: fixture.structure });
+
+  const error = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out: await createTempDir(t), logger: silentLogger })
+    .then(() => assert.fail('expected a StageError'), (error) => error);
+
+  assert.ok(error instanceof StageError);
+  assert.equal(error.stage, 'copy');
+  assert.match(error.message, /No stub response for stage "copy"/);
+  assert.ok(error.cause instanceof Error);
+});
+
+test('generateEmail throws LintError with the saved result when lint fails', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ structure: fixture.structure, copy: fixture.copy });
+
+  const error = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out: await createTempDir(t), logger: silentLogger, lintFailOn: 'info' })
+    .then(() => assert.fail('expected a LintError'), (error) => error);
+
+  assert.ok(error instanceof LintError);
+  assert.equal(error.code, 'LINT_FAILED');
+  assert.ok(error.report.issues.length > 0);
+  assert.equal(error.result.subject, fixture.copy.subject);
+  await fs.access(error.result.files.html);
+});
+
+test('generateEmail with a reviewer applies the review edits and saves their history', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ structure: fixture.structure, copy: fixture.copy });
+  const answers = ['drop book-a-call', '', 'edit subject', 'Reviewed subject line for battery sizing', ''];
+  const review = { ask: async () => answers.shift() ?? '' };
+
+  const result = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out: await createTempDir(t), logger: silentLogger, review });
+
+  assert.equal(result.subject, 'Reviewed subject line for battery sizing');
+  assert.ok(!result.plan.sequence.includes('book-a-call'));
+  assert.deepEqual(result.review.edits.map(edit => [edit.stage, edit.action]), [['structure', 'drop'], ['copy', 'edit']]);
+  assert.deepEqual(JSON.parse(await fs.readFile(result.files.review, 'utf-8')), result.review);
+  assert.ok('review' in result.timings);
+  assert.equal(answers.length, 0);
+});
+
+test('generateEmail saves a plan file that renderEmail re-renders without model calls', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createMeteredProvider({ structure: fixture.structure, copy: fixture.copy });
+  const out = await createTempDir(t);
+  const email = await generateEmail({ text: fixture.blogData.blog_text }, { provider, out, logger: silentLogger });
+
+  const saved = JSON.parse(await fs.readFile(email.files.plan, 'utf-8'));
+  assert.equal(saved.version, 1);
+  assert.deepEqual(saved.input, { text: fixture.blogData.blog_text });
+  assert.deepEqual(saved.plan, email.plan);
+  assert.equal(saved.structure.email_goal, fixture.structure.email_goal);
+  assert.deepEqual(saved.models, { structure: 'gpt-4o-mini', copy: 'gpt-4.1' });
+  assert.deepEqual(saved.prompts.map(prompt => prompt.stage), ['structure', 'copy']);
+  assert.ok(saved.prompts.every(prompt => /^[0-9a-f]{16}$/.test(prompt.hash)));
+
+  // A designer fixes the hero title by hand, using the slot key for the body
+  saved.plan.slots.hero.title = 'Size your battery once, properly';
+  saved.plan.sequence = saved.plan.sequence.map(section => section === 'simple-body' ? 'simple_body' : section);
+  await fs.writeFile(email.files.plan, JSON.stringify(saved));
+
+  const rendered = await renderEmail(email.files.plan, { out, logger: silentLogger });
+  assert.equal(rendered.files.html, email.files.html);
+  assert.equal(rendered.files.plan, null);
+  assert.match(await fs.readFile(email.files.html, 'utf-8'), /Size your battery once, properly/);
+  assert.ok(rendered.plan.sequence.includes('simple-body'));
+  assert.equal(rendered.usage.calls, 0);
+  assert.equal(JSON.parse(await fs.readFile(rendered.files.meta, 'utf-8')).rendered_from, email.files.plan);
+  assert.equal(provider.calls.length, 2);
+});
+
+test('renderEmail keeps the series utm_campaign of a series email', async (t) => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const series = {
+    series_name: 'Battery Sizing Nurture',
+    strategy: 'Teach sizing first, then show the builder, then offer a consultation.',
+    emails: [
+      { send_day: 0, goal: 'educational', angle: 'How to size a leisure battery', cta_stage: 'soft', cta_link: 'blog' },
+      { send_day: 3, goal: 'product', angle: 'Let the builder do the maths', cta_stage: 'medium', cta_link: 'builder' },
+      { send_day: 6, goal: 'consultation', angle: 'Talk it through with an engineer', cta_stage: 'hard', cta_link: 'book_call' }
+    ]
+  };
+  const provider = createStubProvider({ series, structure: fixture.structure, copy: fixture.copy });
+  const out = await createTempDir(t);
+
+  const manifest = await generateSeries({ text: fixture.blogData.blog_text }, { provider, out, series: 3, logger: silentLogger });
+  const planFile = path.join(out, manifest.emails[0].plan);
+  assert.equal(JSON.parse(await fs.readFile(planFile, 'utf-8')).utm_campaign, 'battery-sizing-nurture');
+
+  const rendered = await renderEmail(planFile, { out, logger: silentLogger });
+  assert.equal(rendered.links.campaign, 'battery-sizing-nurture');
+  assert.ok(rendered.html.includes('utm_campaign=battery-sizing-nurture'));
+});
+
+test('renderEmail rejects missing and invalid plan files', async (t) => {
+  const out = await createTempDir(t);
+  const planFile = path.join(out, 'broken.plan.json');
+  await fs.writeFile(planFile, JSON.stringify({ plan: { subject: 'Hi', sequence: [], slots: {} } }));
+  const unknownFile = path.join(out, 'unknown.plan.json');
+  await fs.writeFile(unknownFile, JSON.stringify({ plan: { subject: 'Hi', preview: 'There', sequence: ['hero', 'mystery'], slots: {} } }));
+
+  await assert.rejects(renderEmail(path.join(out, 'missing.plan.json'), { logger: silentLogger }), (error) => error instanceof InputError && /Failed to read plan file/.test(error.message));
+  await assert.rejects(renderEmail(planFile, { logger: silentLogger }), /Invalid plan file .*preview string, Plan must have a non-empty sequence array/);
+  await assert.rejects(renderEmail(unknownFile, { logger: silentLogger }), /Unknown sections in .*: mystery/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countWords, estimateReadingTime, outlineText, summarizeText, describeArticle, SUMMARY_SENTENCES } from '../article.js';
+import { loadFixtureCase } from './helpers.js';
+
+test('outlineText lists the sections under each heading', () => {
+  const text = [
+    'Intro paragraph before any heading.',
+    '## Do an energy audit',
+    'List every device. Then add up the watt hours.',
+    '- Fridge\n- Lights',
+    '### Worked example',
+    '- 40Ah fridge',
+    '## Pick the capacity',
+    'Lithium can be drained further than lead acid.'
+  ].join('\n\n');
+
+  assert.deepEqual(outlineText(text), [
+    { level: 2, heading: 'Do an energy audit', words: 11, excerpt: 'List every device.' },
+    { level: 3, heading: 'Worked example', words: 2, excerpt: '' },
+    { level: 2, heading: 'Pick the capacity', words: 8, excerpt: 'Lithium can be drained further than lead acid.' }
+  ]);
+  assert.deepEqual(outlineText('No headings here.'), []);
+});
+
+test('countWords and estimateReadingTime ignore markdown markers', () => {
+  assert.equal(countWords('## Battery sizing\n\n- 200W for weekends\n1. Add it up'), 8);
+  assert.equal(estimateReadingTime('word '.repeat(50)), 1);
+  assert.equal(estimateReadingTime('word '.repeat(1000)), 5);
+});
+
+test('summarizeText picks sentences from across the article in their original order', async () => {
+  const { blogData } = await loadFixtureCase('battery-sizing');
+  const summary = summarizeText(blogData.blog_text);
+
+  const sentences = summary.split(/(?<=[.!?]) (?=[A-Z0-9])/);
+  assert.equal(sentences.length, SUMMARY_SENTENCES);
+  const positions = sentences.map(sentence => blogData.blog_text.replace(/\s+/g, ' ').indexOf(sentence));
+  assert.ok(positions.every(position => position >= 0), 'summary sentences are quoted from the article');
+  assert.deepEqual(positions, [...positions].sort((a, b) => a - b));
+  assert.ok(positions.at(-1) > blogData.blog_text.length / 2, 'summary covers the second half of the article');
+
+  assert.equal(summarizeText('One sentence. Two sentences.\n\n## Heading\n\n- a list item'), 'One sentence. Two sentences.');
+});
+
+test('describeArticle gives short articles whole and long ones as summary, outline and opening', async () => {
+  assert.equal(describeArticle({ blog_text: 'Short post.' }, 100), 'Short post.');
+
+  const { blogData } = await loadFixtureCase('battery-sizing');
+  const long = { ...blogData, blog_text: `${blogData.blog_text}\n\n## Charging on the road\n\n${'Solar keeps the battery topped up. '.repeat(40)}` };
+  const description = describeArticle(long, 1500);
+
+  assert.ok(description.length <= 1500, `${description.length} characters`);
+  assert.match(description, /^Summary of the full article \(\d+ words, \d+ min read\):\n/);
+  assert.match(description, /\n\nOutline:\n(.*\n)*- Charging on the road: Solar keeps the battery topped up\./);
+  assert.match(description, /\n\nOpening:\n[\s\S]+\.\.\.$/);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { collectBatchItems, loadBatchInput, runBatch } from '../batch.js';
+import { createTempDir } from './helpers.js';
+
+async function createContentDir(t, files) {
+  const dir = await createTempDir(t);
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('collectBatchItems lists content files in a directory', async (t) => {
+  const dir = await createContentDir(t, {
+    'b-solar.md': '# Solar',
+    'a-battery.html': '<h1>Battery</h1>',
+    'notes.json': '{}',
+    '.draft.md': 'hidden'
+  });
+
+  const items = await collectBatchItems(dir);
+  assert.deepEqual(items.map(item => [path.basename(item.path), item.type]), [
+    ['a-battery.html', 'file'],
+    ['b-solar.md', 'file']
+  ]);
+  assert.equal(items[0].id, path.join(dir, 'a-battery.html'));
+});
+
+test('collectBatchItems reads URLs and relative file paths from a list file', async (t) => {
+  const dir = await createContentDir(t, {
+    'post.md': 'Post',
+    'list.txt': '# Spring campaign\nhttps://vunked.com/blog/battery\n\npost.md\nhttps://vunked.com/blog/battery\nmissing.md\n'
+  });
+
+  const items = await collectBatchItems(path.join(dir, 'list.txt'));
+  assert.deepEqual(items.map(item => item.id), [
+    'https://vunked.com/blog/battery',
+    path.join(dir, 'post.md'),
+    path.join(dir, 'missing.md')
+  ]);
+  await assert.rejects(collectBatchItems(path.join(dir, 'nope')), /Failed to read batch source/);
+});
+
+test('loadBatchInput passes files on as file input and fingerprints the content', async (t) => {
+  const dir = await createContentDir(t, { 'post.html': '<h1>Battery sizing</h1><p>Start with an energy audit.</p>', 'empty.md': '  \n' });
+  const [htmlItem, emptyItem] = [path.join(dir, 'post.html'), path.join(dir, 'empty.md')]
+    .map(file => ({ id: path.basename(file), type: 'file', path: file }));
+
+  const { input, fingerprint } = await loadBatchInput(htmlItem);
+  assert.deepEqual(input, { file: htmlItem.path });
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+
+  await fs.writeFile(htmlItem.path, '<h1>Battery sizing</h1><p>Start with a load list.</p>');
+  assert.notEqual((await loadBatchInput(htmlItem)).fingerprint, fingerprint);
+
+  assert.deepEqual(await loadBatchInput({ id: 'u', type: 'url', url: 'https://vunked.com/blog' }), {
+    input: { url: 'https://vunked.com/blog' },
+    fingerprint: 'https://vunked.com/blog'
+  });
+  await assert.rejects(loadBatchInput(emptyItem), /empty\.md is empty/);
+});
+
+test('runBatch records failures, bounds concurrency and resumes', async (t) => {
+  const dir = await createContentDir(t, { 'a.md': 'Alpha', 'b.md': 'Bravo', 'c.md': 'Charlie', 'd.md': 'Delta' });
+  const statePath = path.join(dir, 'out', 'content.batch.json');
+  const items = await collectBatchItems(dir);
+
+  let running = 0;
+  let maxRunning = 0;
+  const calls = [];
+  const generate = async (input, item) => {
+    calls.push(path.basename(item.path));
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+    const text = await fs.readFile(input.file, 'utf-8');
+    if (text === 'Bravo') {
+      throw new Error('model timeout');
+    }
+    return { subjects: [`${text} subject`] };
+  };
+
+  const first = await runBatch(items, generate, { statePath, concurrency: 2 });
+  assert.equal(maxRunning, 2);
+  assert.deepEqual([first.total, first.done, first.failed, first.skipped], [4, 3, 1, 0]);
+  assert.equal(first.state_path, statePath);
+  assert.deepEqual([first.items[1].status, first.items[1].error, first.items[1].attempts], ['failed', 'model timeout', 1]);
+  assert.deepEqual(first.items[0].result, { subjects: ['Alpha subject'] });
+
+  const state = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+  assert.equal(Object.keys(state.items).length, 4);
+
+  // Re-run: finished items are skipped, the failed one and the edited one run again
+  await fs.writeFile(path.join(dir, 'c.md'), 'Charlie, edited');
+  calls.length = 0;
+  const second = await runBatch(items, generate, { statePath, concurrency: 1 });
+  assert.deepEqual(calls, ['b.md', 'c.md']);
+  assert.deepEqual(second.items.map(item => item.status), ['skipped', 'failed', 'done', 'skipped']);
+  assert.equal(second.items[1].attempts, 2);
+
+  calls.length = 0;
+  await runBatch(items, generate, { statePath, concurrency: 4, resume: false });
+  assert.equal(calls.length, 4);
+
+  await assert.rejects(runBatch(items, generate, { statePath, concurrency: 0 }), /between 1 and 8/);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePersonas, findPersona, parseBrandGuidelines, describeBrand, STAGE_BRAND_FIELDS } from '../brand.js';
+import { readFile } from '../utils.js';
+
+test('parsePersonas reads both customer profiles from the brand guidelines', async () => {
+  const personas = parsePersonas(await readFile('brand-guidelines.md'));
+
+  assert.deepEqual(personas.map(persona => persona.id), ['premium-peter', 'remote-rowan']);
+
+  const [peter, rowan] = personas;
+  assert.equal(peter.name, 'Premium Peter');
+  assert.match(peter.tagline, /done-for-me/);
+  assert.match(peter.description, /^"Premium Peter" is a 50-to-68-year-old/);
+  assert.match(peter.mindset, /pay for the best once/);
+  assert.match(peter.tone, /^Confident, engineering-grade/);
+  assert.match(rowan.mindset, /Work anywhere/);
+  assert.match(rowan.tone, /^Pragmatic, results-driven/);
+  assert.ok(!rowan.description.includes('**'));
+});
+
+test('parsePersonas returns an empty list without a Customer Profile section', () => {
+  assert.deepEqual(parsePersonas('# Overview\n\nNo personas here.'), []);
+});
+
+test('findPersona matches id, full name or first word', () => {
+  const personas = [{ id: 'premium-peter', name: 'Premium Peter' }, { id: 'remote-rowan', name: 'Remote Rowan' }];
+
+  assert.equal(findPersona(personas, 'remote-rowan').name, 'Remote Rowan');
+  assert.equal(findPersona(personas, 'Premium Peter').id, 'premium-peter');
+  assert.equal(findPersona(personas, 'rowan').id, 'remote-rowan');
+  assert.equal(findPersona(personas, 'bob'), null);
+  assert.equal(findPersona(personas, ''), null);
+});
+
+test('parseBrandGuidelines reads every part of the brand guide', async () => {
+  const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+
+  assert.match(brand.mission, /^Simplifying campervan electrics/);
+  assert.match(brand.vision, /go-to resource/);
+  assert.deepEqual(brand.values.map(value => value.name), ['Simplicity', 'Empowerment', 'Helpfulness', 'Innovation']);
+  assert.equal(brand.audience.length, 2);
+  assert.deepEqual(brand.palette.primary[0], { name: 'Burnt Orange', hex: '#E76F51' });
+  assert.deepEqual(brand.palette.accent.map(colour => colour.hex), ['#366476', '#468299']);
+  assert.deepEqual(brand.typography.headings, { font: 'Montserrat', fallback: 'Arial' });
+  assert.deepEqual(brand.typography.sizes, { h1: '36px', h2: '28px', body: '16px' });
+  assert.equal(brand.typography.font_stack, "'Montserrat', Arial, sans-serif");
+  assert.match(brand.voice.voice, /^Friendly, knowledgeable/);
+  assert.match(brand.voice.tone, /^Helpful and patient/);
+  assert.match(brand.examples.do[0], /^We're here to make your campervan electrics stress-free/);
+  assert.match(brand.examples.dont[0], /good luck figuring it out/);
+  assert.deepEqual(brand.personas.map(persona => persona.id), ['premium-peter', 'remote-rowan']);
+  assert.deepEqual(brand.contact, { email: 'hello@vunked.co.uk' });
+});
+
+test('describeBrand renders only the requested fields', async () => {
+  const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+  const structure = describeBrand(brand, STAGE_BRAND_FIELDS.structure);
+  const copy = describeBrand(brand, STAGE_BRAND_FIELDS.copy);
+
+  assert.match(structure, /\*\*Mission:\*\*/);
+  assert.match(structure, /Remote Rowan/);
+  assert.ok(!structure.includes('**Do:**'));
+
+  // Sections the old 2,500-character cut-off dropped
+  assert.match(copy, /\*\*Don't:\*\* "Campervan electrics are complicated/);
+  assert.match(copy, /Primary: Burnt Orange \(#E76F51\)/);
+  assert.match(copy, /hello@vunked\.co\.uk/);
+
+  assert.throws(() => describeBrand(brand, ['slogan']), /Unknown brand field "slogan"/);
+});
+
+test('describeBrand passes unstructured markdown through whole', () => {
+  assert.equal(describeBrand('  Be friendly. Use British spelling.\n', STAGE_BRAND_FIELDS.copy), 'Be friendly. Use British spelling.');
+  assert.equal(describeBrand(parseBrandGuidelines('Be friendly.'), STAGE_BRAND_FIELDS.copy), '');
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCompliance, fixCompliance } from '../compliance.js';
+import { parseBrandGuidelines } from '../brand.js';
+import { lintEmail } from '../lint.js';
+import { readFile } from '../utils.js';
+import { generateCopy } from '../copy.js';
+import { createStubProvider, loadFixtureCase } from './helpers.js';
+
+const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+
+const wrap = (body) => `<!DOCTYPE html><html><head><style>body { font-family: Arial; }</style></head><body>${body}</body></html>`;
+
+const rulesOf = (report) => report.issues.map(issue => issue.rule);
+
+test('checkCompliance flags drifted and off-palette colours but allows neutrals', () => {
+  const report = checkCompliance(wrap([
+    '<table><tr><td bgcolor="#EF6F51" style="color:#264653;background-color:#F7F7F7;">Drifted orange</td></tr></table>',
+    '<p style="color:#00A651;border:1px solid #666;">Off-brand green</p>'
+  ].join('')), brand);
+
+  const colours = report.issues.filter(issue => issue.rule === 'off-palette-colour');
+  assert.equal(colours.length, 2);
+  assert.match(colours[0].message, /bgcolor attribute: #EF6F51 is close to Burnt Orange \(#E76F51\)/);
+  assert.equal(colours[0].fixable, true);
+  assert.match(colours[1].message, /#00A651 is not a brand colour/);
+  assert.equal(colours[1].fixable, false);
+});
+
+test('checkCompliance checks font sizes against the hierarchy and fonts against the stack', () => {
+  const report = checkCompliance(wrap([
+    '<p style="font-size:14px;font-family:Montserrat, Tahoma, sans-serif;">Body copy</p>',
+    '<p style="font-size:11px;font-family:\'Helvetica Neue\',Arial;">Small print</p>',
+    '<h2 style="font-size:28px;font-family:\'Montserrat\', Arial, sans-serif;">Heading</h2>',
+    '<h3 style="font-size:22px;">Subheading</h3>',
+    '<div style="font-size:0px;line-height:0;">&nbsp;</div>'
+  ].join('')), brand);
+
+  assert.deepEqual(rulesOf(report).filter(rule => rule !== 'reading-grade'), [
+    'body-font-size',
+    'font-fallback',
+    'small-font-size',
+    'off-brand-font',
+    'off-hierarchy-font-size'
+  ]);
+  assert.match(report.issues[0].message, /14px; the brand guide sets body text at 16px/);
+  assert.equal(report.ok, false);
+});
+
+test('the copy prompt\'s simple-body example follows the brand hierarchy', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ copy: fixture.copy });
+  await generateCopy(fixture.structure, fixture.blogData, brand, 'gpt-4.1', null, provider);
+  const prompt = provider.calls[0].request.params.input;
+
+  assert.ok(prompt.includes('**Sizes:** h1 36px, h2 28px, body 16px'));
+  assert.ok(prompt.includes('will be displayed at 36px'));
+  // The model copies this markup, so drift here would fail every generated block
+  const example = prompt.split('\n').map(line => line.trim()).filter(line => line.startsWith('<h2 ') || line.startsWith('<p ')).join('');
+  assert.match(example, /^<h2 .*font-size: 28px;.*font-family: 'Montserrat', Arial, sans-serif;/);
+  const report = checkCompliance(wrap(example), brand);
+  assert.deepEqual(report.issues.filter(issue => issue.excerpt), []);
+});
+
+test('fixCompliance corrects style drift and leaves the rest of the markup alone', () => {
+  const html = wrap([
+    '<td bgcolor="#ef6f51" style="color:#EF6F51; font-size:14px; padding:8px">Cell</td>',
+    `<a href="#x" style='font-family:"Helvetica Neue", Arial; font-size:15px'>Link</a>`,
+    '<p style="color:#00A651;font-size:22px">Unfixable</p>'
+  ].join(''));
+  const { html: fixed, fixes } = fixCompliance(html, brand);
+
+  assert.equal(fixes.length, 5);
+  assert.ok(fixed.includes('<td bgcolor="#E76F51" style="color:#E76F51; font-size:16px; padding:8px">'));
+  assert.ok(fixed.includes(`style='font-family:"Montserrat", Arial, sans-serif; font-size:16px'`));
+  assert.ok(fixed.includes('<p style="color:#00A651;font-size:22px">'));
+  assert.ok(fixed.startsWith('<!DOCTYPE html><html><head><style>body { font-family: Arial; }</style>'));
+
+  const after = checkCompliance(fixed, brand);
+  assert.equal(after.summary.fixable, 0);
+});
+
+test('tone rules catch negative phrasing, the Don\'t example, jargon and hard reading', () => {
+  const plan = {
+    subject: 'Campervan electrics are complicated',
+    preview: 'Good luck figuring it out on your own.',
+    slots: {
+      hero: { title: 'Wiring', subtitle: 'Size the BMS, MPPT, shunt and DC-DC charger', cta_url: 'https://vunked.com/complicated' },
+      simple_body: [{ html: '<p>Notwithstanding considerable electrochemical variability, manufacturers recommend conservative depth of discharge specifications, particularly regarding lithium iron phosphate configurations.</p>' }]
+    }
+  };
+  const report = checkCompliance(wrap('<p>Body</p>'), brand, plan);
+  const rules = rulesOf(report);
+
+  assert.ok(rules.includes('negative-phrasing'));
+  assert.match(report.issues.find(issue => issue.rule === 'negative-phrasing').message, /complicated, good luck, figuring it out, on your own/);
+  assert.ok(rules.includes('dont-example'));
+  assert.ok(rules.includes('jargon-density'));
+  assert.ok(rules.includes('reading-grade'));
+  assert.ok(report.tone.reading_grade > 9);
+});
+
+test('fixing the golden email clears every style warning without new lint issues', async () => {
+  const { copy } = await loadFixtureCase('battery-sizing');
+  const html = await readFile('agents/test/golden/battery-sizing.html');
+
+  const before = checkCompliance(html, brand, copy);
+  assert.ok(before.summary.fixable > 0);
+  assert.ok(before.tone.reading_grade <= 9);
+
+  const { html: fixed } = fixCompliance(html, brand);
+  const after = checkCompliance(fixed, brand, copy);
+
+  assert.equal(after.summary.warning, 0);
+  assert.equal(after.summary.fixable, 0);
+  assert.deepEqual(lintEmail(fixed).summary, lintEmail(html).summary);
+});
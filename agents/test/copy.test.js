@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateCopy, regenerateSlot, selectDefaultCtaLink } from '../copy.js';
+import { readFile } from '../utils.js';
+import { getLinkUrls } from '../links.js';
+import { parseBrandGuidelines } from '../brand.js';
+import { createStubProvider, loadFixtureCase } from './helpers.js';
+
+const LINKS = getLinkUrls();
+
+test('selectDefaultCtaLink prefers the booking link for consultation emails', () => {
+  assert.equal(selectDefaultCtaLink({ sequence: ['hero', 'book-a-call'], email_goal: 'educational' }), LINKS.book_call);
+  assert.equal(selectDefaultCtaLink({ sequence: ['hero'], email_goal: 'Consultation push' }), LINKS.book_call);
+});
+
+test('selectDefaultCtaLink uses the builder for product and sale emails', () => {
+  assert.equal(selectDefaultCtaLink({ sequence: ['hero', 'selling-points-what-you-get'], email_goal: '' }), LINKS.builder);
+  assert.equal(selectDefaultCtaLink({ sequence: ['hero'], email_goal: 'Black Friday sale' }), LINKS.builder);
+});
+
+test('selectDefaultCtaLink uses the blog for educational emails and homepage otherwise', () => {
+  assert.equal(selectDefaultCtaLink({ sequence: ['hero'], email_goal: 'educational guide' }), LINKS.blog);
+  assert.equal(selectDefaultCtaLink({ sequence: ['hero'], email_goal: 'announcement' }), LINKS.homepage);
+  assert.equal(selectDefaultCtaLink(null), LINKS.homepage);
+});
+
+test('generateCopy replaces a non-approved hero CTA with the best fallback', async () => {
+  const fixture = await loadFixtureCase('black-friday');
+  const provider = createStubProvider({ copy: fixture.copy });
+  const structure = { ...fixture.structure, sequence: ['hero', 'simple-body', 'book-a-call', 'signature', 'footer'] };
+
+  const plan = await generateCopy(structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+
+  assert.equal(provider.calls[0].request.api, 'responses');
+  assert.equal(plan.slots.hero.cta_url, LINKS.book_call);
+  assert.equal(plan.slots.hero.cta_text, 'Build Your System');
+  assert.deepEqual(plan.sequence, structure.sequence);
+});
+
+test('generateCopy keeps an approved hero CTA', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ copy: fixture.copy });
+
+  const plan = await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+
+  assert.equal(plan.slots.hero.cta_url, LINKS.blog);
+  assert.equal(plan.slots['six-summary-cards'].length, 6);
+});
+
+test('generateCopy tailors the prompt to a persona only when one is given', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ copy: fixture.copy });
+  const persona = {
+    id: 'remote-rowan',
+    name: 'Remote Rowan',
+    description: 'Remote professional who works from a campervan.',
+    mindset: 'Work anywhere.',
+    tone: 'Pragmatic, results-driven.'
+  };
+
+  await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+  await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider, null, persona);
+
+  const [plain, targeted] = provider.calls.map(call => call.request.params.input);
+  assert.ok(!plain.includes('## Target Persona'));
+  assert.ok(targeted.includes('## Target Persona: Remote Rowan'));
+  assert.ok(targeted.includes('**Tone & messaging:** Pragmatic, results-driven.'));
+});
+
+test('generateCopy sees the voice examples and palette from the parsed brand guide', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ copy: fixture.copy });
+  const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+
+  await generateCopy(fixture.structure, fixture.blogData, brand, 'gpt-4.1', null, provider);
+
+  const prompt = provider.calls[0].request.params.input;
+  assert.ok(prompt.includes(`**Do:** "${brand.examples.do[0]}"`));
+  assert.ok(prompt.includes('- Primary: Navy Blue (#264653)'));
+  assert.ok(prompt.includes('- Premium Peter: '));
+});
+
+test('generateCopy fills the slot guidance from the brand typography', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ copy: fixture.copy });
+  const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+  const larger = { ...brand, typography: { ...brand.typography, sizes: { ...brand.typography.sizes, h2: '30px' } } };
+
+  await generateCopy(fixture.structure, fixture.blogData, larger, 'gpt-4.1', null, provider);
+  await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+
+  const [branded, plain] = provider.calls.map(call => call.request.params.input);
+  assert.ok(branded.includes('an H2 heading (30px) and 1-2 short paragraphs of 16px body text'));
+  assert.ok(branded.includes("font-size: 30px;\"><span style=\"font-weight: bold; font-family: 'Montserrat', Arial, sans-serif;"));
+  // Without a parsed type scale the guidance keeps the section templates' own styles
+  assert.ok(plain.includes('font-size: 21px;'));
+  assert.ok(!/\{\{\w+\}\}/.test(plain));
+});
+
+test('generateCopy offers related blog posts only when the blog index found some', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ copy: fixture.copy });
+  const related = [{ url: 'https://vunked.com/blog/dc-dc-charger-wiring/', title: 'Wiring a DC-DC Charger', summary: 'Charge from the alternator.' }];
+
+  await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+  await generateCopy(fixture.structure, { ...fixture.blogData, related_posts: related }, 'Brand guide', 'gpt-4.1', null, provider);
+
+  const [plain, linked] = provider.calls.map(call => call.request.params.input);
+  assert.ok(!plain.includes('## Related Blog Posts'));
+  assert.ok(linked.includes('## Related Blog Posts\n- Wiring a DC-DC Charger → https://vunked.com/blog/dc-dc-charger-wiring/: Charge from the alternator.'));
+});
+
+test('regenerateSlot rewrites one item with the reviewed copy and notes in the prompt', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ copy: fixture.copy, regenerate: { value: { html: '<p>Shorter block.</p>' } } });
+  const plan = await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+  plan.slots.hero.title = 'Power for every trip';
+
+  const value = await regenerateSlot(plan, { section: 'simple-body', index: 1 }, fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider, null, 'make it shorter');
+
+  assert.deepEqual(value, { html: '<p>Shorter block.</p>' });
+  const { stage, request } = provider.calls[1];
+  assert.equal(stage, 'regenerate');
+  assert.ok(request.params.input.includes('"title": "Power for every trip"'));
+  assert.ok(request.params.input.includes('Rewrite only **simple-body item 2**'));
+  assert.ok(request.params.input.includes('**Reviewer notes:** make it shorter'));
+  assert.deepEqual(request.params.text.format.schema.properties.value.required, ['html']);
+});
+
+test('regenerateSlot keeps the approved hero CTA when the new one is not approved', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const hero = { title: 'New title', subtitle: 'New subtitle', cta_text: 'Go', cta_url: 'https://example.com/' };
+  const provider = createStubProvider({ copy: fixture.copy, regenerate: { value: hero } });
+  const plan = await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+
+  const value = await regenerateSlot(plan, { section: 'hero', index: null }, fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+
+  assert.equal(value.title, 'New title');
+  assert.equal(value.cta_url, plan.slots.hero.cta_url);
+  await assert.rejects(regenerateSlot(plan, { section: 'footer', index: null }, fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider), /Section "footer" has no copy to regenerate/);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { applyDarkMode, addDarkModeClasses, checkDarkModeContrast, contrastRatio, CONTRAST_MIN } from '../darkmode.js';
+import { lintEmail } from '../lint.js';
+import { parseBrandGuidelines } from '../brand.js';
+import { readFile } from '../utils.js';
+import { GOLDEN_DIR } from './helpers.js';
+
+const brand = parseBrandGuidelines(await readFile('brand-guidelines.md'));
+
+const email = (body) => [
+  '<!DOCTYPE html><html><head><title>t</title>',
+  '<meta content="width=device-width, initial-scale=1" name="viewport"/>',
+  '<style>body { margin: 0; }</style></head>',
+  `<body style="background-color:#F7F7F7;">${body}</body></html>`
+].join('\n');
+
+const parse = (html) => new JSDOM(html).window.document;
+
+test('addDarkModeClasses tags light backgrounds and dark text only', () => {
+  const html = addDarkModeClasses([
+    '<td class="kl-column" bgcolor="#ffffff">',
+    '<p style="color:rgb(38, 70, 83);font-size:16px">Navy</p>',
+    '<a style="background-color:#E76F51;color:#fff" href="#">Orange button</a>',
+    '<div class="" style="background:#F1F6F9 url(bg.png) no-repeat">Light panel</div>'
+  ].join(''));
+
+  assert.equal(html, [
+    '<td class="kl-column dm-bg-ffffff" bgcolor="#ffffff">',
+    '<p class="dm-text-264653" style="color:rgb(38, 70, 83);font-size:16px">Navy</p>',
+    '<a style="background-color:#E76F51;color:#fff" href="#">Orange button</a>',
+    '<div class="dm-bg-f1f6f9" style="background:#F1F6F9 url(bg.png) no-repeat">Light panel</div>'
+  ].join(''));
+  assert.equal(addDarkModeClasses(html), html, 'tagging twice changes nothing');
+});
+
+test('applyDarkMode declares the colour schemes and derives overrides from the palette', () => {
+  const html = applyDarkMode(email('<table style="background-color:#ffffff"><tr><td style="color:#264653">Hi</td></tr></table>'), brand);
+
+  assert.match(html, /name="viewport"\/>\n<meta content="light dark" name="color-scheme"\/>\n<meta content="light dark" name="supported-color-schemes"\/>/);
+  assert.match(html, /:root \{ color-scheme: light dark; supported-color-schemes: light dark; \}/);
+  // Backgrounds become shades of Navy Blue (#264653), the darkest palette colour
+  assert.match(html, /@media \(prefers-color-scheme: dark\) \{[^@]*\.dm-bg-ffffff \{ background-color: #0F1C21 !important; \}/);
+  assert.match(html, /\.dm-bg-f7f7f7 \{ background-color: #122026 !important; \}/);
+  assert.match(html, /\.dm-text-264653 \{ color: #ACCCD9 !important; \}/);
+  assert.match(html, /\[data-ogsb\] \.dm-bg-ffffff \{ background-color: #0F1C21 !important; \}/);
+  assert.match(html, /\[data-ogsc\] \.dm-text-264653 \{ color: #ACCCD9 !important; \}/);
+  assert.match(html, /<body class="dm-bg-f7f7f7" style=/);
+
+  const lightOnly = { ...brand, palette: { primary: [{ name: 'White', hex: '#FFFFFF' }], accent: [] } };
+  const plain = email('<p style="color:#264653">Hi</p>');
+  assert.equal(applyDarkMode(plain, lightOnly), plain);
+});
+
+test('applyDarkMode rebuilds the classes and overrides when colours change', () => {
+  const html = applyDarkMode(email('<p class="intro" style="color:#264653">Hi</p><p style="color:#333333">There</p>'), brand);
+  assert.equal(applyDarkMode(html, brand), html, 'applying twice changes nothing');
+
+  const recoloured = applyDarkMode(html.replace(/#333333/g, '#264653'), brand);
+  assert.equal(recoloured, applyDarkMode(email('<p class="intro" style="color:#264653">Hi</p><p style="color:#264653">There</p>'), brand));
+  assert.ok(!recoloured.includes('dm-text-333333'));
+  assert.equal(recoloured.match(/name="color-scheme"/g).length, 1);
+});
+
+test('applyDarkMode adds the color-scheme meta to a head without a viewport meta', () => {
+  const html = applyDarkMode(email('<p style="color:#264653">Hi</p>').replace(/<meta[^>]*name="viewport"\/>\n/, ''), brand);
+
+  assert.match(html, /<meta content="light dark" name="color-scheme"\/>\n<meta content="light dark" name="supported-color-schemes"\/>\n<style>\n {2}:root/);
+  assert.ok(!lintEmail(html).issues.some(issue => issue.rule === 'color-scheme'));
+  assert.equal(applyDarkMode(html, brand), html);
+});
+
+test('checkDarkModeContrast flags colour pairs that lose contrast, by section', () => {
+  const doc = parse(email([
+    '<!-- section: hero -->',
+    '<table><tr><td style="background-color:#0000FF"><p style="color:#ffffff">Blue banner</p><p style="color:#ffffff">Twice</p></td></tr></table>',
+    '<!-- section: book-a-call -->',
+    '<table><tr><td style="background-color:#2A9D8F"><span style="color:#000000">Teal panel</span></td></tr></table>',
+    '<table><tr><td style="background-color:#ffffff"><span style="color:#264653">Navy on white</span></td></tr></table>',
+    '<div style="display:none;color:#F7F7F7">hidden preheader</div>'
+  ].join('\n')));
+
+  const losses = checkDarkModeContrast(doc).map(({ element, ...loss }) => loss);
+  assert.deepEqual(losses.map(loss => [loss.section, loss.mode, loss.text, loss.background, loss.count]), [
+    ['hero', 'full', '#FFFFFF', '#0000FF', 2],
+    ['book-a-call', 'partial', '#000000', '#2A9D8F', 1],
+    ['book-a-call', 'full', '#000000', '#2A9D8F', 1]
+  ]);
+  assert.equal(losses[1].dark_text, '#FFFFFF');
+  assert.ok(losses[1].light_ratio >= CONTRAST_MIN && losses[1].ratio < CONTRAST_MIN);
+  assert.equal(losses[1].ratio, Math.round(contrastRatio('#FFFFFF', '#2A9D8F') * 100) / 100);
+});
+
+test('checkDarkModeContrast applies the email\'s own overrides', () => {
+  // Navy text on a light panel: fine once both are swapped, unreadable if only the panel is
+  const panel = '<!-- section: simple-body --><div style="background-color:#F1F6F9"><p style="color:#264653">Body copy</p></div>';
+  assert.deepEqual(checkDarkModeContrast(parse(applyDarkMode(email(panel), brand))), []);
+
+  const broken = applyDarkMode(email(panel), brand).replace(/\.dm-text-264653 \{[^}]*\}/g, '');
+  const losses = checkDarkModeContrast(parse(broken));
+  assert.deepEqual(losses.map(loss => [loss.section, loss.mode, loss.dark_text, loss.dark_background]), [
+    ['simple-body', 'overrides', '#264653', '#122128']
+  ]);
+});
+
+test('lintEmail reports the color-scheme meta and dark-mode contrast losses', async () => {
+  const report = lintEmail(email('<!-- section: hero --><div style="background-color:#0000FF"><p style="color:#ffffff">Blue banner</p></div>'));
+  const rules = report.issues.map(issue => issue.rule);
+  assert.ok(rules.includes('color-scheme'));
+  const loss = report.issues.find(issue => issue.rule === 'dark-mode-contrast');
+  assert.equal(loss.severity, 'warning');
+  assert.match(loss.message, /^In hero, #FFFFFF text on #0000FF drops to 2\.44:1 contrast \(#000000 on #0000FF, needs 4\.5:1\) with full colour inversion/);
+
+  const golden = lintEmail(await readFile(path.join(GOLDEN_DIR, 'battery-sizing.html')));
+  assert.ok(!golden.issues.some(issue => issue.rule === 'color-scheme' || issue.rule === 'dark-mode-contrast'));
+});
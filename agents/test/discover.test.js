@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseFeed, syncBlogIndex, loadBlogIndex, findPostsWithoutEmails, findRelatedPosts } from '../discover.js';
+import { FIXTURES_DIR, createTempDir, loadFixtureCase } from './helpers.js';
+
+const RSS_FEED = path.join(FIXTURES_DIR, 'feeds', 'blog-rss.xml');
+const SITEMAP = path.join(FIXTURES_DIR, 'feeds', 'blog-sitemap.xml');
+
+test('parseFeed reads posts from RSS, Atom and sitemaps', async () => {
+  const rss = parseFeed(await fs.readFile(RSS_FEED, 'utf-8'));
+  assert.equal(rss.posts.length, 4);
+  assert.deepEqual(rss.posts[0], {
+    url: 'https://vunked.com/blog/campervan-battery-sizing/',
+    title: 'How Big Should Your Campervan Battery Be?',
+    date: '2025-10-06T09:00:00.000Z',
+    summary: 'Size your leisure battery with a simple energy audit: list every device, add up the watt-hours and pick a lithium bank with headroom.'
+  });
+
+  const sitemap = parseFeed(await fs.readFile(SITEMAP, 'utf-8'));
+  assert.deepEqual(sitemap.posts[1], { url: 'https://vunked.com/blog/inverter-buying-guide/', title: 'Inverter buying guide', date: '2025-10-13T09:00:00.000Z', summary: '' });
+
+  const atom = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom"><entry><title>Solar</title>
+    <link rel="alternate" href="https://vunked.com/blog/solar"/><published>2025-09-22T09:00:00Z</published>
+    <summary>Roof panels.</summary></entry></feed>`);
+  assert.deepEqual(atom.posts, [{ url: 'https://vunked.com/blog/solar', title: 'Solar', date: '2025-09-22T09:00:00.000Z', summary: 'Roof panels.' }]);
+
+  const index = parseFeed('<sitemapindex><sitemap><loc>https://vunked.com/post-sitemap.xml</loc></sitemap></sitemapindex>');
+  assert.deepEqual(index, { posts: [], sitemaps: ['https://vunked.com/post-sitemap.xml'] });
+
+  assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Unrecognised feed format <html>/);
+});
+
+test('syncBlogIndex merges new posts into the index and keeps known titles', async (t) => {
+  const indexPath = path.join(await createTempDir(t), 'blog-index.json');
+
+  const first = await syncBlogIndex({ feed: RSS_FEED, indexPath });
+  assert.equal(first.index_path, indexPath);
+  assert.equal(first.added.length, 4);
+
+  // The sitemap only adds the inverter guide and has no titles of its own
+  const second = await syncBlogIndex({ feed: SITEMAP, indexPath });
+  assert.deepEqual(second.added.map(post => post.url), ['https://vunked.com/blog/inverter-buying-guide/']);
+  assert.deepEqual(second.posts.map(post => post.title), [
+    'Inverter buying guide',
+    'How Big Should Your Campervan Battery Be?',
+    'Solar Panels for Campervans: How Many Watts Do You Need?',
+    'Wiring a DC-DC Charger',
+    'Our Favourite Van Builds of the Summer'
+  ]);
+  assert.equal(second.posts[1].first_seen_at, first.posts[0].first_seen_at);
+
+  const saved = await loadBlogIndex(indexPath);
+  assert.equal(saved.feed, SITEMAP);
+  assert.deepEqual(saved.posts, second.posts);
+});
+
+test('syncBlogIndex fetches a feed URL and reports a failed request', async (t) => {
+  const indexPath = path.join(await createTempDir(t), 'blog-index.json');
+  const xml = await fs.readFile(SITEMAP, 'utf-8');
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    return url.endsWith('missing.xml') ? { ok: false, status: 404 } : { ok: true, text: async () => xml };
+  };
+
+  const { posts } = await syncBlogIndex({ feed: 'https://vunked.com/blog/sitemap.xml', indexPath, fetch });
+  assert.deepEqual(requested, ['https://vunked.com/blog/sitemap.xml']);
+  assert.equal(posts.length, 2);
+
+  await assert.rejects(syncBlogIndex({ feed: 'https://vunked.com/missing.xml', indexPath, fetch }), /Failed to read blog feed https:\/\/vunked\.com\/missing\.xml: HTTP 404/);
+});
+
+test('loadBlogIndex is empty before the first sync and rejects a broken index', async (t) => {
+  const dir = await createTempDir(t);
+  assert.deepEqual(await loadBlogIndex(path.join(dir, 'none.json')), { feed: null, updated_at: null, posts: [] });
+
+  await fs.writeFile(path.join(dir, 'broken.json'), JSON.stringify({ posts: [{ title: 'No URL' }] }));
+  await assert.rejects(loadBlogIndex(path.join(dir, 'broken.json')), /Invalid blog index .*posts must be an array of posts with a url/);
+});
+
+test('findPostsWithoutEmails skips posts that an email in the output directory came from', async (t) => {
+  const out = await createTempDir(t);
+  const { posts } = parseFeed(await fs.readFile(RSS_FEED, 'utf-8'));
+  await fs.writeFile(path.join(out, 'battery.meta.json'), JSON.stringify({ source: { url: 'http://www.vunked.com/blog/campervan-battery-sizing?utm_source=x' } }));
+  await fs.writeFile(path.join(out, 'prompt.meta.json'), JSON.stringify({ source: { prompt: 'black friday' } }));
+
+  const pending = await findPostsWithoutEmails(posts, out);
+  assert.deepEqual(pending.map(post => post.url), posts.slice(1).map(post => post.url));
+  assert.equal((await findPostsWithoutEmails(posts, path.join(out, 'missing'))).length, 4);
+});
+
+test('findRelatedPosts picks posts on the same topic and leaves out the source post', async () => {
+  const { blogData } = await loadFixtureCase('battery-sizing');
+  const { posts } = parseFeed(await fs.readFile(RSS_FEED, 'utf-8'));
+
+  const related = findRelatedPosts({ ...blogData, source_url: 'https://vunked.com/blog/campervan-battery-sizing' }, posts);
+  const urls = related.map(post => post.url);
+  assert.ok(!urls.includes('https://vunked.com/blog/campervan-battery-sizing/'));
+  assert.ok(!urls.includes('https://vunked.com/blog/summer-van-builds/'));
+  assert.ok(urls.includes('https://vunked.com/blog/dc-dc-charger-wiring/'));
+  assert.deepEqual(Object.keys(related[0]), ['url', 'title', 'summary']);
+
+  assert.equal(findRelatedPosts(blogData, posts, 1).length, 1);
+  assert.deepEqual(findRelatedPosts(blogData, []), []);
+});
@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+export const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/**
+ * Text that only exists in the raw section templates. If any of it survives
+ * assembly, a selector in write.js no longer matches its template.
+ */
+export const TEMPLATE_PLACEHOLDERS = [
+  'Insert Link',
+  'H1 : We have something special',
+  'Sub text:',
+  'CTA - Visit Builder',
+  '>H3<',
+  '>Body Text<'
+];
+
+/**
+ * Load a fixture case (blog input plus canned structure and copy responses)
+ */
+export async function loadFixtureCase(name) {
+  const readJson = async (file) => JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, name, file), 'utf-8'));
+
+  return {
+    blogData: await readJson('blog.json'),
+    structure: await readJson('structure.json'),
+    copy: await readJson('copy.json')
+  };
+}
+
+/**
+ * Make an empty directory under the OS temp dir that is removed when test t ends
+ */
+export async function createTempDir(t, prefix = 'vunked-') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Provider that answers each stage with canned JSON, in the same shape the
+ * OpenAI chat and responses APIs return it
+ */
+export function createStubProvider(responses) {
+  const calls = [];
+
+  return {
+    mode: 'stub',
+    fixturesDir: null,
+    calls,
+    async complete(stage, request) {
+      calls.push({ stage, request });
+
+      if (!(stage in responses)) {
+        throw new Error(`No stub response for stage "${stage}"`);
+      }
+
+      const content = JSON.stringify(responses[stage]);
+      if (request.api === 'chat') {
+        return { choices: [{ message: { content } }] };
+      }
+      return { output_text: content };
+    }
+  };
+}
+
+/**
+ * Compare output against a golden file. Run with UPDATE_GOLDEN=1 to rewrite it.
+ */
+export async function assertGolden(fileName, actual) {
+  const goldenPath = path.join(GOLDEN_DIR, fileName);
+
+  if (process.env.UPDATE_GOLDEN) {
+    await fs.mkdir(GOLDEN_DIR, { recursive: true });
+    await fs.writeFile(goldenPath, actual, 'utf-8');
+    return;
+  }
+
+  let expected;
+  try {
+    expected = await fs.readFile(goldenPath, 'utf-8');
+  } catch (error) {
+    assert.fail(`Missing golden file ${fileName}. Run "npm run test:update" to create it.`);
+  }
+
+  assert.equal(actual, expected, `Output differs from golden file ${fileName}. If the change is intended, run "npm run test:update".`);
+}
+
+/**
+ * Assert that no raw template placeholder text made it into the output
+ */
+export function assertNoPlaceholders(html, label = 'output') {
+  for (const placeholder of TEMPLATE_PLACEHOLDERS) {
+    assert.ok(!html.includes(placeholder), `${label} still contains template placeholder "${placeholder}"`);
+  }
+}
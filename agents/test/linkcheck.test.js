@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { checkLinks, createHttpChecker, extractUrls, normalizeUrl, auditUrl } from '../linkcheck.js';
+import { readFile } from '../utils.js';
+
+const rules = issues => issues.map(issue => issue.rule);
+
+test('extractUrls finds link hrefs and image srcs', () => {
+  const urls = extractUrls('<a href=" https://vunked.com ">Home</a><img src="https://cdn.example.net/a.png" alt=""><img alt="no src"><a name="top">Top</a>');
+  assert.deepEqual(urls, [
+    { attribute: 'href', tag: 'a', url: 'https://vunked.com' },
+    { attribute: 'src', tag: 'img', url: 'https://cdn.example.net/a.png' },
+    { attribute: 'src', tag: 'img', url: '' }
+  ]);
+});
+
+test('normalizeUrl collapses slashes, upgrades protocol-relative URLs and lower-cases the host', () => {
+  assert.equal(normalizeUrl('https://Vunked.com//privacy-policy?x=1'), 'https://vunked.com/privacy-policy?x=1');
+  assert.equal(normalizeUrl('//cdn.vunked.com/a.png'), 'https://cdn.vunked.com/a.png');
+  assert.equal(normalizeUrl('https://vunked.com/blog#'), 'https://vunked.com/blog');
+  assert.equal(normalizeUrl('javascript:alert(1)'), null);
+});
+
+test('auditUrl flags placeholders, malformed URLs, repeated slashes and plain http', () => {
+  assert.deepEqual(rules(auditUrl('http://Insert Link Address')), ['placeholder-url']);
+  assert.deepEqual(rules(auditUrl('https://example.com/your-link')), ['placeholder-url']);
+  assert.deepEqual(rules(auditUrl('')), ['placeholder-url']);
+  assert.deepEqual(rules(auditUrl('javascript:void(0)')), ['malformed-url']);
+  assert.match(auditUrl('javascript:void(0)')[0].message, /unsupported scheme "javascript:"/);
+  assert.deepEqual(rules(auditUrl('https://vunked com/blog')), ['malformed-url']);
+  assert.deepEqual(rules(auditUrl('https://vunked/blog')), ['malformed-url']);
+  assert.deepEqual(rules(auditUrl('http://vunked.com//privacy-policy')), ['duplicate-slash', 'insecure-url']);
+  assert.deepEqual(rules(auditUrl('//vunked.com/blog')), ['protocol-relative-url']);
+  assert.deepEqual(auditUrl('https://builder.vunked.com'), []);
+});
+
+test('checkLinks reports each distinct URL once and skips merge tags, mailto and anchors', async () => {
+  const html = `
+    <a href="https://vunked.com//privacy-policy">Privacy</a>
+    <a href="https://vunked.com//privacy-policy">Privacy</a>
+    <a href="{% unsubscribe_link %}">Unsubscribe</a>
+    <a href="mailto:hello@vunked.co.uk">Email</a>
+    <a href="#top">Top</a>
+    <a href="#">Empty</a>
+    <img src="http://cdn.vunked.com/van.png" alt="Van">`;
+  const report = await checkLinks(html);
+
+  assert.equal(report.online, false);
+  assert.equal(report.checked, 3);
+  assert.equal(report.skipped, 3);
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.summary, { error: 1, warning: 2, info: 0 });
+  assert.deepEqual(report.urls[0], {
+    url: 'https://vunked.com//privacy-policy',
+    normalized: 'https://vunked.com/privacy-policy',
+    attributes: ['href'],
+    count: 2
+  });
+  assert.deepEqual(report.issues.map(issue => [issue.rule, issue.url, issue.count]), [
+    ['duplicate-slash', 'https://vunked.com//privacy-policy', 2],
+    ['placeholder-url', '#', 1],
+    ['insecure-url', 'http://cdn.vunked.com/van.png', 1]
+  ]);
+});
+
+test('checkLinks on a golden email only finds the footer double slashes', async () => {
+  const html = await readFile('agents/test/golden/battery-sizing.html');
+  const report = await checkLinks(html);
+  assert.equal(report.ok, true);
+  assert.deepEqual([...new Set(rules(report.issues))], ['duplicate-slash']);
+  assert.ok(report.issues.every(issue => issue.url.startsWith('https://vunked.com//')));
+});
+
+test('network check reports broken and unreachable URLs from a local server', async (t) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/head-not-allowed' && req.method === 'HEAD') {
+      res.writeHead(405).end();
+    } else if (req.url === '/gone') {
+      res.writeHead(404).end();
+    } else if (req.url === '/slow') {
+      setTimeout(() => res.writeHead(200).end(), 500);
+    } else {
+      res.writeHead(200).end('ok');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const html = ['/ok', '//ok', '/gone', '/head-not-allowed', '/slow']
+    .map(route => `<a href="${base}${route}">link</a>`)
+    .join('');
+  const report = await checkLinks(html, createHttpChecker({ timeout: 200 }));
+
+  assert.equal(report.online, true);
+  const statuses = Object.fromEntries(report.urls.map(entry => [entry.url.replace(base, ''), entry.status]));
+  assert.deepEqual(statuses, { '/ok': 200, '//ok': 200, '/gone': 404, '/head-not-allowed': 200, '/slow': null });
+  assert.deepEqual(
+    report.issues.filter(issue => !['insecure-url', 'duplicate-slash'].includes(issue.rule)).map(issue => [issue.rule, issue.url.replace(base, '')]),
+    [['broken-url', '/gone'], ['unreachable-url', '/slow']]
+  );
+  assert.match(report.urls.at(-1).error, /timed out after 200ms/);
+});
+
+test('checkLinks accepts a custom checker and skips URLs that failed offline', async () => {
+  const requested = [];
+  const checker = async (url) => {
+    requested.push(url);
+    if (url.includes('boom')) {
+      throw new Error('boom');
+    }
+    return { status: 200 };
+  };
+  const report = await checkLinks('<a href="https://vunked.com//blog">a</a><a href="https://boom.vunked.com">b</a><a href="http://Insert Link Address">c</a>', checker);
+
+  assert.deepEqual(requested, ['https://vunked.com/blog', 'https://boom.vunked.com/']);
+  assert.deepEqual(rules(report.issues), ['duplicate-slash', 'placeholder-url', 'unreachable-url']);
+});
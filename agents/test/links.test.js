@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  applyLinkPolicy,
+  isApprovedLink,
+  addUtmParams,
+  createLinkPolicy,
+  DEFAULT_LINK_POLICY,
+  getLinkDirectory,
+  getLinkUrls,
+  matchLinkKey,
+  validateLinkDirectory
+} from '../links.js';
+import { writeAndAssemble } from '../write.js';
+import { generateCopy } from '../copy.js';
+import { createStubProvider, createTempDir, loadFixtureCase } from './helpers.js';
+
+const LINKS = getLinkUrls();
+
+test('isApprovedLink accepts directory links and allowed prefixes only', () => {
+  assert.ok(isApprovedLink(LINKS.book_call));
+  assert.ok(isApprovedLink('https://vunked.com/blog/how-to-size-a-battery'));
+  assert.ok(isApprovedLink('http://www.vunked.com/'));
+  assert.ok(isApprovedLink('https://www.instagram.com/vunkedvans/?hl=en'));
+
+  assert.ok(!isApprovedLink('https://example.com/vunked.com'));
+  assert.ok(!isApprovedLink('https://vunked.com.evil.io/'));
+  assert.ok(!isApprovedLink('https://cal.com/vunkedclone'));
+  assert.ok(!isApprovedLink('http://Insert Link Address'));
+  assert.ok(!isApprovedLink('javascript:alert(1)'));
+});
+
+test('addUtmParams keeps existing parameters and fragments', () => {
+  assert.equal(
+    addUtmParams('https://vunked.com/blog?utm_source=instagram#faq', { source: 'klaviyo', medium: 'email' }),
+    'https://vunked.com/blog?utm_source=instagram&utm_medium=email#faq'
+  );
+});
+
+test('applyLinkPolicy unwraps unapproved body links and tags the approved ones', () => {
+  const html = [
+    '<p>Read <a href="https://competitor.example/guide" style="color:#E76F51">this guide</a> ',
+    'or <a href="https://vunked.com/blog?ref=a&amp;b=1" target="_blank">our blog</a>.</p>',
+    '<a href="{% unsubscribe_link %}">Unsubscribe</a> <a href="mailto:hello@vunked.co.uk">Email us</a>'
+  ].join('');
+
+  const result = applyLinkPolicy(html, 'simple-body', DEFAULT_LINK_POLICY, 'spring-sale');
+
+  assert.ok(result.html.startsWith('<p>Read this guide or <a href="https://vunked.com/blog?ref=a&amp;b=1&amp;utm_source=klaviyo&amp;utm_medium=email&amp;utm_campaign=spring-sale&amp;utm_content=simple-body" target="_blank">our blog</a>.</p>'));
+  assert.ok(result.html.endsWith('<a href="{% unsubscribe_link %}">Unsubscribe</a> <a href="mailto:hello@vunked.co.uk">Email us</a>'));
+  assert.equal(result.checked, 2);
+  assert.equal(result.tagged, 1);
+  assert.deepEqual(result.changes, [
+    { section: 'simple-body', action: 'removed', from: 'https://competitor.example/guide', to: null, reason: 'not an approved link' }
+  ]);
+});
+
+test('applyLinkPolicy rewrites unapproved hero links to the section fallback', () => {
+  const policy = createLinkPolicy({ utm: false });
+  const result = applyLinkPolicy(`<a class='cta' href='http://Insert Link Address'>Shop</a>`, 'hero', policy);
+
+  assert.equal(result.html, `<a class='cta' href='${LINKS.homepage}'>Shop</a>`);
+  assert.equal(result.changes[0].action, 'rewritten');
+  assert.equal(result.tagged, 0);
+});
+
+test('writeAndAssemble applies the link policy to model-written body copy', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const [firstBlock, ...rest] = fixture.copy.slots.simple_body;
+  const copy = {
+    ...fixture.copy,
+    slots: {
+      ...fixture.copy.slots,
+      simple_body: [{ html: `${firstBlock.html}<p>See <a href="https://batteries.example/deals">these deals</a>.</p>` }, ...rest]
+    }
+  };
+  const provider = createStubProvider({ copy });
+  const plan = await generateCopy(fixture.structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider);
+
+  const result = await writeAndAssemble(plan, 'Brand guide', 'sections');
+
+  assert.ok(!result.html.includes('batteries.example'));
+  assert.ok(result.html.includes('<p>See these deals.</p>'));
+  assert.equal(result.links.removed, 1);
+  assert.equal(result.links.campaign, 'how-big-should-your-campervan-battery-really-be');
+  assert.ok(result.html.includes('utm_content=footer'));
+  assert.ok(result.html.includes('href="{% unsubscribe_link %}"'));
+
+  const untagged = await writeAndAssemble(plan, 'Brand guide', 'sections', null);
+  assert.equal(untagged.links, null);
+  assert.ok(untagged.html.includes('batteries.example'));
+});
+
+test('link directory loads from data/links.json in priority order', () => {
+  const directory = getLinkDirectory();
+  assert.equal(directory.default, 'homepage');
+  assert.deepEqual(Object.keys(directory.links), ['book_call', 'builder', 'blog', 'homepage']);
+  assert.equal(directory.links.homepage.url, 'https://www.vunked.com');
+  assert.deepEqual(directory.links.homepage.keywords, []);
+  assert.equal(getLinkDirectory(), directory);
+});
+
+test('validateLinkDirectory reports every problem', () => {
+  assert.deepEqual(validateLinkDirectory([]), ['config must be a JSON object']);
+  assert.deepEqual(validateLinkDirectory({ links: {} }), ['links must be an object with at least one link']);
+
+  const errors = validateLinkDirectory({
+    default: 'missing',
+    links: {
+      'Book-Call': { url: 'https://cal.com/vunked', use_for: 'calls' },
+      shop: { url: 'ftp://vunked.com', sections: 'hero', keywords: [''] }
+    }
+  });
+  assert.deepEqual(errors, [
+    'link key "Book-Call" must be lower-case letters, digits and underscores',
+    'shop.url must be an http(s) URL',
+    'shop.use_for must be a string',
+    'shop.sections must be an array of strings',
+    'shop.keywords must be an array of strings',
+    'default must be one of the link keys'
+  ]);
+});
+
+test('a custom link directory file drives CTA matching', async (t) => {
+  const dir = await createTempDir(t, 'links-');
+  const file = path.join(dir, 'links.json');
+  await fs.writeFile(file, JSON.stringify({
+    default: 'shop',
+    links: {
+      webinar: { url: 'https://vunked.com/webinar', use_for: 'webinar signups', keywords: ['Webinar'] },
+      shop: { url: 'https://vunked.com/shop', use_for: 'everything else' }
+    }
+  }));
+
+  const directory = getLinkDirectory(file);
+  assert.deepEqual(getLinkUrls(directory), { webinar: 'https://vunked.com/webinar', shop: 'https://vunked.com/shop' });
+  assert.equal(matchLinkKey({ sequence: ['hero'], email_goal: 'Webinar invite' }, directory), 'webinar');
+  assert.equal(matchLinkKey({ sequence: ['hero', 'book-a-call'], email_goal: '' }, directory), 'shop');
+
+  const invalid = path.join(dir, 'invalid.json');
+  await fs.writeFile(invalid, JSON.stringify({ default: 'shop', links: { shop: { url: 'nope', use_for: 'shop' } } }));
+  assert.throws(() => getLinkDirectory(invalid), /Invalid link directory .*: shop\.url must be an http\(s\) URL/);
+  assert.throws(() => getLinkDirectory(path.join(dir, 'missing.json')), /Failed to read link directory/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { lintEmail, shouldFailLint, GMAIL_CLIP_BYTES } from '../lint.js';
+import { GOLDEN_DIR } from './helpers.js';
+
+const wrap = (body) => `<!DOCTYPE html><html><head><title>t</title></head><body>${body}</body></html>`;
+const rules = (report) => report.issues.map(issue => issue.rule);
+
+test('lintEmail flags unsupported inline CSS', () => {
+  const report = lintEmail(wrap('<div style="display:flex;position:absolute;">x</div>'));
+  const messages = report.issues.filter(issue => issue.rule === 'unsupported-css').map(issue => issue.message);
+
+  assert.equal(messages.length, 2);
+  assert.ok(messages.some(message => message.includes('flexbox')));
+  assert.ok(messages.some(message => message.includes('position')));
+});
+
+test('lintEmail ignores background-position and other safe properties', () => {
+  const report = lintEmail(wrap('<div style="background-position:center;display:table;">x</div>'));
+  assert.ok(!rules(report).includes('unsupported-css'));
+});
+
+test('lintEmail flags images without alt and tables without role="presentation"', () => {
+  const report = lintEmail(wrap('<table><tr><td><img src="a.png"></td></tr></table><table role="presentation"><tr><td><img src="b.png" alt=""></td></tr></table>'));
+
+  assert.equal(rules(report).filter(rule => rule === 'img-alt').length, 1);
+  assert.equal(rules(report).filter(rule => rule === 'table-role').length, 1);
+});
+
+test('lintEmail flags placeholder hrefs as errors', () => {
+  const report = lintEmail(wrap('<a href="http://Insert Link Address">CTA</a><a href="#">x</a><a href="https://www.vunked.com">ok</a>'));
+  const placeholders = report.issues.filter(issue => issue.rule === 'placeholder-href');
+
+  assert.equal(placeholders.length, 2);
+  assert.ok(placeholders.every(issue => issue.severity === 'error'));
+  assert.equal(report.ok, false);
+});
+
+test('lintEmail flags unbalanced MSO conditional comments', () => {
+  const balanced = lintEmail(wrap('<!--[if mso]><table><tr><td><![endif]--><p>x</p><!--[if mso]></td></tr></table><![endif]-->'));
+  assert.ok(!rules(balanced).includes('mso-conditionals'));
+
+  const unbalanced = lintEmail(wrap('<!--[if mso]><table><tr><td><![endif]--><p>x</p><!--[if mso]></td></tr></table>'));
+  assert.ok(rules(unbalanced).includes('mso-conditionals'));
+});
+
+test('lintEmail flags HTML over the Gmail clipping limit', () => {
+  const report = lintEmail(wrap(`<p>${'x'.repeat(GMAIL_CLIP_BYTES)}</p>`));
+  const sizeIssue = report.issues.find(issue => issue.rule === 'html-size');
+
+  assert.equal(sizeIssue.severity, 'error');
+  assert.ok(report.size_bytes > GMAIL_CLIP_BYTES);
+});
+
+test('shouldFailLint respects the severity threshold', () => {
+  const report = { issues: [{ rule: 'img-alt', severity: 'warning' }] };
+
+  assert.equal(shouldFailLint(report, undefined), false);
+  assert.equal(shouldFailLint(report, 'error'), false);
+  assert.equal(shouldFailLint(report, 'warning'), true);
+  assert.equal(shouldFailLint(report, 'info'), true);
+  assert.throws(() => shouldFailLint(report, 'fatal'), /Unknown lint severity/);
+});
+
+test('golden emails have no lint errors', async () => {
+  for (const name of ['battery-sizing', 'black-friday']) {
+    const html = await fs.readFile(path.join(GOLDEN_DIR, `${name}.html`), 'utf-8');
+    const report = lintEmail(html);
+    assert.equal(report.summary.error, 0, `${name}: ${JSON.stringify(report.issues.filter(issue => issue.severity === 'error'))}`);
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { log, withLogger } from '../logger.js';
+
+function createCapturingLogger() {
+  const lines = [];
+  return {
+    lines,
+    info: (...args) => lines.push(['info', args.join(' ')]),
+    warn: (...args) => lines.push(['warn', args.join(' ')])
+  };
+}
+
+test('withLogger routes each run to its own logger and collects warnings', async () => {
+  const first = createCapturingLogger();
+  const second = createCapturingLogger();
+  const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  const [firstWarnings, secondWarnings] = await Promise.all([
+    withLogger(first, async ({ warnings }) => {
+      log.info('first start');
+      await pause();
+      log.warn('⚠️  Warning: first warning');
+      log.error('dropped: no error method');
+      return warnings;
+    }),
+    withLogger(second, async ({ warnings }) => {
+      await pause();
+      log.info('second');
+      return warnings;
+    })
+  ]);
+
+  assert.deepEqual(first.lines, [['info', 'first start'], ['warn', '⚠️  Warning: first warning']]);
+  assert.deepEqual(second.lines, [['info', 'second']]);
+  assert.deepEqual(firstWarnings, ['first warning']);
+  assert.deepEqual(secondWarnings, []);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStructure } from '../structure.js';
+import { generateCopy } from '../copy.js';
+import { writeAndAssemble } from '../write.js';
+import { readFile } from '../utils.js';
+import { getSectionManifests } from '../sections.js';
+import { assertGolden, assertNoPlaceholders, createStubProvider, loadFixtureCase } from './helpers.js';
+
+const CASES = ['battery-sizing', 'black-friday'];
+
+for (const name of CASES) {
+  test(`${name}: assembled HTML and text match golden snapshots`, async () => {
+    const fixture = await loadFixtureCase(name);
+    const provider = createStubProvider({ structure: fixture.structure, copy: fixture.copy });
+    const brandGuidelines = await readFile('brand-guidelines.md');
+    const availableSections = Object.keys(getSectionManifests());
+    const sourceUrl = fixture.blogData.source_url || null;
+
+    const structure = await createStructure(fixture.blogData, brandGuidelines, availableSections, 'gpt-4o-mini', sourceUrl, provider);
+    const plan = await generateCopy(structure, fixture.blogData, brandGuidelines, 'gpt-4.1', sourceUrl, provider);
+    const result = await writeAndAssemble(plan, brandGuidelines, 'sections');
+
+    assert.equal(result.subject, fixture.copy.subject);
+    assert.equal(result.preview, fixture.copy.preview);
+    assertNoPlaceholders(result.html, `${name} email`);
+
+    await assertGolden(`${name}.html`, result.html);
+    await assertGolden(`${name}.txt`, result.text_version);
+  });
+}
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { startPreviewServer, listEmails, PREVIEW_WIDTHS } from '../preview.js';
+import { createTempDir } from './helpers.js';
+
+const EMAIL_HTML = '<!DOCTYPE html><html><head><title>Battery sizing</title></head><body><table><tr><td>Hello</td></tr></table></body></html>';
+
+async function createPreview(t, options = {}) {
+  const dir = await createTempDir(t, 'preview-');
+  const output = path.join(dir, 'output');
+  const sections = path.join(dir, 'sections');
+  await fs.mkdir(output);
+  await fs.mkdir(sections);
+  await fs.writeFile(path.join(output, 'battery.html'), EMAIL_HTML);
+  await fs.writeFile(path.join(output, 'battery.txt'), 'Hello in plain text');
+  await fs.writeFile(path.join(output, 'battery.meta.json'), JSON.stringify({ subject: 'How big should your battery be?' }));
+  await fs.writeFile(path.join(output, 'battery.plan.json'), '{}');
+
+  const preview = await startPreviewServer({ port: 0, dirs: [output], sectionsDir: sections, ...options });
+  t.after(() => preview.close());
+  return { preview, output, sections };
+}
+
+async function get(preview, route) {
+  const response = await fetch(new URL(route, preview.url));
+  return { status: response.status, type: response.headers.get('content-type'), body: await response.text() };
+}
+
+/**
+ * Open the live-reload stream for an email; resolves once connected with
+ * next(type), the data of the first event of that type
+ */
+function openEvents(t, preview, email) {
+  return new Promise((resolve, reject) => {
+    const request = http.get(new URL(`/events?email=${encodeURIComponent(email)}`, preview.url), (res) => {
+      let buffer = '';
+      const waiting = [];
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        for (const { type, found } of waiting) {
+          const match = buffer.match(new RegExp(`event: ${type}\\ndata: (.*)\\n\\n`));
+          if (match) {
+            found(JSON.parse(match[1]));
+          }
+        }
+      });
+      resolve({ next: type => new Promise(found => waiting.push({ type, found })) });
+    });
+    request.on('error', reject);
+    t.after(() => request.destroy());
+  });
+}
+
+test('listEmails finds the emails with their subject, text and plan files', async (t) => {
+  const { output } = await createPreview(t);
+  await fs.writeFile(path.join(output, 'saved.html'), '<html><head><title>Saved by hand</title></head></html>');
+
+  const emails = await listEmails([output]);
+  assert.deepEqual(emails.map(({ id, subject, text, plan }) => ({ id, subject, text, plan })).sort((a, b) => a.id.localeCompare(b.id)), [
+    { id: 'output/battery.html', subject: 'How big should your battery be?', text: true, plan: true },
+    { id: 'output/saved.html', subject: 'Saved by hand', text: false, plan: false }
+  ]);
+  assert.deepEqual(await listEmails([path.join(output, 'missing')]), []);
+});
+
+test('the preview server lists emails and shows them at both widths with the plain text', async (t) => {
+  const { preview } = await createPreview(t);
+
+  const index = await get(preview, '/');
+  assert.equal(index.status, 200);
+  assert.match(index.body, /<a href="\/view\/output\/battery\.html">How big should your battery be\?<\/a>/);
+
+  const viewer = await get(preview, '/view/output/battery.html');
+  assert.equal(viewer.status, 200);
+  assert.match(viewer.body, new RegExp(`Mobile \\(${PREVIEW_WIDTHS.mobile}px\\)`));
+  assert.match(viewer.body, new RegExp(`Desktop \\(${PREVIEW_WIDTHS.desktop}px\\)`));
+  assert.ok(PREVIEW_WIDTHS.mobile < 480, 'mobile frame triggers the sections\' mobile media queries');
+  assert.match(viewer.body, /<button id="tab-text" aria-pressed="false">Plain text<\/button>/);
+
+  const html = await get(preview, '/raw/output/battery.html');
+  assert.equal(html.body, EMAIL_HTML);
+  assert.equal(html.type, 'text/html; charset=utf-8');
+  const text = await get(preview, '/raw/output/battery.txt');
+  assert.equal(text.body, 'Hello in plain text');
+  assert.equal(text.type, 'text/plain; charset=utf-8');
+
+  const dark = await get(preview, '/raw/output/battery.html?dark');
+  assert.match(dark.body, /<style id="preview-dark-mode">html\{filter:invert\(1\) hue-rotate\(180deg\)[^<]*<\/style><\/head>/);
+
+  assert.equal((await get(preview, '/view/output/missing.html')).status, 404);
+  assert.equal((await get(preview, '/raw/output/%2e%2e%2fpackage.json')).status, 404);
+  assert.equal((await get(preview, '/raw/output/..')).status, 404);
+  assert.equal((await get(preview, '/raw/tmp/battery.html')).status, 404);
+});
+
+test('the preview server re-renders an edited plan and reloads the open email', async (t) => {
+  const rendered = [];
+  const { preview, output } = await createPreview(t, {
+    render: async (planFile) => {
+      rendered.push(planFile);
+      // renderEmail rewrites the email next to the plan, which triggers the reload
+      await fs.writeFile(path.join(output, 'battery.html'), EMAIL_HTML.replace('Hello', 'Hello again'));
+      return { lint: { summary: { error: 0, warning: 0 } } };
+    }
+  });
+
+  const events = await openEvents(t, preview, 'output/battery.html');
+  const reload = events.next('reload');
+  await fs.writeFile(path.join(output, 'battery.plan.json'), '{"edited": true}');
+
+  assert.deepEqual(await reload, { email: 'output/battery.html' });
+  assert.deepEqual(rendered, [path.join(output, 'battery.plan.json')]);
+  assert.match((await get(preview, '/raw/output/battery.html')).body, /Hello again/);
+});
+
+test('the preview server re-renders open emails when a section template changes', async (t) => {
+  const rendered = [];
+  const { preview, sections } = await createPreview(t, {
+    render: async (planFile) => {
+      rendered.push(path.basename(planFile));
+      throw new Error('Unknown sections in battery.plan.json: hero');
+    }
+  });
+
+  const events = await openEvents(t, preview, 'output/battery.html');
+  const failed = events.next('render-error');
+  await fs.writeFile(path.join(sections, 'hero.html'), '<table></table>');
+
+  assert.deepEqual(await failed, { email: 'output/battery.html', message: 'Unknown sections in battery.plan.json: hero' });
+  assert.deepEqual(rendered, ['battery.plan.json']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createProvider, fixturePath, hashPrompt } from '../provider.js';
+import { createTempDir } from './helpers.js';
+
+const REQUEST = {
+  api: 'responses',
+  client: { timeout: 1000 },
+  params: { model: 'gpt-4.1', input: 'Write an email', max_output_tokens: 100 }
+};
+
+test('hashPrompt is stable and ignores non-prompt options', () => {
+  const other = { ...REQUEST, params: { ...REQUEST.params, max_output_tokens: 999 } };
+  assert.equal(hashPrompt(REQUEST), hashPrompt(other));
+  assert.notEqual(hashPrompt(REQUEST), hashPrompt({ ...REQUEST, params: { ...REQUEST.params, input: 'Other' } }));
+});
+
+test('hashPrompt changes with the output schema', () => {
+  const format = (required) => ({ type: 'json_schema', name: 'copy', schema: { type: 'object', required } });
+  const withText = (required) => ({ ...REQUEST, params: { ...REQUEST.params, text: { format: format(required) } } });
+  const chat = (required) => ({ api: 'chat', params: { model: 'gpt-4.1', messages: [], response_format: format(required) } });
+
+  assert.notEqual(hashPrompt(REQUEST), hashPrompt(withText(['title'])));
+  assert.notEqual(hashPrompt(withText(['title'])), hashPrompt(withText(['title', 'body'])));
+  assert.notEqual(hashPrompt(chat(['title'])), hashPrompt(chat(['title', 'body'])));
+});
+
+test('replay provider serves recorded responses', async (t) => {
+  const dir = await createTempDir(t, 'vunked-fixtures-');
+  const response = { output_text: '{"ok":true}' };
+  await fs.writeFile(fixturePath(dir, 'copy', REQUEST), JSON.stringify({ stage: 'copy', response }));
+
+  const provider = createProvider({ mode: 'replay', fixturesDir: dir });
+  assert.deepEqual(await provider.complete('copy', REQUEST), response);
+});
+
+test('replay provider fails with the missing fixture name', async (t) => {
+  const dir = await createTempDir(t, 'vunked-fixtures-');
+  const provider = createProvider({ mode: 'replay', fixturesDir: dir });
+
+  await assert.rejects(provider.complete('structure', REQUEST), /No recorded structure response \(structure-[0-9a-f]{16}\.json\)/);
+});
+
+test('replay provider names the fixture it cannot parse', async (t) => {
+  const dir = await createTempDir(t, 'vunked-fixtures-');
+  const filePath = fixturePath(dir, 'copy', REQUEST);
+  await fs.writeFile(filePath, '{"stage": "copy", "resp');
+
+  const provider = createProvider({ mode: 'replay', fixturesDir: dir });
+  await assert.rejects(provider.complete('copy', REQUEST), (error) => error.message.startsWith(`Corrupt copy recording (${filePath}): `));
+});
+
+test('createProvider rejects unknown modes', () => {
+  assert.throws(() => createProvider({ mode: 'magic' }), /Unknown model provider "magic"/);
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { publishToKlaviyo } from '../publish.js';
+
+const EMAIL = {
+  name: 'battery-guide-2025-01-01',
+  subject: 'How big should your campervan battery really be?',
+  preview: 'A simple energy audit tells you exactly how much lithium you need.',
+  html: '<html><body><p>Hi</p></body></html>',
+  text_version: 'Hi'
+};
+
+/**
+ * Start a local HTTP server that mimics the Klaviyo endpoints used by the publisher
+ */
+async function startMockKlaviyo(handler) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || 'null') };
+      received.push(request);
+      const { status = 201, json } = handler(request);
+      res.writeHead(status, { 'content-type': 'application/vnd.api+json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const klaviyoHandler = ({ url }) => {
+  if (url === '/api/templates/') {
+    return { json: { data: { type: 'template', id: 'TPL1' } } };
+  }
+  if (url === '/api/campaigns/') {
+    return {
+      json: {
+        data: {
+          type: 'campaign',
+          id: 'CMP1',
+          relationships: { 'campaign-messages': { data: [{ type: 'campaign-message', id: 'MSG1' }] } }
+        }
+      }
+    };
+  }
+  if (url === '/api/campaign-message-assign-template/') {
+    return { status: 200, json: { data: { type: 'campaign-message', id: 'MSG1' } } };
+  }
+  return { status: 404, json: { errors: [{ detail: 'Not found' }] } };
+};
+
+test('publishToKlaviyo creates a template with HTML and text', async () => {
+  const server = await startMockKlaviyo(klaviyoHandler);
+  try {
+    const result = await publishToKlaviyo(EMAIL, { apiKey: 'pk_test', baseUrl: server.baseUrl });
+
+    assert.equal(result.template_id, 'TPL1');
+    assert.equal(result.campaign_id, null);
+    assert.equal(server.received.length, 1);
+
+    const [request] = server.received;
+    assert.equal(request.headers.authorization, 'Klaviyo-API-Key pk_test');
+    assert.ok(request.headers.revision);
+    assert.equal(request.body.data.attributes.html, EMAIL.html);
+    assert.equal(request.body.data.attributes.text, EMAIL.text_version);
+    assert.equal(request.body.data.attributes.editor_type, 'CODE');
+  } finally {
+    await server.close();
+  }
+});
+
+test('publishToKlaviyo creates a draft campaign and assigns the template', async () => {
+  const server = await startMockKlaviyo(klaviyoHandler);
+  try {
+    const result = await publishToKlaviyo(EMAIL, { apiKey: 'pk_test', baseUrl: server.baseUrl, audience: 'LIST1' });
+
+    assert.equal(result.campaign_id, 'CMP1');
+    assert.equal(result.campaign_message_id, 'MSG1');
+    assert.deepEqual(server.received.map(request => request.url), [
+      '/api/templates/',
+      '/api/campaigns/',
+      '/api/campaign-message-assign-template/'
+    ]);
+
+    const campaign = server.received[1].body.data.attributes;
+    assert.deepEqual(campaign.audiences.included, ['LIST1']);
+    const content = campaign['campaign-messages'].data[0].attributes.content;
+    assert.equal(content.subject, EMAIL.subject);
+    assert.equal(content.preview_text, EMAIL.preview);
+
+    const assign = server.received[2].body.data;
+    assert.equal(assign.id, 'MSG1');
+    assert.equal(assign.relationships.template.data.id, 'TPL1');
+  } finally {
+    await server.close();
+  }
+});
+
+test('publishToKlaviyo dry run records payloads without sending', async () => {
+  const server = await startMockKlaviyo(klaviyoHandler);
+  try {
+    const result = await publishToKlaviyo(EMAIL, { baseUrl: server.baseUrl, audience: 'LIST1', dryRun: true });
+
+    assert.equal(server.received.length, 0);
+    assert.equal(result.dry_run, true);
+    assert.equal(result.requests.length, 3);
+    assert.equal(result.requests[0].headers.Authorization, 'Klaviyo-API-Key ***');
+    assert.equal(result.requests[0].body.data.attributes.name, EMAIL.name);
+  } finally {
+    await server.close();
+  }
+});
+
+test('publishToKlaviyo surfaces API errors', async () => {
+  const server = await startMockKlaviyo(() => ({ status: 400, json: { errors: [{ detail: 'Invalid HTML' }] } }));
+  try {
+    await assert.rejects(
+      publishToKlaviyo(EMAIL, { apiKey: 'pk_test', baseUrl: server.baseUrl }),
+      /Klaviyo POST \/api\/templates\/ failed: HTTP 400 Invalid HTML/
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test('publishToKlaviyo requires an API key unless dry running', async () => {
+  const previous = process.env.KLAVIYO_API_KEY;
+  delete process.env.KLAVIYO_API_KEY;
+  try {
+    await assert.rejects(publishToKlaviyo(EMAIL, {}), /KLAVIYO_API_KEY/);
+  } finally {
+    if (previous !== undefined) {
+      process.env.KLAVIYO_API_KEY = previous;
+    }
+  }
+});
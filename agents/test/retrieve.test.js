@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { retrieveContent } from '../retrieve.js';
+import { FIXTURES_DIR, createTempDir } from './helpers.js';
+
+async function createContentFile(t, name, content) {
+  const file = path.join(await createTempDir(t), name);
+  await fs.writeFile(file, content);
+  return file;
+}
+
+test('retrieveContent reads Markdown front matter, headings, lists and images', async (t) => {
+  const file = await createContentFile(t, 'battery.md', [
+    '---',
+    'title: How big should your battery be?',
+    'slug: battery-sizing',
+    'tags: [power, lithium]',
+    'canonical_url: https://vunked.com/blog/battery-sizing',
+    '---',
+    '',
+    '# How big should your battery be?',
+    '',
+    'Start with an **energy audit**.',
+    '',
+    '## What uses power',
+    '',
+    '- Fridge: 40Ah',
+    '- Lights',
+    '  - LED strips',
+    '',
+    '1. List devices',
+    '2. Add it up',
+    '',
+    '![Battery bank](https://vunked.com/img/battery.jpg)'
+  ].join('\n'));
+
+  const blogData = await retrieveContent({ file });
+  assert.equal(blogData.blog_title, 'How big should your battery be?');
+  assert.equal(blogData.blog_text, [
+    'Start with an energy audit.',
+    '## What uses power',
+    '- Fridge: 40Ah\n- Lights\n  - LED strips',
+    '1. List devices\n2. Add it up'
+  ].join('\n\n'));
+  assert.deepEqual(blogData.outline, [{ level: 2, heading: 'What uses power', words: 10, excerpt: '' }]);
+  assert.deepEqual(blogData.images, [{ src: 'https://vunked.com/img/battery.jpg', alt: 'Battery bank' }]);
+  assert.deepEqual(blogData.hero_image, blogData.images[0]);
+  assert.equal(blogData.slug, 'battery-sizing');
+  assert.deepEqual(blogData.tags, ['power', 'lithium']);
+  assert.equal(blogData.source_url, 'https://vunked.com/blog/battery-sizing');
+  assert.equal(blogData.source_file, file);
+});
+
+test('retrieveContent extracts the article from a local HTML file', async (t) => {
+  const file = await createContentFile(t, 'solar.html', `<!doctype html>
+    <html><head><title>Solar basics</title><link rel="canonical" href="https://vunked.com/blog/solar"></head>
+    <body><nav><a href="/">Home</a> <a href="/shop">Shop</a></nav>
+    <article><h1>Solar basics</h1>
+    <p>Solar panels keep your lithium battery topped up while you are parked off grid for days at a time, and the right size depends on your roof space.</p>
+    <h2>Panel sizing</h2>
+    <p>Most vans fit between 200W and 400W of panels on the roof, which covers a fridge, lights and a laptop in summer comfortably.</p>
+    <ul><li>200W for weekends</li><li>400W for full time</li></ul>
+    <img src="img/roof.jpg" alt="Roof panels">
+    <p>In winter you will want a DC-DC charger as well, because short days mean the panels alone rarely keep up with demand.</p></article>
+    <footer>© Vunked</footer></body></html>`);
+
+  const blogData = await retrieveContent({ file });
+  assert.equal(blogData.blog_title, 'Solar basics');
+  assert.match(blogData.blog_text, /^Solar panels keep/);
+  assert.match(blogData.blog_text, /\n\n## Panel sizing\n\n/);
+  assert.match(blogData.blog_text, /- 200W for weekends\n- 400W for full time/);
+  assert.doesNotMatch(blogData.blog_text, /Home|Shop|© Vunked/);
+  assert.deepEqual(blogData.images, [{ src: 'https://vunked.com/blog/img/roof.jpg', alt: 'Roof panels' }]);
+  assert.equal(blogData.source_url, 'https://vunked.com/blog/solar');
+});
+
+test('retrieveContent converts a .docx export', async () => {
+  const blogData = await retrieveContent({ file: path.join(FIXTURES_DIR, 'files', 'dcdc-charger.docx') });
+
+  assert.equal(blogData.blog_title, 'Wiring a DC-DC charger');
+  assert.equal(blogData.blog_text, [
+    'A DC-DC charger tops up your leisure battery from the alternator while you drive.',
+    '## What you need',
+    '- 30A DC-DC charger\n- 16mm² cable and fuses',
+    'Fit the charger close to the leisure battery to keep the cable run short.'
+  ].join('\n\n'));
+  assert.deepEqual(blogData.outline, [{ level: 2, heading: 'What you need', words: 21, excerpt: 'Fit the charger close to the leisure battery to keep the cable run short.' }]);
+  assert.equal(blogData.source_url, undefined);
+});
+
+test('retrieveContent rejects unsupported, missing and empty files', async (t) => {
+  const empty = await createContentFile(t, 'empty.md', '---\ntitle: Draft\n---\n');
+
+  await assert.rejects(retrieveContent({ file: 'notes.pdf' }), /Unsupported content file notes\.pdf/);
+  await assert.rejects(retrieveContent({ file: 'content/missing.md' }), /Failed to read content file content\/missing\.md/);
+  await assert.rejects(retrieveContent({ file: empty }), /is empty/);
+});
+
+test('retrieveContent keeps the outline, images, links and a summary of a fetched article', async (t) => {
+  const paragraphs = [
+    'A lithium battery is the heart of any off-grid campervan electrical system, so sizing it properly matters.',
+    'Most people guess their battery size and end up with either flat batteries or wasted money.',
+    'An energy audit lists every device, its wattage and how many hours a day it runs.',
+    'Add up the watt hours for a typical day and you have your daily energy use.',
+    'Lithium batteries can be drained much further than lead acid, so you need less capacity for the same use.',
+    'Solar panels and a DC-DC charger top the battery up, which shrinks the capacity you need again.',
+    'Our builder sizes the battery, solar and charging for your exact devices.'
+  ];
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' }).end(`<!doctype html>
+      <html><head><title>Battery sizing | Vunked</title>
+      <meta property="og:image" content="/img/battery-hero.jpg"><meta property="og:image:alt" content="Battery bank under a van bed"></head>
+      <body><nav><a href="/">Home</a></nav><article>
+      <h1>Battery sizing</h1><p>${paragraphs[0]} ${paragraphs[1]}</p>
+      <h2>Do an energy audit</h2><p>${paragraphs[2]} ${paragraphs[3]}</p>
+      <img src="/img/audit.png" alt="Energy audit sheet">
+      <h2>Pick the capacity</h2><p>${paragraphs[4]} ${paragraphs[5]}</p>
+      <p>${paragraphs[6]} <a href="https://vunked.com/builder">Try the builder</a>.</p>
+      </article></body></html>`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}/blog/battery-sizing`;
+
+  const blogData = await retrieveContent({ url });
+  assert.equal(blogData.source_url, url);
+  assert.match(blogData.blog_text, /\n\n## Do an energy audit\n\n/);
+  assert.doesNotMatch(blogData.blog_text, /Home/);
+  assert.deepEqual(blogData.outline.map(section => [section.heading, section.excerpt]), [
+    ['Do an energy audit', paragraphs[2]],
+    ['Pick the capacity', paragraphs[4]]
+  ]);
+  assert.deepEqual(blogData.hero_image, { src: new URL('/img/battery-hero.jpg', url).href, alt: 'Battery bank under a van bed' });
+  assert.deepEqual(blogData.images, [{ src: new URL('/img/audit.png', url).href, alt: 'Energy audit sheet' }]);
+  assert.deepEqual(blogData.links, [{ url: 'https://vunked.com/builder', text: 'Try the builder' }]);
+  assert.equal(blogData.reading_time_minutes, 1);
+  assert.ok(blogData.word_count > 100);
+
+  // Summary sentences come from the whole article, in order
+  const sentences = blogData.summary.split(/(?<=\.) /);
+  assert.equal(sentences.length, 6);
+  assert.equal(sentences[0], paragraphs[0]);
+  assert.deepEqual(sentences, [...sentences].sort((a, b) => paragraphs.indexOf(a) - paragraphs.indexOf(b)));
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { reviewStructure, reviewCopy, createTerminalReviewer } from '../review.js';
+import { getSectionManifests, normalizeSlots } from '../sections.js';
+import { withLogger, silentLogger } from '../logger.js';
+import { loadFixtureCase } from './helpers.js';
+
+const AVAILABLE = Object.keys(getSectionManifests());
+const SEQUENCE = ['hero', 'simple-body', 'six-summary-cards', 'social-media-van-conversions', 'book-a-call', 'signature', 'footer'];
+
+/**
+ * Reviewer that gives the scripted answers in order, then accepts
+ */
+function createScriptedReviewer(answers) {
+  const questions = [];
+  return {
+    questions,
+    async ask(question) {
+      questions.push(question);
+      return answers.shift() ?? '';
+    }
+  };
+}
+
+test('reviewStructure reorders, adds and drops sections within the placement rules', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const structure = { ...fixture.structure, sequence: SEQUENCE };
+  const reviewer = createScriptedReviewer(['add testimonials', 'drop hero', 'drop six-summary-cards', 'move 3 2', 'add nothing-like-this']);
+  const history = [];
+
+  const reviewed = await withLogger(silentLogger, () => reviewStructure(structure, AVAILABLE, reviewer, history));
+
+  assert.deepEqual(reviewed.sequence, ['hero', 'social-media-van-conversions', 'simple-body', 'book-a-call', 'testimonials', 'signature', 'footer']);
+  assert.equal(reviewed.use_summary_cards, false);
+  assert.equal(structure.use_summary_cards, true);
+
+  // Refused commands (the hero is fixed, unknown sections) leave no history
+  assert.deepEqual(history.map(entry => [entry.action, entry.section]), [
+    ['add', 'testimonials'],
+    ['drop', 'six-summary-cards'],
+    ['move', 'social-media-van-conversions']
+  ]);
+  assert.deepEqual(history.at(-1).sequence, reviewed.sequence);
+  assert.equal(reviewer.questions.length, 6);
+});
+
+test('reviewCopy edits fields and regenerates one slot item with the current copy as context', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const plan = { subject: fixture.copy.subject, preview: fixture.copy.preview, sequence: SEQUENCE, slots: normalizeSlots(fixture.copy.slots) };
+  const reviewer = createScriptedReviewer([
+    'edit hero', 'Power for every trip', '', '', '',
+    'edit subject', '',
+    'regen simple-body 2 make it shorter',
+    'regen subject',
+    'edit simple-body',
+    'ok'
+  ]);
+  const history = [];
+  const requests = [];
+  const regenerate = async (target, notes, current) => {
+    requests.push({ target, notes, subject: current.slots.hero.title });
+    return { html: '<p>Shorter block.</p>' };
+  };
+
+  const reviewed = await withLogger(silentLogger, () => reviewCopy(plan, reviewer, history, regenerate));
+
+  assert.equal(reviewed.slots.hero.title, 'Power for every trip');
+  assert.equal(reviewed.slots.hero.cta_url, plan.slots.hero.cta_url);
+  assert.deepEqual(reviewed.slots['simple-body'][1], { html: '<p>Shorter block.</p>' });
+  assert.deepEqual(reviewed.slots['simple-body'][0], plan.slots['simple-body'][0]);
+  assert.notEqual(plan.slots.hero.title, 'Power for every trip');
+
+  // The regeneration saw the edited hero
+  assert.deepEqual(requests, [{ target: { section: 'simple-body', index: 1 }, notes: 'make it shorter', subject: 'Power for every trip' }]);
+  assert.deepEqual(history.map(entry => [entry.action, entry.target, entry.notes]), [
+    ['edit', 'hero', undefined],
+    ['regenerate', 'simple-body 2', 'make it shorter']
+  ]);
+  assert.equal(history[1].before.html, plan.slots['simple-body'][1].html);
+});
+
+test('createTerminalReviewer queues piped answers and accepts once input ends', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const reviewer = createTerminalReviewer({ input, output });
+
+  input.end('move 2 3\n');
+  assert.equal(await reviewer.ask('Structure: '), 'move 2 3');
+  assert.equal(await reviewer.ask('Structure: '), '');
+  reviewer.close();
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getSectionManifests,
+  validateManifest,
+  buildSlotsSchema,
+  normalizeSlots,
+  normalizeSequence,
+  getSectionToggles,
+  describeSections,
+  getSlotCatalog,
+  describeCatalog,
+  resolveSlotCatalog
+} from '../sections.js';
+import { readFile } from '../utils.js';
+
+const SECTIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'sections');
+
+test('normalizeSlots maps underscore keys to section names', () => {
+  const slots = normalizeSlots({
+    hero: { title: 'Hi', subtitle: '', cta_text: '', cta_url: '' },
+    simple_body: [{ html: '<p>Body</p>' }],
+    six_summary_cards: [],
+    book_a_call: {}
+  });
+
+  assert.deepEqual(slots['simple-body'], [{ html: '<p>Body</p>' }]);
+  assert.deepEqual(slots['book-a-call'], {});
+  assert.ok(!('simple_body' in slots));
+});
+
+test('normalizeSlots fills in missing default slots', () => {
+  const slots = normalizeSlots({});
+
+  assert.deepEqual(slots.hero, { title: '', subtitle: '', cta_text: '', cta_url: '' });
+  assert.deepEqual(slots['simple-body'], []);
+  assert.deepEqual(slots['six-summary-cards'], []);
+  assert.deepEqual(slots.signature, {});
+  assert.deepEqual(slots.footer, {});
+});
+
+test('getSectionManifests loads a manifest for every section template', async () => {
+  const manifests = getSectionManifests();
+  const templates = (await fs.readdir(SECTIONS_DIR))
+    .filter(file => file.endsWith('.html') && !file.startsWith('email-wrapper'))
+    .map(file => path.basename(file, '.html'))
+    .sort();
+
+  assert.deepEqual(Object.keys(manifests), templates);
+  assert.ok(manifests.testimonials, 'testimonials should be available to the prompts');
+});
+
+test('validateManifest reports missing fields and unknown fill types', () => {
+  assert.deepEqual(validateManifest({ category: 'General', summary: 'Block' }), []);
+
+  const errors = validateManifest({ category: 'General', fill: { type: 'magic' } });
+  assert.ok(errors.includes('summary must be a string'));
+  assert.ok(errors.some(error => error.startsWith('fill.type must be one of')));
+  assert.ok(errors.includes('fill requires a slot'));
+});
+
+test('buildSlotsSchema covers every section with underscore keys', () => {
+  const manifests = getSectionManifests();
+  const schema = buildSlotsSchema(manifests);
+
+  assert.equal(Object.keys(schema.properties).length, Object.keys(manifests).length);
+  assert.deepEqual(schema.required, Object.keys(schema.properties));
+  assert.equal(schema.properties.simple_body.type, 'array');
+  assert.deepEqual(schema.properties.book_a_call, { type: 'object', properties: {}, required: [], additionalProperties: false });
+});
+
+test('validateManifest requires a catalog key that exists in the slot items', () => {
+  const manifest = {
+    category: 'Social Proof',
+    summary: 'Reviews',
+    slot: {
+      schema: { type: 'array', items: { type: 'object', properties: { testimonial_id: { type: 'string' } } } },
+      default: [],
+      catalog: { file: 'data/testimonials.json', key: 'review_id' }
+    }
+  };
+
+  assert.deepEqual(validateManifest(manifest), ['slot.catalog key "review_id" must be a property of slot.schema items']);
+  manifest.slot.catalog.key = 'testimonial_id';
+  assert.deepEqual(validateManifest(manifest), []);
+});
+
+test('buildSlotsSchema restricts catalog keys to catalog IDs', () => {
+  const manifests = getSectionManifests();
+  const schema = buildSlotsSchema(manifests);
+
+  for (const [name, manifest] of Object.entries(manifests)) {
+    if (!manifest.slot?.catalog) continue;
+
+    const ids = getSlotCatalog(manifest).map(entry => entry.id);
+    assert.ok(ids.length > 0, `${name}: catalog is empty`);
+    assert.equal(new Set(ids).size, ids.length, `${name}: catalog IDs are not unique`);
+
+    const { key } = manifest.slot.catalog;
+    assert.deepEqual(schema.properties[name.replace(/-/g, '_')].items.properties[key].enum, ids);
+    assert.equal(manifest.slot.schema.items.properties[key].enum, undefined, 'manifest schema was mutated');
+  }
+});
+
+test('describeCatalog lists IDs with summaries', () => {
+  const lines = describeCatalog(getSectionManifests().testimonials).split('\n');
+  assert.equal(lines.length, getSlotCatalog(getSectionManifests().testimonials).length);
+  assert.match(lines[0], /^\s+- `anya`: /);
+});
+
+test('resolveSlotCatalog merges catalog values and drops unknown IDs', () => {
+  const manifests = getSectionManifests();
+
+  const testimonials = resolveSlotCatalog('testimonials', [{ testimonial_id: 'willem' }, { testimonial_id: 'nobody' }], manifests.testimonials);
+  assert.equal(testimonials.length, 1);
+  assert.equal(testimonials[0].name, 'Willem');
+  assert.match(testimonials[0].quote, /^I'm an AV engineer/);
+  assert.equal(testimonials[0].summary, undefined);
+
+  const benefits = resolveSlotCatalog('selling-points-what-you-get', [
+    { title: 'Kit Title', description: 'Kit copy', image_id: 'wiring-diagram' }
+  ], manifests['selling-points-what-you-get']);
+  assert.equal(benefits[0].title, 'Kit Title');
+  assert.match(benefits[0].image, /5ee5fc46/);
+  assert.equal(benefits[0].image_alt, 'Wiring diagram and installation guide bundle');
+
+  const heroSlot = { title: 'Hero' };
+  assert.equal(resolveSlotCatalog('hero', heroSlot, manifests.hero), heroSlot);
+});
+
+test('normalizeSequence maps underscore names back to section names', () => {
+  assert.deepEqual(normalizeSequence(['hero', 'simple_body', 'book_a_call', 'footer']), ['hero', 'simple-body', 'book-a-call', 'footer']);
+});
+
+test('getSectionToggles exposes the summary cards flag', () => {
+  const toggles = getSectionToggles();
+  assert.equal(toggles.use_summary_cards.section, 'six-summary-cards');
+});
+
+test('describeSections lists category and summary', () => {
+  const [line] = describeSections(['hero']);
+  assert.match(line, /^- hero \[General\]: Hero banner/);
+  assert.deepEqual(describeSections(['unknown-block']), ['- unknown-block']);
+});
+
+test('fill selectors in every manifest match their template', async () => {
+  const { JSDOM } = await import('jsdom');
+
+  for (const [name, manifest] of Object.entries(getSectionManifests())) {
+    if (!manifest.fill) continue;
+
+    const doc = new JSDOM(await readFile(`sections/${name}.html`)).window.document;
+    const { fill } = manifest;
+    const roots = fill.type === 'repeat' ? [...doc.querySelectorAll(fill.item)] : [doc];
+    assert.ok(roots.length > 0, `${name}: no elements match ${fill.item}`);
+
+    if (fill.type === 'blocks') {
+      assert.ok(doc.querySelector(fill.container), `${name}: container ${fill.container} not found`);
+      continue;
+    }
+
+    for (const [key, field] of Object.entries(fill.fields)) {
+      const selectors = Array.isArray(field.selector) ? field.selector : [field.selector];
+      const found = selectors.some(selector => roots[0].querySelectorAll(selector).length > (field.index || 0));
+      assert.ok(found, `${name}: field "${key}" selector matches nothing`);
+    }
+  }
+});
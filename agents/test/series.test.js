@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  planSeries,
+  normalizeSeriesPlan,
+  buildSeriesContext,
+  describeSeriesContext,
+  summarizePlan
+} from '../series.js';
+import { createStructure } from '../structure.js';
+import { generateCopy } from '../copy.js';
+import { getSectionManifests, normalizeSlots } from '../sections.js';
+import { getLinkUrls } from '../links.js';
+import { createStubProvider, loadFixtureCase } from './helpers.js';
+
+const LINKS = getLinkUrls();
+
+const SERIES_RESPONSE = {
+  series_name: 'Battery Sizing Nurture',
+  strategy: 'Teach sizing first, then show the builder, then offer a consultation.',
+  emails: [
+    { send_day: 0, goal: 'educational', angle: 'How to size a leisure battery', cta_stage: 'soft', cta_link: 'blog' },
+    { send_day: 3, goal: 'product', angle: 'Let the builder do the maths', cta_stage: 'medium', cta_link: 'builder' },
+    { send_day: 6, goal: 'consultation', angle: 'Talk it through with an engineer', cta_stage: 'hard', cta_link: 'book_call' }
+  ]
+};
+
+test('normalizeSeriesPlan starts on day 0 and keeps send days increasing', () => {
+  const plan = normalizeSeriesPlan({
+    ...SERIES_RESPONSE,
+    emails: [
+      { ...SERIES_RESPONSE.emails[0], send_day: 2 },
+      { ...SERIES_RESPONSE.emails[1], send_day: 0 },
+      { ...SERIES_RESPONSE.emails[2], send_day: 5 }
+    ]
+  }, 3);
+
+  assert.deepEqual(plan.emails.map(email => email.send_day), [0, 1, 5]);
+  assert.deepEqual(plan.emails.map(email => email.position), [1, 2, 3]);
+});
+
+test('normalizeSeriesPlan never lets the CTA stage step back down', () => {
+  const plan = normalizeSeriesPlan({
+    ...SERIES_RESPONSE,
+    emails: [
+      SERIES_RESPONSE.emails[0],
+      { ...SERIES_RESPONSE.emails[1], cta_stage: 'hard' },
+      { ...SERIES_RESPONSE.emails[2], cta_stage: 'soft', cta_link: 'not-a-link' }
+    ]
+  }, 3);
+
+  assert.deepEqual(plan.emails.map(email => email.cta_stage), ['soft', 'hard', 'hard']);
+  assert.equal(plan.emails[2].cta_link, 'homepage');
+});
+
+test('normalizeSeriesPlan trims extra emails and rejects short plans', () => {
+  assert.equal(normalizeSeriesPlan(SERIES_RESPONSE, 2).emails.length, 2);
+  assert.throws(() => normalizeSeriesPlan(SERIES_RESPONSE, 4), /has 3 emails, expected 4/);
+});
+
+test('planSeries validates the series length before calling the model', async () => {
+  const provider = createStubProvider({ series: SERIES_RESPONSE });
+  const { blogData } = await loadFixtureCase('battery-sizing');
+
+  await assert.rejects(planSeries(blogData, 'Brand guide', 6, 'gpt-4o-mini', null, provider), /between 3 and 5/);
+  assert.equal(provider.calls.length, 0);
+
+  const plan = await planSeries(blogData, 'Brand guide', 3, 'gpt-4o-mini', null, provider, 'post-signup nurture');
+  assert.equal(provider.calls[0].request.api, 'chat');
+  assert.match(provider.calls[0].request.params.messages[1].content, /post-signup nurture/);
+  assert.equal(plan.emails[2].cta_link, 'book_call');
+});
+
+test('summarizePlan collects subject, headlines and CTA', async () => {
+  const { copy } = await loadFixtureCase('battery-sizing');
+  const summary = summarizePlan({ ...copy, slots: normalizeSlots(copy.slots) }, 1);
+
+  assert.equal(summary.position, 1);
+  assert.equal(summary.subject, copy.subject);
+  assert.ok(summary.headlines.includes(copy.slots.hero.title));
+  assert.ok(summary.headlines.includes('Start With an Energy Audit'));
+  assert.ok(summary.headlines.includes('Energy Audit First'));
+  assert.equal(summary.cta_url, copy.slots.hero.cta_url);
+});
+
+test('later series emails see the earlier emails in their prompts', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const seriesPlan = normalizeSeriesPlan(SERIES_RESPONSE, 3);
+  const previous = [summarizePlan({ ...fixture.copy, slots: normalizeSlots(fixture.copy.slots) }, 1)];
+  const context = buildSeriesContext(seriesPlan, 1, previous);
+
+  assert.equal(context.cta_url, LINKS.builder);
+  assert.match(describeSeriesContext(context), /email 2 of 3/);
+
+  const provider = createStubProvider({ structure: fixture.structure, copy: fixture.copy });
+  const availableSections = Object.keys(getSectionManifests());
+  const structure = await createStructure(fixture.blogData, 'Brand guide', availableSections, 'gpt-4o-mini', null, provider, context);
+  const plan = await generateCopy(structure, fixture.blogData, 'Brand guide', 'gpt-4.1', null, provider, context);
+
+  const [structureCall, copyCall] = provider.calls;
+  assert.match(structureCall.request.params.messages[1].content, /## Series Context/);
+  assert.ok(copyCall.request.params.input.includes(`Subject: "${fixture.copy.subject}"`));
+
+  // The fixture's blog CTA is replaced by the builder link planned for email 2
+  assert.equal(plan.slots.hero.cta_url, LINKS.builder);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStructure, postProcessSequence } from '../structure.js';
+import { getSectionManifests } from '../sections.js';
+import { createStubProvider, loadFixtureCase } from './helpers.js';
+
+const AVAILABLE = [
+  'hero',
+  'simple-body',
+  'six-summary-cards',
+  'selling-points-what-you-get',
+  'book-a-call',
+  'contact',
+  'signature',
+  'footer'
+];
+
+test('postProcessSequence moves hero first and footer last', () => {
+  const sequence = postProcessSequence(['simple-body', 'footer', 'hero', 'signature'], { use_summary_cards: false }, AVAILABLE);
+  assert.deepEqual(sequence, ['hero', 'simple-body', 'signature', 'footer']);
+});
+
+test('postProcessSequence adds missing hero, signature and footer', () => {
+  const sequence = postProcessSequence(['simple-body'], { use_summary_cards: false }, AVAILABLE);
+  assert.deepEqual(sequence, ['hero', 'simple-body', 'signature', 'footer']);
+});
+
+test('postProcessSequence moves signature before footer', () => {
+  const sequence = postProcessSequence(['hero', 'simple-body', 'footer', 'signature'], { use_summary_cards: false }, AVAILABLE);
+  assert.deepEqual(sequence, ['hero', 'simple-body', 'signature', 'footer']);
+});
+
+test('postProcessSequence drops sections that are not available', () => {
+  const sequence = postProcessSequence(['hero', 'mystery-block', 'simple-body', 'signature', 'footer'], { use_summary_cards: false }, AVAILABLE);
+  assert.deepEqual(sequence, ['hero', 'simple-body', 'signature', 'footer']);
+});
+
+test('postProcessSequence inserts summary cards after simple-body when requested', () => {
+  const sequence = postProcessSequence(['hero', 'simple-body', 'book-a-call', 'signature', 'footer'], { use_summary_cards: true }, AVAILABLE);
+  assert.deepEqual(sequence, ['hero', 'simple-body', 'six-summary-cards', 'book-a-call', 'signature', 'footer']);
+});
+
+test('postProcessSequence moves misplaced summary cards after simple-body', () => {
+  const sequence = postProcessSequence(['hero', 'six-summary-cards', 'book-a-call', 'simple-body', 'signature', 'footer'], { use_summary_cards: true }, AVAILABLE);
+  assert.deepEqual(sequence, ['hero', 'book-a-call', 'simple-body', 'six-summary-cards', 'signature', 'footer']);
+});
+
+test('postProcessSequence removes summary cards when not wanted', () => {
+  const sequence = postProcessSequence(['hero', 'simple-body', 'six-summary-cards', 'signature', 'footer'], { use_summary_cards: false }, AVAILABLE);
+  assert.deepEqual(sequence, ['hero', 'simple-body', 'signature', 'footer']);
+});
+
+test('createStructure post-processes the model response', async () => {
+  const fixture = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ structure: fixture.structure });
+  const availableSections = Object.keys(getSectionManifests());
+
+  const structure = await createStructure(fixture.blogData, 'Brand guide', availableSections, 'gpt-4o-mini', null, provider);
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(provider.calls[0].request.api, 'chat');
+  assert.deepEqual(structure.sequence, ['hero', 'simple-body', 'six-summary-cards', 'social-media-van-conversions', 'book-a-call', 'signature', 'footer']);
+  assert.equal(structure.email_goal, 'educational');
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateVariants,
+  rankVariants,
+  scoreVariant,
+  applyWinningVariant,
+  MOBILE_SUBJECT_CHARS
+} from '../variants.js';
+import { createStubProvider, loadFixtureCase } from './helpers.js';
+
+const GOOD_PREVIEW = 'A simple energy audit tells you how much lithium you need, plus the charging setup that keeps it full.';
+
+const VARIANTS_RESPONSE = {
+  variants: [
+    { angle: 'curiosity', subject: 'Is your campervan battery secretly too small?', preview: GOOD_PREVIEW },
+    { angle: 'benefit', subject: 'Size your leisure battery right the first time', preview: GOOD_PREVIEW },
+    { angle: 'urgency', subject: 'URGENT!! Free battery sizing ends tonight 🔋⚡🚐', preview: 'Act now.' },
+    { angle: 'persona', subject: 'First self-build? Start your electrics with this', preview: GOOD_PREVIEW }
+  ]
+};
+
+test('scoreVariant gives a clean pair full marks', () => {
+  const { score, checks } = scoreVariant({ subject: 'Size your leisure battery right the first time', preview: GOOD_PREVIEW });
+  assert.equal(score, 100);
+  assert.deepEqual(checks, []);
+});
+
+test('scoreVariant penalises length, spam words, shouting and emoji', () => {
+  const { score, checks } = scoreVariant(VARIANTS_RESPONSE.variants[2]);
+  const rules = checks.map(check => check.rule);
+
+  assert.ok(rules.includes('preview-length'));
+  assert.ok(rules.includes('shouting'));
+  assert.ok(rules.includes('emoji-count'));
+  const spam = checks.find(check => check.rule === 'spam-words');
+  assert.match(spam.message, /act now/);
+  assert.match(spam.message, /free/);
+  assert.match(spam.message, /urgent/);
+  assert.ok(score < 50);
+});
+
+test('scoreVariant flags subjects cut mid-word on mobile', () => {
+  const subject = 'All you need to know about lithium batteries in vans';
+  assert.ok(subject.length > MOBILE_SUBJECT_CHARS);
+  const { checks } = scoreVariant({ subject, preview: GOOD_PREVIEW });
+  assert.deepEqual(checks.map(check => check.rule), ['mobile-truncation']);
+
+  // A word boundary at the cut is fine
+  const clean = scoreVariant({ subject: 'Your campervan battery, sized in one go: the guide', preview: GOOD_PREVIEW });
+  assert.ok(!clean.checks.some(check => check.rule === 'mobile-truncation'));
+});
+
+test('spam triggers match whole words only', () => {
+  const { checks } = scoreVariant({ subject: 'A carefree weekend off-grid with the right battery', preview: GOOD_PREVIEW });
+  assert.ok(!checks.some(check => check.rule === 'spam-words'));
+});
+
+test('rankVariants sorts by score and exports Klaviyo variations', () => {
+  const report = rankVariants(VARIANTS_RESPONSE.variants);
+
+  assert.equal(report.variants.length, 4);
+  assert.equal(report.variants.at(-1).id, 'C');
+  assert.ok(report.variants[0].score >= report.variants[1].score);
+  assert.equal(report.winner, report.variants[0].id);
+  assert.deepEqual(Object.keys(report.klaviyo_variations[0]), ['label', 'subject', 'preview_text']);
+  assert.equal(report.klaviyo_variations[0].subject, report.variants[0].subject);
+});
+
+test('generateVariants asks for one variant per angle and applies the winner', async () => {
+  const { blogData, copy } = await loadFixtureCase('battery-sizing');
+  const provider = createStubProvider({ variants: VARIANTS_RESPONSE });
+
+  await assert.rejects(generateVariants(copy, blogData, 'Brand guide', 1, 'gpt-4o-mini', provider), /between 2 and 8/);
+
+  const report = await generateVariants(copy, blogData, 'Brand guide', 4, 'gpt-4o-mini', provider);
+  const prompt = provider.calls[0].request.params.messages[1].content;
+  assert.match(prompt, /1\. \*\*curiosity\*\*/);
+  assert.match(prompt, /4\. \*\*persona\*\*/);
+
+  const plan = applyWinningVariant(copy, report);
+  assert.equal(plan.subject, report.variants[0].subject);
+  assert.equal(plan.preview, report.variants[0].preview);
+  assert.deepEqual(plan.slots, copy.slots);
+});
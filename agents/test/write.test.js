@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { fillSection, assembleEmail } from '../write.js';
+import { getSectionManifests, resolveSlotCatalog } from '../sections.js';
+import { readFile, htmlToText } from '../utils.js';
+import { parseBrandGuidelines } from '../brand.js';
+import { assertNoPlaceholders, createTempDir, loadFixtureCase } from './helpers.js';
+
+const readSection = (name) => readFile(`sections/${name}.html`);
+const fill = (name, html, slot) => fillSection(name, html, slot, getSectionManifests()[name].fill);
+const fillFromCatalog = (name, html, slot) => fill(name, html, resolveSlotCatalog(name, slot, getSectionManifests()[name]));
+const countMso = (html) => [(html.match(/<!--\[if[^\]]*\]>/g) || []).length, (html.match(/<!\[endif\]-->/g) || []).length];
+
+test('fillSection fills hero title, subtitle and CTA from the hero template', async () => {
+  const { copy } = await loadFixtureCase('battery-sizing');
+  const html = fill('hero', await readSection('hero'), copy.slots.hero);
+  const doc = new JSDOM(html).window.document;
+
+  assert.ok(doc.querySelector('h1, h2, h3').textContent.includes(copy.slots.hero.title));
+  assert.ok(html.includes(copy.slots.hero.subtitle));
+
+  const cta = doc.querySelector('.kl-button a');
+  assert.ok(cta, 'hero template no longer has a .kl-button link');
+  assert.equal(cta.getAttribute('href'), copy.slots.hero.cta_url);
+  assert.equal(cta.textContent.trim(), copy.slots.hero.cta_text);
+
+  assertNoPlaceholders(html, 'hero section');
+});
+
+test('fillSection replaces simple-body template copy with the body blocks', async () => {
+  const { copy } = await loadFixtureCase('battery-sizing');
+  const html = fill('simple-body', await readSection('simple-body'), copy.slots.simple_body);
+
+  assert.ok(html.includes('Start With an Energy Audit'));
+  assert.ok(html.includes('Why Lithium Goes Further'));
+  assertNoPlaceholders(html, 'simple-body section');
+});
+
+test('fillSection leaves the template untouched when the container is missing', async () => {
+  const html = '<table><tr><td>No text container</td></tr></table>';
+  assert.equal(fill('simple-body', html, [{ html: '<p>New</p>' }]), html);
+});
+
+test('fillSection fills all six summary cards', async () => {
+  const { copy } = await loadFixtureCase('battery-sizing');
+  const html = fill('six-summary-cards', await readSection('six-summary-cards'), copy.slots.six_summary_cards);
+  const doc = new JSDOM(html).window.document;
+
+  const titles = [...doc.querySelectorAll('td[width="50%"][align="center"] h3')].map(h3 => h3.textContent.trim());
+  assert.deepEqual(titles, copy.slots.six_summary_cards.map(card => card.title));
+
+  for (const card of copy.slots.six_summary_cards) {
+    assert.ok(html.includes(card.description), `missing description for "${card.title}"`);
+    assert.ok(html.includes(card.emoji), `missing emoji for "${card.title}"`);
+  }
+  assert.ok(!html.includes('Power Math'), 'template sample card survived');
+});
+
+test('fillSection fills selling points with kit benefits and catalog images', async () => {
+  const { copy } = await loadFixtureCase('black-friday');
+  const benefits = copy.slots.selling_points_what_you_get;
+  const html = fillFromCatalog('selling-points-what-you-get', await readSection('selling-points-what-you-get'), benefits);
+  const doc = new JSDOM(html).window.document;
+
+  const cards = [...doc.querySelectorAll('table[style*="border-radius:16px"]')];
+  assert.deepEqual(cards.map(card => card.querySelector('h3').textContent), benefits.map(benefit => benefit.title));
+  assert.equal(cards[0].querySelector('span.card-description').textContent, benefits[0].description);
+  assert.equal(cards[1].querySelector('img').getAttribute('alt'), 'Wiring diagram and installation guide bundle');
+  assert.ok(!html.includes('Everything You Need in One Kit'), 'template benefit survived');
+});
+
+test('fillSection keeps only the chosen social posts', async () => {
+  const template = await readSection('social-media-van-conversions');
+  const html = fillFromCatalog('social-media-van-conversions', template, [{ post_id: 'victron-solar-array' }]);
+  const doc = new JSDOM(html).window.document;
+
+  const cards = doc.querySelectorAll('table[style*="border-radius:16px"]');
+  assert.equal(cards.length, 1);
+  assert.equal(cards[0].querySelector('h3').textContent, 'Dialling In the Victron Solar Array');
+  for (const link of cards[0].querySelectorAll('a')) {
+    assert.match(link.getAttribute('href'), /DIg8rNosE-w/);
+  }
+  assert.ok(!html.includes('DI4GYJkojns'), 'unchosen post survived');
+
+  const [opens, closes] = countMso(html);
+  assert.equal(opens, closes, 'removing a card unbalanced the MSO conditionals');
+});
+
+test('fillSection fills testimonials from the store and removes unused reviews', async () => {
+  const html = fillFromCatalog('testimonials', await readSection('testimonials'), [
+    { testimonial_id: 'adam' },
+    { testimonial_id: 'anya' }
+  ]);
+  const text = htmlToText(html);
+
+  assert.equal(new JSDOM(html).window.document.querySelectorAll('table[style*="margin-bottom:24px"]').length, 2);
+  assert.ok(text.indexOf('- Adam') < text.indexOf('- Anya'), 'testimonials are not in slot order');
+  assert.ok(text.includes('"I was unsure on what electrical system'));
+  assert.ok(!text.includes('Charlie') && !text.includes('Willem'));
+  assert.ok(text.includes('Read More Reviews'));
+});
+
+test('fillSection keeps the template copy for an empty repeat slot', async () => {
+  const template = await readSection('testimonials');
+  const html = fill('testimonials', template, []);
+  assert.equal(new JSDOM(html).window.document.querySelectorAll('table[style*="margin-bottom:24px"]').length, 4);
+});
+
+test('assembleEmail sets the title from the subject and adds a hidden preheader', () => {
+  const html = assembleEmail({ 'simple-body': '<p>Body copy</p>' }, ['simple-body'], {
+    subject: 'Save $50 & <more>',
+    preview: 'Short preview text'
+  });
+  const doc = new JSDOM(html).window.document;
+
+  assert.equal(doc.title, 'Save $50 & <more>');
+  assert.ok(!html.includes('<title>Vunked Email</title>'));
+
+  const preheader = doc.querySelector('.preheader');
+  assert.ok(preheader, 'preheader block missing');
+  assert.equal(doc.body.firstElementChild, preheader);
+  assert.ok(preheader.textContent.startsWith('Short preview text'));
+  assert.match(preheader.getAttribute('style'), /display:none/);
+
+  assert.ok(!htmlToText(html).includes('Short preview text'), 'preheader leaked into the plain-text version');
+});
+
+test('assembleEmail reads the wrapper from the sections directory', async (t) => {
+  const dir = await createTempDir(t);
+  await fs.writeFile(path.join(dir, 'email-wrapper-start.html'), '<!DOCTYPE html><html><head><title>Custom</title></head><body class="custom">');
+  await fs.writeFile(path.join(dir, 'email-wrapper-end.html'), '</body></html>');
+
+  const html = assembleEmail({ 'simple-body': '<p>Body copy</p>' }, ['simple-body'], {}, null, dir);
+  assert.equal(html, '<!DOCTYPE html><html><head><title>Custom</title></head><body class="custom"><!-- section: simple-body -->\n<p>Body copy</p></body></html>');
+});
+
+test('assembleEmail styles the wrapper from the brand font stack and palette', () => {
+  const brand = parseBrandGuidelines([
+    '# Visual Identity',
+    '### Color Palette',
+    '- **Primary Colours:**',
+    '    - Forest Green: #2A9D8F',
+    '### Typography',
+    '- **Body Text:** Open Sans (Helvetica when not available)'
+  ].join('\n'));
+  const html = assembleEmail({ 'simple-body': '<p>Body copy</p>' }, ['simple-body'], {}, brand);
+  const style = new JSDOM(html).window.document.querySelector('style').textContent;
+
+  assert.match(style, /body \{[^}]*font-family: 'Open Sans', Helvetica, sans-serif;/);
+  assert.match(style, /a \{ color: #2A9D8F; \}/);
+
+  // Without a brand the wrapper is left as-is
+  assert.ok(!assembleEmail({}, [], {}).includes('a { color:'));
+});
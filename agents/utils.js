@@ -2,30 +2,11 @@ import fs from 'fs/promises';
 import path from 'path';
 import { convert } from 'html-to-text';
 import { fileURLToPath } from 'url';
+import { log } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export const LINK_DIRECTORY = Object.freeze({
-  builder: 'https://builder.vunked.com',
-  book_call: 'https://cal.com/vunked/free-campervan-electrics-consultation-email',
-  homepage: 'https://www.vunked.com',
-  blog: 'https://vunked.com/blog'
-});
-
-/**
- * Resolve an approved link by key.
- * @param {keyof typeof LINK_DIRECTORY} key
- * @returns {string}
- */
-export function resolveLink(key) {
-  const link = LINK_DIRECTORY[key];
-  if (!link) {
-    throw new Error(`Unknown link key: ${key}`);
-  }
-  return link;
-}
-
 /**
  * Read a file from the project root
  */
@@ -77,7 +58,7 @@ export async function readSections(sequence, sectionsDir = 'sections') {
       const content = await readFile(path.join(sectionsDir, fileName));
       sections[sectionName] = content;
     } catch (error) {
-      console.warn(`Warning: Could not read section ${sectionName}: ${error.message}`);
+      log.warn(`Warning: Could not read section ${sectionName}: ${error.message}`);
       sections[sectionName] = '';
     }
   }
@@ -93,11 +74,23 @@ export function htmlToText(html) {
     wordwrap: 80,
     selectors: [
       { selector: 'a', options: { ignoreHref: true } },
-      { selector: 'img', format: 'skip' }
+      { selector: 'img', format: 'skip' },
+      { selector: '.preheader', format: 'skip' }
     ]
   });
 }
 
+/**
+ * Escape text for safe insertion into HTML
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Validate plan JSON structure
  */
@@ -152,3 +145,45 @@ export function getTimestamp() {
   return new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
 }
 
+/**
+ * Whether a URL is never checked or rewritten: in-page anchors, mailto:/tel:/sms: links
+ * and merge tags
+ */
+export function isExemptUrl(url) {
+  return (url.startsWith('#') && url.length > 1)
+    || /^(mailto|tel|sms):/i.test(url)
+    // Klaviyo/Django ({% %}, {{ }}) and Mailchimp (*|...|*) merge tags
+    || /\{[%{]|\*\|/.test(url);
+}
+
+/**
+ * Map items through an async fn with at most `limit` calls in flight, keeping their order
+ */
+export async function mapWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * [r, g, b] channels (0-255) of a #RGB or #RRGGBB colour
+ */
+export function hexToRgb(hex) {
+  const digits = hex.replace('#', '');
+  const full = digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits;
+  return [0, 2, 4].map(offset => parseInt(full.substring(offset, offset + 2), 16));
+}
+
+/**
+ * Uppercase #RRGGBB for [r, g, b] channels, clamped to 0-255
+ */
+export function rgbToHex(rgb) {
+  return `#${rgb.map(channel => Math.min(255, Math.max(0, channel)).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
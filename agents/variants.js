@@ -0,0 +1,304 @@
+import { createProvider } from './provider.js';
+import { describeBrand, STAGE_BRAND_FIELDS } from './brand.js';
+import { describeArticle } from './article.js';
+import { log } from './logger.js';
+
+export const VARIANT_ANGLES = Object.freeze(['curiosity', 'benefit', 'urgency', 'persona']);
+
+export const VARIANT_COUNT = Object.freeze({ min: 2, max: 8 });
+
+// Same bounds the copy prompt asks for
+export const SUBJECT_LENGTH = Object.freeze({ min: 40, max: 60 });
+export const PREVIEW_LENGTH = Object.freeze({ min: 90, max: 140 });
+
+// Roughly where iOS Mail and the Gmail app cut a subject line in portrait
+export const MOBILE_SUBJECT_CHARS = 41;
+
+/**
+ * Words and phrases that push messages towards spam folders or promotions tabs
+ */
+export const SPAM_TRIGGERS = Object.freeze([
+  'act now',
+  'buy now',
+  'cash',
+  'click here',
+  'congratulations',
+  'free',
+  'guarantee',
+  'limited time',
+  'no obligation',
+  'order now',
+  'risk-free',
+  'urgent',
+  'winner',
+  '100%',
+  '£££',
+  '$$$'
+]);
+
+const ANGLE_DESCRIPTIONS = {
+  curiosity: 'open a question or gap the reader wants closed',
+  benefit: 'lead with the concrete outcome the reader gets',
+  urgency: 'give a genuine reason to open now (deadline, season, limited stock) without hype',
+  persona: 'speak directly to one type of reader (e.g. first-time self-builders, full-time off-grid vanlifers)'
+};
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+/**
+ * Generate subject/preview A/B variants for a plan and score them
+ * @param {Object} plan - Plan from generateCopy (subject, preview, slots)
+ * @param {Object} blogData - Blog content with title and text
+ * @param {Object|string} brand - Parsed brand guidelines (parseBrandGuidelines) or the markdown
+ * @param {number} count - Number of variants (2-8); angles rotate through VARIANT_ANGLES
+ * @param {string} model - Model to use (default: gpt-4o-mini)
+ * @param {Object} provider - Model provider (default: created from environment)
+ * @returns {Promise<{winner: string, variants: Object[], klaviyo_variations: Object[]}>} Variants sorted by score, best first
+ */
+export async function generateVariants(plan, blogData, brand, count = 4, model = 'gpt-4o-mini', provider = createProvider()) {
+  if (!Number.isInteger(count) || count < VARIANT_COUNT.min || count > VARIANT_COUNT.max) {
+    throw new Error(`Variant count must be between ${VARIANT_COUNT.min} and ${VARIANT_COUNT.max}, got ${count}`);
+  }
+
+  const angles = Array.from({ length: count }, (_, index) => VARIANT_ANGLES[index % VARIANT_ANGLES.length]);
+  const prompt = buildVariantsPrompt(plan, blogData, brand, angles);
+
+  const schema = {
+    type: "object",
+    properties: {
+      variants: {
+        type: "array",
+        description: `Exactly ${count} subject/preview pairs, one per requested angle, in order`,
+        items: {
+          type: "object",
+          properties: {
+            angle: {
+              type: "string",
+              enum: [...VARIANT_ANGLES]
+            },
+            subject: {
+              type: "string",
+              description: `Subject line (${SUBJECT_LENGTH.min}-${SUBJECT_LENGTH.max} characters)`
+            },
+            preview: {
+              type: "string",
+              description: `Preview text (${PREVIEW_LENGTH.min}-${PREVIEW_LENGTH.max} characters)`
+            }
+          },
+          required: ["angle", "subject", "preview"],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ["variants"],
+    additionalProperties: false
+  };
+
+  const systemPrompt = "You are an expert email copywriter who writes subject lines for A/B tests. Each variant must take a clearly different angle.";
+
+  log.info(`Calling OpenAI API for ${count} subject variants with model: ${model} (provider: ${provider.mode})`);
+  log.info(`  Prompt length: ${prompt.length} characters`);
+
+  const timerLabel = `variants:openai_request (${model})`;
+  log.time(timerLabel);
+
+  try {
+    const completion = await provider.complete('variants', {
+      api: 'chat',
+      client: { timeout: 60_000, maxRetries: 1 },
+      params: {
+        model: model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: prompt }
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: {
+            name: "subject_variants",
+            schema: schema,
+            strict: true
+          }
+        },
+        temperature: 0.9,
+        max_tokens: 1500
+      }
+    });
+
+    log.timeEnd(timerLabel);
+
+    const { variants } = JSON.parse(completion.choices[0].message.content);
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new Error('Response did not include any variants');
+    }
+
+    const report = rankVariants(variants.slice(0, count));
+
+    log.info('✓ Subject variants generated and scored');
+    for (const variant of report.variants) {
+      log.info(`  ${variant.id}. [${variant.score}] (${variant.angle}) ${variant.subject}`);
+    }
+    log.info(`  Winner: ${report.winner}`);
+
+    return report;
+  } catch (error) {
+    log.timeEnd(timerLabel);
+    throw new Error(`Failed to generate subject variants: ${error.message}`);
+  }
+}
+
+/**
+ * Label, score and sort variants, and build the Klaviyo A/B export
+ * @param {{angle: string, subject: string, preview: string}[]} variants - Variants in generation order
+ * @returns {{winner: string, variants: Object[], klaviyo_variations: Object[]}}
+ */
+export function rankVariants(variants) {
+  const scored = variants
+    .map((variant, index) => ({
+      id: String.fromCharCode(65 + index),
+      angle: variant.angle,
+      subject: variant.subject.trim(),
+      preview: variant.preview.trim(),
+      ...scoreVariant(variant)
+    }))
+    // Highest score first; ties keep generation order
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+  return {
+    winner: scored[0].id,
+    variants: scored,
+    // Campaign message content fields, one per A/B variation
+    klaviyo_variations: scored.map(variant => ({
+      label: `Variant ${variant.id} (${variant.angle})`,
+      subject: variant.subject,
+      preview_text: variant.preview
+    }))
+  };
+}
+
+/**
+ * Score a subject/preview pair with local heuristics (100 = no problems found)
+ * @param {{subject: string, preview: string}} variant
+ * @returns {{score: number, checks: {rule: string, penalty: number, message: string}[]}}
+ */
+export function scoreVariant({ subject = '', preview = '' }) {
+  const checks = [];
+  const addCheck = (rule, penalty, message) => checks.push({ rule, penalty, message });
+
+  subject = subject.trim();
+  preview = preview.trim();
+
+  // Length bounds from the copy prompt
+  const subjectOverflow = outsideBy(subject.length, SUBJECT_LENGTH);
+  if (subjectOverflow > 0) {
+    addCheck('subject-length', Math.min(30, subjectOverflow * 2), `Subject is ${subject.length} chars (target ${SUBJECT_LENGTH.min}-${SUBJECT_LENGTH.max})`);
+  }
+
+  const previewOverflow = outsideBy(preview.length, PREVIEW_LENGTH);
+  if (previewOverflow > 0) {
+    addCheck('preview-length', Math.min(20, previewOverflow), `Preview is ${preview.length} chars (target ${PREVIEW_LENGTH.min}-${PREVIEW_LENGTH.max})`);
+  }
+
+  // Spam trigger words and shouting
+  const triggers = findSpamTriggers(`${subject} ${preview}`);
+  if (triggers.length > 0) {
+    addCheck('spam-words', Math.min(30, triggers.length * 8), `Spam trigger words: ${triggers.join(', ')}`);
+  }
+
+  const shouting = (subject.match(/\b[A-Z]{4,}\b/g) || []).length + (/!{2,}/.test(subject) ? 1 : 0);
+  if (shouting > 0) {
+    addCheck('shouting', Math.min(15, shouting * 5), 'Subject uses all-caps words or repeated exclamation marks');
+  }
+
+  // More than one emoji reads as promotional and renders inconsistently
+  const emojiCount = (subject.match(EMOJI_PATTERN) || []).length + (preview.match(EMOJI_PATTERN) || []).length;
+  if (emojiCount > 1) {
+    addCheck('emoji-count', Math.min(15, (emojiCount - 1) * 5), `Uses ${emojiCount} emoji (keep it to one)`);
+  }
+
+  // Mobile inboxes cut the subject; a cut mid-word hides the point of the line
+  if (subject.length > MOBILE_SUBJECT_CHARS) {
+    const visible = subject.substring(0, MOBILE_SUBJECT_CHARS);
+    if (/\w/.test(subject[MOBILE_SUBJECT_CHARS]) && /\w$/.test(visible)) {
+      addCheck('mobile-truncation', 5, `Mobile inboxes cut the subject mid-word: "${visible}…"`);
+    }
+  }
+
+  const penalty = checks.reduce((sum, check) => sum + check.penalty, 0);
+  return { score: Math.max(0, 100 - penalty), checks };
+}
+
+function outsideBy(length, { min, max }) {
+  if (length < min) return min - length;
+  if (length > max) return length - max;
+  return 0;
+}
+
+function findSpamTriggers(text) {
+  const lower = text.toLowerCase();
+  return SPAM_TRIGGERS.filter(trigger => {
+    const escaped = trigger.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Word boundaries only make sense around words, not symbols like £££ or 100%
+    const pattern = /^\w/.test(trigger) ? new RegExp(`\\b${escaped}\\b`) : new RegExp(escaped);
+    return pattern.test(lower);
+  });
+}
+
+/**
+ * Build the prompt for subject/preview variants
+ */
+function buildVariantsPrompt(plan, blogData, brand, angles) {
+  const heroTitle = plan.slots?.hero?.title || '';
+  const angleList = angles
+    .map((angle, index) => `${index + 1}. **${angle}**: ${ANGLE_DESCRIPTIONS[angle]}`)
+    .join('\n');
+
+  return `
+# Task: Write Subject Line A/B Variants
+
+Write ${angles.length} subject line and preview text pairs for an email that is already written.
+
+## Email
+**Source title:** ${blogData.blog_title}
+**Current subject:** ${plan.subject}
+**Current preview:** ${plan.preview}
+**Hero headline:** ${heroTitle}
+
+**Content Preview:**
+${describeArticle(blogData, 1500)}
+
+## Brand Context
+${describeBrand(brand, STAGE_BRAND_FIELDS.variants)}
+
+## Angles (one variant each, in this order)
+${angleList}
+
+## Rules
+- Subject: ${SUBJECT_LENGTH.min}-${SUBJECT_LENGTH.max} characters; put the key words in the first ${MOBILE_SUBJECT_CHARS} so they survive mobile truncation
+- Preview: ${PREVIEW_LENGTH.min}-${PREVIEW_LENGTH.max} characters; complement the subject, don't repeat it
+- At most one emoji per pair; no all-caps words or "!!"
+- Avoid spam trigger words such as: ${SPAM_TRIGGERS.slice(0, 8).join(', ')}
+- Only promise what the email delivers
+
+Return the variants as JSON.
+`.trim();
+}
+
+/**
+ * Use the top-scored variant as the plan's subject and preview
+ * @param {Object} plan - Plan from generateCopy
+ * @param {Object} report - Report from generateVariants/rankVariants
+ * @returns {Object} Plan with the winning subject and preview
+ */
+export function applyWinningVariant(plan, report) {
+  const winner = report.variants.find(variant => variant.id === report.winner);
+  if (!winner) {
+    return plan;
+  }
+
+  return {
+    ...plan,
+    subject: winner.subject,
+    preview: winner.preview
+  };
+}
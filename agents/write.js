@@ -1,33 +1,32 @@
-import OpenAI from 'openai';
 import { JSDOM } from 'jsdom';
-import { readSections, htmlToText } from './utils.js';
+import { readSections, htmlToText, escapeHtml, createSlug } from './utils.js';
+import { getSectionManifests, resolveSlotCatalog } from './sections.js';
+import { toBrand } from './brand.js';
+import { applyLinkPolicy, logLinkReport, DEFAULT_LINK_POLICY } from './links.js';
+import { applyDarkMode } from './darkmode.js';
 import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { log } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Invisible filler that stops inbox previews pulling in body text after the preheader
+const PREHEADER_PADDING = '&#847;&zwnj;&nbsp;'.repeat(90);
+
 /**
  * Write and assemble final email HTML
  * @param {Object} plan - Email plan with sequence and slots
- * @param {string} brandGuidelines - Brand guidelines content
+ * @param {Object|string} brand - Parsed brand guidelines (parseBrandGuidelines) or the markdown; supplies the font stack and link colour
  * @param {string} sectionsDir - Directory containing section HTML files
- * @param {string} model - Model to use for content generation (default: gpt-5-mini)
- * @returns {Promise<{subject: string, preview: string, html: string, text_version: string}>}
+ * @param {Object|null} linkPolicy - Link policy applied to every section (see links.js); null skips it
+ * @returns {Promise<{subject: string, preview: string, html: string, text_version: string, links: Object|null}>}
  */
-export async function writeAndAssemble(plan, brandGuidelines, sectionsDir = 'sections', model = 'gpt-5') {
-  const apiKey = process.env.OPEN_API_KEY_CURSOR || process.env.OPENAI_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('OPEN_API_KEY_CURSOR or OPENAI_API_KEY environment variable is not set');
-  }
-  
-  console.log('Reading section HTML files...');
+export async function writeAndAssemble(plan, brand, sectionsDir = 'sections', linkPolicy = DEFAULT_LINK_POLICY) {
+  log.info('Reading section HTML files...');
   const sections = await readSections(plan.sequence, sectionsDir);
-  
-  console.log('Processing sections with AI assistance...');
-  const openai = new OpenAI({ apiKey });
+  const manifests = getSectionManifests(sectionsDir);
   
   // Process dynamic sections
   const processedSections = {};
@@ -36,204 +35,254 @@ export async function writeAndAssemble(plan, brandGuidelines, sectionsDir = 'sec
     const sectionHtml = sections[sectionName];
     
     if (!sectionHtml) {
-      console.warn(`Warning: Section ${sectionName} is empty, skipping`);
+      log.warn(`Warning: Section ${sectionName} is empty, skipping`);
       continue;
     }
     
-    // Check if this is a dynamic section that needs AI processing
-    if (sectionName === 'hero' && plan.slots.hero) {
-      processedSections[sectionName] = await processHeroSection(
-        sectionHtml,
-        plan.slots.hero,
-        openai,
-        model,
-        brandGuidelines
-      );
-    } else if (sectionName === 'simple-body' && plan.slots['simple-body']) {
-      processedSections[sectionName] = await processBodySection(
-        sectionHtml,
-        plan.slots['simple-body'],
-        openai,
-        model,
-        brandGuidelines
-      );
-    } else if (sectionName === 'six-summary-cards' && plan.slots['six-summary-cards']) {
-      processedSections[sectionName] = await processSixSummaryCards(
-        sectionHtml,
-        plan.slots['six-summary-cards'],
-        openai,
-        model,
-        brandGuidelines
-      );
+    // Dynamic sections declare fill selectors in their manifest
+    const manifest = manifests[sectionName];
+    const fill = manifest?.fill;
+    const slot = fill ? resolveSlotCatalog(sectionName, plan.slots[sectionName], manifest) : null;
+    if (fill && slot) {
+      processedSections[sectionName] = fillSection(sectionName, sectionHtml, slot, fill);
     } else {
       // Static section - use as-is
       processedSections[sectionName] = sectionHtml;
     }
   }
   
-  console.log('Assembling final HTML email...');
-  const html = assembleEmail(processedSections, plan.sequence);
+  let links = null;
+  if (linkPolicy) {
+    log.info('Applying link policy...');
+    links = enforceLinkPolicy(processedSections, plan, linkPolicy);
+    logLinkReport(links);
+  }
+  
+  log.info('Assembling final HTML email...');
+  const html = assembleEmail(processedSections, plan.sequence, {
+    subject: plan.subject,
+    preview: plan.preview
+  }, toBrand(brand), sectionsDir);
   
-  console.log('Generating plain-text version...');
+  log.info('Generating plain-text version...');
   const text_version = htmlToText(html);
   
-  console.log('✓ Email HTML generated successfully');
+  log.info('✓ Email HTML generated successfully');
   
   return {
     subject: plan.subject,
     preview: plan.preview,
     html,
-    text_version
+    text_version,
+    links
   };
 }
 
 /**
- * Process hero section by replacing title, subtitle, and CTA button
+ * Apply the link policy to each processed section in place and collect one report
  */
-async function processHeroSection(heroHtml, heroSlot, openai, model, brandGuidelines) {
+function enforceLinkPolicy(processedSections, plan, linkPolicy) {
+  const campaign = linkPolicy.utm?.campaign || createSlug(plan.subject);
+  const report = { campaign: linkPolicy.utm ? campaign : null, checked: 0, tagged: 0, rewritten: 0, removed: 0, changes: [] };
+  
+  for (const [sectionName, html] of Object.entries(processedSections)) {
+    const result = applyLinkPolicy(html, sectionName, linkPolicy, campaign);
+    processedSections[sectionName] = result.html;
+    report.checked += result.checked;
+    report.tagged += result.tagged;
+    report.changes.push(...result.changes);
+  }
+  
+  report.rewritten = report.changes.filter(change => change.action === 'rewritten').length;
+  report.removed = report.changes.filter(change => change.action === 'removed').length;
+  return report;
+}
+
+/**
+ * Fill a section template with slot content using its manifest fill config
+ *
+ * - fields: one value per slot key, each written to a selector (text, html or an attribute)
+ * - blocks: an array of HTML blocks joined into a single container
+ * - repeat: an array of items, each filling one repeated element (card, benefit, post).
+ *   With remove_unused, elements beyond the last item are removed (true removes the element
+ *   itself, a selector removes its closest matching ancestor). An empty array keeps the template.
+ *
+ * Fields may set format (e.g. "- {{value}}") and all (write every match, not just the first).
+ *
+ * @param {string} sectionName - Section name (for warnings)
+ * @param {string} sectionHtml - Section template HTML
+ * @param {Object|Array} slot - Slot content from the plan
+ * @param {Object} fill - Manifest fill config
+ * @returns {string} Filled HTML, or the original template if it could not be filled
+ */
+export function fillSection(sectionName, sectionHtml, slot, fill) {
   try {
-    const dom = new JSDOM(heroHtml);
+    const dom = new JSDOM(sectionHtml);
     const doc = dom.window.document;
     
-    // Find and update the H1/H3 title
-    const titleElement = doc.querySelector('h3') || doc.querySelector('h1') || doc.querySelector('h2');
-    if (titleElement && heroSlot.title) {
-      // Keep the styling, just replace the text content
-      const boldSpan = titleElement.querySelector('span[style*="font-weight: bold"]');
-      if (boldSpan) {
-        boldSpan.textContent = heroSlot.title;
-      } else {
-        titleElement.textContent = heroSlot.title;
+    if (fill.type === 'fields') {
+      applyFields(doc, slot, fill.fields);
+    } else if (fill.type === 'blocks') {
+      // Find the text container
+      const container = doc.querySelector(fill.container);
+      if (!container) {
+        log.warn(`Could not find text container in ${sectionName} section`);
+        return sectionHtml;
       }
-    }
-    
-    // Find and update the subtitle
-    const paragraphs = doc.querySelectorAll('div[style*="line-height"] span[style*="font-family: Montserrat"]');
-    if (paragraphs.length > 1 && heroSlot.subtitle) {
-      // Usually the second paragraph is the subtitle
-      paragraphs[1].innerHTML = heroSlot.subtitle;
-    }
-    
-    // Find and update the CTA button
-    if (heroSlot.cta_text || heroSlot.cta_url) {
-      const ctaLink = doc.querySelector('a[href*="Insert Link"]') || doc.querySelector('.kl-button a');
-      if (ctaLink) {
-        if (heroSlot.cta_text) {
-          ctaLink.textContent = heroSlot.cta_text;
-        }
-        if (heroSlot.cta_url) {
-          ctaLink.setAttribute('href', heroSlot.cta_url);
+      
+      // Build new content from slots
+      const blocks = slot
+        .map(block => block[fill.field])
+        .filter(Boolean)
+        .join('');
+      container.innerHTML = (fill.wrapper || '{{blocks}}').replace('{{blocks}}', () => blocks);
+    } else if (fill.type === 'repeat') {
+      // Find all repeated containers (cards, benefits, posts)
+      const items = doc.querySelectorAll(fill.item);
+      if (items.length === 0) {
+        log.warn(`Could not find repeated items in ${sectionName} section`);
+        return sectionHtml;
+      }
+      
+      slot.forEach((data, index) => {
+        if (index >= items.length) return; // Safety check
+        applyFields(items[index], data, fill.fields);
+      });
+      
+      // Drop template items the slot did not fill (e.g. 2 testimonials in a 4-item template)
+      if (fill.remove_unused && slot.length > 0) {
+        for (const item of Array.from(items).slice(slot.length)) {
+          const target = typeof fill.remove_unused === 'string' ? item.closest(fill.remove_unused) : item;
+          (target || item).remove();
         }
       }
     }
     
     return dom.serialize();
   } catch (error) {
-    console.warn(`Warning: Could not process hero section: ${error.message}`);
-    return heroHtml; // Return original if processing fails
+    log.warn(`Warning: Could not process ${sectionName} section: ${error.message}`);
+    return sectionHtml; // Return original if processing fails
   }
 }
 
 /**
- * Process body section by replacing content with new HTML blocks
+ * Write slot values into the elements matched by each field's selector
  */
-async function processBodySection(bodyHtml, bodySlots, openai, model, brandGuidelines) {
-  try {
-    const dom = new JSDOM(bodyHtml);
-    const doc = dom.window.document;
-    
-    // Find the text container
-    const textContainer = doc.querySelector('td.kl-text div[style*="font-family"]');
-    
-    if (!textContainer) {
-      console.warn('Could not find text container in simple-body section');
-      return bodyHtml;
+function applyFields(root, values, fields) {
+  for (const [key, field] of Object.entries(fields)) {
+    if (!values?.[key]) {
+      continue;
     }
     
-    // Build new content from slots
-    let newContent = '<div style="line-height: 120%;">';
+    const value = field.format
+      ? field.format.replace('{{value}}', () => values[key])
+      : values[key];
     
-    for (const block of bodySlots) {
-      if (block.html) {
-        newContent += block.html;
+    for (const element of queryField(root, field)) {
+      if (field.attribute) {
+        element.setAttribute(field.attribute, value);
+      } else if (field.mode === 'html') {
+        element.innerHTML = value;
+      } else if (field.mode === 'html-lines') {
+        element.innerHTML = value.replace(/\n/g, '<br>');
+      } else {
+        element.textContent = value;
       }
     }
-    
-    newContent += '</div>';
-    
-    // Replace the content
-    textContainer.innerHTML = newContent;
-    
-    return dom.serialize();
-  } catch (error) {
-    console.warn(`Warning: Could not process body section: ${error.message}`);
-    return bodyHtml; // Return original if processing fails
   }
 }
 
 /**
- * Process six-summary-cards section by populating with blog topics
+ * Find the elements for a field. Selector lists are tried in order; index picks the nth match
+ * and all returns every match of the first selector that matches.
  */
-async function processSixSummaryCards(cardsHtml, cardsData, openai, model, brandGuidelines) {
-  try {
-    const dom = new JSDOM(cardsHtml);
-    const doc = dom.window.document;
-    
-    // Find all card containers (there should be 6)
-    const cardContainers = doc.querySelectorAll('td[width="50%"][align="center"]');
-    
-    if (!cardContainers || cardContainers.length === 0) {
-      console.warn('Could not find card containers in six-summary-cards section');
-      return cardsHtml;
-    }
-    
-    // Populate each card with data from cardsData
-    cardsData.forEach((card, index) => {
-      if (index >= cardContainers.length) return; // Safety check
-      
-      const container = cardContainers[index];
-      
-      // Find and update emoji
-      const emojiSpan = container.querySelector('span[style*="font-size: 28px"]');
-      if (emojiSpan && card.emoji) {
-        emojiSpan.textContent = card.emoji;
-      }
-      
-      // Find and update title (h3)
-      const titleH3 = container.querySelector('h3');
-      if (titleH3 && card.title) {
-        titleH3.innerHTML = card.title.replace(/\n/g, '<br>');
-      }
-      
-      // Find and update description (p)
-      const descP = container.querySelector('p[style*="font-size: 14px"]');
-      if (descP && card.description) {
-        descP.textContent = card.description;
+function queryField(root, field) {
+  const selectors = Array.isArray(field.selector) ? field.selector : [field.selector];
+  
+  for (const selector of selectors) {
+    if (field.all) {
+      const elements = Array.from(root.querySelectorAll(selector));
+      if (elements.length > 0) {
+        return elements;
       }
-    });
+      continue;
+    }
     
-    return dom.serialize();
-  } catch (error) {
-    console.warn(`Warning: Could not process six-summary-cards section: ${error.message}`);
-    return cardsHtml; // Return original if processing fails
+    const element = field.index
+      ? root.querySelectorAll(selector)[field.index]
+      : root.querySelector(selector);
+    if (element) {
+      return [element];
+    }
   }
+  
+  return [];
 }
 
 /**
  * Assemble all sections into complete email HTML
+ * @param {Object} sections - Processed section HTML keyed by section name
+ * @param {string[]} sequence - Section order
+ * @param {{subject?: string, preview?: string}} meta - Used for the document title and preheader
+ * @param {Object} brand - Parsed brand guidelines; its font stack and primary colour style the wrapper,
+ *   and its palette the dark-mode overrides (see darkmode.js)
+ * @param {string} sectionsDir - Directory with the email-wrapper-start/end.html files, relative to the project root
  */
-function assembleEmail(sections, sequence) {
+export function assembleEmail(sections, sequence, meta = {}, brand = null, sectionsDir = 'sections') {
   // Read email wrapper sections
-  const sectionsDir = join(__dirname, '..', 'sections');
-  const emailStart = readFileSync(join(sectionsDir, 'email-wrapper-start.html'), 'utf-8');
-  const emailEnd = readFileSync(join(sectionsDir, 'email-wrapper-end.html'), 'utf-8');
+  const wrapperDir = resolve(__dirname, '..', sectionsDir);
+  const emailStart = readFileSync(join(wrapperDir, 'email-wrapper-start.html'), 'utf-8');
+  const emailEnd = readFileSync(join(wrapperDir, 'email-wrapper-end.html'), 'utf-8');
 
-  // Concatenate all sections in sequence
+  // Concatenate all sections in sequence; the comments let checks name the section an issue is in
   const sectionsHtml = sequence
-    .map(sectionName => sections[sectionName] || '')
-    .filter(html => html.trim().length > 0)
+    .filter(sectionName => (sections[sectionName] || '').trim().length > 0)
+    .map(sectionName => `<!-- section: ${sectionName} -->\n${sections[sectionName]}`)
     .join('\n\n');
   
-  return emailStart + sectionsHtml + emailEnd;
+  const html = injectBrandStyles(injectMeta(emailStart, meta), brand) + sectionsHtml + emailEnd;
+  return brand ? applyDarkMode(html, brand) : html;
+}
+
+/**
+ * Use the brand font stack for the body and the first primary colour for links the
+ * sections don't style themselves (e.g. links in model-written body copy)
+ */
+function injectBrandStyles(emailStart, brand) {
+  let html = emailStart;
+  const fontStack = brand?.typography?.font_stack;
+  const linkColour = brand?.palette?.primary?.[0]?.hex;
+
+  if (fontStack) {
+    html = html.replace(/(<style>[\s\S]*?\bbody\s*\{[^}]*?font-family:\s*)[^;}]+/i, (_, rule) => `${rule}${fontStack}`);
+  }
+
+  if (linkColour) {
+    html = html.replace(/(\n?)<\/style>/i, (_, newline) => `${newline}  a { color: ${linkColour}; }\n</style>`);
+  }
+
+  return html;
+}
+
+/**
+ * Set the document title from the subject and add a hidden preheader with the preview text
+ */
+function injectMeta(emailStart, { subject, preview } = {}) {
+  let html = emailStart;
+
+  if (subject) {
+    html = html.replace(/<title>[\s\S]*?<\/title>/i, () => `<title>${escapeHtml(subject)}</title>`);
+  }
+
+  if (preview) {
+    const preheader = [
+      '<div class="preheader" style="display:none;font-size:1px;color:#F7F7F7;line-height:1px;max-height:0px;max-width:0px;overflow:hidden;mso-hide:all;">',
+      `${escapeHtml(preview)}${PREHEADER_PADDING}`,
+      '</div>'
+    ].join('');
+    html = html.replace(/(<body[^>]*>)/i, (bodyTag) => `${bodyTag}\n${preheader}`);
+  }
+
+  return html;
 }
 